@@ -0,0 +1,86 @@
+const User = require('./models/User')
+const Diagnosis = require('./models/Diagnosis')
+const Complaint = require('./models/Complaint')
+const PasswordHistory = require('./models/PasswordHistory')
+const PasswordSecurity = require('./models/PasswordSecurity')
+const LoginAttempt = require('./models/LoginAttempt')
+const { revoke_all_sessions } = require('./session_store')
+const { delete_diagnosis_images } = require('./image_storage')
+
+// Days between a deletion request and the purge; logging in and cancelling stops it
+const ACCOUNT_DELETION_GRACE_DAYS = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10)
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+function schedule_account_deletion(user, now) {
+  user.deletion_requested_at = now
+  user.deletion_scheduled_for = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+}
+
+function cancel_account_deletion(user) {
+  user.deletion_requested_at = undefined
+  user.deletion_scheduled_for = undefined
+}
+
+// Remove everything tied to one user. Help tickets are kept for support records,
+// but lose the email address and message text.
+async function purge_account(user) {
+  const user_id = user._id
+
+  const diagnoses_with_images = await Diagnosis.find({ user_id, image: { $exists: true } }).select('image thumbnail').lean()
+  for (const diagnosis of diagnoses_with_images) {
+    await delete_diagnosis_images(diagnosis)
+  }
+  await Diagnosis.deleteMany({ user_id })
+  await Complaint.updateMany(
+    { userId: user_id },
+    { $set: { userEmail: 'deleted-user@invalid', message: '[removed on account deletion]' } }
+  )
+  await PasswordHistory.deleteMany({ userId: user_id })
+  await PasswordSecurity.deleteMany({ userId: user_id })
+  await LoginAttempt.deleteMany({ $or: [{ user_id }, { email: user.email }] })
+
+  try {
+    await revoke_all_sessions(user_id.toString())
+  } catch (error) {
+    // Sessions expire on their own; the access check also fails once the user is gone
+    console.error('[AccountDeletion] could not revoke sessions:', error?.message || error)
+  }
+
+  await User.deleteOne({ _id: user_id })
+
+  console.log('[AccountDeletion] purged account', user_id.toString())
+}
+
+async function purge_due_accounts(now = new Date()) {
+  const due = await User.find({ deletion_scheduled_for: { $lte: now } })
+
+  for (const user of due) {
+    try {
+      await purge_account(user)
+    } catch (error) {
+      console.error('[AccountDeletion] purge failed for', user._id.toString(), error?.message || error)
+    }
+  }
+
+  return due.length
+}
+
+// Runs the purge hourly in the API process; the timer does not keep the process alive
+function start_account_deletion_worker() {
+  const timer = setInterval(function () {
+    purge_due_accounts().catch(function (error) {
+      console.error('[AccountDeletion] purge run failed:', error?.message || error)
+    })
+  }, PURGE_INTERVAL_MS)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  schedule_account_deletion,
+  cancel_account_deletion,
+  purge_account,
+  purge_due_accounts,
+  start_account_deletion_worker
+}
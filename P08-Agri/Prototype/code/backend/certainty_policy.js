@@ -0,0 +1,43 @@
+// ====== Result certainty policy ======
+// The model always names a top-1 class, even when it is barely ahead of the next one. Each
+// result is sorted into:
+//   confident    - top-1 confidence >= DIAGNOSIS_CONFIDENT_MIN and at least DIAGNOSIS_MIN_MARGIN
+//                  ahead of the runner-up; shown as a plain diagnosis
+//   ambiguous    - a likely answer, but too close to another class (or not sure enough) to
+//                  name one; shown as "possible X or Y"
+//   inconclusive - top-1 confidence below DIAGNOSIS_INCONCLUSIVE_BELOW; the photo should be
+//                  retaken or checked by an inspector
+const CONFIDENT_MIN = Number(process.env.DIAGNOSIS_CONFIDENT_MIN || '0.7')
+const MIN_MARGIN = Number(process.env.DIAGNOSIS_MIN_MARGIN || '0.2')
+const INCONCLUSIVE_BELOW = Number(process.env.DIAGNOSIS_INCONCLUSIVE_BELOW || '0.4')
+
+const CERTAINTY_LEVELS = ['confident', 'ambiguous', 'inconclusive']
+
+// { certainty, margin } for an ML service result; margin is the top-1 minus runner-up confidence
+function assess_certainty(ml_data) {
+  const confidence = Number(ml_data.confidence) || 0
+  const runner_up = (ml_data.alternatives || [])
+    .filter((alternative) => alternative && alternative.label !== ml_data.diagnosis)
+    .reduce((best, alternative) => Math.max(best, Number(alternative.confidence) || 0), 0)
+  const margin = Math.round((confidence - runner_up) * 10000) / 10000
+
+  let certainty = 'ambiguous'
+  if (confidence < INCONCLUSIVE_BELOW) {
+    certainty = 'inconclusive'
+  } else if (confidence >= CONFIDENT_MIN && margin >= MIN_MARGIN) {
+    certainty = 'confident'
+  }
+
+  return { certainty, margin }
+}
+
+// The ML result with `certainty` and `margin` added
+function apply_certainty_policy(ml_data) {
+  return { ...ml_data, ...assess_certainty(ml_data) }
+}
+
+module.exports = {
+  CERTAINTY_LEVELS,
+  assess_certainty,
+  apply_certainty_policy
+}
@@ -0,0 +1,369 @@
+const crypto = require('crypto')
+const os = require('os')
+const { redis_client } = require('./redis_client')
+const { ImageNotFoundError, store_diagnosis_image, open_image, delete_diagnosis_images } = require('./image_storage')
+const { get_ml_service_url, get_error_message, call_ml_service } = require('./ml_client')
+const { save_diagnosis } = require('./diagnosis_records')
+const { apply_certainty_policy } = require('./certainty_policy')
+const { enrich_with_knowledge } = require('./disease_knowledge')
+
+// ====== Background diagnosis jobs ======
+// The upload request stores the photo and queues a job id in Redis; a worker in every API
+// process takes jobs off the queue, calls the ML service (retrying with exponential
+// backoff when it is down or busy) and saves the result as a Diagnosis. Clients poll
+// GET /api/diagnose/jobs/:id for the outcome.
+//
+// Each worker moves the jobs it takes into its own processing list and keeps a lease key
+// alive while its process runs. When a process dies its lease expires, and another worker
+// puts the jobs it left behind back on the queue. Jobs of live workers are never touched.
+//
+// Keys:
+//   diagnosis_job:<id>                  hash with the job state, expires after JOB_TTL_SECONDS
+//   diagnosis_jobs:queue                list of job ids waiting to run
+//   diagnosis_jobs:workers              set of worker ids that may own a processing list
+//   diagnosis_jobs:worker:<worker>      lease, expires WORKER_LEASE_SECONDS after the last heartbeat
+//   diagnosis_jobs:processing:<worker>  job ids taken by that worker and not finished yet
+//   diagnosis_jobs:retry                sorted set of job ids scored by when to try again
+const KEY_PREFIX = 'agriqual:'
+const QUEUE_KEY = KEY_PREFIX + 'diagnosis_jobs:queue'
+const WORKERS_KEY = KEY_PREFIX + 'diagnosis_jobs:workers'
+const RETRY_KEY = KEY_PREFIX + 'diagnosis_jobs:retry'
+
+const JOB_TTL_SECONDS = 24 * 60 * 60
+const MAX_ATTEMPTS = Number.parseInt(process.env.DIAGNOSE_JOB_MAX_ATTEMPTS || '4', 10)
+const RETRY_BASE_MS = Number.parseInt(process.env.DIAGNOSE_JOB_RETRY_BASE_MS || '2000', 10)
+const RETRY_MAX_MS = 60 * 1000
+const POLL_INTERVAL_MS = 1000
+const WORKER_LEASE_SECONDS = 30
+
+class DiagnosisQueueUnavailableError extends Error {
+  constructor() {
+    super('Diagnosis queue unavailable')
+    this.name = 'DiagnosisQueueUnavailableError'
+    this.status = 503
+  }
+}
+
+function job_key(job_id) {
+  return KEY_PREFIX + 'diagnosis_job:' + job_id
+}
+
+function lease_key(worker_id) {
+  return KEY_PREFIX + 'diagnosis_jobs:worker:' + worker_id
+}
+
+function processing_key(worker_id) {
+  return KEY_PREFIX + 'diagnosis_jobs:processing:' + worker_id
+}
+
+function ensure_ready() {
+  if (redis_client.isReady !== true) {
+    throw new DiagnosisQueueUnavailableError()
+  }
+}
+
+function parse_json(value) {
+  if (!value) {
+    return null
+  }
+  try {
+    return JSON.parse(value)
+  } catch {
+    return null
+  }
+}
+
+// 2s, 4s, 8s, ... capped at a minute, with some jitter so retries do not line up
+function retry_delay_ms(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+// Network errors, timeouts, 5xx and 429 are worth another try; a rejected image is not
+function is_retryable(error) {
+  if (error && error.empty_response) {
+    return true
+  }
+  const status = error?.response?.status ?? null
+  if (status === null) {
+    return true
+  }
+  return status === 429 || status >= 500
+}
+
+// Store the photo and queue it for diagnosis. Returns the new job id.
+async function enqueue_diagnosis_job(user_id, file, extra = {}) {
+  ensure_ready()
+
+  const stored_images = await store_diagnosis_image(user_id, file.buffer, file.mimetype || 'image/jpeg')
+  const job_id = crypto.randomUUID()
+  const now_iso = new Date().toISOString()
+
+  try {
+    await redis_client
+      .multi()
+      .hSet(job_key(job_id), {
+        user_id: String(user_id),
+        status: 'queued',
+        attempts: '0',
+        filename: String(file.originalname || 'uploaded.jpg'),
+        field: String(extra.field || ''),
+        location: extra.location ? JSON.stringify(extra.location) : '',
+        image: JSON.stringify(stored_images.image),
+        thumbnail: JSON.stringify(stored_images.thumbnail),
+        created_at: now_iso,
+        updated_at: now_iso
+      })
+      .expire(job_key(job_id), JOB_TTL_SECONDS)
+      .lPush(QUEUE_KEY, job_id)
+      .exec()
+  } catch (error) {
+    await delete_diagnosis_images(stored_images)
+    throw error
+  }
+
+  return job_id
+}
+
+// The stored job hash, or null when the job does not exist (or has expired)
+async function get_diagnosis_job(job_id) {
+  ensure_ready()
+
+  const job = await redis_client.hGetAll(job_key(job_id))
+  if (!job || !job.user_id) {
+    return null
+  }
+  return job
+}
+
+function format_diagnosis_job(job_id, job) {
+  return {
+    jobId: job_id,
+    status: job.status,
+    attempts: Number(job.attempts) || 0,
+    field: job.field || null,
+    createdAt: job.created_at || null,
+    updatedAt: job.updated_at || null,
+    nextAttemptAt: job.status === 'retrying' ? job.next_attempt_at || null : null,
+    diagnosisId: job.diagnosis_id || null,
+    result: parse_json(job.result),
+    message: job.message || null
+  }
+}
+
+async function read_stream(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk))
+  }
+  return Buffer.concat(chunks)
+}
+
+async function update_job(job_id, fields) {
+  await redis_client.hSet(job_key(job_id), { ...fields, updated_at: new Date().toISOString() })
+}
+
+async function fail_job(job_id, job, message) {
+  await update_job(job_id, { status: 'failed', message })
+  await delete_diagnosis_images({ image: parse_json(job.image), thumbnail: parse_json(job.thumbnail) })
+}
+
+// Try again after a backoff while attempts are left, otherwise give up
+async function retry_or_fail_job(job_id, job, attempts, message) {
+  if (attempts < MAX_ATTEMPTS) {
+    const next_attempt_at = Date.now() + retry_delay_ms(attempts)
+    await update_job(job_id, {
+      status: 'retrying',
+      message,
+      next_attempt_at: new Date(next_attempt_at).toISOString()
+    })
+    await redis_client.zAdd(RETRY_KEY, { score: next_attempt_at, value: job_id })
+    return
+  }
+  await fail_job(job_id, job, message)
+}
+
+async function process_job(job_id) {
+  const job = await redis_client.hGetAll(job_key(job_id))
+  if (!job || !job.user_id || job.status === 'done' || job.status === 'failed') {
+    return
+  }
+
+  const attempts = (Number(job.attempts) || 0) + 1
+  await update_job(job_id, { status: 'processing', attempts: String(attempts) })
+
+  const ml_base = get_ml_service_url()
+  if (!ml_base) {
+    await fail_job(job_id, job, 'ML service not configured')
+    return
+  }
+
+  const image = parse_json(job.image)
+  const thumbnail = parse_json(job.thumbnail)
+
+  let buffer
+  try {
+    buffer = await read_stream(await open_image(image))
+  } catch (error) {
+    if (!(error instanceof ImageNotFoundError)) {
+      throw error
+    }
+    await fail_job(job_id, job, 'Uploaded image is no longer available')
+    return
+  }
+
+  let ml_data
+  try {
+    ml_data = apply_certainty_policy(
+      await call_ml_service(ml_base, { buffer, originalname: job.filename, mimetype: image.content_type })
+    )
+  } catch (error) {
+    console.error('[DiagnosisJobs] attempt', attempts, 'failed for', job_id, error?.message || error)
+    const message = error && error.empty_response
+      ? 'Empty response from ML service'
+      : get_error_message(error?.response?.status ?? null)
+
+    if (is_retryable(error)) {
+      await retry_or_fail_job(job_id, job, attempts, message)
+    } else {
+      await fail_job(job_id, job, message)
+    }
+    return
+  }
+
+  ml_data = await enrich_with_knowledge(ml_data)
+  const record = await save_diagnosis(job.user_id, null, ml_data, {
+    field: job.field,
+    location: parse_json(job.location),
+    stored_images: { image, thumbnail }
+  })
+  if (!record) {
+    // save_diagnosis has already removed the photos, so there is nothing left to retry with
+    await fail_job(job_id, job, 'Could not save the diagnosis, please upload the photo again')
+    return
+  }
+  await update_job(job_id, {
+    status: 'done',
+    message: '',
+    diagnosis_id: record._id.toString(),
+    result: JSON.stringify(ml_data)
+  })
+}
+
+// process_job threw (storage or database trouble, say). Retry it like an ML outage so the
+// job never stays 'processing' with nobody working on it.
+async function handle_crashed_job(job_id) {
+  const job = await redis_client.hGetAll(job_key(job_id))
+  if (!job || !job.user_id || job.status === 'done' || job.status === 'failed') {
+    return
+  }
+  await retry_or_fail_job(job_id, job, Number(job.attempts) || 0, 'Diagnosis failed, please try again')
+}
+
+// Move retries whose backoff has passed back onto the queue. zRem decides which caller
+// gets a job, so it is never queued twice.
+async function requeue_due_retries(now_ms) {
+  const due = await redis_client.zRangeByScore(RETRY_KEY, 0, now_ms)
+  for (const job_id of due) {
+    const removed = await redis_client.zRem(RETRY_KEY, job_id)
+    if (removed === 1) {
+      await redis_client.lPush(QUEUE_KEY, job_id)
+    }
+  }
+}
+
+function create_worker_id() {
+  return os.hostname() + ':' + process.pid + ':' + crypto.randomBytes(4).toString('hex')
+}
+
+// Keeps this worker's lease alive; called on every tick, even while a job is running
+async function renew_lease(worker_id) {
+  await redis_client
+    .multi()
+    .sAdd(WORKERS_KEY, worker_id)
+    .set(lease_key(worker_id), '1', { EX: WORKER_LEASE_SECONDS })
+    .exec()
+}
+
+// Put every job in a processing list back on the queue
+async function requeue_processing(worker_id) {
+  let job_id = await redis_client.lMove(processing_key(worker_id), QUEUE_KEY, 'RIGHT', 'RIGHT')
+  while (job_id) {
+    job_id = await redis_client.lMove(processing_key(worker_id), QUEUE_KEY, 'RIGHT', 'RIGHT')
+  }
+}
+
+// Jobs left behind by workers whose process stopped mid-job (their lease has expired).
+// lMove hands each job to exactly one caller, so two workers recovering at once is harmless.
+async function recover_expired_workers(own_worker_id) {
+  const worker_ids = await redis_client.sMembers(WORKERS_KEY)
+  for (const worker_id of worker_ids) {
+    if (worker_id === own_worker_id || (await redis_client.exists(lease_key(worker_id))) === 1) {
+      continue
+    }
+    console.warn('[DiagnosisJobs] requeueing jobs of stopped worker', worker_id)
+    await requeue_processing(worker_id)
+    await redis_client.sRem(WORKERS_KEY, worker_id)
+  }
+}
+
+async function run_pending_jobs(worker_id) {
+  // Nothing of ours is running between runs, so anything still listed was cut short by a
+  // Redis error in the previous run
+  await requeue_processing(worker_id)
+  await recover_expired_workers(worker_id)
+  await requeue_due_retries(Date.now())
+
+  const own_key = processing_key(worker_id)
+  let job_id = await redis_client.lMove(QUEUE_KEY, own_key, 'RIGHT', 'LEFT')
+  while (job_id) {
+    try {
+      await process_job(job_id)
+    } catch (error) {
+      console.error('[DiagnosisJobs] job', job_id, 'crashed:', error?.message || error)
+      await handle_crashed_job(job_id)
+    }
+    await redis_client.lRem(own_key, 1, job_id)
+    job_id = await redis_client.lMove(QUEUE_KEY, own_key, 'RIGHT', 'LEFT')
+  }
+}
+
+// Polls the queue every second in the API process; the timer does not keep the process alive
+function start_diagnosis_job_worker() {
+  const worker_id = create_worker_id()
+  let is_running = false
+
+  const timer = setInterval(function () {
+    if (redis_client.isReady !== true) {
+      return
+    }
+
+    renew_lease(worker_id).catch(function (error) {
+      console.error('[DiagnosisJobs] lease renewal failed:', error?.message || error)
+    })
+
+    if (is_running) {
+      return
+    }
+    is_running = true
+
+    run_pending_jobs(worker_id)
+      .catch(function (error) {
+        console.error('[DiagnosisJobs] worker run failed:', error?.message || error)
+      })
+      .finally(function () {
+        is_running = false
+      })
+  }, POLL_INTERVAL_MS)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  DiagnosisQueueUnavailableError,
+  enqueue_diagnosis_job,
+  get_diagnosis_job,
+  format_diagnosis_job,
+  run_pending_jobs,
+  start_diagnosis_job_worker
+}
@@ -0,0 +1,49 @@
+const Diagnosis = require('./models/Diagnosis')
+const { store_diagnosis_image, delete_diagnosis_images } = require('./image_storage')
+
+// Store the photo and the diagnosis record. Returns the saved record, or null when saving
+// failed - the user still gets their result in that case.
+// extra: { field, batch_id, location, stored_images } - stored_images skips storing the photo again
+// when it was already kept before diagnosing (background jobs)
+async function save_diagnosis(user_id, file, ml_data, extra = {}) {
+  // Keep the photo with the record; a storage failure must not cost the user their result
+  let stored_images = extra.stored_images || null
+  if (!stored_images) {
+    try {
+      stored_images = await store_diagnosis_image(user_id, file.buffer, file.mimetype || 'image/jpeg')
+    } catch (error_) {
+      console.error('Failed to store diagnosis image:', error_.message || error_)
+    }
+  }
+
+  try {
+    const diagnosis_record = new Diagnosis({
+      user_id,
+      diagnosis: ml_data.diagnosis,
+      confidence: ml_data.confidence,
+      alternatives: ml_data.alternatives || [],
+      recommendations: ml_data.recommendations || [],
+      knowledge: ml_data.knowledge || undefined,
+      processing_ms: ml_data.processing_ms,
+      certainty: ml_data.certainty,
+      margin: ml_data.margin,
+      image: stored_images ? stored_images.image : undefined,
+      thumbnail: stored_images ? stored_images.thumbnail : undefined,
+      field: extra.field || undefined,
+      batch_id: extra.batch_id || undefined,
+      location: extra.location || undefined
+    })
+    await diagnosis_record.save()
+    return diagnosis_record
+  } catch (error_) {
+    console.error('Failed to save diagnosis to database:', error_.message || error_)
+    if (stored_images) {
+      await delete_diagnosis_images(stored_images)
+    }
+    return null
+  }
+}
+
+module.exports = {
+  save_diagnosis
+}
@@ -0,0 +1,214 @@
+const crypto = require('crypto')
+const PDFDocument = require('pdfkit')
+const QRCode = require('qrcode')
+const sharp = require('sharp')
+const { open_image } = require('./image_storage')
+
+// ====== Printable diagnosis report ======
+// One A4 page a farmer can hand to a dealer or extension officer. The QR code opens a public
+// page (APP_BASE_URL/verify-report/<token>) showing what was actually stored for the record,
+// so anyone holding the printout can check it without an account. The token is the record
+// id plus an HMAC of it, so ids cannot be guessed or altered.
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '')
+// Falls back to a key derived from JWT_SECRET, like the TOTP encryption key
+const REPORT_SIGNING_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.REPORT_SIGNING_KEY || process.env.JWT_SECRET || 'dev-secret-change-me')
+  .digest()
+const SIGNATURE_BYTES = 16
+const REPORT_IMAGE_MAX_SIDE = 1000
+const CERTAINTY_TEXT = {
+  confident: 'Confident result',
+  ambiguous: 'Uncertain: close to another disease',
+  inconclusive: 'Inconclusive: confidence too low to rely on'
+}
+
+function sign_report_id(id) {
+  return crypto.createHmac('sha256', REPORT_SIGNING_KEY).update('report:' + id).digest().subarray(0, SIGNATURE_BYTES)
+}
+
+function create_report_token(diagnosis) {
+  const id = diagnosis._id.toString()
+  return id + '.' + sign_report_id(id).toString('base64url')
+}
+
+// The diagnosis id in a report token, or null when the token is malformed or forged
+function read_report_token(token) {
+  const match = /^([0-9a-f]{24})\.([A-Za-z0-9_-]+)$/.exec(String(token || ''))
+  if (!match) {
+    return null
+  }
+  const signature = Buffer.from(match[2], 'base64url')
+  const expected = sign_report_id(match[1])
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null
+  }
+  return match[1]
+}
+
+function report_verification_url(diagnosis) {
+  return APP_BASE_URL + '/verify-report/' + create_report_token(diagnosis)
+}
+
+// What the public verification page shows: the result, never the farmer, photo or location
+function format_report_verification(diagnosis) {
+  return {
+    diagnosis: diagnosis.diagnosis,
+    confidence: diagnosis.confidence,
+    certainty: diagnosis.certainty || null,
+    alternatives: (diagnosis.alternatives || []).map((alt) => ({ label: alt.label, confidence: alt.confidence })),
+    createdAt: diagnosis.created_at,
+    reviewStatus: diagnosis.review_status || null,
+    reviewedLabel: diagnosis.reviewed_label || null,
+    reviewedAt: diagnosis.reviewed_at || null
+  }
+}
+
+function format_percent(confidence) {
+  return (confidence * 100).toFixed(1) + '%'
+}
+
+function stream_to_buffer(stream) {
+  return new Promise(function (resolve, reject) {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+    stream.on('error', reject)
+  })
+}
+
+// The stored photo as an upright JPEG small enough to embed, or null if it is missing
+async function load_report_image(ref) {
+  if (!ref) {
+    return null
+  }
+  try {
+    const buffer = await stream_to_buffer(await open_image(ref))
+    return await sharp(buffer)
+      .rotate()
+      .resize(REPORT_IMAGE_MAX_SIDE, REPORT_IMAGE_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer()
+  } catch (error) {
+    // A report without the photo is still useful
+    console.error('Could not load the photo for a diagnosis report:', error.message || error)
+    return null
+  }
+}
+
+function section_heading(doc, text) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(text)
+  doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#374151')
+}
+
+function bullet_list(doc, items) {
+  const x = doc.page.margins.left
+  for (const item of items) {
+    doc.text('•  ' + item, x + 8, doc.y, { width: doc.page.width - doc.page.margins.right - x - 8 })
+  }
+  doc.x = x
+}
+
+// Renders the report for a lean Diagnosis document; resolves to the PDF bytes
+async function render_diagnosis_report(diagnosis) {
+  const [image, qr_code] = await Promise.all([
+    load_report_image(diagnosis.image),
+    QRCode.toBuffer(report_verification_url(diagnosis), { margin: 1, width: 200 })
+  ])
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: 'Diagnosis report: ' + diagnosis.diagnosis, Author: 'AgriQual' }
+  })
+  const done = stream_to_buffer(doc)
+
+  const left = doc.page.margins.left
+  const content_width = doc.page.width - left - doc.page.margins.right
+  const qr_size = 90
+
+  // Header, with the verification QR code in the top right corner
+  doc.image(qr_code, left + content_width - qr_size, doc.page.margins.top, { width: qr_size })
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#166534').text('AgriQual Diagnosis Report', left, doc.page.margins.top, {
+    width: content_width - qr_size - 10
+  })
+  doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#374151')
+  doc.text('Date: ' + new Date(diagnosis.created_at).toUTCString(), { width: content_width - qr_size - 10 })
+  doc.text('Record ID: ' + diagnosis._id.toString(), { width: content_width - qr_size - 10 })
+  if (diagnosis.field) {
+    doc.text('Field / plot: ' + diagnosis.field, { width: content_width - qr_size - 10 })
+  }
+  if (diagnosis.location) {
+    doc.text(
+      'Location: ' + diagnosis.location.latitude.toFixed(5) + ', ' + diagnosis.location.longitude.toFixed(5),
+      { width: content_width - qr_size - 10 }
+    )
+  }
+  doc.fontSize(8).fillColor('#6b7280').text('Scan to verify this report', left + content_width - qr_size - 10, doc.page.margins.top + qr_size + 2, {
+    width: qr_size + 10,
+    align: 'center'
+  })
+  doc.x = left
+  doc.y = Math.max(doc.y, doc.page.margins.top + qr_size + 20)
+
+  if (image) {
+    doc.moveDown(0.5)
+    // Moves doc.y below the image
+    doc.image(image, left, doc.y, { fit: [content_width, 220], align: 'center' })
+  }
+
+  section_heading(doc, 'Diagnosis')
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#111827')
+    .text(diagnosis.diagnosis + '  (' + format_percent(diagnosis.confidence) + ' confidence)')
+  doc.font('Helvetica').fontSize(10).fillColor('#374151')
+  if (diagnosis.certainty && CERTAINTY_TEXT[diagnosis.certainty]) {
+    doc.text(CERTAINTY_TEXT[diagnosis.certainty])
+  }
+  if (diagnosis.review_status === 'relabeled') {
+    doc.fillColor('#92400e').text('An inspector reviewed this photo and identified it as ' + diagnosis.reviewed_label + '.')
+  } else if (diagnosis.review_status === 'confirmed') {
+    doc.fillColor('#166534').text('Confirmed by an inspector.')
+  }
+  doc.fillColor('#374151')
+
+  if (diagnosis.alternatives && diagnosis.alternatives.length > 0) {
+    section_heading(doc, 'Other possibilities')
+    bullet_list(doc, diagnosis.alternatives.map((alt) => alt.label + ' (' + format_percent(alt.confidence) + ')'))
+  }
+
+  if (diagnosis.recommendations && diagnosis.recommendations.length > 0) {
+    section_heading(doc, 'Recommendations')
+    bullet_list(doc, diagnosis.recommendations)
+  }
+
+  const products = (diagnosis.knowledge && diagnosis.knowledge.chemical_controls) || []
+  if (products.length > 0) {
+    section_heading(doc, 'Products')
+    bullet_list(doc, products.map(function (item) {
+      let text = item.chemical_class
+      if (item.examples && item.examples.length > 0) {
+        text += ', e.g. ' + item.examples.join(', ')
+      }
+      text += typeof item.phi_days === 'number' ? ' (pre-harvest interval ' + item.phi_days + ' days)' : ' (seed treatment)'
+      return text
+    }))
+  }
+
+  doc.moveDown(1.5).fontSize(8).fillColor('#6b7280').text(
+    'Generated ' + new Date().toUTCString() + '. Verify at ' + report_verification_url(diagnosis) + '. ' +
+    'This is an automated photo diagnosis. Always read and follow the product label.',
+    left,
+    doc.y,
+    { width: content_width }
+  )
+
+  doc.end()
+  return done
+}
+
+module.exports = {
+  create_report_token,
+  read_report_token,
+  format_report_verification,
+  render_diagnosis_report
+}
@@ -0,0 +1,22 @@
+// ====== Disease classes ======
+// The labels the model can predict, in the order of its outputs. class_index.json ships
+// with the model artifacts, so this list always matches the deployed model.
+const class_index = require('./ml/artifacts/class_index.json')
+
+const DISEASE_CLASSES = Object.keys(class_index)
+  .sort((a, b) => Number(a) - Number(b))
+  .map((key) => class_index[key])
+
+// The canonical label for user input (case and surrounding spaces ignored), or null
+function find_disease_class(label) {
+  if (typeof label !== 'string') {
+    return null
+  }
+  const wanted = label.trim().toLowerCase()
+  return DISEASE_CLASSES.find((name) => name.toLowerCase() === wanted) || null
+}
+
+module.exports = {
+  DISEASE_CLASSES,
+  find_disease_class
+}
@@ -0,0 +1,251 @@
+const DiseaseKnowledge = require('./models/DiseaseKnowledge')
+const { DEFAULT_KNOWLEDGE } = require('./disease_knowledge_defaults')
+const { DISEASE_CLASSES, find_disease_class } = require('./disease_classes')
+
+// ====== Disease knowledge base ======
+// Symptoms, look-alikes, controls and severity actions for each label the model predicts.
+// Entries start from disease_knowledge_defaults.js; an inspector's edit (DiseaseKnowledge)
+// replaces the whole entry for that label until it is reset.
+const MAX_TEXT_LENGTH = 500
+const MAX_LIST_ITEMS = 20
+const SEVERITY_LEVELS = ['low', 'moderate', 'high']
+
+// { label, content, customized, updated_at, updated_by } for every label, in model order
+async function list_knowledge_entries() {
+  const edited = await DiseaseKnowledge.find({}).lean()
+  const by_label = new Map(edited.map((entry) => [entry.label, entry]))
+  return DISEASE_CLASSES.map((label) => to_entry(label, by_label.get(label)))
+}
+
+// The entry for one label, or null for a label the model does not know
+async function get_knowledge_entry(label) {
+  const canonical = find_disease_class(label)
+  if (!canonical) {
+    return null
+  }
+  const edited = await DiseaseKnowledge.findOne({ label: canonical }).lean()
+  return to_entry(canonical, edited)
+}
+
+function to_entry(label, edited) {
+  if (edited) {
+    return {
+      label,
+      content: edited.content,
+      customized: true,
+      updated_at: edited.updatedAt || null,
+      updated_by: edited.updated_by || null
+    }
+  }
+  return {
+    label,
+    content: DEFAULT_KNOWLEDGE[label] || null,
+    customized: false,
+    updated_at: null,
+    updated_by: null
+  }
+}
+
+// The ML result with `knowledge` for the diagnosed label; `recommendations` become the
+// entry's cultural controls instead of the ML service's generic advice. A database failure
+// falls back to the built-in entry so the diagnosis still goes through.
+async function enrich_with_knowledge(ml_data) {
+  let content = DEFAULT_KNOWLEDGE[find_disease_class(ml_data.diagnosis)] || null
+  try {
+    const entry = await get_knowledge_entry(ml_data.diagnosis)
+    if (entry) {
+      content = entry.content
+    }
+  } catch (error) {
+    console.error('Failed to load disease knowledge:', error.message || error)
+  }
+
+  if (!content) {
+    return ml_data
+  }
+  return {
+    ...ml_data,
+    recommendations: content.cultural_controls && content.cultural_controls.length > 0
+      ? content.cultural_controls
+      : ml_data.recommendations,
+    knowledge: content
+  }
+}
+
+async function save_knowledge_entry(label, content, user_id) {
+  await DiseaseKnowledge.findOneAndUpdate(
+    { label },
+    { $set: { content, updated_by: user_id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+  return get_knowledge_entry(label)
+}
+
+async function reset_knowledge_entry(label) {
+  await DiseaseKnowledge.deleteOne({ label })
+  return get_knowledge_entry(label)
+}
+
+function parse_text(value, name, required) {
+  const text = typeof value === 'string' ? value.trim() : ''
+  if (required && !text) {
+    return { message: `${name} is required` }
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { message: `${name} must be at most ${MAX_TEXT_LENGTH} characters` }
+  }
+  return { value: text }
+}
+
+function parse_text_list(value, name) {
+  if (value === undefined || value === null) {
+    return { value: [] }
+  }
+  if (!Array.isArray(value)) {
+    return { message: `${name} must be a list` }
+  }
+  if (value.length > MAX_LIST_ITEMS) {
+    return { message: `${name} can have at most ${MAX_LIST_ITEMS} items` }
+  }
+  const items = []
+  for (const item of value) {
+    const parsed = parse_text(item, `Each item in ${name}`, false)
+    if (parsed.message) {
+      return parsed
+    }
+    if (parsed.value) {
+      items.push(parsed.value)
+    }
+  }
+  return { value: items }
+}
+
+// Validates an admin API body ({ summary, symptoms, lookAlikes, culturalControls,
+// chemicalControls, severityActions }) into stored content. Returns { content } or { message }.
+function parse_knowledge_content(body) {
+  if (!body || typeof body !== 'object') {
+    return { message: 'Request body must be an object' }
+  }
+
+  const summary = parse_text(body.summary, 'summary', true)
+  if (summary.message) {
+    return summary
+  }
+
+  const lists = {}
+  for (const [key, name] of [['symptoms', 'symptoms'], ['cultural_controls', 'culturalControls']]) {
+    const parsed = parse_text_list(body[name], name)
+    if (parsed.message) {
+      return parsed
+    }
+    lists[key] = parsed.value
+  }
+
+  const raw_look_alikes = body.lookAlikes === undefined || body.lookAlikes === null ? [] : body.lookAlikes
+  if (!Array.isArray(raw_look_alikes) || raw_look_alikes.length > MAX_LIST_ITEMS) {
+    return { message: `lookAlikes must be a list of at most ${MAX_LIST_ITEMS} items` }
+  }
+  const look_alikes = []
+  for (const item of raw_look_alikes) {
+    const label = find_disease_class(item && item.label)
+    if (!label) {
+      return { message: 'Each look-alike must name a known disease label', code: 'unknown_label' }
+    }
+    const how_to_tell = parse_text(item.howToTell, 'howToTell', true)
+    if (how_to_tell.message) {
+      return how_to_tell
+    }
+    look_alikes.push({ label, how_to_tell: how_to_tell.value })
+  }
+
+  const raw_chemicals = body.chemicalControls === undefined || body.chemicalControls === null ? [] : body.chemicalControls
+  if (!Array.isArray(raw_chemicals) || raw_chemicals.length > MAX_LIST_ITEMS) {
+    return { message: `chemicalControls must be a list of at most ${MAX_LIST_ITEMS} items` }
+  }
+  const chemical_controls = []
+  for (const item of raw_chemicals) {
+    const chemical_class = parse_text(item && item.chemicalClass, 'chemicalClass', true)
+    if (chemical_class.message) {
+      return chemical_class
+    }
+    const examples = parse_text_list(item.examples, 'examples')
+    if (examples.message) {
+      return examples
+    }
+    const note = parse_text(item.note, 'note', false)
+    if (note.message) {
+      return note
+    }
+    let phi_days = null
+    if (item.phiDays !== undefined && item.phiDays !== null && item.phiDays !== '') {
+      phi_days = Number(item.phiDays)
+      if (!Number.isInteger(phi_days) || phi_days < 0 || phi_days > 365) {
+        return { message: 'phiDays must be a whole number of days between 0 and 365, or empty for seed treatments' }
+      }
+    }
+    chemical_controls.push({
+      chemical_class: chemical_class.value,
+      examples: examples.value,
+      phi_days,
+      note: note.value
+    })
+  }
+
+  const raw_actions = body.severityActions && typeof body.severityActions === 'object' ? body.severityActions : {}
+  const severity_actions = {}
+  for (const level of SEVERITY_LEVELS) {
+    const parsed = parse_text_list(raw_actions[level], `severityActions.${level}`)
+    if (parsed.message) {
+      return parsed
+    }
+    severity_actions[level] = parsed.value
+  }
+
+  return {
+    content: {
+      summary: summary.value,
+      symptoms: lists.symptoms,
+      look_alikes,
+      cultural_controls: lists.cultural_controls,
+      chemical_controls,
+      severity_actions
+    }
+  }
+}
+
+// Admin API shape of an entry
+function format_knowledge_entry(entry) {
+  const content = entry.content || {}
+  const actions = content.severity_actions || {}
+  return {
+    label: entry.label,
+    customized: entry.customized,
+    updatedAt: entry.updated_at,
+    updatedBy: entry.updated_by ? entry.updated_by.toString() : null,
+    summary: content.summary || '',
+    symptoms: content.symptoms || [],
+    lookAlikes: (content.look_alikes || []).map((item) => ({ label: item.label, howToTell: item.how_to_tell })),
+    culturalControls: content.cultural_controls || [],
+    chemicalControls: (content.chemical_controls || []).map((item) => ({
+      chemicalClass: item.chemical_class,
+      examples: item.examples || [],
+      phiDays: typeof item.phi_days === 'number' ? item.phi_days : null,
+      note: item.note || ''
+    })),
+    severityActions: {
+      low: actions.low || [],
+      moderate: actions.moderate || [],
+      high: actions.high || []
+    }
+  }
+}
+
+module.exports = {
+  list_knowledge_entries,
+  get_knowledge_entry,
+  enrich_with_knowledge,
+  save_knowledge_entry,
+  reset_knowledge_entry,
+  parse_knowledge_content,
+  format_knowledge_entry
+}
@@ -0,0 +1,404 @@
+// ====== Built-in disease knowledge ======
+// The curated entry for every label in ml/artifacts/class_index.json. Inspectors can replace
+// an entry through the admin API (stored in DiseaseKnowledge); these are used for every label
+// nobody has edited, and again when an edited entry is reset.
+//
+// Pre-harvest intervals (phi_days) are typical label values for wheat. They differ between
+// products and countries, so the product label always wins. null means no PHI applies (seed
+// treatments).
+const PRODUCT_LABEL_NOTE = 'Check the product label for the exact pre-harvest interval and dose.'
+
+const DEFAULT_KNOWLEDGE = {
+  Aphid: {
+    summary: 'Sap-sucking insects (bird cherry-oat, rose-grain and English grain aphids) that weaken plants and spread barley yellow dwarf virus.',
+    symptoms: [
+      'Clusters of small green, brown or black insects on leaves, stems and ears',
+      'Sticky honeydew and black sooty mould on leaves',
+      'Yellowing or reddish leaf tips and stunted plants in patches'
+    ],
+    look_alikes: [
+      { label: 'Mite', how_to_tell: 'Mites are barely visible and leave fine stippling; aphids are easy to see and leave honeydew.' }
+    ],
+    cultural_controls: [
+      'Scout 20 tillers at five spots in the field every week from tillering onwards',
+      'Protect ladybirds, lacewings and parasitic wasps - they often keep aphids below the threshold',
+      'Avoid excess nitrogen, which favours aphid build-up',
+      'Control grassy weeds and volunteer cereals at field edges'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Neonicotinoids (IRAC 4A)', examples: ['imidacloprid', 'thiamethoxam'], phi_days: 21, note: 'Seed treatment or foliar spray; toxic to bees - do not spray crops or weeds in flower.' },
+      { chemical_class: 'Sulfoximines (IRAC 4C)', examples: ['sulfoxaflor'], phi_days: 14, note: '' },
+      { chemical_class: 'Pyridinecarboxamides (IRAC 29)', examples: ['flonicamid'], phi_days: 21, note: 'Spares most natural enemies.' }
+    ],
+    severity_actions: {
+      low: ['Fewer than 10 aphids per tiller: keep scouting weekly, no spray needed'],
+      moderate: ['10-15 aphids per tiller before heading, or 5 per ear after heading: spray the affected part of the field'],
+      high: ['Colonies on most tillers or ears: spray the whole field and check again 7 days later']
+    }
+  },
+  'Black Rust': {
+    summary: 'Stem rust (Puccinia graminis f. sp. tritici), a fast-spreading fungus that can destroy a crop within weeks in warm weather.',
+    symptoms: [
+      'Elongated, dark reddish-brown pustules on stems, leaf sheaths and both sides of leaves',
+      'Pustules tear the plant surface, leaving ragged edges',
+      'Pustules turn black late in the season; stems may break and grain is shrivelled'
+    ],
+    look_alikes: [
+      { label: 'Brown Rust', how_to_tell: 'Brown rust pustules are small, round and mostly on the upper leaf surface, not on stems.' },
+      { label: 'Yellow Rust', how_to_tell: 'Yellow rust pustules are bright yellow-orange and arranged in stripes.' }
+    ],
+    cultural_controls: [
+      'Grow varieties resistant to stem rust (including Ug99 races where present)',
+      'Sow on time - late-sown crops are exposed during warm weather',
+      'Destroy volunteer wheat and barberry near the field',
+      'Report suspected stem rust to the extension service quickly'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['tebuconazole', 'propiconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Strobilurins (QoI, FRAC 11)', examples: ['azoxystrobin', 'pyraclostrobin'], phi_days: 45, note: 'Use in a mixture with a triazole, not alone.' }
+    ],
+    severity_actions: {
+      low: ['A few pustules: spray the affected area at once, the disease spreads quickly'],
+      moderate: ['Pustules on many stems: spray the whole field with a triazole or triazole + strobilurin mix'],
+      high: ['Stems covered before grain fill: spray immediately and ask an inspector about expected yield loss']
+    }
+  },
+  Blast: {
+    summary: 'Wheat blast (Magnaporthe oryzae pathotype Triticum), a fungus that kills ears and can cause total loss in warm, humid weather.',
+    symptoms: [
+      'Bleached, white ears above a dark point on the rachis while the rest of the plant is green',
+      'Shrivelled or no grain in affected spikelets',
+      'Grey, eye-shaped lesions with dark borders on leaves'
+    ],
+    look_alikes: [
+      { label: 'Fusarium Head Blight', how_to_tell: 'Fusarium bleaches single spikelets and shows pink-orange mould at their base; blast bleaches the whole ear above a black rachis lesion.' },
+      { label: 'Stem fly', how_to_tell: 'Stem fly damage pulls out easily as a dead heart at the base of the tiller.' }
+    ],
+    cultural_controls: [
+      'Use certified, treated seed - the fungus travels with seed',
+      'Adjust sowing date so heading does not fall in warm, wet weather',
+      'Grow tolerant varieties recommended for blast-affected districts',
+      'Rotate with non-host crops and burn or bury infected residue where allowed'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Strobilurin + triazole mixtures (FRAC 11 + 3)', examples: ['trifloxystrobin + tebuconazole', 'azoxystrobin + propiconazole'], phi_days: 35, note: 'Spray preventively at heading when warm, wet weather is forecast.' }
+    ],
+    severity_actions: {
+      low: ['A few bleached ears: report to an inspector and spray at heading if the weather stays wet'],
+      moderate: ['Several patches of bleached ears: spray the field and keep the harvest separate'],
+      high: ['Blast across the field: ask an inspector - the grain must not be kept as seed']
+    }
+  },
+  'Brown Rust': {
+    summary: 'Leaf rust (Puccinia triticina), the most common wheat rust, favoured by mild temperatures and dew.',
+    symptoms: [
+      'Small, round, orange-brown pustules scattered on the upper leaf surface',
+      'Orange-brown dust comes off on your fingers when you rub a pustule',
+      'Heavily infected leaves yellow and dry early'
+    ],
+    look_alikes: [
+      { label: 'Yellow Rust', how_to_tell: 'Yellow rust pustules are lemon-yellow and lined up in stripes between the veins.' },
+      { label: 'Black Rust', how_to_tell: 'Stem rust pustules are larger, darker, elongated and also on stems.' }
+    ],
+    cultural_controls: [
+      'Grow resistant varieties and do not sow a single variety over the whole farm',
+      'Avoid very early sowing and heavy nitrogen doses',
+      'Destroy volunteer wheat that carries rust between seasons'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['tebuconazole', 'propiconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Strobilurins (QoI, FRAC 11)', examples: ['azoxystrobin'], phi_days: 45, note: 'Use in a mixture with a triazole, not alone.' }
+    ],
+    severity_actions: {
+      low: ['Pustules on lower leaves only: scout again in 5-7 days'],
+      moderate: ['Pustules on the flag leaf or the leaf below before flowering: spray a triazole'],
+      high: ['Most upper leaves covered: spray now and plan a resistant variety next season']
+    }
+  },
+  'Common Root Rot': {
+    summary: 'A soil- and seed-borne fungal disease (mainly Bipolaris sorokiniana and Fusarium spp.) that rots roots and stem bases, worse in dry, stressed crops.',
+    symptoms: [
+      'Dark brown to black lesions on roots, the sub-crown internode and the stem base',
+      'Stunted plants with fewer tillers, in patches',
+      'White heads with little or no grain in severe cases'
+    ],
+    look_alikes: [
+      { label: 'Stem fly', how_to_tell: 'Stem fly leaves a tunnel and maggot inside the tiller; root rot leaves a dark, rotten stem base without tunnels.' },
+      { label: 'Fusarium Head Blight', how_to_tell: 'Head blight starts in the ear; root rot plants are weak from the base.' }
+    ],
+    cultural_controls: [
+      'Rotate with a non-cereal crop (pulses, oilseeds) for at least one season',
+      'Use clean, treated seed and avoid sowing too deep',
+      'Avoid drought and nitrogen stress; keep soil fertility balanced',
+      'Manage grassy weeds that host the fungus'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazole seed treatments (DMI, FRAC 3)', examples: ['difenoconazole', 'tebuconazole'], phi_days: null, note: 'Seed treatment before sowing; foliar sprays do not reach the roots.' }
+    ],
+    severity_actions: {
+      low: ['Few affected plants: no treatment this season, use treated seed next season'],
+      moderate: ['Patches of stunted plants: keep irrigation and fertiliser steady and plan a rotation'],
+      high: ['Widespread white heads: ask an inspector and rotate out of cereals next season']
+    }
+  },
+  'Fusarium Head Blight': {
+    summary: 'Scab (Fusarium graminearum and related fungi), which infects ears at flowering in wet weather and contaminates grain with mycotoxins (DON).',
+    symptoms: [
+      'Single spikelets or parts of the ear turn pale or bleached early',
+      'Pink to orange mould at the base of infected spikelets in humid weather',
+      'Shrivelled, chalky, pinkish kernels ("tombstones")'
+    ],
+    look_alikes: [
+      { label: 'Blast', how_to_tell: 'Blast bleaches the whole ear above a black lesion on the rachis and has no pink mould.' },
+      { label: 'Common Root Rot', how_to_tell: 'Root rot causes whole white heads on stunted plants with a rotten stem base.' }
+    ],
+    cultural_controls: [
+      'Do not sow wheat straight after maize or wheat; bury or remove crop residue',
+      'Grow moderately resistant varieties',
+      'Stagger sowing or varieties so not all fields flower at once in wet weather',
+      'Harvest on time and dry grain quickly; set the combine to blow out light kernels'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['metconazole', 'prothioconazole', 'tebuconazole'], phi_days: 30, note: 'Spray at early flowering. Do not use strobilurins after heading - they can raise mycotoxin levels.' }
+    ],
+    severity_actions: {
+      low: ['A few bleached spikelets: no spray after flowering helps; harvest and store the grain dry'],
+      moderate: ['Many infected ears: keep this grain separate and have it tested for mycotoxins'],
+      high: ['Most ears infected: do not use the grain as food or feed until tested; ask an inspector']
+    }
+  },
+  Healthy: {
+    summary: 'No disease or pest was found on this photo.',
+    symptoms: [
+      'Green leaves without spots, stripes or pustules',
+      'No insects, honeydew or mould visible'
+    ],
+    look_alikes: [
+      { label: 'Mite', how_to_tell: 'Early mite damage is faint stippling that is easy to miss - look closely at the leaf surface.' }
+    ],
+    cultural_controls: [
+      'Keep scouting the field every week, especially after rain or warm spells',
+      'Check other parts of the field - one photo shows one plant'
+    ],
+    chemical_controls: [],
+    severity_actions: {
+      low: ['No action needed'],
+      moderate: ['No action needed'],
+      high: ['No action needed']
+    }
+  },
+  'Leaf Blight': {
+    summary: 'Spot blotch / leaf blight (mainly Bipolaris sorokiniana), common in warm, humid wheat areas and after late sowing.',
+    symptoms: [
+      'Oval, dark brown spots with a yellow halo on lower leaves first',
+      'Spots join into large dead blotches that dry the leaf from the tip',
+      'Black point (dark tips) on the grain in severe cases'
+    ],
+    look_alikes: [
+      { label: 'Tan spot', how_to_tell: 'Tan spot lesions are tan with a small dark centre and a wide yellow halo.' },
+      { label: 'Septoria', how_to_tell: 'Septoria blotches contain tiny black dots (pycnidia) you can see with a hand lens.' }
+    ],
+    cultural_controls: [
+      'Sow on time; late-sown crops meet hotter, more humid weather at grain fill',
+      'Use clean, treated seed and a balanced NPK dose including potash',
+      'Rotate with non-cereal crops and remove infected residue',
+      'Grow varieties tolerant to spot blotch'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['propiconazole', 'tebuconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Dithiocarbamates (FRAC M3)', examples: ['mancozeb'], phi_days: 28, note: 'Protectant only - spray before the disease reaches the upper leaves.' }
+    ],
+    severity_actions: {
+      low: ['Spots on lower leaves only: scout again in a week'],
+      moderate: ['Spots reaching the leaf below the flag leaf: spray a triazole'],
+      high: ['Flag leaf blotched: spray now and do not keep this grain for seed']
+    }
+  },
+  Mildew: {
+    summary: 'Powdery mildew (Blumeria graminis f. sp. tritici), favoured by dense, well-fertilised crops and cool, humid weather.',
+    symptoms: [
+      'White to grey powdery patches on leaves and leaf sheaths that rub off',
+      'Patches turn grey-brown with small black dots later in the season',
+      'Yellowing of the leaf around the colonies'
+    ],
+    look_alikes: [
+      { label: 'Mite', how_to_tell: 'Mite damage is stippling without a powdery white coating.' },
+      { label: 'Septoria', how_to_tell: 'Septoria lesions are brown blotches, not white powder on the surface.' }
+    ],
+    cultural_controls: [
+      'Grow resistant varieties',
+      'Avoid very high seed rates and excess nitrogen that make the canopy dense',
+      'Destroy volunteer cereals that carry mildew between seasons'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['tebuconazole', 'propiconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Amines / spiroketalamines (FRAC 5)', examples: ['spiroxamine', 'fenpropimorph'], phi_days: 35, note: '' },
+      { chemical_class: 'Sulphur (FRAC M2)', examples: ['wettable sulphur'], phi_days: 0, note: 'Protectant; do not spray in hot weather.' }
+    ],
+    severity_actions: {
+      low: ['Colonies on lower leaves only: no spray needed yet'],
+      moderate: ['Colonies on the upper three leaves before flowering: spray once'],
+      high: ['Flag leaf and ear covered: spray now and choose a resistant variety next season']
+    }
+  },
+  Mite: {
+    summary: 'Wheat mites (brown wheat mite and wheat curl mite), tiny pests of dry, stressed crops; the curl mite also spreads wheat streak mosaic virus.',
+    symptoms: [
+      'Fine yellow or silvery stippling on leaves, looking dusty or bronzed from a distance',
+      'Leaves rolled or trapped in the next leaf (curl mite)',
+      'Tiny moving dots on the leaf when you look with a hand lens'
+    ],
+    look_alikes: [
+      { label: 'Aphid', how_to_tell: 'Aphids are clearly visible insects and leave sticky honeydew.' },
+      { label: 'Mildew', how_to_tell: 'Mildew leaves a white powder that rubs off.' }
+    ],
+    cultural_controls: [
+      'Destroy volunteer wheat and grassy weeds at least two weeks before sowing (the "green bridge")',
+      'Irrigate when possible - rain and irrigation knock down brown wheat mite populations',
+      'Avoid sowing very early next to a field that is still green'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Organophosphates (IRAC 1B)', examples: ['dimethoate'], phi_days: 28, note: 'Restricted or banned in some countries; only for heavy brown wheat mite infestations. No spray controls curl mite or the virus it spreads.' }
+    ],
+    severity_actions: {
+      low: ['Light stippling in patches: irrigate if possible and scout again'],
+      moderate: ['Stippling over large areas in a dry spell: ask an inspector before spraying'],
+      high: ['Yellow mosaic or rolled leaves across the field: ask an inspector to check for streak mosaic virus']
+    }
+  },
+  Septoria: {
+    summary: 'Septoria tritici blotch (Zymoseptoria tritici), a rain-splashed leaf disease that spreads up the plant in wet weather.',
+    symptoms: [
+      'Irregular tan to brown blotches on lower leaves, often bounded by veins',
+      'Tiny black dots (pycnidia) inside the blotches, visible with a hand lens',
+      'Lower leaves die early and the disease moves upwards after rain'
+    ],
+    look_alikes: [
+      { label: 'Tan spot', how_to_tell: 'Tan spot lesions have a dark centre and yellow halo but no black dots.' },
+      { label: 'Leaf Blight', how_to_tell: 'Leaf blight spots are darker brown with a yellow halo and no black dots.' }
+    ],
+    cultural_controls: [
+      'Grow resistant varieties and avoid very early sowing',
+      'Bury or remove infected residue and rotate away from wheat',
+      'Avoid dense canopies from high seed rates'
+    ],
+    chemical_controls: [
+      { chemical_class: 'SDHI + triazole mixtures (FRAC 7 + 3)', examples: ['fluxapyroxad + metconazole', 'bixafen + prothioconazole'], phi_days: 35, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['prothioconazole', 'tebuconazole'], phi_days: 30, note: 'Triazoles alone are losing effect on Septoria in some areas.' }
+    ],
+    severity_actions: {
+      low: ['Blotches on lower leaves only: no spray yet, scout after the next rain'],
+      moderate: ['Blotches on the third leaf from the top when the flag leaf emerges: spray to protect the upper leaves'],
+      high: ['Flag leaf affected: spray now; yield loss is likely']
+    }
+  },
+  Smut: {
+    summary: 'Loose smut (Ustilago tritici), a seed-borne fungus that replaces the grain with black spores.',
+    symptoms: [
+      'Ears emerge as a mass of black, powdery spores instead of grain',
+      'Only the bare rachis is left once the spores blow away',
+      'Infected plants are often slightly taller and head earlier'
+    ],
+    look_alikes: [
+      { label: 'Black Rust', how_to_tell: 'Stem rust forms pustules on stems and leaves; smut replaces the whole ear with black powder.' }
+    ],
+    cultural_controls: [
+      'Use certified seed, or seed from a field without smut',
+      'Do not keep grain from an infected field as seed',
+      'Pull out and bag smutted ears before they release spores in small plots'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Carboxamide seed treatments (SDHI, FRAC 7)', examples: ['carboxin'], phi_days: null, note: 'Seed treatment before sowing; spraying the crop does not help.' },
+      { chemical_class: 'Triazole seed treatments (DMI, FRAC 3)', examples: ['tebuconazole', 'difenoconazole'], phi_days: null, note: 'Seed treatment before sowing.' }
+    ],
+    severity_actions: {
+      low: ['A few smutted ears: harvest as usual but buy certified seed next season'],
+      moderate: ['Smutted ears across the field: do not keep this grain for seed'],
+      high: ['Many smutted ears: treat all seed before sowing next season and ask an inspector to check your seed lot']
+    }
+  },
+  'Stem fly': {
+    summary: 'Wheat stem and shoot flies, whose maggots bore into young tillers and kill the central shoot.',
+    symptoms: [
+      'The central leaf of a young tiller turns yellow and dies ("dead heart")',
+      'The dead shoot pulls out easily and is rotten at the base',
+      'A small maggot or tunnel inside the stem when you split it'
+    ],
+    look_alikes: [
+      { label: 'Common Root Rot', how_to_tell: 'Root rot darkens the stem base and roots without a tunnel or maggot.' },
+      { label: 'Blast', how_to_tell: 'Blast bleaches the ear at heading; stem fly kills young shoots or the ear from inside the stem.' }
+    ],
+    cultural_controls: [
+      'Sow on time - very early or very late sowing increases damage',
+      'Use a slightly higher seed rate in fields with a history of stem fly',
+      'Destroy grassy weeds and volunteer cereals where the flies breed',
+      'Rotate with non-cereal crops'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Neonicotinoid seed treatments (IRAC 4A)', examples: ['imidacloprid', 'thiamethoxam'], phi_days: null, note: 'Seed treatment before sowing.' },
+      { chemical_class: 'Pyrethroids (IRAC 3A)', examples: ['lambda-cyhalothrin'], phi_days: 30, note: 'Only at egg laying in the seedling stage; spraying after the maggot is in the stem does not help.' }
+    ],
+    severity_actions: {
+      low: ['A few dead hearts: no action; the plant usually makes new tillers'],
+      moderate: ['Dead hearts in more than 10% of tillers at the seedling stage: ask an inspector about a spray'],
+      high: ['Heavy tiller loss: consider re-sowing thin patches and use treated seed next season']
+    }
+  },
+  'Tan spot': {
+    summary: 'Tan spot (Pyrenophora tritici-repentis), a residue-borne leaf spot that is worst in reduced-tillage wheat after wheat.',
+    symptoms: [
+      'Tan, oval spots with a small dark centre and a wide yellow halo',
+      'Spots join into large dead areas on lower leaves first',
+      'Red smudge or darkened kernels in some varieties'
+    ],
+    look_alikes: [
+      { label: 'Septoria', how_to_tell: 'Septoria blotches have tiny black dots and no dark centre.' },
+      { label: 'Leaf Blight', how_to_tell: 'Leaf blight spots are darker brown overall, not tan with a dark centre.' }
+    ],
+    cultural_controls: [
+      'Rotate away from wheat for at least one season',
+      'Bury or remove infected wheat residue',
+      'Grow resistant varieties where available'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['propiconazole', 'prothioconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Strobilurins (QoI, FRAC 11)', examples: ['azoxystrobin', 'pyraclostrobin'], phi_days: 45, note: 'Use in a mixture with a triazole, not alone.' }
+    ],
+    severity_actions: {
+      low: ['Spots on lower leaves only: scout again in a week'],
+      moderate: ['Spots on the upper leaves before flowering: spray once'],
+      high: ['Flag leaf covered: spray now and rotate next season']
+    }
+  },
+  'Yellow Rust': {
+    summary: 'Stripe rust (Puccinia striiformis f. sp. tritici), a cool-weather rust that spreads fast from hot spots in the field.',
+    symptoms: [
+      'Lemon-yellow to orange pustules arranged in stripes between the leaf veins',
+      'Yellow powder comes off on your fingers or clothes',
+      'Patches ("hot spots") of yellow plants visible from the field edge'
+    ],
+    look_alikes: [
+      { label: 'Brown Rust', how_to_tell: 'Brown rust pustules are orange-brown, round and scattered, not in stripes.' },
+      { label: 'Black Rust', how_to_tell: 'Stem rust pustules are dark red-brown and elongated, also on stems.' }
+    ],
+    cultural_controls: [
+      'Grow resistant varieties recommended for your district',
+      'Scout from late winter, especially field edges and sheltered spots',
+      'Avoid very early sowing and destroy volunteer wheat',
+      'Do not over-apply nitrogen'
+    ],
+    chemical_controls: [
+      { chemical_class: 'Triazoles (DMI, FRAC 3)', examples: ['tebuconazole', 'propiconazole'], phi_days: 30, note: PRODUCT_LABEL_NOTE },
+      { chemical_class: 'Strobilurins (QoI, FRAC 11)', examples: ['azoxystrobin', 'pyraclostrobin'], phi_days: 45, note: 'Use in a mixture with a triazole, not alone.' }
+    ],
+    severity_actions: {
+      low: ['One hot spot: spray the hot spot and the area around it'],
+      moderate: ['Stripes on upper leaves in several places: spray the whole field'],
+      high: ['Flag leaves striped before flowering: spray now and repeat after 2-3 weeks if the weather stays cool and wet']
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_KNOWLEDGE
+}
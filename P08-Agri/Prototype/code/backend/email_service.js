@@ -115,8 +115,266 @@ async function send_password_change_email(recipient_email = '') {
   await transporter.sendMail(mail_options)
 }
 
+async function send_password_reset_email(recipient_email = '', otp = '') {
+  if (!recipient_email || !otp) {
+    return
+  }
+
+  if (!process.env.SMTP_USER) {
+    console.log('Password reset code for', recipient_email, 'is', otp)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'We received a request to reset the password for your AgriQual account.',
+    '',
+    'Your password reset code is: ' + otp,
+    '',
+    'This code will expire in 10 minutes.',
+    '',
+    'If you did not request a password reset, you can ignore this email. Your password will not change.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: recipient_email,
+    subject: 'Reset your AgriQual password',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+async function send_new_device_login_email(recipient_email = '', details = {}) {
+  if (!recipient_email) {
+    return
+  }
+
+  const ip_address = String(details.ip || 'unknown')
+  const user_agent = String(details.userAgent || 'unknown device')
+  const time_text = (details.time || new Date()).toUTCString()
+
+  if (!process.env.SMTP_USER) {
+    console.log('New device login alert (not actually sent). To:', recipient_email)
+    console.log('IP:', ip_address, 'Device:', user_agent, 'Time:', time_text)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'Hello,',
+    '',
+    'Your AgriQual account was just used to sign in from a device we have not seen before.',
+    '',
+    'Time: ' + time_text,
+    'IP address: ' + ip_address,
+    'Device: ' + user_agent,
+    '',
+    'If this was you, no further action is needed.',
+    'If you do NOT recognise this sign-in, please reset your password immediately and contact support.',
+    '',
+    'This email was sent automatically. Please do not reply.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: recipient_email,
+    subject: 'New sign-in to your AgriQual account',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+async function send_email_change_otp_email(new_email = '', otp = '') {
+  if (!new_email || !otp) {
+    return
+  }
+
+  if (!process.env.SMTP_USER) {
+    console.log('Email change code for', new_email, 'is', otp)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'Your AgriQual code to confirm this email address is: ' + otp,
+    '',
+    'This code will expire in 10 minutes.',
+    '',
+    'If you did not ask to use this address for an AgriQual account, you can ignore this email.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: new_email,
+    subject: 'Confirm your new AgriQual email address',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+// Sent to the old address so a hijacked account does not go unnoticed
+async function send_email_changed_email(old_email = '', new_email = '') {
+  if (!old_email) {
+    return
+  }
+
+  if (!process.env.SMTP_USER) {
+    console.log('Email change notification (not actually sent). To:', old_email, 'New address:', new_email)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'Hello,',
+    '',
+    'The email address of your AgriQual account was changed to ' + new_email + '.',
+    '',
+    'If you did NOT make this change, please contact support immediately.',
+    '',
+    'This email was sent automatically. Please do not reply.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: old_email,
+    subject: 'Your AgriQual email address was changed',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+async function send_invitation_email(recipient_email = '', details = {}) {
+  if (!recipient_email || !details.link) {
+    return
+  }
+
+  const role_label = details.role === 'admin' ? 'an administrator' : 'a quality inspector'
+  const expires_text = details.expires_at ? new Date(details.expires_at).toUTCString() : 'in a few days'
+
+  if (!process.env.SMTP_USER) {
+    console.log('Invitation (not actually sent). To:', recipient_email, 'Role:', details.role, 'Link:', details.link)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'Hello,',
+    '',
+    'You have been invited to join AgriQual as ' + role_label + '.',
+    '',
+    'Create your account using this link:',
+    details.link,
+    '',
+    'The link works once and expires on ' + expires_text + '.',
+    '',
+    'If you were not expecting this invitation, you can ignore this email.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: recipient_email,
+    subject: 'Your AgriQual invitation',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+async function send_password_reset_required_email(recipient_email = '') {
+  if (!recipient_email) {
+    return
+  }
+
+  if (!process.env.SMTP_USER) {
+    console.log('Password reset required notice (not actually sent). To:', recipient_email)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+
+  const lines = [
+    'Hello,',
+    '',
+    'An AgriQual administrator has asked you to choose a new password.',
+    'You have been signed out on all devices.',
+    '',
+    'To continue, open the login page, choose "Forgot password" and follow the steps to set a new password.',
+    '',
+    'This email was sent automatically. Please do not reply.'
+  ]
+
+  const mail_options = {
+    from: from_email,
+    to: recipient_email,
+    subject: 'Please reset your AgriQual password',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
+async function send_diagnosis_review_email(recipient_email = '', details = {}) {
+  if (!recipient_email) {
+    return
+  }
+
+  if (!process.env.SMTP_USER) {
+    console.log('Diagnosis review notice (not actually sent). To:', recipient_email, 'Verdict:', details.review_status)
+    return
+  }
+
+  const from_email = process.env.EMAIL_FROM || process.env.SMTP_USER
+  const taken_on = details.created_at ? new Date(details.created_at).toUTCString() : 'recently'
+
+  const verdict_line = details.review_status === 'relabeled'
+    ? `An inspector reviewed it and believes it is "${details.reviewed_label}" instead.`
+    : 'An inspector reviewed it and confirmed the diagnosis.'
+
+  const lines = [
+    'Hello,',
+    '',
+    `Your wheat photo diagnosed as "${details.diagnosis}" on ${taken_on} has been checked.`,
+    verdict_line
+  ]
+  if (details.review_notes) {
+    lines.push('', 'Inspector notes:', details.review_notes)
+  }
+  lines.push(
+    '',
+    'You can see the details in your diagnostic history in AgriQual.',
+    '',
+    'This email was sent automatically. Please do not reply.'
+  )
+
+  const mail_options = {
+    from: from_email,
+    to: recipient_email,
+    subject: 'An inspector has reviewed your AgriQual diagnosis',
+    text: lines.join('\n')
+  }
+
+  await transporter.sendMail(mail_options)
+}
+
 module.exports = {
   send_otp_email,
+  send_password_reset_required_email,
+  send_invitation_email,
+  send_email_change_otp_email,
+  send_email_changed_email,
+  send_password_reset_email,
   send_help_email,
-  send_password_change_email
+  send_password_change_email,
+  send_new_device_login_email,
+  send_diagnosis_review_email
 }
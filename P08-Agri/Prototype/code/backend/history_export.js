@@ -0,0 +1,150 @@
+// ====== Diagnosis history export ======
+// Writes a farmer's diagnoses as CSV (one row per diagnosis, for spreadsheets) or as a JSON
+// array, one record at a time so large histories are never held in memory. The model keeps
+// the top 3 predictions, so CSV has columns for the two alternatives.
+const EXPORT_FORMATS = {
+  csv: { content_type: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { content_type: 'application/json; charset=utf-8', extension: 'json' }
+}
+const CSV_ALTERNATIVES = 2
+
+function iso(date) {
+  return date ? new Date(date).toISOString() : null
+}
+
+// The exported shape of a lean Diagnosis; photos and the knowledge snapshot are left out
+function to_export_record(diagnosis) {
+  const feedback = diagnosis.feedback
+  return {
+    id: diagnosis._id.toString(),
+    created_at: iso(diagnosis.created_at),
+    diagnosis: diagnosis.diagnosis,
+    confidence: diagnosis.confidence,
+    certainty: diagnosis.certainty || null,
+    alternatives: (diagnosis.alternatives || []).map((alt) => ({ label: alt.label, confidence: alt.confidence })),
+    recommendations: diagnosis.recommendations || [],
+    field: diagnosis.field || null,
+    location: diagnosis.location
+      ? { latitude: diagnosis.location.latitude, longitude: diagnosis.location.longitude }
+      : null,
+    tags: diagnosis.tags || [],
+    notes: diagnosis.notes || null,
+    feedback: feedback
+      ? {
+          verdict: feedback.verdict,
+          corrected_label: feedback.corrected_label || null,
+          note: feedback.note || null,
+          updated_at: iso(feedback.updated_at)
+        }
+      : null,
+    review_status: diagnosis.review_status || null,
+    reviewed_label: diagnosis.reviewed_label || null,
+    reviewed_at: iso(diagnosis.reviewed_at),
+    deleted_at: iso(diagnosis.deleted_at)
+  }
+}
+
+const CSV_COLUMNS = ['id', 'created_at', 'diagnosis', 'confidence', 'certainty']
+for (let i = 1; i <= CSV_ALTERNATIVES; i++) {
+  CSV_COLUMNS.push('alternative_' + i, 'alternative_' + i + '_confidence')
+}
+CSV_COLUMNS.push(
+  'field', 'latitude', 'longitude', 'tags', 'notes',
+  'feedback_verdict', 'feedback_corrected_label', 'feedback_note', 'feedback_updated_at',
+  'review_status', 'reviewed_label', 'reviewed_at', 'deleted_at'
+)
+
+function csv_values(record) {
+  const values = [record.id, record.created_at, record.diagnosis, record.confidence, record.certainty]
+  for (let i = 0; i < CSV_ALTERNATIVES; i++) {
+    const alt = record.alternatives[i]
+    values.push(alt ? alt.label : null, alt ? alt.confidence : null)
+  }
+  const feedback = record.feedback || {}
+  values.push(
+    record.field,
+    record.location ? record.location.latitude : null,
+    record.location ? record.location.longitude : null,
+    record.tags.join('; '),
+    record.notes,
+    feedback.verdict,
+    feedback.corrected_label,
+    feedback.note,
+    feedback.updated_at,
+    record.review_status,
+    record.reviewed_label,
+    record.reviewed_at,
+    record.deleted_at
+  )
+  return values
+}
+
+function csv_cell(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let text = String(value)
+  // Farmer-entered text starting with = + - @ would run as a formula in spreadsheet apps
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"'
+  }
+  return text
+}
+
+function csv_line(values) {
+  return values.map(csv_cell).join(',') + '\r\n'
+}
+
+// Waits for the socket buffer to empty (or the client to leave) when res.write() says it is full
+function write_chunk(res, chunk) {
+  if (res.write(chunk) || res.destroyed) {
+    return Promise.resolve()
+  }
+  return new Promise(function (resolve) {
+    function done() {
+      res.off('drain', done)
+      res.off('close', done)
+      resolve()
+    }
+    res.on('drain', done)
+    res.on('close', done)
+  })
+}
+
+// Streams the documents of a Mongoose query cursor to `res` in `format` (a key of
+// EXPORT_FORMATS). Stops early if the client goes away.
+async function stream_history_export(res, cursor, format) {
+  let closed = false
+  res.on('close', () => {
+    closed = true
+  })
+
+  let first = true
+  // The byte order mark makes Excel read the CSV as UTF-8
+  await write_chunk(res, format === 'csv' ? '\ufeff' + csv_line(CSV_COLUMNS) : '[\n')
+  for await (const diagnosis of cursor) {
+    if (closed) {
+      break
+    }
+    const record = to_export_record(diagnosis)
+    if (format === 'csv') {
+      await write_chunk(res, csv_line(csv_values(record)))
+    } else {
+      await write_chunk(res, (first ? '' : ',\n') + JSON.stringify(record))
+    }
+    first = false
+  }
+  await cursor.close()
+
+  if (!closed) {
+    res.end(format === 'csv' ? '' : '\n]\n')
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  stream_history_export
+}
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose')
+const { find_disease_class } = require('./disease_classes')
+
+// ====== Diagnosis history filters ======
+// Turns the query string of the history endpoints into a Mongo filter on the user's own
+// diagnoses. Parameters:
+//   label            one or more labels, comma separated
+//   minConfidence    0-1
+//   maxConfidence    0-1
+//   from / to        ISO dates; a date without a time in `to` includes that whole day
+//   field            field or plot name, case-insensitive exact match
+//   reviewStatus     unreviewed | reviewed | confirmed | relabeled
+//   tag              one of the farmer's tags
+//   deleted          "true" lists soft-deleted diagnoses instead of the live ones
+// Parsers return { filter } or { status, body } for a bad request.
+const REVIEW_STATUS_FILTERS = {
+  unreviewed: { review_status: { $exists: false } },
+  reviewed: { review_status: { $exists: true } },
+  confirmed: { review_status: 'confirmed' },
+  relabeled: { review_status: 'relabeled' }
+}
+
+// sort name -> [field, direction]; ties are broken by _id in the same direction
+const HISTORY_SORTS = {
+  newest: ['created_at', -1],
+  oldest: ['created_at', 1],
+  confidence_desc: ['confidence', -1],
+  confidence_asc: ['confidence', 1]
+}
+
+function bad_request(message, code) {
+  return { status: 400, body: code ? { message, code } : { message } }
+}
+
+function escape_regex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function parse_date(value, end_of_day) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return null
+  }
+  // "2026-10-19" as an upper bound means up to the end of that day
+  if (end_of_day && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+    date.setUTCMilliseconds(-1)
+  }
+  return date
+}
+
+function parse_confidence(value, name) {
+  const number = Number(value)
+  if (value === '' || !Number.isFinite(number) || number < 0 || number > 1) {
+    return { message: `${name} must be a number between 0 and 1` }
+  }
+  return { value: number }
+}
+
+function build_history_filter(user_id, query) {
+  const filter = {
+    user_id,
+    deleted_at: { $exists: query.deleted === 'true' }
+  }
+
+  if (typeof query.label === 'string' && query.label.trim()) {
+    const labels = []
+    for (const raw of query.label.split(',')) {
+      const label = find_disease_class(raw)
+      if (!label) {
+        return bad_request(`Unknown disease label "${raw.trim()}"`, 'unknown_label')
+      }
+      labels.push(label)
+    }
+    filter.diagnosis = labels.length === 1 ? labels[0] : { $in: labels }
+  }
+
+  const confidence = {}
+  if (query.minConfidence !== undefined) {
+    const parsed = parse_confidence(query.minConfidence, 'minConfidence')
+    if (parsed.message) {
+      return bad_request(parsed.message)
+    }
+    confidence.$gte = parsed.value
+  }
+  if (query.maxConfidence !== undefined) {
+    const parsed = parse_confidence(query.maxConfidence, 'maxConfidence')
+    if (parsed.message) {
+      return bad_request(parsed.message)
+    }
+    confidence.$lte = parsed.value
+  }
+  if (Object.keys(confidence).length > 0) {
+    filter.confidence = confidence
+  }
+
+  const created_at = {}
+  if (typeof query.from === 'string' && query.from) {
+    const from = parse_date(query.from, false)
+    if (!from) {
+      return bad_request('from must be a date')
+    }
+    created_at.$gte = from
+  }
+  if (typeof query.to === 'string' && query.to) {
+    const to = parse_date(query.to, true)
+    if (!to) {
+      return bad_request('to must be a date')
+    }
+    created_at.$lte = to
+  }
+  if (Object.keys(created_at).length > 0) {
+    filter.created_at = created_at
+  }
+
+  if (typeof query.field === 'string' && query.field.trim()) {
+    filter.field = new RegExp('^' + escape_regex(query.field.trim()) + '$', 'i')
+  }
+
+  if (typeof query.tag === 'string' && query.tag.trim()) {
+    filter.tags = query.tag.trim().toLowerCase()
+  }
+
+  if (query.reviewStatus !== undefined && query.reviewStatus !== '') {
+    const review_filter = REVIEW_STATUS_FILTERS[query.reviewStatus]
+    if (!review_filter) {
+      return bad_request('reviewStatus must be one of: ' + Object.keys(REVIEW_STATUS_FILTERS).join(', '))
+    }
+    Object.assign(filter, review_filter)
+  }
+
+  return { filter }
+}
+
+// Opaque cursor for the item after `diagnosis` in the given sort
+function encode_history_cursor(diagnosis, sort_name) {
+  const [field] = HISTORY_SORTS[sort_name]
+  const value = diagnosis[field] instanceof Date ? diagnosis[field].toISOString() : diagnosis[field]
+  return Buffer.from(JSON.stringify({ s: sort_name, v: value, id: diagnosis._id.toString() })).toString('base64url')
+}
+
+// { sort_name, sort, cursor_filter } for the sort and cursor query parameters
+function parse_history_paging(query) {
+  const sort_name = query.sort === undefined || query.sort === '' ? 'newest' : query.sort
+  if (!HISTORY_SORTS[sort_name]) {
+    return bad_request('sort must be one of: ' + Object.keys(HISTORY_SORTS).join(', '))
+  }
+  const [field, direction] = HISTORY_SORTS[sort_name]
+  const sort = { [field]: direction, _id: direction }
+
+  if (typeof query.cursor !== 'string' || !query.cursor) {
+    return { sort_name, sort, cursor_filter: null }
+  }
+
+  let cursor
+  try {
+    cursor = JSON.parse(Buffer.from(query.cursor, 'base64url').toString('utf8'))
+  } catch {
+    cursor = null
+  }
+  if (!cursor || cursor.s !== sort_name || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+    return bad_request('Invalid cursor; start again without one', 'invalid_cursor')
+  }
+
+  const value = field === 'created_at' ? new Date(cursor.v) : Number(cursor.v)
+  if ((field === 'created_at' && Number.isNaN(value.getTime())) || (field !== 'created_at' && !Number.isFinite(value))) {
+    return bad_request('Invalid cursor; start again without one', 'invalid_cursor')
+  }
+  const op = direction === -1 ? '$lt' : '$gt'
+  const id = new mongoose.Types.ObjectId(cursor.id)
+  return {
+    sort_name,
+    sort,
+    cursor_filter: {
+      $or: [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+      ]
+    }
+  }
+}
+
+module.exports = {
+  HISTORY_SORTS,
+  build_history_filter,
+  parse_history_paging,
+  encode_history_cursor
+}
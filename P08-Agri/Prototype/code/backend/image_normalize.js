@@ -0,0 +1,92 @@
+const sharp = require('sharp')
+
+// ====== Upload normalization ======
+// Every diagnosis photo is re-encoded as a JPEG before it is checked, diagnosed or stored:
+// EXIF orientation is applied to the pixels, large camera images are scaled down and all
+// metadata (GPS position, camera serial, ...) is dropped. The browser normally does the same
+// before uploading (frontend/src/utils/imagePrep.js); this covers other clients and photos
+// the browser could not convert.
+const MAX_SIDE = 1600
+const JPEG_QUALITY = 85
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif']
+// Some phones and browsers send HEIC photos without a usable content type
+const ACCEPTED_EXTENSIONS = /\.(jpe?g|png|webp|heic|heif)$/i
+
+class UnsupportedImageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UnsupportedImageError'
+    this.status = 415
+  }
+}
+
+function is_accepted_image(file) {
+  if (ACCEPTED_TYPES.includes(file.mimetype)) {
+    return true
+  }
+  const generic_type = !file.mimetype || file.mimetype === 'application/octet-stream'
+  return generic_type && ACCEPTED_EXTENSIONS.test(file.originalname || '')
+}
+
+function is_heif(file) {
+  return /^image\/hei[cf]$/.test(file.mimetype || '') || /\.hei[cf]$/i.test(file.originalname || '')
+}
+
+// libvips reads AVIF-coded HEIF, but not the HEVC-coded HEIC most phones produce; those go
+// through libheif (compiled to WebAssembly, loaded on first use) and reach sharp as raw pixels
+async function decode_heic(buffer) {
+  const decode = require('heic-decode')
+  const image = await decode({ buffer })
+  return sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength), {
+    raw: { width: image.width, height: image.height, channels: 4 }
+  })
+}
+
+function to_jpeg(pipeline) {
+  return pipeline
+    .rotate()
+    .resize(MAX_SIDE, MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer()
+}
+
+// Returns a new multer-style file ({ buffer, mimetype, originalname, size }) holding the JPEG
+async function normalize_upload(file) {
+  let buffer
+  try {
+    buffer = await to_jpeg(sharp(file.buffer))
+  } catch {
+    buffer = null
+  }
+
+  if (!buffer && is_heif(file)) {
+    try {
+      buffer = await to_jpeg(await decode_heic(file.buffer))
+    } catch {
+      buffer = null
+    }
+  }
+
+  if (!buffer) {
+    throw new UnsupportedImageError(
+      is_heif(file)
+        ? 'This HEIC photo could not be read. Share the photo as JPEG and try again.'
+        : 'The photo could not be read. Take a new photo in JPG or PNG format.'
+    )
+  }
+
+  const base_name = String(file.originalname || 'photo').replace(/\.[^.]*$/, '') || 'photo'
+  return {
+    buffer,
+    mimetype: 'image/jpeg',
+    originalname: base_name + '.jpg',
+    size: buffer.length
+  }
+}
+
+module.exports = {
+  UnsupportedImageError,
+  is_accepted_image,
+  normalize_upload
+}
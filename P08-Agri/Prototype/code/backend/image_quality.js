@@ -0,0 +1,174 @@
+const sharp = require('sharp')
+
+// ====== Image quality gate ======
+// Cheap checks run on every photo before it is sent to the ML service. The model always
+// answers with one of its classes, so a blurry, dark or leafless photo would otherwise come
+// back as a confident (and wrong) diagnosis. The frontend runs the same checks with the same
+// thresholds before uploading (frontend/src/utils/imageQuality.js).
+//
+// Photos are measured on a copy scaled down to ANALYSIS_SIZE so the numbers do not depend on
+// the camera resolution.
+const ANALYSIS_SIZE = 512
+const MIN_SIDE = Number.parseInt(process.env.IMAGE_MIN_SIDE || '224', 10)
+// Variance of the Laplacian; lower means fewer sharp edges
+const BLUR_THRESHOLD = Number(process.env.IMAGE_BLUR_THRESHOLD || '60')
+// Mean brightness on a 0-255 scale
+const MIN_BRIGHTNESS = 50
+const MAX_BRIGHTNESS = 215
+// Share of pixels that are nearly black or blown out
+const MAX_CLIPPED_SHARE = 0.5
+// Share of pixels that look like plant tissue (green through yellow, including rust colours)
+const MIN_PLANT_SHARE = Number(process.env.IMAGE_MIN_PLANT_SHARE || '0.15')
+
+const ISSUE_MESSAGES = {
+  unreadable: 'The photo could not be read. Take a new photo in JPG or PNG format.',
+  too_small: `The photo is too small. Use at least ${MIN_SIDE} pixels on the shorter side - move closer instead of zooming in.`,
+  blurry: 'The photo is blurry. Hold the phone steady, tap the leaf to focus and retake it.',
+  too_dark: 'The photo is too dark. Take it in daylight or move out of the shade.',
+  too_bright: 'The photo is overexposed. Avoid direct sun glare - shade the leaf with your body or hand.',
+  not_plant: 'Not enough of the photo shows a wheat plant. Move closer so the leaf fills most of the frame.'
+}
+
+function is_quality_check_enabled() {
+  return process.env.IMAGE_QUALITY_CHECK !== 'false'
+}
+
+// Hue in degrees (0-360) and saturation/value (0-1) of one RGB pixel
+function to_hsv(r, g, b) {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const delta = max - min
+  let hue = 0
+  if (delta > 0) {
+    if (max === r) {
+      hue = 60 * (((g - b) / delta) % 6)
+    } else if (max === g) {
+      hue = 60 * ((b - r) / delta + 2)
+    } else {
+      hue = 60 * ((r - g) / delta + 4)
+    }
+  }
+  if (hue < 0) {
+    hue += 360
+  }
+  return { hue, saturation: max === 0 ? 0 : delta / max, value: max / 255 }
+}
+
+// Sharpness, exposure and plant-colour share of raw RGB(A) pixels
+function measure_pixels(data, width, height, channels) {
+  const pixel_count = width * height
+  const gray = new Float32Array(pixel_count)
+  let brightness_sum = 0
+  let dark = 0
+  let bright = 0
+  let plant = 0
+
+  for (let i = 0; i < pixel_count; i++) {
+    const r = data[i * channels]
+    const g = data[i * channels + 1]
+    const b = data[i * channels + 2]
+    const value = 0.299 * r + 0.587 * g + 0.114 * b
+    gray[i] = value
+    brightness_sum += value
+    if (value < 25) dark++
+    if (value > 245) bright++
+
+    const hsv = to_hsv(r, g, b)
+    if (hsv.hue >= 25 && hsv.hue <= 170 && hsv.saturation >= 0.2 && hsv.value >= 0.15) {
+      plant++
+    }
+  }
+
+  // 4-neighbour Laplacian over the interior pixels
+  let lap_sum = 0
+  let lap_sq_sum = 0
+  let lap_count = 0
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i]
+      lap_sum += lap
+      lap_sq_sum += lap * lap
+      lap_count++
+    }
+  }
+  const lap_mean = lap_count > 0 ? lap_sum / lap_count : 0
+  const sharpness = lap_count > 0 ? lap_sq_sum / lap_count - lap_mean * lap_mean : 0
+
+  return {
+    sharpness,
+    brightness: pixel_count > 0 ? brightness_sum / pixel_count : 0,
+    dark_share: pixel_count > 0 ? dark / pixel_count : 0,
+    bright_share: pixel_count > 0 ? bright / pixel_count : 0,
+    plant_share: pixel_count > 0 ? plant / pixel_count : 0
+  }
+}
+
+// Turn measurements into a list of { code, message } problems (empty when the photo is fine)
+function find_issues(width, height, metrics) {
+  const codes = []
+  if (Math.min(width, height) < MIN_SIDE) {
+    codes.push('too_small')
+  }
+  if (metrics.brightness < MIN_BRIGHTNESS || metrics.dark_share > MAX_CLIPPED_SHARE) {
+    codes.push('too_dark')
+  } else if (metrics.brightness > MAX_BRIGHTNESS || metrics.bright_share > MAX_CLIPPED_SHARE) {
+    codes.push('too_bright')
+  }
+  // A dark or washed-out photo has no edges and no colour either; only report the cause
+  if (codes.length === 0 || codes[0] === 'too_small') {
+    if (metrics.sharpness < BLUR_THRESHOLD) {
+      codes.push('blurry')
+    }
+    if (metrics.plant_share < MIN_PLANT_SHARE) {
+      codes.push('not_plant')
+    }
+  }
+  return codes.map((code) => ({ code, message: ISSUE_MESSAGES[code] }))
+}
+
+// Returns { ok, issues: [{ code, message }], metrics }
+async function check_image_quality(buffer) {
+  let width
+  let height
+  let pixels
+  try {
+    const metadata = await sharp(buffer).metadata()
+    width = metadata.width
+    height = metadata.height
+    pixels = await sharp(buffer)
+      .rotate()
+      .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+  } catch {
+    return { ok: false, issues: [{ code: 'unreadable', message: ISSUE_MESSAGES.unreadable }], metrics: null }
+  }
+
+  const metrics = measure_pixels(pixels.data, pixels.info.width, pixels.info.height, pixels.info.channels)
+  const issues = find_issues(width, height, metrics)
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    metrics: {
+      width,
+      height,
+      sharpness: Math.round(metrics.sharpness * 10) / 10,
+      brightness: Math.round(metrics.brightness),
+      plantShare: Math.round(metrics.plant_share * 1000) / 1000
+    }
+  }
+}
+
+// The single error message shown to the user: all problems, most important first
+function quality_error_message(issues) {
+  return issues.map((issue) => issue.message).join(' ')
+}
+
+module.exports = {
+  is_quality_check_enabled,
+  check_image_quality,
+  quality_error_message
+}
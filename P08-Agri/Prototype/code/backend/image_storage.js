@@ -0,0 +1,243 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const sharp = require('sharp')
+
+// ====== Image storage backends ======
+// IMAGE_STORAGE picks where diagnosis photos are kept:
+//   local  - files under IMAGE_STORAGE_DIR (default, for development and single-server setups)
+//   gridfs - the "diagnosis_images" GridFS bucket in the app's MongoDB database
+//   s3     - an S3-compatible bucket (AWS S3, MinIO, R2, ...) configured with S3_* variables
+// Each stored object is referenced on the Diagnosis by { storage, key }, so records keep
+// working if the default backend changes later.
+const IMAGE_STORAGE = (process.env.IMAGE_STORAGE || 'local').toLowerCase()
+const THUMBNAIL_SIZE = 256
+
+class ImageNotFoundError extends Error {
+  constructor(message) {
+    super(message || 'Image not found')
+    this.name = 'ImageNotFoundError'
+  }
+}
+
+function get_local_dir() {
+  return path.resolve(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, 'uploads'))
+}
+
+// Keys are generated by us, but still never allowed to point outside the storage directory
+function local_path_for(key) {
+  const base_dir = get_local_dir()
+  const file_path = path.resolve(base_dir, key)
+  if (!file_path.startsWith(base_dir + path.sep)) {
+    throw new ImageNotFoundError()
+  }
+  return file_path
+}
+
+function get_gridfs_bucket() {
+  if (!mongoose.connection.db) {
+    throw new Error('MongoDB is not connected')
+  }
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'diagnosis_images' })
+}
+
+let s3_client = null
+
+function get_s3() {
+  const bucket = process.env.S3_BUCKET
+  if (!bucket) {
+    throw new Error('S3_BUCKET is not configured')
+  }
+
+  if (!s3_client) {
+    const { S3Client } = require('@aws-sdk/client-s3')
+    const options = {
+      region: process.env.S3_REGION || 'us-east-1',
+      // MinIO and most self-hosted S3 servers need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    }
+    if (process.env.S3_ENDPOINT) {
+      options.endpoint = process.env.S3_ENDPOINT
+    }
+    if (process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY) {
+      options.credentials = {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    }
+    s3_client = new S3Client(options)
+  }
+
+  return { client: s3_client, bucket }
+}
+
+const providers = {
+  local: {
+    async save(key, buffer) {
+      const file_path = local_path_for(key)
+      await fs.promises.mkdir(path.dirname(file_path), { recursive: true })
+      await fs.promises.writeFile(file_path, buffer)
+    },
+    async open(key) {
+      const file_path = local_path_for(key)
+      try {
+        await fs.promises.access(file_path)
+      } catch {
+        throw new ImageNotFoundError()
+      }
+      return fs.createReadStream(file_path)
+    },
+    async remove(key) {
+      await fs.promises.rm(local_path_for(key), { force: true })
+    }
+  },
+
+  gridfs: {
+    async save(key, buffer, content_type) {
+      const bucket = get_gridfs_bucket()
+      await new Promise(function (resolve, reject) {
+        const upload = bucket.openUploadStream(key, { metadata: { content_type } })
+        upload.on('error', reject)
+        upload.on('finish', resolve)
+        upload.end(buffer)
+      })
+    },
+    async open(key) {
+      const bucket = get_gridfs_bucket()
+      const file = await bucket.find({ filename: key }).limit(1).next()
+      if (!file) {
+        throw new ImageNotFoundError()
+      }
+      return bucket.openDownloadStream(file._id)
+    },
+    async remove(key) {
+      const bucket = get_gridfs_bucket()
+      const files = await bucket.find({ filename: key }).toArray()
+      for (const file of files) {
+        await bucket.delete(file._id)
+      }
+    }
+  },
+
+  s3: {
+    async save(key, buffer, content_type) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3')
+      const { client, bucket } = get_s3()
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: content_type }))
+    },
+    async open(key) {
+      const { GetObjectCommand } = require('@aws-sdk/client-s3')
+      const { client, bucket } = get_s3()
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+        return result.Body
+      } catch (error) {
+        if (error && (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404)) {
+          throw new ImageNotFoundError()
+        }
+        throw error
+      }
+    },
+    async remove(key) {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3')
+      const { client, bucket } = get_s3()
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    }
+  }
+}
+
+function get_provider(name) {
+  const provider = providers[name]
+  if (!provider) {
+    throw new Error('Unknown image storage: ' + name)
+  }
+  return provider
+}
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+}
+
+// Store an uploaded photo and a JPEG thumbnail of it for one user's diagnosis.
+// Returns { image, thumbnail }, each shaped like the Diagnosis image reference.
+async function store_diagnosis_image(user_id, buffer, content_type) {
+  const storage = IMAGE_STORAGE
+  const provider = get_provider(storage)
+
+  const metadata = await sharp(buffer).metadata()
+  // Phone cameras often store the picture sideways plus an EXIF rotation flag
+  const thumbnail_buffer = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer({ resolveWithObject: true })
+
+  const base_key = 'diagnoses/' + String(user_id) + '/' + crypto.randomUUID()
+  const image_key = base_key + '.' + (EXTENSIONS[content_type] || 'bin')
+  const thumbnail_key = base_key + '_thumb.jpg'
+
+  await provider.save(image_key, buffer, content_type)
+  try {
+    await provider.save(thumbnail_key, thumbnail_buffer.data, 'image/jpeg')
+  } catch (error) {
+    await provider.remove(image_key).catch(function () {})
+    throw error
+  }
+
+  return {
+    image: {
+      storage,
+      key: image_key,
+      content_type,
+      size: buffer.length,
+      width: metadata.width || null,
+      height: metadata.height || null
+    },
+    thumbnail: {
+      storage,
+      key: thumbnail_key,
+      content_type: 'image/jpeg',
+      size: thumbnail_buffer.data.length,
+      width: thumbnail_buffer.info.width,
+      height: thumbnail_buffer.info.height
+    }
+  }
+}
+
+// Readable stream for a stored image reference; throws ImageNotFoundError when it is gone
+async function open_image(ref) {
+  if (!ref || !ref.key) {
+    throw new ImageNotFoundError()
+  }
+  return get_provider(ref.storage || IMAGE_STORAGE).open(ref.key)
+}
+
+async function delete_image(ref) {
+  if (!ref || !ref.key) {
+    return
+  }
+  await get_provider(ref.storage || IMAGE_STORAGE).remove(ref.key)
+}
+
+// Remove the photo and thumbnail of a diagnosis record; failures are logged, not thrown
+async function delete_diagnosis_images(diagnosis) {
+  for (const ref of [diagnosis.image, diagnosis.thumbnail]) {
+    try {
+      await delete_image(ref)
+    } catch (error) {
+      console.error('[ImageStorage] could not delete', ref && ref.key, error?.message || error)
+    }
+  }
+}
+
+module.exports = {
+  ImageNotFoundError,
+  store_diagnosis_image,
+  open_image,
+  delete_image,
+  delete_diagnosis_images
+}
@@ -0,0 +1,151 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const Invitation = require('./models/Invitation')
+const { JWT_SECRET } = require('./middleware/auth')
+const { send_invitation_email } = require('./email_service')
+
+const INVITATION_TTL_DAYS = Number.parseInt(process.env.INVITATION_TTL_DAYS || '7', 10)
+// Where the signup page lives; the invitation link points at APP_BASE_URL/register?invite=...
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '')
+
+function get_invitation_status(invitation, now) {
+  if (invitation.accepted_at) {
+    return 'accepted'
+  }
+  if (invitation.revoked_at) {
+    return 'revoked'
+  }
+  if (invitation.expires_at <= now) {
+    return 'expired'
+  }
+  return 'pending'
+}
+
+function format_invitation(invitation, now) {
+  return {
+    id: invitation._id.toString(),
+    email: invitation.email,
+    role: invitation.role,
+    status: get_invitation_status(invitation, now),
+    invitedBy: invitation.invited_by ? invitation.invited_by.toString() : null,
+    expiresAt: invitation.expires_at,
+    acceptedAt: invitation.accepted_at,
+    acceptedBy: invitation.accepted_by ? invitation.accepted_by.toString() : null,
+    revokedAt: invitation.revoked_at,
+    createdAt: invitation.createdAt
+  }
+}
+
+// Create an invitation, email the link and return it so the admin can also copy it.
+// Older pending invitations for the same address are revoked so only one link works.
+async function create_invitation({ email, role, invited_by }, now) {
+  await Invitation.updateMany(
+    { email, accepted_at: null, revoked_at: null, expires_at: { $gt: now } },
+    { $set: { revoked_at: now } }
+  )
+
+  const token_id = crypto.randomUUID()
+  const invitation = await Invitation.create({
+    email,
+    role,
+    token_id,
+    invited_by,
+    expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  })
+
+  const token = jwt.sign({ purpose: 'invitation', email, role }, JWT_SECRET, {
+    expiresIn: INVITATION_TTL_DAYS * 24 * 60 * 60,
+    jwtid: token_id
+  })
+
+  const link = APP_BASE_URL + '/register?invite=' + encodeURIComponent(token)
+
+  await send_invitation_email(email, { link, role, expires_at: invitation.expires_at })
+
+  return { invitation, link }
+}
+
+// Check an invitation token from a signup link. Returns one of:
+//   { ok: true, invitation }
+//   { ok: false, reason: 'invalid' | 'expired' | 'revoked' | 'used' }
+async function check_invitation_token(token, now) {
+  let payload = null
+  try {
+    payload = jwt.verify(String(token || ''), JWT_SECRET)
+  } catch (error) {
+    if (error && error.name === 'TokenExpiredError') {
+      return { ok: false, reason: 'expired' }
+    }
+    return { ok: false, reason: 'invalid' }
+  }
+
+  if (payload.purpose !== 'invitation' || !payload.jti) {
+    return { ok: false, reason: 'invalid' }
+  }
+
+  const invitation = await Invitation.findOne({ token_id: String(payload.jti) })
+  if (!invitation) {
+    return { ok: false, reason: 'invalid' }
+  }
+
+  const status = get_invitation_status(invitation, now)
+  if (status === 'accepted') {
+    return { ok: false, reason: 'used' }
+  }
+  if (status !== 'pending') {
+    return { ok: false, reason: status }
+  }
+
+  return { ok: true, invitation }
+}
+
+// Maps a failed check_invitation_token result onto the HTTP response body the routes send
+function invitation_error(result) {
+  if (result.reason === 'expired') {
+    return {
+      status: 400,
+      body: { message: 'This invitation has expired. Please ask an administrator for a new one.', code: 'invitation_expired' }
+    }
+  }
+  if (result.reason === 'revoked') {
+    return {
+      status: 400,
+      body: { message: 'This invitation has been withdrawn.', code: 'invitation_revoked' }
+    }
+  }
+  if (result.reason === 'used') {
+    return {
+      status: 400,
+      body: { message: 'This invitation has already been used.', code: 'invitation_used' }
+    }
+  }
+  return { status: 400, body: { message: 'Invalid invitation link', code: 'invitation_invalid' } }
+}
+
+// Called once the invited user has verified their email. Marks the invitation used
+// (atomically, so a link cannot be redeemed twice) and returns the role it grants,
+// or null when it was revoked or expired in the meantime.
+async function redeem_invitation(invitation_id, user, now) {
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      _id: invitation_id,
+      email: user.email,
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { $gt: now }
+    },
+    { $set: { accepted_at: now, accepted_by: user._id } },
+    { new: true }
+  )
+
+  return invitation ? invitation.role : null
+}
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  format_invitation,
+  create_invitation,
+  check_invitation_token,
+  invitation_error,
+  redeem_invitation
+}
@@ -0,0 +1,113 @@
+const crypto = require('crypto')
+const LoginAttempt = require('./models/LoginAttempt')
+const { get_client_ip, get_user_agent } = require('./request_utils')
+
+// Wrong passwords and wrong 2FA codes share one counter; reaching the limit locks the account
+const LOGIN_MAX_FAILED_ATTEMPTS = Number.parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10)
+const LOGIN_LOCKOUT_MINUTES = Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10)
+
+function get_lockout_seconds(lock_until) {
+  if (!lock_until) {
+    return 0
+  }
+  const diff_ms = lock_until.getTime() - Date.now()
+  if (diff_ms <= 0) {
+    return 0
+  }
+  return Math.round(diff_ms / 1000)
+}
+
+function get_device_hash(user_agent) {
+  const value = String(user_agent || '').trim().toLowerCase()
+  if (!value) {
+    return ''
+  }
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+// Best-effort: a failed audit write must never break the login itself
+async function record_login_attempt(request, details = {}) {
+  const user_agent = get_user_agent(request)
+
+  try {
+    const attempt = new LoginAttempt({
+      email: String(details.email || '').trim().toLowerCase() || 'unknown',
+      user_id: details.user ? details.user._id : undefined,
+      ip_address: get_client_ip(request),
+      user_agent,
+      success: details.success === true,
+      event: details.event || 'login',
+      reason: details.reason,
+      device_hash: get_device_hash(user_agent)
+    })
+    await attempt.save()
+    return attempt
+  } catch (error) {
+    console.error('[LoginAudit] failed to record attempt:', error?.message || error)
+    return null
+  }
+}
+
+// Count a wrong 2FA or recovery code against the account lockout (sign-in challenge or
+// turning 2FA off). Returns the seconds the account is now locked for, 0 if it is not.
+async function register_two_factor_failure(request, user, now) {
+  user.failed_login_attempts = (user.failed_login_attempts || 0) + 1
+  if (user.failed_login_attempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    user.lock_until = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000)
+  }
+  await user.save()
+
+  await record_login_attempt(request, {
+    email: user.email,
+    user,
+    success: false,
+    event: 'two_factor',
+    reason: 'wrong_code'
+  })
+
+  if (user.lock_until && user.lock_until > now) {
+    await record_login_attempt(request, {
+      email: user.email,
+      user,
+      success: false,
+      event: 'lockout',
+      reason: 'too_many_failed_attempts'
+    })
+    return get_lockout_seconds(user.lock_until)
+  }
+
+  return 0
+}
+
+// A device is "new" when the user has signed in successfully before, but never from it.
+// The very first sign-in after registration is not reported.
+async function is_new_device(user, request) {
+  const device_hash = get_device_hash(get_user_agent(request))
+
+  const previous_success = await LoginAttempt.exists({
+    user_id: user._id,
+    event: 'login',
+    success: true
+  })
+  if (!previous_success) {
+    return false
+  }
+
+  const seen = await LoginAttempt.exists({
+    user_id: user._id,
+    event: 'login',
+    success: true,
+    device_hash
+  })
+  return !seen
+}
+
+module.exports = {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  get_lockout_seconds,
+  get_device_hash,
+  record_login_attempt,
+  register_two_factor_failure,
+  is_new_device
+}
@@ -0,0 +1,207 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
+const {
+  SessionStoreUnavailableError,
+  create_session,
+  is_session_active
+} = require('../session_store')
+const { get_client_ip, get_user_agent } = require('../request_utils')
+const { has_permission } = require('../permissions')
+
+// ====== Token config (shared by every router) ======
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me'
+// Access tokens are short-lived; clients renew them through /api/auth/refresh
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'AuthError'
+    this.code = code
+    this.status = 401
+  }
+}
+
+// Every token we issue carries the same claims:
+// sub = user id, role, email, sid = server-side session id and a unique jti (token id)
+function sign_access_token(user, session_id) {
+  const payload = {
+    sub: user._id.toString(),
+    role: user.role || 'farmer',
+    email: user.email || null,
+    sid: session_id
+  }
+
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  })
+
+  return token
+}
+
+// Start a new server-side session and return the token pair the client should store
+async function issue_session_tokens(user, request) {
+  const session = await create_session(user._id.toString(), {
+    ip: get_client_ip(request),
+    user_agent: get_user_agent(request)
+  })
+
+  return {
+    token: sign_access_token(user, session.session_id),
+    refreshToken: session.refresh_token
+  }
+}
+
+function get_bearer_token(request) {
+  const auth_header = request.headers.authorization || ''
+  if (!auth_header.startsWith('Bearer ')) {
+    return ''
+  }
+  return auth_header.slice(7).trim()
+}
+
+// Verify a raw token and map its claims onto the normalized request.user shape.
+// Throws AuthError with a stable `code` the frontend can switch on.
+function verify_access_token(token) {
+  if (!token) {
+    throw new AuthError('token_missing', 'Unauthorized')
+  }
+
+  let payload = null
+  try {
+    payload = jwt.verify(token, JWT_SECRET)
+  } catch (error) {
+    if (error && error.name === 'TokenExpiredError') {
+      throw new AuthError('token_expired', 'Your session has expired. Please log in again.')
+    }
+    throw new AuthError('token_invalid', 'Invalid authentication token')
+  }
+
+  const user_id = payload.sub || null
+  if (!user_id || !mongoose.Types.ObjectId.isValid(String(user_id))) {
+    throw new AuthError('token_malformed', 'Malformed authentication token')
+  }
+
+  // Tokens issued before server-side sessions existed cannot be revoked, so they are refused
+  if (!payload.sid) {
+    throw new AuthError('token_malformed', 'Malformed authentication token')
+  }
+
+  return {
+    id: String(user_id),
+    role: payload.role || 'farmer',
+    email: payload.email || null,
+    token_id: payload.jti || null,
+    session_id: String(payload.sid)
+  }
+}
+
+// Short-lived token proving the password step of a login passed. `purpose` is
+// 'login_2fa' (enter a code) or '2fa_setup' (policy requires enrolling first).
+const CHALLENGE_EXPIRES_IN = '5m'
+
+function sign_challenge_token(user, purpose) {
+  return jwt.sign({ sub: user._id.toString(), purpose }, JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  })
+}
+
+// Returns the user id behind a challenge token; throws AuthError when it is unusable
+function verify_challenge_token(token, purpose) {
+  let payload = null
+  try {
+    payload = jwt.verify(String(token || ''), JWT_SECRET)
+  } catch (error) {
+    if (error && error.name === 'TokenExpiredError') {
+      throw new AuthError('challenge_expired', 'Your sign-in attempt has expired. Please log in again.')
+    }
+    throw new AuthError('challenge_invalid', 'Invalid sign-in attempt. Please log in again.')
+  }
+
+  if (payload.purpose !== purpose || !payload.sub || !mongoose.Types.ObjectId.isValid(String(payload.sub))) {
+    throw new AuthError('challenge_invalid', 'Invalid sign-in attempt. Please log in again.')
+  }
+
+  return String(payload.sub)
+}
+
+function send_auth_error(response, error) {
+  return response.status(error.status).json({
+    message: error.message,
+    code: error.code
+  })
+}
+
+// Express middleware: rejects the request with 401 unless a valid bearer token is present
+// and its session has not been revoked (logout, password change)
+async function require_auth(request, response, next) {
+  try {
+    const token = get_bearer_token(request)
+    const user = verify_access_token(token)
+
+    const active = await is_session_active(user.session_id, user.id)
+    if (active !== true) {
+      throw new AuthError('session_revoked', 'Your session has ended. Please log in again.')
+    }
+
+    request.user = user
+    next()
+  } catch (error) {
+    if (error instanceof AuthError) {
+      send_auth_error(response, error)
+      return
+    }
+    if (error instanceof SessionStoreUnavailableError) {
+      console.error('[Auth] session store unavailable:', request.method, request.originalUrl)
+      response.status(503).json({ message: error.message })
+      return
+    }
+    next(error)
+  }
+}
+
+// Must run after require_auth. Answers 403 when the signed-in user has none of the given roles.
+function require_role(...roles) {
+  return function (request, response, next) {
+    const role = request.user ? request.user.role : null
+    if (!role || !roles.includes(role)) {
+      response.status(403).json({ message: 'Forbidden', code: 'forbidden' })
+      return
+    }
+    next()
+  }
+}
+
+// Must run after require_auth. Answers 403 unless the signed-in user's role grants every
+// listed permission (see permissions.js).
+function require_permission(...permissions) {
+  return function (request, response, next) {
+    const role = request.user ? request.user.role : null
+    const allowed = permissions.every(function (permission) {
+      return has_permission(role, permission)
+    })
+    if (!allowed) {
+      response.status(403).json({ message: 'Forbidden', code: 'forbidden' })
+      return
+    }
+    next()
+  }
+}
+
+module.exports = {
+  AuthError,
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  sign_access_token,
+  issue_session_tokens,
+  sign_challenge_token,
+  verify_challenge_token,
+  get_bearer_token,
+  verify_access_token,
+  require_auth,
+  require_role,
+  require_permission
+}
@@ -0,0 +1,219 @@
+const { redis_client } = require('../redis_client')
+const { get_client_ip } = require('../request_utils')
+const { normalize_phone } = require('../sms_service')
+
+const KEY_PREFIX = 'agriqual:rate:'
+
+// ==== Named policies ====
+// Each policy is a fixed window of `window_seconds`. Every dimension in `keys` is counted
+// separately, so a request is refused as soon as one of them (user, IP, email, phone) is over `max`.
+const POLICIES = {
+  login: {
+    window_seconds: 15 * 60,
+    max: 10,
+    keys: ['ip', 'email'],
+    message: 'Too many login attempts. Please try again later.'
+  },
+  register_otp: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['ip', 'email'],
+    message: 'Too many sign-up attempts. Please try again later.'
+  },
+  resend_otp: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['ip', 'email'],
+    message: 'Too many verification code requests. Please try again later.'
+  },
+  verify_otp: {
+    window_seconds: 15 * 60,
+    max: 10,
+    keys: ['ip', 'email'],
+    message: 'Too many verification attempts. Please try again later.'
+  },
+  // Sign-in challenges have no user yet and are limited by IP; turning 2FA off is also
+  // limited per signed-in user
+  two_factor: {
+    window_seconds: 15 * 60,
+    max: 10,
+    keys: ['ip', 'user'],
+    message: 'Too many authentication code attempts. Please try again later.'
+  },
+  phone_otp: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['ip', 'phone'],
+    message: 'Too many SMS code requests. Please try again later.'
+  },
+  phone_otp_verify: {
+    window_seconds: 15 * 60,
+    max: 10,
+    keys: ['ip', 'phone'],
+    message: 'Too many verification attempts. Please try again later.'
+  },
+  invitation_lookup: {
+    window_seconds: 15 * 60,
+    max: 30,
+    keys: ['ip'],
+    message: 'Too many invitation checks. Please try again later.'
+  },
+  report_verify: {
+    window_seconds: 15 * 60,
+    max: 60,
+    keys: ['ip'],
+    message: 'Too many report checks. Please try again later.'
+  },
+  email_change: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['user', 'ip'],
+    message: 'Too many email change requests. Please try again later.'
+  },
+  account_export: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['user'],
+    message: 'Too many export requests. Please try again later.'
+  },
+  forgot_password: {
+    window_seconds: 60 * 60,
+    max: 5,
+    keys: ['ip', 'email'],
+    message: 'Too many password reset requests. Please try again later.'
+  },
+  reset_password: {
+    window_seconds: 15 * 60,
+    max: 10,
+    keys: ['ip', 'email'],
+    message: 'Too many password reset attempts. Please try again later.'
+  },
+  refresh: {
+    window_seconds: 60,
+    max: 30,
+    keys: ['ip'],
+    message: 'Too many session refresh requests. Please try again later.'
+  },
+  diagnose: {
+    window_seconds: 60,
+    max: 10,
+    keys: ['user', 'ip'],
+    message: 'Too many diagnosis requests, please try again later'
+  },
+  diagnose_batch: {
+    window_seconds: 10 * 60,
+    max: 5,
+    keys: ['user', 'ip'],
+    message: 'Too many batch diagnosis requests, please try again later'
+  },
+  diagnose_job_status: {
+    window_seconds: 60,
+    max: 120,
+    keys: ['user'],
+    message: 'Too many job status requests, please slow down'
+  },
+  help_complaint: {
+    window_seconds: Number(process.env.HELP_TICKET_WINDOW_SECONDS) || 3600,
+    max: Number(process.env.HELP_TICKET_MAX_PER_WINDOW) || 5,
+    keys: ['user', 'ip'],
+    message: 'You have reached the limit for help requests. Please try again later.'
+  }
+}
+
+function get_key_value(dimension, request) {
+  if (dimension === 'ip') {
+    return get_client_ip(request)
+  }
+  if (dimension === 'user') {
+    return request.user ? request.user.id : ''
+  }
+  if (dimension === 'email') {
+    const email = request.body && request.body.email
+    return email ? String(email).trim().toLowerCase() : ''
+  }
+  if (dimension === 'phone') {
+    const phone = request.body && request.body.phone
+    // Same normalization as the user lookup, so 0300..., +92300... and 0092300... share a bucket
+    return phone ? normalize_phone(phone) || String(phone).replace(/\D/g, '') : ''
+  }
+  return ''
+}
+
+// Count one hit in the window; returns the current count and how long the window has left
+async function hit(key, window_seconds) {
+  const [count, ttl_ms] = await redis_client.multi().incr(key).pTTL(key).exec()
+
+  let remaining_ms = Number(ttl_ms)
+  if (remaining_ms < 0) {
+    remaining_ms = window_seconds * 1000
+    await redis_client.pExpire(key, remaining_ms)
+  }
+
+  return {
+    count: Number(count),
+    retry_after_seconds: Math.max(1, Math.ceil(remaining_ms / 1000))
+  }
+}
+
+// Express middleware factory: rate_limit('login'). Routes keyed by 'user' must come after require_auth.
+function rate_limit(policy_name) {
+  const policy = POLICIES[policy_name]
+  if (!policy) {
+    throw new Error('Unknown rate limit policy: ' + policy_name)
+  }
+
+  return async function (request, response, next) {
+    // Fail open: losing Redis should not lock everybody out of the app
+    if (redis_client.isReady !== true) {
+      console.warn('[RateLimit] Redis not ready, skipping policy', policy_name)
+      next()
+      return
+    }
+
+    try {
+      let blocked = null
+
+      for (const dimension of policy.keys) {
+        const value = get_key_value(dimension, request)
+        if (!value) {
+          continue
+        }
+
+        const key = KEY_PREFIX + policy_name + ':' + dimension + ':' + value
+        const result = await hit(key, policy.window_seconds)
+
+        if (result.count > policy.max) {
+          if (!blocked || result.retry_after_seconds > blocked.retry_after_seconds) {
+            blocked = result
+          }
+        }
+      }
+
+      if (blocked) {
+        console.log('[RateLimit][blocked]', {
+          policy: policy_name,
+          ip: get_client_ip(request),
+          user: request.user ? request.user.id : null,
+          retryAfterSeconds: blocked.retry_after_seconds
+        })
+
+        response.set('Retry-After', String(blocked.retry_after_seconds))
+        response.status(429).json({
+          message: policy.message,
+          retryAfterSeconds: blocked.retry_after_seconds
+        })
+        return
+      }
+
+      next()
+    } catch (error) {
+      console.error('[RateLimit] check failed for', policy_name, error?.message || error)
+      next()
+    }
+  }
+}
+
+module.exports = {
+  POLICIES,
+  rate_limit
+}
@@ -0,0 +1,43 @@
+const axios = require('axios')
+const FormData = require('form-data')
+
+// ====== ML service client ======
+// Shared by the diagnose routes and the background diagnosis job worker.
+
+function get_ml_service_url() {
+  const url = process.env.ML_SERVICE_URL || ''
+  if (typeof url === 'string' && url.trim().length > 0) {
+    return url.trim().replace(/\/+$/, '')
+  }
+  return ''
+}
+
+function get_error_message(status) {
+  if (status === 404) return 'ML service unavailable'
+  if (status === 415) return 'Unsupported image format'
+  if (status === 429) return 'Service temporarily busy'
+  return 'Diagnosis request failed'
+}
+
+// Send one uploaded file ({ buffer, originalname, mimetype }) to the ML service;
+// throws on transport errors and empty replies
+async function call_ml_service(ml_base, file) {
+  const form = new FormData()
+  const filename = file.originalname || 'uploaded.jpg'
+  const content_type = file.mimetype || 'image/jpeg'
+  form.append('image', file.buffer, { filename, contentType: content_type })
+  const url = `${ml_base}/api/diagnose`
+  const ml_resp = await axios.post(url, form, { headers: form.getHeaders(), timeout: 30000 })
+  if (!ml_resp?.data) {
+    const error = new Error('Empty response from ML service')
+    error.empty_response = true
+    throw error
+  }
+  return ml_resp.data
+}
+
+module.exports = {
+  get_ml_service_url,
+  get_error_message,
+  call_ml_service
+}
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose')
+const { knowledge_content_schema } = require('./DiseaseKnowledge')
+
+// Where a stored photo lives (see image_storage.js)
+const image_ref_schema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 'gridfs', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  content_type: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false })
 
 const diagnosis_schema = new mongoose.Schema({
   user_id: {
@@ -19,9 +37,102 @@ const diagnosis_schema = new mongoose.Schema({
     confidence: Number
   }],
   recommendations: [String],
+  // The knowledge base entry for `diagnosis` as it was when the diagnosis was made
+  knowledge: {
+    type: knowledge_content_schema,
+    default: undefined
+  },
   processing_ms: {
     type: Number
   },
+  // How far the result can be trusted on its own (see certainty_policy.js); unset on
+  // diagnoses saved before the policy existed
+  certainty: {
+    type: String,
+    enum: ['confident', 'ambiguous', 'inconclusive']
+  },
+  // Top-1 minus runner-up confidence
+  margin: Number,
+  image: {
+    type: image_ref_schema,
+    default: undefined
+  },
+  thumbnail: {
+    type: image_ref_schema,
+    default: undefined
+  },
+  // Free-text field or plot name the farmer tagged the photo with
+  field: {
+    type: String,
+    trim: true
+  },
+  // Set on diagnoses uploaded together through /api/diagnose/batch
+  batch_id: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Where the photo was taken, taken from its EXIF GPS data by the uploading browser
+  location: {
+    type: new mongoose.Schema({
+      latitude: { type: Number, min: -90, max: 90, required: true },
+      longitude: { type: Number, min: -180, max: 180, required: true }
+    }, { _id: false }),
+    default: undefined
+  },
+  // The farmer's own verdict on the result; the ground truth used for retraining
+  feedback: {
+    type: new mongoose.Schema({
+      verdict: {
+        type: String,
+        enum: ['correct', 'incorrect', 'unsure'],
+        required: true
+      },
+      // What the farmer says it really is, one of the model's class labels
+      corrected_label: String,
+      note: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+      },
+      updated_at: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  // The farmer's own context for the result
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Soft delete: hidden from history, stats and the review queue until restored
+  deleted_at: Date,
+  // Set when the farmer asks an inspector to check an uncertain result
+  review_requested_at: Date,
+  // Inspector review (see routes/review.js). Unset until an inspector has looked at it;
+  // reviewed_label is the label the inspector settled on, the same as `diagnosis` when confirmed.
+  review_status: {
+    type: String,
+    enum: ['confirmed', 'relabeled']
+  },
+  reviewer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_label: String,
+  review_notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  reviewed_at: Date,
   created_at: {
     type: Date,
     default: Date.now
@@ -29,5 +140,8 @@ const diagnosis_schema = new mongoose.Schema({
 })
 
 diagnosis_schema.index({ user_id: 1, created_at: -1 })
+diagnosis_schema.index({ user_id: 1, diagnosis: 1, created_at: -1 })
+diagnosis_schema.index({ user_id: 1, confidence: -1 })
+diagnosis_schema.index({ review_status: 1, created_at: -1 })
 
 module.exports = mongoose.model('Diagnosis', diagnosis_schema)
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+
+// What the app tells farmers about one disease label (see disease_knowledge.js). Also kept on
+// each Diagnosis as a snapshot of the advice given at the time.
+const knowledge_content_schema = new mongoose.Schema({
+  summary: String,
+  symptoms: [String],
+  look_alikes: [{
+    _id: false,
+    label: String,
+    how_to_tell: String
+  }],
+  cultural_controls: [String],
+  // Product groups (FRAC / IRAC classes) with a typical pre-harvest interval; phi_days is
+  // null for seed treatments
+  chemical_controls: [{
+    _id: false,
+    chemical_class: String,
+    examples: [String],
+    phi_days: Number,
+    note: String
+  }],
+  severity_actions: {
+    low: [String],
+    moderate: [String],
+    high: [String]
+  }
+}, { _id: false })
+
+// An inspector's edit of the built-in entry for one label; deleting it restores the default
+const disease_knowledge_schema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    content: {
+      type: knowledge_content_schema,
+      required: true
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+const DiseaseKnowledge = mongoose.model('DiseaseKnowledge', disease_knowledge_schema)
+
+module.exports = DiseaseKnowledge
+module.exports.knowledge_content_schema = knowledge_content_schema
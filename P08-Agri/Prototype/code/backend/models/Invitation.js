@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+
+// Admin-issued invitation to sign up as an inspector or admin. The link itself is a
+// signed JWT carrying `token_id`; this record lets admins list and revoke links and
+// makes each one single-use.
+const invitation_schema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ['inspector', 'admin'],
+      required: true
+    },
+    token_id: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    invited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expires_at: {
+      type: Date,
+      required: true
+    },
+    accepted_at: {
+      type: Date,
+      default: null
+    },
+    accepted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    revoked_at: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+invitation_schema.index({ email: 1, createdAt: -1 })
+
+const Invitation = mongoose.model('Invitation', invitation_schema)
+
+module.exports = Invitation
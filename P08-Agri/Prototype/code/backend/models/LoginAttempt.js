@@ -23,8 +23,18 @@ const login_attempt_schema = new mongoose.Schema(
       type: Boolean,
       required: true
     },
+    // login | otp_verification | lockout | two_factor
+    event: {
+      type: String,
+      enum: ['login', 'otp_verification', 'lockout', 'two_factor'],
+      default: 'login'
+    },
     reason: {
       type: String
+    },
+    // sha256 of the user agent; used to spot sign-ins from a new device
+    device_hash: {
+      type: String
     }
   },
   {
@@ -32,6 +42,9 @@ const login_attempt_schema = new mongoose.Schema(
   }
 )
 
+login_attempt_schema.index({ user_id: 1, createdAt: -1 })
+login_attempt_schema.index({ ip_address: 1, createdAt: -1 })
+
 const LoginAttempt = mongoose.model('LoginAttempt', login_attempt_schema)
 
 module.exports = LoginAttempt
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+
+// Single document holding the security policy admins can change at runtime
+const security_setting_schema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default'
+    },
+    // Roles that must have two-factor authentication enabled to sign in
+    require_2fa_roles: {
+      type: [String],
+      enum: ['farmer', 'inspector', 'admin'],
+      default: []
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+security_setting_schema.statics.get_current = async function () {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+const SecuritySetting = mongoose.model('SecuritySetting', security_setting_schema)
+
+module.exports = SecuritySetting
@@ -20,11 +20,85 @@ const userSchema = new mongoose.Schema(
       type: String
     },
 
+    // Set once the user proved they receive SMS on `phone`; required for phone login
+    phone_verified: {
+      type: Boolean,
+      default: false
+    },
+
+    // SMS code, used both to verify the number ('verify') and to sign in with it ('login')
+    phone_otp_hash: {
+      type: String
+    },
+
+    phone_otp_purpose: {
+      type: String,
+      enum: ['verify', 'login']
+    },
+
+    phone_otp_expires_at: {
+      type: Date
+    },
+
+    phone_otp_attempts: {
+      type: Number,
+      default: 0
+    },
+
+    phone_otp_sent_at: {
+      type: Date
+    },
+
     role: {
       type: String,
       default: 'farmer'
     },
 
+    // Invitation redeemed when the signup email is verified; until then the account is a farmer
+    pending_invitation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invitation'
+    },
+
+    // Profile
+    preferred_language: {
+      type: String,
+      enum: ['en', 'ur', 'pa'],
+      default: 'en'
+    },
+
+    district: {
+      type: String,
+      trim: true
+    },
+
+    // Used for weather and as the default field location when the browser cannot provide one
+    default_location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+      label: { type: String, trim: true }
+    },
+
+    // Email change: the new address only replaces `email` once its code is confirmed
+    pending_email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+
+    email_change_otp_hash: {
+      type: String
+    },
+
+    email_change_expires_at: {
+      type: Date
+    },
+
+    email_change_attempts: {
+      type: Number,
+      default: 0
+    },
+
     // Legacy password field (NO LONGER REQUIRED)
     // kept only so old accounts that still have `password` continue to work
     password: {
@@ -53,6 +127,34 @@ const userSchema = new mongoose.Schema(
       type: Date
     },
 
+    // Wrong guesses against the current signup code
+    pending_otp_attempts: {
+      type: Number,
+      default: 0
+    },
+
+    pending_otp_sent_at: {
+      type: Date
+    },
+
+    // OTP for "forgot password" resets
+    reset_otp_hash: {
+      type: String
+    },
+
+    reset_otp_expires_at: {
+      type: Date
+    },
+
+    reset_otp_attempts: {
+      type: Number,
+      default: 0
+    },
+
+    reset_otp_requested_at: {
+      type: Date
+    },
+
     // Login security
     failed_login_attempts: {
       type: Number,
@@ -61,6 +163,68 @@ const userSchema = new mongoose.Schema(
 
     lock_until: {
       type: Date
+    },
+
+    // Two-factor authentication (TOTP). Secrets are stored encrypted, see two_factor.js
+    totp_enabled: {
+      type: Boolean,
+      default: false
+    },
+
+    totp_secret: {
+      type: String
+    },
+
+    // Secret handed out during enrollment, promoted to totp_secret once a code is confirmed
+    totp_pending_secret: {
+      type: String
+    },
+
+    // Last accepted 30s time step, so a code cannot be replayed
+    totp_last_step: {
+      type: Number
+    },
+
+    totp_enabled_at: {
+      type: Date
+    },
+
+    // sha256 hashes of unused recovery codes
+    totp_recovery_hashes: {
+      type: [String],
+      default: []
+    },
+
+    // Account deletion: data is purged once deletion_scheduled_for has passed (see account_deletion.js)
+    deletion_requested_at: {
+      type: Date
+    },
+
+    deletion_scheduled_for: {
+      type: Date,
+      index: true
+    },
+
+    // Admin controls (see routes/admin.js). A disabled account cannot sign in or refresh its
+    // session; password_reset_required blocks sign-in until the password is reset.
+    disabled_at: {
+      type: Date,
+      default: null
+    },
+
+    disabled_reason: {
+      type: String,
+      trim: true
+    },
+
+    disabled_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    password_reset_required: {
+      type: Boolean,
+      default: false
     }
   },
   {
@@ -70,6 +234,8 @@ const userSchema = new mongoose.Schema(
 
 // Ensure unique emails
 userSchema.index({ email: 1 }, { unique: true })
+// Phone login looks users up by verified number
+userSchema.index({ phone: 1, phone_verified: 1 })
 
 const User = mongoose.model('User', userSchema)
 
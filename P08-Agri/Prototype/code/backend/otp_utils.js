@@ -10,7 +10,23 @@ function hash_otp(otp) {
   return hash
 }
 
+function verify_otp(otp, expected_hash) {
+  if (!otp || !expected_hash) {
+    return false
+  }
+
+  const actual = Buffer.from(hash_otp(String(otp)), 'hex')
+  const expected = Buffer.from(String(expected_hash), 'hex')
+
+  if (actual.length !== expected.length) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(actual, expected)
+}
+
 module.exports = {
   generate_otp,
-  hash_otp
+  hash_otp,
+  verify_otp
 }
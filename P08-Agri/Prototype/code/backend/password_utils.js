@@ -0,0 +1,91 @@
+const bcrypt = require('bcryptjs')
+const PasswordHistory = require('./models/PasswordHistory')
+
+// How many previous passwords to block reuse of
+const PASSWORD_HISTORY_DEPTH = 5
+
+function validate_new_password(password, user) {
+  if (!password || typeof password !== 'string') {
+    return 'New password is required'
+  }
+
+  const trimmed = password.trim()
+  if (trimmed.length < 8) {
+    return 'New password must be at least 8 characters long'
+  }
+
+  if (/\s/.test(trimmed)) {
+    return 'New password cannot contain spaces'
+  }
+
+  const has_upper = /[A-Z]/.test(trimmed)
+  const has_lower = /[a-z]/.test(trimmed)
+  const has_digit = /\d/.test(trimmed)
+  const has_symbol = /[^A-Za-z0-9]/.test(trimmed)
+  const categories = [has_upper, has_lower, has_digit, has_symbol].filter(Boolean).length
+
+  if (categories < 3) {
+    return 'New password must include at least three of: uppercase letters, lowercase letters, numbers, and symbols'
+  }
+
+  const very_common = ['password', '12345678', 'qwerty', 'letmein', 'agriqual']
+  if (very_common.includes(trimmed.toLowerCase())) {
+    return 'New password is too common. Choose something harder to guess'
+  }
+
+  if (
+    user?.email &&
+    trimmed.toLowerCase().includes(String(user.email).split('@')[0].toLowerCase())
+  ) {
+    return 'New password must not contain your email username'
+  }
+
+  return null
+}
+
+async function check_password_history(user, new_password) {
+  const recent_history = await PasswordHistory.find({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .limit(PASSWORD_HISTORY_DEPTH)
+
+  for (const entry of recent_history) {
+    const reused = await bcrypt.compare(new_password, entry.passwordHash)
+    if (reused) {
+      return true // Password was reused
+    }
+  }
+  return false // Password is new
+}
+
+function get_current_password_hash(user) {
+  const current_hash = user.password_hash || user.password || null
+  return current_hash
+}
+
+async function update_password(user, new_password, previous_hash, now) {
+  if (previous_hash) {
+    const history_entry = new PasswordHistory({
+      userId: user._id,
+      passwordHash: previous_hash,
+      createdAt: now
+    })
+    await history_entry.save()
+  }
+
+  const salt_rounds = 10
+  const new_hash = await bcrypt.hash(new_password, salt_rounds)
+
+  user.password_hash = new_hash
+  // Clear legacy field so we don't keep stale hashes around
+  user.password = undefined
+
+  await user.save()
+}
+
+module.exports = {
+  PASSWORD_HISTORY_DEPTH,
+  validate_new_password,
+  check_password_history,
+  get_current_password_hash,
+  update_password
+}
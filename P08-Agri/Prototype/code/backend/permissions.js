@@ -0,0 +1,56 @@
+// ====== Roles and permissions ======
+// Routes check named permissions instead of role names, so what a role may do is
+// decided here in one place. The frontend asks GET /api/account/permissions for the
+// same list to decide which pages to show.
+const ROLES = ['farmer', 'inspector', 'admin']
+
+// Roles that can only be obtained through an admin-issued invitation
+const INVITE_ONLY_ROLES = ['inspector', 'admin']
+
+const FARMER_PERMISSIONS = [
+  'diagnosis:create',
+  'history:read_own',
+  'history:feedback_own'
+]
+
+const INSPECTOR_PERMISSIONS = [
+  'diagnosis:create',
+  'diagnosis:read_any',
+  'diagnosis:review',
+  'knowledge_base:edit'
+]
+
+const ADMIN_PERMISSIONS = [
+  ...INSPECTOR_PERMISSIONS,
+  'users:manage',
+  'invitations:manage',
+  'security:manage',
+  'audit:read'
+]
+
+const ROLE_PERMISSIONS = {
+  farmer: FARMER_PERMISSIONS,
+  inspector: INSPECTOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+}
+
+function is_valid_role(role) {
+  return ROLES.includes(role)
+}
+
+// Unknown roles get no permissions at all
+function get_permissions(role) {
+  return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : []
+}
+
+function has_permission(role, permission) {
+  return get_permissions(role).includes(permission)
+}
+
+module.exports = {
+  ROLES,
+  INVITE_ONLY_ROLES,
+  is_valid_role,
+  get_permissions,
+  has_permission
+}
@@ -0,0 +1,114 @@
+const { generate_otp, hash_otp, verify_otp } = require('./otp_utils')
+const { send_phone_otp_sms } = require('./sms_service')
+
+const PHONE_OTP_TTL_MINUTES = 10
+const PHONE_OTP_MAX_ATTEMPTS = Number.parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS || '5', 10)
+const PHONE_OTP_RESEND_COOLDOWN_SECONDS = Number.parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS || '60', 10)
+
+// Seconds until another SMS code may be sent (0 when allowed now)
+function get_phone_resend_wait_seconds(user, now) {
+  if (!user.phone_otp_sent_at) {
+    return 0
+  }
+  const elapsed_seconds = Math.floor((now.getTime() - user.phone_otp_sent_at.getTime()) / 1000)
+  return Math.max(0, PHONE_OTP_RESEND_COOLDOWN_SECONDS - elapsed_seconds)
+}
+
+// Text a fresh code to user.phone for `purpose` ('verify' | 'login').
+// Returns the timing info for the response. The code itself only leaves by SMS; for local
+// development set SMS_PROVIDER=console to have it printed to the server log instead.
+async function send_phone_code(user, purpose, now) {
+  const otp = generate_otp()
+
+  user.phone_otp_hash = hash_otp(otp)
+  user.phone_otp_purpose = purpose
+  user.phone_otp_expires_at = new Date(now.getTime() + PHONE_OTP_TTL_MINUTES * 60 * 1000)
+  user.phone_otp_attempts = 0
+  user.phone_otp_sent_at = now
+  await user.save()
+
+  await send_phone_otp_sms(user.phone, otp)
+
+  return {
+    expiresInSeconds: PHONE_OTP_TTL_MINUTES * 60,
+    resendAvailableInSeconds: PHONE_OTP_RESEND_COOLDOWN_SECONDS
+  }
+}
+
+function clear_phone_code(user) {
+  user.phone_otp_hash = undefined
+  user.phone_otp_purpose = undefined
+  user.phone_otp_expires_at = undefined
+  user.phone_otp_attempts = 0
+}
+
+// Check a submitted SMS code. Returns one of:
+//   { ok: true }
+//   { ok: false, reason: 'no_pending_code' | 'code_expired' | 'code_invalidated' }
+//   { ok: false, reason: 'wrong_code', attempts_remaining }
+// Wrong guesses are counted per code; the code is burned after PHONE_OTP_MAX_ATTEMPTS.
+// Saves the user in every case except 'no_pending_code'.
+async function check_phone_code(user, purpose, code, now) {
+  if (!user.phone_otp_hash || !user.phone_otp_expires_at || user.phone_otp_purpose !== purpose) {
+    return { ok: false, reason: 'no_pending_code' }
+  }
+
+  if (user.phone_otp_expires_at <= now) {
+    clear_phone_code(user)
+    await user.save()
+    return { ok: false, reason: 'code_expired' }
+  }
+
+  if (verify_otp(String(code || '').trim(), user.phone_otp_hash) !== true) {
+    user.phone_otp_attempts = (user.phone_otp_attempts || 0) + 1
+
+    if (user.phone_otp_attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+      clear_phone_code(user)
+      await user.save()
+      return { ok: false, reason: 'code_invalidated' }
+    }
+
+    await user.save()
+    return {
+      ok: false,
+      reason: 'wrong_code',
+      attempts_remaining: PHONE_OTP_MAX_ATTEMPTS - user.phone_otp_attempts
+    }
+  }
+
+  clear_phone_code(user)
+  user.phone_otp_sent_at = undefined
+  await user.save()
+
+  return { ok: true }
+}
+
+// Maps a failed check_phone_code result onto the HTTP response body the routes send
+function phone_code_error(result) {
+  if (result.reason === 'code_invalidated') {
+    return {
+      status: 429,
+      body: { message: 'Too many incorrect codes. Please request a new code.', code: 'otp_invalidated' }
+    }
+  }
+  if (result.reason === 'code_expired') {
+    return {
+      status: 400,
+      body: { message: 'This code has expired. Please request a new one.', code: 'otp_expired' }
+    }
+  }
+  if (result.reason === 'wrong_code') {
+    return {
+      status: 400,
+      body: { message: 'Invalid code', attemptsRemaining: result.attempts_remaining }
+    }
+  }
+  return { status: 400, body: { message: 'Invalid or expired code' } }
+}
+
+module.exports = {
+  get_phone_resend_wait_seconds,
+  send_phone_code,
+  check_phone_code,
+  phone_code_error
+}
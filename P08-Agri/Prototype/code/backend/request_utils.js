@@ -0,0 +1,15 @@
+// Client IP as Express resolved it. X-Forwarded-For is only honoured for the proxy hops
+// configured with TRUST_PROXY in server.js; the client can put anything in that header.
+function get_client_ip(request) {
+  return request.ip || request.socket?.remoteAddress || 'unknown'
+}
+
+function get_user_agent(request) {
+  const value = request.headers['user-agent']
+  return typeof value === 'string' ? value.slice(0, 512) : ''
+}
+
+module.exports = {
+  get_client_ip,
+  get_user_agent
+}
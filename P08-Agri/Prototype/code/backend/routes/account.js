@@ -1,10 +1,48 @@
 const express = require('express')
-const jwt = require('jsonwebtoken')
 const bcrypt = require('bcryptjs')
 const User = require('../models/User')
-const PasswordHistory = require('../models/PasswordHistory')
 const PasswordSecurity = require('../models/PasswordSecurity')
-const { send_password_change_email } = require('../email_service')
+const LoginAttempt = require('../models/LoginAttempt')
+const Diagnosis = require('../models/Diagnosis')
+const Complaint = require('../models/Complaint')
+const {
+  send_password_change_email,
+  send_email_change_otp_email,
+  send_email_changed_email
+} = require('../email_service')
+const {
+  validate_new_password,
+  check_password_history,
+  get_current_password_hash,
+  update_password
+} = require('../password_utils')
+const { require_auth, issue_session_tokens } = require('../middleware/auth')
+const { revoke_all_sessions } = require('../session_store')
+const { get_permissions } = require('../permissions')
+const { rate_limit } = require('../middleware/rate_limit')
+const { get_client_ip } = require('../request_utils')
+const { get_lockout_seconds, register_two_factor_failure } = require('../login_audit')
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  schedule_account_deletion,
+  cancel_account_deletion
+} = require('../account_deletion')
+const { generate_otp, hash_otp, verify_otp } = require('../otp_utils')
+const { normalize_phone } = require('../sms_service')
+const {
+  get_phone_resend_wait_seconds,
+  send_phone_code,
+  check_phone_code,
+  phone_code_error
+} = require('../phone_verification')
+const {
+  begin_enrollment,
+  confirm_enrollment,
+  regenerate_recovery_codes,
+  disable_two_factor,
+  verify_second_factor,
+  is_two_factor_required
+} = require('../two_factor')
 
 const router = express.Router()
 
@@ -12,87 +50,11 @@ const router = express.Router()
 const MAX_FAILED_ATTEMPTS = 5
 // Lockout duration in minutes
 const LOCKOUT_MINUTES = 15
-// How many previous passwords to block reuse of
-const PASSWORD_HISTORY_DEPTH = 5
 
-function get_auth_user(request) {
-  const auth_header = request.headers.authorization || ''
-  console.log('[Account][auth-header]', auth_header)
+const EMAIL_CHANGE_OTP_TTL_MINUTES = 10
+const EMAIL_CHANGE_MAX_ATTEMPTS = 5
 
-  if (!auth_header.startsWith('Bearer ')) {
-    console.warn('[Account][no-bearer-header]')
-    return null
-  }
-
-  const token = auth_header.slice(7)
-  if (!token) {
-    console.warn('[Account][empty-token]')
-    return null
-  }
-
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET)
-    console.log('[Account][jwt-payload]', payload)
-
-    const user_id = payload.userId || payload.sub || payload.id || null
-    const email = payload.email || payload.userEmail || null
-
-    if (!user_id && !email) {
-      console.warn('[Account][auth-payload-unusable]', payload)
-      return null
-    }
-
-    return {
-      userId: user_id,
-      email: email
-    }
-  } catch (error) {
-    console.error('[Account][jwt-verify-error]', error.message || error)
-    if (error && error.stack) {
-      console.error(error.stack)
-    }
-    return null
-  }
-}
-
-function validate_new_password(password, user) {
-  if (!password || typeof password !== 'string') {
-    return 'New password is required'
-  }
-
-  const trimmed = password.trim()
-  if (trimmed.length < 8) {
-    return 'New password must be at least 8 characters long'
-  }
-
-  if (/\s/.test(trimmed)) {
-    return 'New password cannot contain spaces'
-  }
-
-  const has_upper = /[A-Z]/.test(trimmed)
-  const has_lower = /[a-z]/.test(trimmed)
-  const has_digit = /\d/.test(trimmed)
-  const has_symbol = /[^A-Za-z0-9]/.test(trimmed)
-  const categories = [has_upper, has_lower, has_digit, has_symbol].filter(Boolean).length
-
-  if (categories < 3) {
-    return 'New password must include at least three of: uppercase letters, lowercase letters, numbers, and symbols'
-  }
-
-  const very_common = ['password', '12345678', 'qwerty', 'letmein', 'agriqual']
-  if (very_common.includes(trimmed.toLowerCase())) {
-    return 'New password is too common. Choose something harder to guess'
-  }
-
-  if (
-    user?.email &&
-    trimmed.toLowerCase().includes(String(user.email).split('@')[0].toLowerCase())
-  ) {
-    return 'New password must not contain your email username'
-  }
-
-  return null
-}
+const PROFILE_LANGUAGES = ['en', 'ur', 'pa']
 
 async function get_or_create_security(user_id) {
   let doc = await PasswordSecurity.findOne({ userId: user_id })
@@ -138,54 +100,8 @@ async function handle_failed_attempt(security, now, user) {
   await security.save()
 }
 
-async function check_password_history(user, new_password) {
-  const recent_history = await PasswordHistory.find({ userId: user._id })
-    .sort({ createdAt: -1 })
-    .limit(PASSWORD_HISTORY_DEPTH)
-
-  for (const entry of recent_history) {
-    const reused = await bcrypt.compare(new_password, entry.passwordHash)
-    if (reused) {
-      return true // Password was reused
-    }
-  }
-  return false // Password is new
-}
-
-function get_current_password_hash(user) {
-  const current_hash = user.password_hash || user.password || null
-  return current_hash
-}
-
-async function update_password(user, new_password, previous_hash, now) {
-  if (previous_hash) {
-    const history_entry = new PasswordHistory({
-      userId: user._id,
-      passwordHash: previous_hash,
-      createdAt: now
-    })
-    await history_entry.save()
-  }
-
-  const salt_rounds = 10
-  const new_hash = await bcrypt.hash(new_password, salt_rounds)
-
-  user.password_hash = new_hash
-  // Clear legacy field so we don't keep stale hashes around
-  user.password = undefined
-
-  await user.save()
-}
-
-router.post('/change-password', async function (request, response) {
+router.post('/change-password', require_auth, async function (request, response) {
   try {
-    const auth_user = get_auth_user(request)
-    console.log('[Account][change-password][auth_user]', auth_user)
-
-    if (!auth_user) {
-      return response.status(401).json({ message: 'Unauthorized' })
-    }
-
     const old_password_raw = request.body?.oldPassword || ''
     const new_password_raw = request.body?.newPassword || ''
 
@@ -198,7 +114,7 @@ router.post('/change-password', async function (request, response) {
         .json({ message: 'Old password and new password are required' })
     }
 
-    const user = await User.findById(auth_user.userId)
+    const user = await User.findById(request.user.id)
     if (!user) {
       return response.status(404).json({ message: 'User not found' })
     }
@@ -273,18 +189,12 @@ router.post('/change-password', async function (request, response) {
 
     await update_password(user, new_password, current_hash, now)
 
-    const client_ip =
-      request.headers['x-forwarded-for'] ||
-      request.connection?.remoteAddress ||
-      request.socket?.remoteAddress ||
-      request.ip
-
     console.log(
       'Password changed successfully for user',
       user._id.toString(),
       '(' + user.email + ')',
       'from IP',
-      client_ip || 'unknown',
+      get_client_ip(request),
       'at',
       now.toISOString()
     )
@@ -296,7 +206,21 @@ router.post('/change-password', async function (request, response) {
       console.error('Failed to send password change email:', emsg)
     }
 
-    return response.json({ message: 'Password changed successfully' })
+    // Sign out every device, then open a fresh session for the one that made the change
+    const payload = { message: 'Password changed successfully' }
+    try {
+      const revoked_count = await revoke_all_sessions(user._id.toString())
+      console.log('[Account][sessions-revoked]', user._id.toString(), revoked_count)
+
+      const tokens = await issue_session_tokens(user, request)
+      payload.token = tokens.token
+      payload.refreshToken = tokens.refreshToken
+    } catch (session_error) {
+      const smsg = session_error?.message || session_error
+      console.error('[Account][session-revoke-error]', smsg)
+    }
+
+    return response.json(payload)
   } catch (error) {
     const msg = error?.message || error
     console.error('[Account][change-password-error]', msg)
@@ -307,4 +231,724 @@ router.post('/change-password', async function (request, response) {
   }
 })
 
+// Recent sign-ins, OTP verifications and lockouts for the signed-in user
+router.get('/login-activity', require_auth, async function (request, response) {
+  try {
+    let limit = Number.parseInt(request.query.limit, 10) || 20
+    if (limit <= 0) {
+      limit = 20
+    }
+    if (limit > 50) {
+      limit = 50
+    }
+
+    const attempts = await LoginAttempt.find({ user_id: request.user.id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('event success reason ip_address user_agent createdAt')
+      .lean()
+
+    const activity = attempts.map(function (attempt) {
+      return {
+        id: attempt._id,
+        event: attempt.event || 'login',
+        success: attempt.success,
+        reason: attempt.reason || null,
+        ipAddress: attempt.ip_address || null,
+        userAgent: attempt.user_agent || null,
+        createdAt: attempt.createdAt
+      }
+    })
+
+    return response.json({ activity })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][login-activity-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// Re-check the account password before sensitive changes; shares the change-password lockout.
+// Returns null when the password is correct, otherwise { status, body } to send back.
+async function verify_password_reentry(user, password) {
+  const security = await get_or_create_security(user._id)
+  const now = new Date()
+
+  const lockout_check = await check_lockout(security, now)
+  if (lockout_check.locked) {
+    return {
+      status: 429,
+      body: {
+        message: 'Too many incorrect password attempts. Please try again later.',
+        retryAfterSeconds: lockout_check.retryAfterSeconds
+      }
+    }
+  }
+
+  const current_hash = get_current_password_hash(user)
+  const matches = current_hash && password ? await bcrypt.compare(String(password), current_hash) : false
+  if (!matches) {
+    await handle_failed_attempt(security, now, user)
+    return { status: 400, body: { message: 'Password is incorrect' } }
+  }
+
+  security.failedAttempts = 0
+  security.lockUntil = null
+  security.lastAttemptAt = now
+  await security.save()
+
+  return null
+}
+
+// ==== Profile ====
+
+function format_profile(user) {
+  const location = user.default_location
+  const has_location = location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    pendingEmail: user.pending_email || null,
+    phone: user.phone || null,
+    phoneVerified: user.phone_verified === true,
+    role: user.role || 'farmer',
+    preferredLanguage: user.preferred_language || 'en',
+    district: user.district || null,
+    defaultLocation: has_location
+      ? { latitude: location.latitude, longitude: location.longitude, label: location.label || null }
+      : null,
+    twoFactorEnabled: user.totp_enabled === true,
+    deletionScheduledFor: user.deletion_scheduled_for || null,
+    createdAt: user.createdAt
+  }
+}
+
+// Validate a PATCH body. Returns { updates, errors } where updates only holds fields that were sent.
+function parse_profile_updates(body) {
+  const updates = {}
+  const errors = {}
+
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim()
+    if (name.length < 2 || name.length > 80) {
+      errors.name = 'Name must be between 2 and 80 characters'
+    } else {
+      updates.name = name
+    }
+  }
+
+  if (body.phone !== undefined) {
+    if (body.phone === null || String(body.phone).trim() === '') {
+      updates.phone = null
+    } else {
+      const phone = normalize_phone(body.phone)
+      if (!phone) {
+        errors.phone = 'Valid phone number is required'
+      } else {
+        updates.phone = phone
+      }
+    }
+  }
+
+  if (body.preferredLanguage !== undefined) {
+    if (!PROFILE_LANGUAGES.includes(body.preferredLanguage)) {
+      errors.preferredLanguage = 'Preferred language must be one of: ' + PROFILE_LANGUAGES.join(', ')
+    } else {
+      updates.preferred_language = body.preferredLanguage
+    }
+  }
+
+  if (body.district !== undefined) {
+    const district = body.district === null ? '' : String(body.district).trim()
+    if (district.length > 100) {
+      errors.district = 'District must be at most 100 characters'
+    } else {
+      updates.district = district || null
+    }
+  }
+
+  if (body.defaultLocation !== undefined) {
+    const location = body.defaultLocation
+    if (location === null) {
+      updates.default_location = null
+    } else {
+      const latitude = Number(location && location.latitude)
+      const longitude = Number(location && location.longitude)
+      const label = location && location.label ? String(location.label).trim() : ''
+
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        errors.defaultLocation = 'Latitude must be between -90 and 90'
+      } else if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        errors.defaultLocation = 'Longitude must be between -180 and 180'
+      } else if (label.length > 100) {
+        errors.defaultLocation = 'Location label must be at most 100 characters'
+      } else {
+        updates.default_location = { latitude, longitude, label: label || undefined }
+      }
+    }
+  }
+
+  return { updates, errors }
+}
+
+// GET /api/account/permissions
+// What the current session may do; the frontend uses it to guard its routes
+router.get('/permissions', require_auth, function (request, response) {
+  return response.json({
+    role: request.user.role,
+    permissions: get_permissions(request.user.role)
+  })
+})
+
+// GET /api/account/profile
+router.get('/profile', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    return response.json({ profile: format_profile(user) })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][profile-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// PATCH /api/account/profile { name?, phone?, preferredLanguage?, district?, defaultLocation? }
+// Email is changed through /email/change so the new address gets verified first.
+router.patch('/profile', require_auth, async function (request, response) {
+  try {
+    const body = request.body || {}
+
+    if (body.email !== undefined) {
+      return response.status(400).json({ message: 'Use the email change flow to update your email address' })
+    }
+
+    const { updates, errors } = parse_profile_updates(body)
+    if (Object.keys(errors).length > 0) {
+      return response.status(400).json({ message: 'Please correct the highlighted fields', errors })
+    }
+
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    // A new number has to be verified again before it can be used for SMS login
+    if (updates.phone !== undefined && updates.phone !== (user.phone || null)) {
+      user.phone_verified = false
+      user.phone_otp_hash = undefined
+      user.phone_otp_purpose = undefined
+      user.phone_otp_expires_at = undefined
+    }
+
+    Object.assign(user, updates)
+    await user.save()
+
+    return response.json({ profile: format_profile(user) })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][profile-update-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ==== Email change ====
+
+// POST /api/account/email/change { newEmail, password } -> code sent to the new address
+router.post('/email/change', require_auth, rate_limit('email_change'), async function (request, response) {
+  try {
+    const new_email = String(request.body?.newEmail || '').trim().toLowerCase()
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(new_email)) {
+      return response.status(400).json({ message: 'Valid email is required' })
+    }
+
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (new_email === user.email) {
+      return response.status(400).json({ message: 'This is already your email address' })
+    }
+
+    const password_error = await verify_password_reentry(user, request.body?.password)
+    if (password_error) {
+      return response.status(password_error.status).json(password_error.body)
+    }
+
+    if (await User.exists({ email: new_email })) {
+      return response.status(409).json({ message: 'An account with this email already exists' })
+    }
+
+    const otp = generate_otp()
+    user.pending_email = new_email
+    user.email_change_otp_hash = hash_otp(otp)
+    user.email_change_expires_at = new Date(Date.now() + EMAIL_CHANGE_OTP_TTL_MINUTES * 60 * 1000)
+    user.email_change_attempts = 0
+    await user.save()
+
+    await send_email_change_otp_email(new_email, otp)
+
+    const payload = {
+      ok: true,
+      message: 'A verification code has been sent to ' + new_email,
+      pendingEmail: new_email,
+      expiresInSeconds: EMAIL_CHANGE_OTP_TTL_MINUTES * 60
+    }
+
+    return response.json(payload)
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][email-change-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/email/verify { otp } -> email replaced, other sessions signed out
+router.post('/email/verify', require_auth, rate_limit('verify_otp'), async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (!user.pending_email || !user.email_change_otp_hash || !user.email_change_expires_at) {
+      return response.status(400).json({ message: 'No email change in progress' })
+    }
+
+    if (user.email_change_expires_at <= new Date()) {
+      return response
+        .status(400)
+        .json({ message: 'This code has expired. Please request a new one.', code: 'otp_expired' })
+    }
+
+    if (verify_otp(String(request.body?.otp || '').trim(), user.email_change_otp_hash) !== true) {
+      user.email_change_attempts = (user.email_change_attempts || 0) + 1
+
+      if (user.email_change_attempts >= EMAIL_CHANGE_MAX_ATTEMPTS) {
+        user.pending_email = undefined
+        user.email_change_otp_hash = undefined
+        user.email_change_expires_at = undefined
+        await user.save()
+        return response.status(429).json({
+          message: 'Too many incorrect codes. Please start the email change again.',
+          code: 'otp_invalidated'
+        })
+      }
+
+      await user.save()
+      return response.status(400).json({
+        message: 'Invalid verification code',
+        attemptsRemaining: EMAIL_CHANGE_MAX_ATTEMPTS - user.email_change_attempts
+      })
+    }
+
+    const old_email = user.email
+    const new_email = user.pending_email
+
+    if (await User.exists({ email: new_email, _id: { $ne: user._id } })) {
+      return response.status(409).json({ message: 'An account with this email already exists' })
+    }
+
+    user.email = new_email
+    user.email_verified = true
+    user.pending_email = undefined
+    user.email_change_otp_hash = undefined
+    user.email_change_expires_at = undefined
+    user.email_change_attempts = 0
+    await user.save()
+
+    console.log('[Account][email-changed]', user._id.toString())
+
+    try {
+      await send_email_changed_email(old_email, new_email)
+    } catch (email_error) {
+      const emsg = email_error?.message || email_error
+      console.error('[Account][email-changed-notify-error]', emsg)
+    }
+
+    // The email is part of the token claims, so every session gets replaced
+    const payload = { ok: true, profile: format_profile(user) }
+    try {
+      await revoke_all_sessions(user._id.toString())
+      const tokens = await issue_session_tokens(user, request)
+      payload.token = tokens.token
+      payload.refreshToken = tokens.refreshToken
+    } catch (session_error) {
+      const smsg = session_error?.message || session_error
+      console.error('[Account][session-revoke-error]', smsg)
+    }
+
+    return response.json(payload)
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][email-verify-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ==== Data export ====
+
+// GET /api/account/export -> JSON download of everything stored about the signed-in user
+router.get('/export', require_auth, rate_limit('account_export'), async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    const [diagnoses, complaints, login_activity] = await Promise.all([
+      Diagnosis.find({ user_id: user._id }).sort({ created_at: -1 }).select('-__v').lean(),
+      Complaint.find({ userId: user._id }).sort({ createdAt: -1 }).select('-__v').lean(),
+      LoginAttempt.find({ user_id: user._id })
+        .sort({ createdAt: -1 })
+        .select('event success reason ip_address user_agent createdAt')
+        .lean()
+    ])
+
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      profile: format_profile(user),
+      diagnoses,
+      complaints,
+      loginActivity: login_activity,
+      // Assistant conversations are sent to the model per request and never stored
+      chatHistory: [],
+      notes: ['Chat assistant conversations are not stored on the server, so there is no chat history to export.']
+    }
+
+    const file_name = 'agriqual-export-' + new Date().toISOString().slice(0, 10) + '.json'
+    response.set('Content-Disposition', 'attachment; filename="' + file_name + '"')
+    return response.json(payload)
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][export-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ==== Account deletion ====
+
+// POST /api/account/delete { password } -> schedules deletion after the grace period and signs out everywhere
+router.post('/delete', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    const password_error = await verify_password_reentry(user, request.body?.password)
+    if (password_error) {
+      return response.status(password_error.status).json(password_error.body)
+    }
+
+    if (!user.deletion_scheduled_for) {
+      schedule_account_deletion(user, new Date())
+      await user.save()
+    }
+
+    console.log('[Account][deletion-scheduled]', user._id.toString(), user.deletion_scheduled_for.toISOString())
+
+    try {
+      await revoke_all_sessions(user._id.toString())
+    } catch (session_error) {
+      const smsg = session_error?.message || session_error
+      console.error('[Account][session-revoke-error]', smsg)
+    }
+
+    return response.json({
+      ok: true,
+      message:
+        'Your account will be deleted in ' +
+        ACCOUNT_DELETION_GRACE_DAYS +
+        ' days. Log in before then if you change your mind.',
+      deletionScheduledFor: user.deletion_scheduled_for
+    })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][delete-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/delete/cancel
+router.post('/delete/cancel', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (!user.deletion_scheduled_for) {
+      return response.status(400).json({ message: 'Your account is not scheduled for deletion' })
+    }
+
+    cancel_account_deletion(user)
+    await user.save()
+
+    console.log('[Account][deletion-cancelled]', user._id.toString())
+
+    return response.json({ ok: true, profile: format_profile(user) })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][delete-cancel-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ==== Phone verification ====
+
+// A number can be verified on one account only, otherwise phone login would be ambiguous
+async function is_phone_taken(phone, user_id) {
+  const existing = await User.exists({ phone, phone_verified: true, _id: { $ne: user_id } })
+  return Boolean(existing)
+}
+
+// POST /api/account/phone/send-code { phone? } -> texts a code to the given (or stored) number
+router.post('/phone/send-code', require_auth, rate_limit('phone_otp'), async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    const phone = normalize_phone(request.body?.phone || user.phone)
+    if (!phone) {
+      return response.status(400).json({ message: 'Valid phone number is required' })
+    }
+
+    if (phone === user.phone && user.phone_verified === true) {
+      return response.status(400).json({ message: 'This phone number is already verified' })
+    }
+
+    if (await is_phone_taken(phone, user._id)) {
+      return response.status(409).json({ message: 'This phone number is already used by another account' })
+    }
+
+    const now = new Date()
+    const wait_seconds = get_phone_resend_wait_seconds(user, now)
+    if (wait_seconds > 0) {
+      return response.status(429).json({
+        message: 'A code was sent recently. Please wait before requesting another one.',
+        retryAfterSeconds: wait_seconds
+      })
+    }
+
+    if (phone !== user.phone) {
+      user.phone = phone
+      user.phone_verified = false
+    }
+
+    const sent = await send_phone_code(user, 'verify', now)
+
+    return response.json({ ok: true, phone, ...sent })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][phone-send-error]', msg)
+    return response.status(500).json({ message: 'Could not send verification code' })
+  }
+})
+
+// POST /api/account/phone/verify { otp }
+router.post('/phone/verify', require_auth, rate_limit('phone_otp_verify'), async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    const result = await check_phone_code(user, 'verify', request.body?.otp, new Date())
+    if (!result.ok) {
+      const failure = phone_code_error(result)
+      return response.status(failure.status).json(failure.body)
+    }
+
+    if (await is_phone_taken(user.phone, user._id)) {
+      return response.status(409).json({ message: 'This phone number is already used by another account' })
+    }
+
+    user.phone_verified = true
+    await user.save()
+
+    console.log('[Account][phone-verified]', user._id.toString())
+
+    return response.json({ ok: true, phone: user.phone, phoneVerified: true })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][phone-verify-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ==== Two-factor authentication ====
+
+// GET /api/account/2fa
+router.get('/2fa', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    return response.json({
+      enabled: user.totp_enabled === true,
+      enabledAt: user.totp_enabled_at || null,
+      recoveryCodesRemaining: (user.totp_recovery_hashes || []).length,
+      required: await is_two_factor_required(user.role)
+    })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][2fa-status-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/2fa/setup -> secret, otpauth URL and QR code for the authenticator app
+router.post('/2fa/setup', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (user.totp_enabled === true) {
+      return response.status(400).json({ message: 'Two-factor authentication is already enabled' })
+    }
+
+    const enrollment = await begin_enrollment(user)
+
+    return response.json(enrollment)
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][2fa-setup-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/2fa/enable { code } -> recovery codes (shown only once)
+router.post('/2fa/enable', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (user.totp_enabled === true) {
+      return response.status(400).json({ message: 'Two-factor authentication is already enabled' })
+    }
+
+    if (!user.totp_pending_secret) {
+      return response.status(400).json({ message: 'Start two-factor setup first' })
+    }
+
+    const recovery_codes = await confirm_enrollment(user, request.body?.code)
+    if (!recovery_codes) {
+      return response.status(400).json({ message: 'Invalid authentication code' })
+    }
+
+    console.log('[Account][2fa-enabled]', user._id.toString())
+
+    return response.json({ ok: true, recoveryCodes: recovery_codes })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][2fa-enable-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/2fa/recovery-codes { password } -> a fresh set of recovery codes
+router.post('/2fa/recovery-codes', require_auth, async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    if (user.totp_enabled !== true) {
+      return response.status(400).json({ message: 'Two-factor authentication is not enabled' })
+    }
+
+    const password_error = await verify_password_reentry(user, request.body?.password)
+    if (password_error) {
+      return response.status(password_error.status).json(password_error.body)
+    }
+
+    const recovery_codes = regenerate_recovery_codes(user)
+    await user.save()
+
+    return response.json({ ok: true, recoveryCodes: recovery_codes })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][2fa-recovery-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
+// POST /api/account/2fa/disable { password, code | recoveryCode }
+// Wrong codes count towards the same account lockout as the sign-in 2FA step.
+router.post('/2fa/disable', require_auth, rate_limit('two_factor'), async function (request, response) {
+  try {
+    const user = await User.findById(request.user.id)
+    if (!user) {
+      return response.status(404).json({ message: 'User not found' })
+    }
+
+    const now = new Date()
+    if (user.lock_until && user.lock_until > now) {
+      return response.status(429).json({
+        message: 'Too many incorrect codes. Your account is temporarily locked.',
+        retryAfterSeconds: get_lockout_seconds(user.lock_until)
+      })
+    }
+
+    if (user.totp_enabled !== true) {
+      return response.status(400).json({ message: 'Two-factor authentication is not enabled' })
+    }
+
+    if (await is_two_factor_required(user.role)) {
+      return response
+        .status(403)
+        .json({ message: 'Two-factor authentication is required for your role and cannot be turned off' })
+    }
+
+    const password_error = await verify_password_reentry(user, request.body?.password)
+    if (password_error) {
+      return response.status(password_error.status).json(password_error.body)
+    }
+
+    const method = verify_second_factor(user, {
+      code: request.body?.code,
+      recovery_code: request.body?.recoveryCode
+    })
+    if (!method) {
+      const locked_seconds = await register_two_factor_failure(request, user, now)
+      if (locked_seconds > 0) {
+        return response.status(429).json({
+          message: 'Too many incorrect codes. Your account is temporarily locked.',
+          retryAfterSeconds: locked_seconds
+        })
+      }
+      return response.status(400).json({ message: 'Invalid authentication code' })
+    }
+
+    user.failed_login_attempts = 0
+    user.lock_until = null
+    disable_two_factor(user)
+    await user.save()
+
+    console.log('[Account][2fa-disabled]', user._id.toString())
+
+    return response.json({ ok: true })
+  } catch (error) {
+    const msg = error?.message || error
+    console.error('[Account][2fa-disable-error]', msg)
+    return response.status(500).json({ message: 'Server error' })
+  }
+})
+
 module.exports = router
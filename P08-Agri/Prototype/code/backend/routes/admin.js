@@ -0,0 +1,586 @@
+const express = require('express')
+const mongoose = require('mongoose')
+const LoginAttempt = require('../models/LoginAttempt')
+const SecuritySetting = require('../models/SecuritySetting')
+const Invitation = require('../models/Invitation')
+const User = require('../models/User')
+const PasswordSecurity = require('../models/PasswordSecurity')
+const { require_auth, require_permission } = require('../middleware/auth')
+const { revoke_all_sessions } = require('../session_store')
+const { send_password_reset_required_email } = require('../email_service')
+const { ROLES, INVITE_ONLY_ROLES } = require('../permissions')
+const { format_invitation, create_invitation } = require('../invitations')
+const { find_disease_class } = require('../disease_classes')
+const {
+  list_knowledge_entries,
+  save_knowledge_entry,
+  reset_knowledge_entry,
+  parse_knowledge_content,
+  format_knowledge_entry
+} = require('../disease_knowledge')
+
+const router = express.Router()
+
+// Each route below names the permission it needs
+router.use(require_auth)
+
+function parse_date(value) {
+  if (!value || typeof value !== 'string') {
+    return null
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return null
+  }
+  return date
+}
+
+function escape_regex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// ==== GET /api/admin/login-attempts ====
+// Filters: email (partial match), ip (exact), from / to (ISO dates), success (true|false), event
+router.get('/login-attempts', require_permission('audit:read'), async function (request, response) {
+  try {
+    const query = {}
+
+    const email = typeof request.query.email === 'string' ? request.query.email.trim().toLowerCase() : ''
+    if (email) {
+      query.email = { $regex: escape_regex(email.slice(0, 254)) }
+    }
+
+    const ip = typeof request.query.ip === 'string' ? request.query.ip.trim() : ''
+    if (ip) {
+      query.ip_address = ip.slice(0, 64)
+    }
+
+    const from_date = parse_date(request.query.from)
+    const to_date = parse_date(request.query.to)
+    if (request.query.from && !from_date) {
+      return response.status(400).json({ message: 'Invalid "from" date' })
+    }
+    if (request.query.to && !to_date) {
+      return response.status(400).json({ message: 'Invalid "to" date' })
+    }
+    if (from_date || to_date) {
+      query.createdAt = {}
+      if (from_date) {
+        query.createdAt.$gte = from_date
+      }
+      if (to_date) {
+        query.createdAt.$lte = to_date
+      }
+    }
+
+    if (request.query.success === 'true' || request.query.success === 'false') {
+      query.success = request.query.success === 'true'
+    }
+
+    const allowed_events = ['login', 'otp_verification', 'lockout', 'two_factor']
+    if (allowed_events.includes(request.query.event)) {
+      query.event = request.query.event
+    }
+
+    let limit = Number.parseInt(request.query.limit, 10) || 50
+    if (limit <= 0) {
+      limit = 50
+    }
+    if (limit > 200) {
+      limit = 200
+    }
+
+    let skip = Number.parseInt(request.query.skip, 10) || 0
+    if (skip < 0) {
+      skip = 0
+    }
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-__v').lean(),
+      LoginAttempt.countDocuments(query)
+    ])
+
+    return response.json({ attempts, total, limit, skip })
+  } catch (error) {
+    console.error('[Admin][login-attempts-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+function format_security_policy(setting) {
+  return {
+    requireTwoFactorRoles: setting.require_2fa_roles || [],
+    updatedAt: setting.updatedAt || null
+  }
+}
+
+// ==== GET /api/admin/security-policy ====
+router.get('/security-policy', require_permission('security:manage'), async function (request, response) {
+  try {
+    const setting = await SecuritySetting.get_current()
+    return response.json(format_security_policy(setting))
+  } catch (error) {
+    console.error('[Admin][security-policy-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== PUT /api/admin/security-policy ====
+// Body: { requireTwoFactorRoles: ['inspector', 'admin'] }
+// Users of a listed role without 2FA are asked to enroll on their next login.
+router.put('/security-policy', require_permission('security:manage'), async function (request, response) {
+  try {
+    const roles = request.body?.requireTwoFactorRoles
+    if (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role))) {
+      return response
+        .status(400)
+        .json({ message: 'requireTwoFactorRoles must be a list of: ' + ROLES.join(', ') })
+    }
+
+    const setting = await SecuritySetting.get_current()
+    setting.require_2fa_roles = [...new Set(roles)]
+    setting.updated_by = request.user.id
+    await setting.save()
+
+    console.log('[Admin][security-policy-updated]', {
+      by: request.user.id,
+      requireTwoFactorRoles: setting.require_2fa_roles
+    })
+
+    return response.json(format_security_policy(setting))
+  } catch (error) {
+    console.error('[Admin][security-policy-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== GET /api/admin/knowledge-base ====
+// Every disease label with its current entry; customized marks entries an inspector edited
+router.get('/knowledge-base', require_permission('knowledge_base:edit'), async function (request, response) {
+  try {
+    const entries = await list_knowledge_entries()
+    return response.json({ entries: entries.map(format_knowledge_entry) })
+  } catch (error) {
+    console.error('[Admin][knowledge-base-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== PUT /api/admin/knowledge-base/:label ====
+// Body: { summary, symptoms: [], lookAlikes: [{ label, howToTell }], culturalControls: [],
+//         chemicalControls: [{ chemicalClass, examples: [], phiDays, note }],
+//         severityActions: { low: [], moderate: [], high: [] } }
+// Replaces the whole entry. New diagnoses use it straight away; saved diagnoses keep the
+// advice they were given.
+router.put('/knowledge-base/:label', require_permission('knowledge_base:edit'), async function (request, response) {
+  try {
+    const label = find_disease_class(request.params.label)
+    if (!label) {
+      return response.status(404).json({ message: 'Unknown disease label', code: 'unknown_label' })
+    }
+
+    const parsed = parse_knowledge_content(request.body)
+    if (!parsed.content) {
+      return response.status(400).json({ message: parsed.message, code: parsed.code })
+    }
+
+    const entry = await save_knowledge_entry(label, parsed.content, request.user.id)
+    console.log('[Admin][knowledge-base-updated]', { by: request.user.id, label })
+    return response.json(format_knowledge_entry(entry))
+  } catch (error) {
+    console.error('[Admin][knowledge-base-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== DELETE /api/admin/knowledge-base/:label ====
+// Drops the edited entry and goes back to the built-in one
+router.delete('/knowledge-base/:label', require_permission('knowledge_base:edit'), async function (request, response) {
+  try {
+    const label = find_disease_class(request.params.label)
+    if (!label) {
+      return response.status(404).json({ message: 'Unknown disease label', code: 'unknown_label' })
+    }
+
+    const entry = await reset_knowledge_entry(label)
+    console.log('[Admin][knowledge-base-reset]', { by: request.user.id, label })
+    return response.json(format_knowledge_entry(entry))
+  } catch (error) {
+    console.error('[Admin][knowledge-base-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/admin/invitations ====
+// Body: { email, role: 'inspector' | 'admin' }
+// Emails a single-use signup link and returns it so it can also be shared by hand.
+router.post('/invitations', require_permission('invitations:manage'), async function (request, response) {
+  try {
+    const email = typeof request.body?.email === 'string' ? request.body.email.trim().toLowerCase() : ''
+    const role = request.body?.role
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+      return response.status(400).json({ message: 'Valid email is required' })
+    }
+    if (!INVITE_ONLY_ROLES.includes(role)) {
+      return response.status(400).json({ message: 'role must be one of: ' + INVITE_ONLY_ROLES.join(', ') })
+    }
+
+    const existing = await User.findOne({ email, email_verified: true }).select('_id').lean()
+    if (existing) {
+      return response.status(400).json({ message: 'An account with this email already exists' })
+    }
+
+    const now = new Date()
+    const { invitation, link } = await create_invitation({ email, role, invited_by: request.user.id }, now)
+
+    console.log('[Admin][invitation-created]', { by: request.user.id, email, role })
+
+    return response.status(201).json({ invitation: format_invitation(invitation, now), link })
+  } catch (error) {
+    console.error('[Admin][invitations-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== GET /api/admin/invitations ====
+// Newest first, at most 200
+router.get('/invitations', require_permission('invitations:manage'), async function (request, response) {
+  try {
+    const invitations = await Invitation.find({}).sort({ createdAt: -1 }).limit(200)
+    const now = new Date()
+    return response.json({
+      invitations: invitations.map((invitation) => format_invitation(invitation, now))
+    })
+  } catch (error) {
+    console.error('[Admin][invitations-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== DELETE /api/admin/invitations/:id ====
+// Withdraws a pending invitation; the link stops working immediately
+router.delete('/invitations/:id', require_permission('invitations:manage'), async function (request, response) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(request.params.id)) {
+      return response.status(404).json({ message: 'Invitation not found' })
+    }
+
+    const invitation = await Invitation.findById(request.params.id)
+    if (!invitation) {
+      return response.status(404).json({ message: 'Invitation not found' })
+    }
+    if (invitation.accepted_at) {
+      return response.status(400).json({ message: 'This invitation has already been used' })
+    }
+
+    if (!invitation.revoked_at) {
+      invitation.revoked_at = new Date()
+      await invitation.save()
+      console.log('[Admin][invitation-revoked]', { by: request.user.id, email: invitation.email })
+    }
+
+    return response.json({ invitation: format_invitation(invitation, new Date()) })
+  } catch (error) {
+    console.error('[Admin][invitations-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ====== User management ======
+
+function is_locked(lock_until, now) {
+  return Boolean(lock_until && lock_until > now)
+}
+
+// `password_security` is the user's PasswordSecurity record (change-password lockout), if any
+function format_admin_user(user, password_security, now) {
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    phone: user.phone || null,
+    role: user.role || 'farmer',
+    emailVerified: user.email_verified === true,
+    phoneVerified: user.phone_verified === true,
+    twoFactorEnabled: user.totp_enabled === true,
+    loginLockout: {
+      failedAttempts: user.failed_login_attempts || 0,
+      lockedUntil: is_locked(user.lock_until, now) ? user.lock_until : null
+    },
+    passwordChangeLockout: {
+      failedAttempts: password_security ? password_security.failedAttempts || 0 : 0,
+      lockedUntil: password_security && is_locked(password_security.lockUntil, now) ? password_security.lockUntil : null
+    },
+    disabled: user.disabled_at
+      ? {
+          at: user.disabled_at,
+          reason: user.disabled_reason || '',
+          by: user.disabled_by ? user.disabled_by.toString() : null
+        }
+      : null,
+    passwordResetRequired: user.password_reset_required === true,
+    deletionScheduledFor: user.deletion_scheduled_for || null,
+    createdAt: user.createdAt || null
+  }
+}
+
+async function load_target_user(request, response) {
+  if (!mongoose.Types.ObjectId.isValid(request.params.id)) {
+    response.status(404).json({ message: 'User not found' })
+    return null
+  }
+  const user = await User.findById(request.params.id)
+  if (!user) {
+    response.status(404).json({ message: 'User not found' })
+    return null
+  }
+  return user
+}
+
+async function send_admin_user(response, user) {
+  const password_security = await PasswordSecurity.findOne({ userId: user._id }).lean()
+  return response.json({ user: format_admin_user(user, password_security, new Date()) })
+}
+
+// Sessions carry the role and are the only way in, so most admin actions end them
+async function end_user_sessions(user) {
+  try {
+    await revoke_all_sessions(user._id.toString())
+  } catch (error) {
+    console.error('[Admin][revoke-sessions-error]', error?.message || error)
+  }
+}
+
+// ==== GET /api/admin/users ====
+// Filters: q (name, email or phone, partial match), role,
+// status (locked | disabled | unverified | reset_required), limit, skip
+router.get('/users', require_permission('users:manage'), async function (request, response) {
+  try {
+    const query = {}
+    const now = new Date()
+
+    const q = typeof request.query.q === 'string' ? request.query.q.trim().slice(0, 100) : ''
+    if (q) {
+      const pattern = { $regex: escape_regex(q), $options: 'i' }
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }]
+    }
+
+    if (ROLES.includes(request.query.role)) {
+      query.role = request.query.role
+    }
+
+    const status = request.query.status
+    if (status === 'locked') {
+      query.lock_until = { $gt: now }
+    } else if (status === 'disabled') {
+      query.disabled_at = { $ne: null }
+    } else if (status === 'unverified') {
+      query.email_verified = { $ne: true }
+    } else if (status === 'reset_required') {
+      query.password_reset_required = true
+    }
+
+    let limit = Number.parseInt(request.query.limit, 10) || 50
+    if (limit <= 0) {
+      limit = 50
+    }
+    if (limit > 200) {
+      limit = 200
+    }
+
+    let skip = Number.parseInt(request.query.skip, 10) || 0
+    if (skip < 0) {
+      skip = 0
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(query)
+    ])
+
+    const security_docs = await PasswordSecurity.find({ userId: { $in: users.map((user) => user._id) } }).lean()
+    const security_by_user = new Map(security_docs.map((doc) => [doc.userId.toString(), doc]))
+
+    return response.json({
+      users: users.map((user) => format_admin_user(user, security_by_user.get(user._id.toString()), now)),
+      total,
+      limit,
+      skip
+    })
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== GET /api/admin/users/:id ====
+// Includes the latest sign-in events so an admin can see why an account is locked
+router.get('/users/:id', require_permission('users:manage'), async function (request, response) {
+  try {
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    const [password_security, recent_attempts] = await Promise.all([
+      PasswordSecurity.findOne({ userId: user._id }).lean(),
+      LoginAttempt.find({ user_id: user._id }).sort({ createdAt: -1 }).limit(20).select('-__v').lean()
+    ])
+
+    return response.json({
+      user: format_admin_user(user, password_security, new Date()),
+      recentLoginAttempts: recent_attempts
+    })
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/admin/users/:id/unlock ====
+// Clears both the login lockout and the change-password lockout
+router.post('/users/:id/unlock', require_permission('users:manage'), async function (request, response) {
+  try {
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    user.failed_login_attempts = 0
+    user.lock_until = null
+    await user.save()
+
+    await PasswordSecurity.updateOne({ userId: user._id }, { $set: { failedAttempts: 0, lockUntil: null } })
+
+    console.log('[Admin][user-unlocked]', { by: request.user.id, user: user._id.toString() })
+
+    return send_admin_user(response, user)
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/admin/users/:id/force-password-reset ====
+// Signs the user out everywhere; they cannot sign in again until they reset their password
+router.post('/users/:id/force-password-reset', require_permission('users:manage'), async function (request, response) {
+  try {
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    user.password_reset_required = true
+    await user.save()
+    await end_user_sessions(user)
+
+    try {
+      await send_password_reset_required_email(user.email)
+    } catch (email_error) {
+      console.error('[Admin][reset-email-error]', email_error?.message || email_error)
+    }
+
+    console.log('[Admin][password-reset-forced]', { by: request.user.id, user: user._id.toString() })
+
+    return send_admin_user(response, user)
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== PUT /api/admin/users/:id/role ====
+// Body: { role }. The user is signed out so their next session carries the new role.
+router.put('/users/:id/role', require_permission('users:manage'), async function (request, response) {
+  try {
+    const role = request.body?.role
+    if (!ROLES.includes(role)) {
+      return response.status(400).json({ message: 'role must be one of: ' + ROLES.join(', ') })
+    }
+
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    if (user._id.toString() === request.user.id) {
+      return response.status(400).json({ message: 'You cannot change your own role' })
+    }
+
+    if (user.role !== role) {
+      const previous_role = user.role
+      user.role = role
+      await user.save()
+      await end_user_sessions(user)
+
+      console.log('[Admin][role-changed]', {
+        by: request.user.id,
+        user: user._id.toString(),
+        from: previous_role,
+        to: role
+      })
+    }
+
+    return send_admin_user(response, user)
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/admin/users/:id/disable ====
+// Body: { reason? }
+router.post('/users/:id/disable', require_permission('users:manage'), async function (request, response) {
+  try {
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    if (user._id.toString() === request.user.id) {
+      return response.status(400).json({ message: 'You cannot disable your own account' })
+    }
+
+    const reason = typeof request.body?.reason === 'string' ? request.body.reason.trim().slice(0, 500) : ''
+
+    if (!user.disabled_at) {
+      user.disabled_at = new Date()
+      user.disabled_by = request.user.id
+    }
+    user.disabled_reason = reason
+    await user.save()
+    await end_user_sessions(user)
+
+    console.log('[Admin][user-disabled]', { by: request.user.id, user: user._id.toString() })
+
+    return send_admin_user(response, user)
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/admin/users/:id/enable ====
+router.post('/users/:id/enable', require_permission('users:manage'), async function (request, response) {
+  try {
+    const user = await load_target_user(request, response)
+    if (!user) {
+      return
+    }
+
+    user.disabled_at = null
+    user.disabled_by = undefined
+    user.disabled_reason = undefined
+    await user.save()
+
+    console.log('[Admin][user-enabled]', { by: request.user.id, user: user._id.toString() })
+
+    return send_admin_user(response, user)
+  } catch (error) {
+    console.error('[Admin][users-error]', error?.message || error)
+    return response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+module.exports = router
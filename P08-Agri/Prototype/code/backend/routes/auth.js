@@ -1,17 +1,71 @@
 const express = require('express')
 const bcrypt = require('bcryptjs')
-const jwt = require('jsonwebtoken')
-const crypto = require('crypto')
 const nodemailer = require('nodemailer')
 const User = require('../models/User')
+const {
+  AuthError,
+  sign_access_token,
+  issue_session_tokens,
+  sign_challenge_token,
+  verify_challenge_token
+} = require('../middleware/auth')
+const {
+  SessionStoreUnavailableError,
+  rotate_refresh_token,
+  revoke_session,
+  revoke_refresh_token,
+  revoke_all_sessions
+} = require('../session_store')
+const { get_client_ip, get_user_agent } = require('../request_utils')
+const { generate_otp, hash_otp, verify_otp } = require('../otp_utils')
+const {
+  send_password_reset_email,
+  send_password_change_email,
+  send_new_device_login_email
+} = require('../email_service')
+const {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  get_lockout_seconds,
+  record_login_attempt,
+  register_two_factor_failure,
+  is_new_device
+} = require('../login_audit')
+const { rate_limit } = require('../middleware/rate_limit')
+const { normalize_phone } = require('../sms_service')
+const {
+  get_phone_resend_wait_seconds,
+  send_phone_code,
+  check_phone_code,
+  phone_code_error
+} = require('../phone_verification')
+const {
+  begin_enrollment,
+  confirm_enrollment,
+  verify_second_factor,
+  is_two_factor_required
+} = require('../two_factor')
+const {
+  check_invitation_token,
+  invitation_error,
+  redeem_invitation
+} = require('../invitations')
+const {
+  validate_new_password,
+  check_password_history,
+  get_current_password_hash,
+  update_password
+} = require('../password_utils')
 
 const router = express.Router()
 
 // ====== Security-related config ======
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me'
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '2h'
-const LOGIN_MAX_FAILED_ATTEMPTS = Number.parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10)
-const LOGIN_LOCKOUT_MINUTES = Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10)
+const SIGNUP_OTP_TTL_MINUTES = 10
+const SIGNUP_OTP_MAX_ATTEMPTS = Number.parseInt(process.env.SIGNUP_OTP_MAX_ATTEMPTS || '5', 10)
+const SIGNUP_OTP_RESEND_COOLDOWN_SECONDS = Number.parseInt(process.env.SIGNUP_OTP_RESEND_COOLDOWN_SECONDS || '60', 10)
+const RESET_OTP_TTL_MINUTES = 10
+const RESET_MAX_ATTEMPTS = Number.parseInt(process.env.RESET_MAX_ATTEMPTS || '5', 10)
+const RESET_RESEND_COOLDOWN_SECONDS = Number.parseInt(process.env.RESET_RESEND_COOLDOWN_SECONDS || '60', 10)
 
 // ====== Mail transport for OTP emails ======
 let mailTransporter = null
@@ -31,10 +85,9 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
 }
 
 async function sendOtpEmail(email, otp) {
-  console.log('[Auth] Generated OTP for', email, '=>', otp)
-
   if (!mailTransporter) {
-    console.warn('[Auth] No SMTP transporter configured. OTP will not be emailed.')
+    // Local development without SMTP: the code is only ever shown in the server log
+    console.warn('[Auth] No SMTP transporter configured. OTP for', email, 'is', otp)
     return
   }
 
@@ -54,7 +107,7 @@ async function sendOtpEmail(email, otp) {
   } catch (error) {
     const message = error && error.message ? error.message : error
     console.error('[Auth] Failed to send OTP email:', message)
-    // We still keep the OTP stored; frontend can use debug_otp in non-production
+    // The OTP stays stored, so the user can ask for it to be sent again
   }
 }
 
@@ -85,34 +138,198 @@ function validatePasswordStrength(password) {
   return null
 }
 
-function createTokenForUser(user) {
-  const payload = {
-    sub: user._id.toString(),
-    role: user.role || 'farmer'
+// Last step of every sign-in: record it, warn about new devices and issue the token pair
+async function completeLogin(request, user, now, reason) {
+  // Failed attempts are only forgiven here, once every factor has passed. Clearing them at the
+  // password step would let someone who knows the password wipe out wrong 2FA codes.
+  user.failed_login_attempts = 0
+  user.lock_until = null
+  await user.save()
+
+  const { token, refreshToken } = await issue_session_tokens(user, request)
+
+  // Check before recording, otherwise this sign-in would count as "seen"
+  let newDevice = false
+  try {
+    newDevice = await is_new_device(user, request)
+  } catch (deviceError) {
+    const dmsg = deviceError && deviceError.message ? deviceError.message : deviceError
+    console.error('[Auth] New device check failed:', dmsg)
+  }
+
+  await record_login_attempt(request, {
+    email: user.email,
+    user,
+    success: true,
+    reason: newDevice ? 'new_device' : reason
+  })
+
+  if (newDevice) {
+    try {
+      await send_new_device_login_email(user.email, {
+        ip: get_client_ip(request),
+        userAgent: get_user_agent(request),
+        time: now
+      })
+    } catch (emailError) {
+      const emsg = emailError && emailError.message ? emailError.message : emailError
+      console.error('[Auth] Failed to send new device email:', emsg)
+    }
   }
 
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN })
+  return {
+    status: 'ok',
+    token,
+    refreshToken,
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role || 'farmer'
+    },
+    // Set while a deletion request is in its grace period, so the client can offer to cancel it
+    deletionScheduledFor: user.deletion_scheduled_for || null
+  }
+}
 
-  return token
+// Admin-imposed blocks that stop a sign-in even with the right credentials.
+// Returns null, or { status, body } for the route to send.
+function getLoginBlock(user) {
+  if (user.disabled_at) {
+    return {
+      status: 403,
+      body: { message: 'This account has been disabled. Please contact support.', code: 'account_disabled' }
+    }
+  }
+  if (user.password_reset_required === true) {
+    return {
+      status: 403,
+      body: {
+        message: 'You need to choose a new password before signing in. Use "Forgot password" to get a reset code.',
+        code: 'password_reset_required'
+      }
+    }
+  }
+  return null
 }
 
-function getLockoutSeconds(lockUntil) {
-  if (!lockUntil) {
-    return 0
+// The first factor (password or SMS code) passed. Accounts with 2FA, or required to
+// have it by the security policy, get a challenge token instead of a session.
+async function finishFirstFactor(request, user, now, reason) {
+  if (user.totp_enabled === true) {
+    return {
+      status: '2fa_required',
+      twoFactorToken: sign_challenge_token(user, 'login_2fa')
+    }
   }
-  const now = Date.now()
-  const diffMs = lockUntil.getTime() - now
-  if (diffMs <= 0) {
+
+  if (await is_two_factor_required(user.role)) {
+    return {
+      status: '2fa_setup_required',
+      twoFactorToken: sign_challenge_token(user, '2fa_setup')
+    }
+  }
+
+  return completeLogin(request, user, now, reason)
+}
+
+// Resolve the user behind a 2FA challenge token, refusing locked accounts
+async function loadChallengeUser(request, response, purpose) {
+  const userId = verify_challenge_token(request.body && request.body.twoFactorToken, purpose)
+  const user = await User.findById(userId)
+  if (!user) {
+    throw new AuthError('challenge_invalid', 'Invalid sign-in attempt. Please log in again.')
+  }
+
+  if (user.lock_until && user.lock_until > new Date()) {
+    response.status(429).json({
+      message: 'Too many failed login attempts. Your account is temporarily locked.',
+      retryAfterSeconds: get_lockout_seconds(user.lock_until)
+    })
+    return null
+  }
+
+  const block = getLoginBlock(user)
+  if (block) {
+    response.status(block.status).json(block.body)
+    return null
+  }
+
+  return user
+}
+
+function sendChallengeError(response, error) {
+  if (error instanceof AuthError) {
+    return response.status(error.status).json({ message: error.message, code: error.code })
+  }
+  if (error instanceof SessionStoreUnavailableError) {
+    return response.status(503).json({ message: error.message })
+  }
+  return null
+}
+
+// Seconds until another signup code may be sent (0 when allowed now)
+function getResendWaitSeconds(user, now) {
+  if (!user.pending_otp_sent_at) {
     return 0
   }
-  return Math.round(diffMs / 1000)
+  const elapsedSeconds = Math.floor((now.getTime() - user.pending_otp_sent_at.getTime()) / 1000)
+  return Math.max(0, SIGNUP_OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds)
 }
 
+// Generate a fresh signup code, reset its attempt counter and email it.
+// Returns the response payload shared by /register-otp and /resend-otp.
+async function issueSignupOtp(user, now) {
+  const otp = generate_otp()
+
+  user.pending_otp_hash = hash_otp(otp)
+  user.pending_otp_expires_at = new Date(now.getTime() + SIGNUP_OTP_TTL_MINUTES * 60 * 1000)
+  user.pending_otp_attempts = 0
+  user.pending_otp_sent_at = now
+
+  await user.save()
+
+  await sendOtpEmail(user.email, otp)
+
+  return {
+    ok: true,
+    message: 'Verification code has been sent to your email',
+    expiresInSeconds: SIGNUP_OTP_TTL_MINUTES * 60,
+    resendAvailableInSeconds: SIGNUP_OTP_RESEND_COOLDOWN_SECONDS,
+    maxAttempts: SIGNUP_OTP_MAX_ATTEMPTS
+  }
+}
+
+// ====== Invitation lookup ======
+// GET /api/auth/invitations/:token
+// Lets the signup page show who an invitation link is for before the form is submitted
+router.get('/invitations/:token', rate_limit('invitation_lookup'), async function (request, response) {
+  try {
+    const result = await check_invitation_token(request.params.token, new Date())
+    if (!result.ok) {
+      const failure = invitation_error(result)
+      return response.status(failure.status).json(failure.body)
+    }
+
+    return response.json({
+      email: result.invitation.email,
+      role: result.invitation.role,
+      expiresAt: result.invitation.expires_at
+    })
+  } catch (error) {
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /invitations lookup error:', message)
+    return response.status(500).json({ message: 'Could not check the invitation' })
+  }
+})
+
 // ====== Registration with OTP ======
 // POST /api/auth/register-otp
-router.post('/register-otp', async function (request, response) {
+// Everyone signs up as a farmer. Inspector and admin accounts need `inviteToken` from an
+// admin-issued invitation; the role is granted once the email is verified.
+router.post('/register-otp', rate_limit('register_otp'), async function (request, response) {
   try {
-    const { name, email, phone, password, role } = request.body || {}
+    const { name, email, phone, password, inviteToken } = request.body || {}
 
     const normalizedEmail = normalizeEmail(email)
 
@@ -129,6 +346,11 @@ router.post('/register-otp', async function (request, response) {
       return response.status(400).json({ message: passwordError })
     }
 
+    const normalizedPhone = phone ? normalize_phone(phone) : ''
+    if (phone && !normalizedPhone) {
+      return response.status(400).json({ message: 'Valid phone number is required' })
+    }
+
     let user = await User.findOne({ email: normalizedEmail })
 
     if (user && user.email_verified === true) {
@@ -137,57 +359,115 @@ router.post('/register-otp', async function (request, response) {
         .json({ message: 'An account with this email already exists' })
     }
 
+    const now = new Date()
+
+    let invitation = null
+    if (inviteToken) {
+      const result = await check_invitation_token(inviteToken, now)
+      if (!result.ok) {
+        const failure = invitation_error(result)
+        return response.status(failure.status).json(failure.body)
+      }
+      if (result.invitation.email !== normalizedEmail) {
+        return response.status(400).json({
+          message: 'This invitation was sent to a different email address.',
+          code: 'invitation_email_mismatch'
+        })
+      }
+      invitation = result.invitation
+    }
+
+    // Re-submitting the form must not bypass the resend cooldown
+    if (user) {
+      const waitSeconds = getResendWaitSeconds(user, now)
+      if (waitSeconds > 0) {
+        return response.status(429).json({
+          message: 'A verification code was sent recently. Please wait before requesting another one.',
+          retryAfterSeconds: waitSeconds
+        })
+      }
+    }
+
     const passwordHash = await bcrypt.hash(password, 10)
 
     if (!user) {
       user = new User({
         name: String(name).trim(),
         email: normalizedEmail,
-        phone: phone || null,
-        role: role || 'farmer',
+        phone: normalizedPhone || null,
+        phone_verified: false,
+        role: 'farmer',
         password_hash: passwordHash,
         email_verified: false
       })
     } else {
       user.name = String(name).trim()
-      user.phone = phone || user.phone || null
-      user.role = role || user.role || 'farmer'
+      if (normalizedPhone && normalizedPhone !== user.phone) {
+        user.phone = normalizedPhone
+        user.phone_verified = false
+      }
+      user.role = 'farmer'
       user.password_hash = passwordHash
       user.email_verified = false
     }
 
-    const otp = String(Math.floor(100000 + Math.random() * 900000))
-    const otpHash = await bcrypt.hash(otp, 10)
-
-    user.pending_otp_hash = otpHash
-    user.pending_otp_expires_at = new Date(Date.now() + 10 * 60 * 1000)
+    user.pending_invitation_id = invitation ? invitation._id : undefined
     user.failed_login_attempts = 0
     user.lock_until = null
 
-    await user.save()
+    const payload = await issueSignupOtp(user, now)
 
-    await sendOtpEmail(normalizedEmail, otp)
+    return response.json(payload)
+  } catch (error) {
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /register-otp error:', message)
+    return response.status(500).json({ message: 'Registration failed' })
+  }
+})
 
-    const payload = {
-      ok: true,
-      message: 'Verification code has been sent to your email'
+// ====== Resend signup OTP ======
+// POST /api/auth/resend-otp
+router.post('/resend-otp', rate_limit('resend_otp'), async function (request, response) {
+  try {
+    const { email } = request.body || {}
+
+    const normalizedEmail = normalizeEmail(email)
+
+    if (!validateEmail(normalizedEmail)) {
+      return response.status(400).json({ message: 'Valid email is required' })
+    }
+
+    const user = await User.findOne({ email: normalizedEmail })
+
+    if (!user || user.email_verified === true) {
+      return response
+        .status(400)
+        .json({ message: 'No pending signup found for this email. Please register again.' })
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      payload.debug_otp = otp
+    const now = new Date()
+    const waitSeconds = getResendWaitSeconds(user, now)
+    if (waitSeconds > 0) {
+      return response.status(429).json({
+        message: 'Please wait before requesting another code.',
+        retryAfterSeconds: waitSeconds
+      })
     }
 
+    const payload = await issueSignupOtp(user, now)
+    payload.message = 'A new verification code has been sent to your email'
+
     return response.json(payload)
   } catch (error) {
     const message = error && error.message ? error.message : error
-    console.error('[Auth] /register-otp error:', message)
-    return response.status(500).json({ message: 'Registration failed' })
+    console.error('[Auth] /resend-otp error:', message)
+    return response.status(500).json({ message: 'Could not resend verification code' })
   }
 })
 
 // ====== Verify OTP ======
 // POST /api/auth/verify-otp
-router.post('/verify-otp', async function (request, response) {
+router.post('/verify-otp', rate_limit('verify_otp'), async function (request, response) {
   try {
     const { email, otp } = request.body || {}
 
@@ -205,41 +485,108 @@ router.post('/verify-otp', async function (request, response) {
     const user = await User.findOne({ email: normalizedEmail })
 
     if (!user || !user.pending_otp_hash || !user.pending_otp_expires_at) {
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        event: 'otp_verification',
+        reason: 'no_pending_code'
+      })
       return response.status(400).json({ message: 'Invalid or expired verification code' })
     }
 
     const now = new Date()
     if (user.pending_otp_expires_at <= now) {
-      return response.status(400).json({ message: 'Verification code has expired' })
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        event: 'otp_verification',
+        reason: 'code_expired'
+      })
+      return response
+        .status(400)
+        .json({ message: 'Verification code has expired. Please request a new one.', code: 'otp_expired' })
     }
 
-    const isMatch = await bcrypt.compare(code, user.pending_otp_hash)
-    if (isMatch !== true) {
-      return response.status(400).json({ message: 'Invalid verification code' })
+    if (verify_otp(code, user.pending_otp_hash) !== true) {
+      user.pending_otp_attempts = (user.pending_otp_attempts || 0) + 1
+
+      const invalidated = user.pending_otp_attempts >= SIGNUP_OTP_MAX_ATTEMPTS
+      if (invalidated) {
+        // Burn the code so the remaining guesses cannot be used against it
+        user.pending_otp_hash = undefined
+        user.pending_otp_expires_at = undefined
+      }
+
+      await user.save()
+
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        event: 'otp_verification',
+        reason: invalidated ? 'code_invalidated' : 'wrong_code'
+      })
+
+      if (invalidated) {
+        return response.status(429).json({
+          message: 'Too many incorrect codes. Please request a new verification code.',
+          code: 'otp_invalidated'
+        })
+      }
+
+      return response.status(400).json({
+        message: 'Invalid verification code',
+        attemptsRemaining: SIGNUP_OTP_MAX_ATTEMPTS - user.pending_otp_attempts
+      })
     }
 
     user.email_verified = true
     user.pending_otp_hash = undefined
     user.pending_otp_expires_at = undefined
+    user.pending_otp_attempts = 0
+    user.pending_otp_sent_at = undefined
     user.failed_login_attempts = 0
     user.lock_until = null
 
+    // An invitation withdrawn or expired since signup leaves the account as a farmer
+    if (user.pending_invitation_id) {
+      const invitedRole = await redeem_invitation(user.pending_invitation_id, user, now)
+      if (invitedRole) {
+        user.role = invitedRole
+      }
+      user.pending_invitation_id = undefined
+    }
+
     await user.save()
 
-    const token = createTokenForUser(user)
+    await record_login_attempt(request, {
+      email: normalizedEmail,
+      user,
+      success: true,
+      event: 'otp_verification',
+      reason: 'email_verified'
+    })
 
-    const safeUser = {
-      id: user._id.toString(),
-      name: user.name,
-      email: user.email,
-      role: user.role || 'farmer'
+    // From here on this is a sign-in like /login: blocked accounts get no session, and 2FA
+    // policy (e.g. for an invited inspector) applies before any tokens are issued
+    const block = getLoginBlock(user)
+    if (block) {
+      return response.status(block.status).json(block.body)
     }
 
-    return response.json({
-      token,
-      user: safeUser
-    })
+    const result = await finishFirstFactor(request, user, now, 'email_verified')
+    if (result.status === 'ok') {
+      // The client sends the user on to SMS verification when a number was given at signup
+      result.phoneVerificationRequired = Boolean(user.phone && user.phone_verified !== true)
+    }
+
+    return response.json(result)
   } catch (error) {
+    if (error instanceof SessionStoreUnavailableError) {
+      return response.status(503).json({ message: error.message })
+    }
     const message = error && error.message ? error.message : error
     console.error('[Auth] /verify-otp error:', message)
     return response.status(500).json({ message: 'OTP verification failed' })
@@ -248,7 +595,7 @@ router.post('/verify-otp', async function (request, response) {
 
 // ====== Login ======
 // POST /api/auth/login
-router.post('/login', async function (request, response) {
+router.post('/login', rate_limit('login'), async function (request, response) {
   try {
     const { email, password } = request.body || {}
 
@@ -272,18 +619,29 @@ router.post('/login', async function (request, response) {
 
     if (!user) {
       console.log('[Auth][login] failed (no such user):', baseLog)
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        success: false,
+        reason: 'unknown_email'
+      })
       return response.status(401).json({ message: 'Invalid email or password' })
     }
 
     const now = new Date()
 
     if (user.lock_until && user.lock_until > now) {
-      const secondsLeft = getLockoutSeconds(user.lock_until)
+      const secondsLeft = get_lockout_seconds(user.lock_until)
       console.log('[Auth][login] locked out:', {
         ...baseLog,
         lockedUntil: user.lock_until.toISOString(),
         secondsLeft
       })
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        reason: 'account_locked'
+      })
 
       return response.status(429).json({
         message: 'Too many failed login attempts. Your account is temporarily locked.',
@@ -294,6 +652,12 @@ router.post('/login', async function (request, response) {
     const storedHash = user.password_hash || user.password
     if (!storedHash) {
       console.log('[Auth][login] failed (no password hash):', baseLog)
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        reason: 'no_password_set'
+      })
       return response.status(401).json({ message: 'Invalid email or password' })
     }
 
@@ -311,13 +675,26 @@ router.post('/login', async function (request, response) {
       await user.save()
 
       if (user.lock_until && user.lock_until > now) {
-        const secondsLeft = getLockoutSeconds(user.lock_until)
+        const secondsLeft = get_lockout_seconds(user.lock_until)
         console.log('[Auth][login] account locked due to repeated failures:', {
           ...baseLog,
           failedAttempts: user.failed_login_attempts,
           lockUntil: user.lock_until.toISOString(),
           secondsLeft
         })
+        await record_login_attempt(request, {
+          email: normalizedEmail,
+          user,
+          success: false,
+          reason: 'wrong_password'
+        })
+        await record_login_attempt(request, {
+          email: normalizedEmail,
+          user,
+          success: false,
+          event: 'lockout',
+          reason: 'too_many_failed_attempts'
+        })
 
         return response.status(429).json({
           message: 'Too many failed login attempts. Your account is temporarily locked.',
@@ -329,77 +706,463 @@ router.post('/login', async function (request, response) {
         ...baseLog,
         failedAttempts: user.failed_login_attempts
       })
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        reason: 'wrong_password'
+      })
 
       return response.status(401).json({ message: 'Invalid email or password' })
     }
 
-    user.failed_login_attempts = 0
-    user.lock_until = null
-    await user.save()
+    const block = getLoginBlock(user)
+    if (block) {
+      await record_login_attempt(request, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        reason: block.body.code
+      })
+      return response.status(block.status).json(block.body)
+    }
 
-    const token = createTokenForUser(user)
+    console.log('[Auth][login] password ok:', baseLog)
 
-    const safeUser = {
-      id: user._id.toString(),
-      name: user.name,
-      email: user.email,
-      role: user.role || 'farmer'
+    const payload = await finishFirstFactor(request, user, now, 'success')
+
+    return response.json(payload)
+  } catch (error) {
+    if (error instanceof SessionStoreUnavailableError) {
+      return response.status(503).json({ message: error.message })
     }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /login error:', message)
+    return response.status(500).json({ message: 'Login failed' })
+  }
+})
 
-    console.log('[Auth][login] success:', baseLog)
+// ====== Login with phone + SMS code ======
+// POST /api/auth/phone-login/request  { phone }
+// Answers the same way whether or not the number belongs to an account.
+router.post('/phone-login/request', rate_limit('phone_otp'), async function (request, response) {
+  try {
+    const normalizedPhone = normalize_phone(request.body && request.body.phone)
+    if (!normalizedPhone) {
+      return response.status(400).json({ message: 'Valid phone number is required' })
+    }
 
-    return response.json({
-      token,
-      user: safeUser
-    })
+    const payload = {
+      ok: true,
+      message: 'If this number is verified on an account, a login code has been sent by SMS'
+    }
+
+    const user = await User.findOne({ phone: normalizedPhone, phone_verified: true, email_verified: true })
+    if (!user) {
+      console.log('[Auth][phone-login] code requested for unknown number')
+      return response.json(payload)
+    }
+
+    const now = new Date()
+    if (get_phone_resend_wait_seconds(user, now) > 0) {
+      return response.json(payload)
+    }
+
+    const sent = await send_phone_code(user, 'login', now)
+
+    return response.json({ ...payload, ...sent })
   } catch (error) {
     const message = error && error.message ? error.message : error
-    console.error('[Auth] /login error:', message)
+    console.error('[Auth] /phone-login/request error:', message)
+    return response.status(500).json({ message: 'Could not send login code' })
+  }
+})
+
+// POST /api/auth/phone-login/verify  { phone, otp }
+router.post('/phone-login/verify', rate_limit('phone_otp_verify'), async function (request, response) {
+  try {
+    const { phone, otp } = request.body || {}
+
+    const normalizedPhone = normalize_phone(phone)
+    if (!normalizedPhone) {
+      return response.status(400).json({ message: 'Valid phone number is required' })
+    }
+    if (!otp || String(otp).trim().length < 4) {
+      return response.status(400).json({ message: 'Code is required' })
+    }
+
+    const user = await User.findOne({ phone: normalizedPhone, phone_verified: true, email_verified: true })
+    if (!user) {
+      return response.status(400).json({ message: 'Invalid or expired code' })
+    }
+
+    const now = new Date()
+
+    if (user.lock_until && user.lock_until > now) {
+      await record_login_attempt(request, {
+        email: user.email,
+        user,
+        success: false,
+        reason: 'account_locked'
+      })
+      return response.status(429).json({
+        message: 'Too many failed login attempts. Your account is temporarily locked.',
+        retryAfterSeconds: get_lockout_seconds(user.lock_until)
+      })
+    }
+
+    const result = await check_phone_code(user, 'login', otp, now)
+    if (!result.ok) {
+      await record_login_attempt(request, {
+        email: user.email,
+        user,
+        success: false,
+        reason: 'sms_' + result.reason
+      })
+      const failure = phone_code_error(result)
+      return response.status(failure.status).json(failure.body)
+    }
+
+    const block = getLoginBlock(user)
+    if (block) {
+      await record_login_attempt(request, {
+        email: user.email,
+        user,
+        success: false,
+        reason: block.body.code
+      })
+      return response.status(block.status).json(block.body)
+    }
+
+    console.log('[Auth][phone-login] code ok:', { email: user.email, ip: request.ip })
+
+    const payload = await finishFirstFactor(request, user, now, 'sms_code')
+
+    return response.json(payload)
+  } catch (error) {
+    if (error instanceof SessionStoreUnavailableError) {
+      return response.status(503).json({ message: error.message })
+    }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /phone-login/verify error:', message)
     return response.status(500).json({ message: 'Login failed' })
   }
 })
 
-// Optional legacy direct /register (without OTP) – kept for compatibility
-router.post('/register', async function (request, response) {
+// ====== Forgot password ======
+// POST /api/auth/forgot-password
+// Always answers with the same message so the endpoint cannot be used to probe for accounts.
+router.post('/forgot-password', rate_limit('forgot_password'), async function (request, response) {
   try {
-    const { name, email, phone, password, role } = request.body || {}
+    const { email } = request.body || {}
 
     const normalizedEmail = normalizeEmail(email)
 
-    if (!name || !String(name).trim()) {
-      return response.status(400).json({ message: 'Name is required' })
+    if (!validateEmail(normalizedEmail)) {
+      return response.status(400).json({ message: 'Valid email is required' })
+    }
+
+    const payload = {
+      ok: true,
+      message: 'If an account exists for this email, a password reset code has been sent'
+    }
+
+    const user = await User.findOne({ email: normalizedEmail })
+
+    if (!user || user.email_verified !== true) {
+      console.log('[Auth][forgot-password] no verified account:', { email: normalizedEmail, ip: request.ip })
+      return response.json(payload)
     }
 
+    const now = new Date()
+
+    // Inside the cooldown nothing is sent, but the answer stays the same as for an unknown
+    // email; per-email throttling is left to the forgot_password rate limit
+    if (user.reset_otp_requested_at) {
+      const elapsedSeconds = Math.floor((now.getTime() - user.reset_otp_requested_at.getTime()) / 1000)
+      if (elapsedSeconds < RESET_RESEND_COOLDOWN_SECONDS) {
+        return response.json(payload)
+      }
+    }
+
+    const otp = generate_otp()
+
+    user.reset_otp_hash = hash_otp(otp)
+    user.reset_otp_expires_at = new Date(now.getTime() + RESET_OTP_TTL_MINUTES * 60 * 1000)
+    user.reset_otp_attempts = 0
+    user.reset_otp_requested_at = now
+
+    await user.save()
+
+    try {
+      await send_password_reset_email(normalizedEmail, otp)
+    } catch (emailError) {
+      const emsg = emailError && emailError.message ? emailError.message : emailError
+      console.error('[Auth] Failed to send password reset email:', emsg)
+    }
+
+    return response.json(payload)
+  } catch (error) {
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /forgot-password error:', message)
+    return response.status(500).json({ message: 'Could not start password reset' })
+  }
+})
+
+// ====== Reset password ======
+// POST /api/auth/reset-password
+router.post('/reset-password', rate_limit('reset_password'), async function (request, response) {
+  try {
+    const { email, otp, newPassword } = request.body || {}
+
+    const normalizedEmail = normalizeEmail(email)
+    const code = String(otp || '').trim()
+    const newPasswordValue = typeof newPassword === 'string' ? newPassword : ''
+
     if (!validateEmail(normalizedEmail)) {
       return response.status(400).json({ message: 'Valid email is required' })
     }
 
-    const passwordError = validatePasswordStrength(password)
-    if (passwordError) {
-      return response.status(400).json({ message: passwordError })
+    if (!code) {
+      return response.status(400).json({ message: 'Reset code is required' })
     }
 
-    const existing = await User.findOne({ email: normalizedEmail })
-    if (existing) {
-      return response.status(400).json({ message: 'An account with this email already exists' })
+    const user = await User.findOne({ email: normalizedEmail })
+
+    if (!user || !user.reset_otp_hash || !user.reset_otp_expires_at) {
+      return response.status(400).json({ message: 'Invalid or expired reset code' })
     }
 
-    const passwordHash = await bcrypt.hash(password, 10)
+    const now = new Date()
+    if (user.reset_otp_expires_at <= now) {
+      return response.status(400).json({ message: 'Reset code has expired. Please request a new one.' })
+    }
+
+    if (verify_otp(code, user.reset_otp_hash) !== true) {
+      user.reset_otp_attempts = (user.reset_otp_attempts || 0) + 1
+
+      if (user.reset_otp_attempts >= RESET_MAX_ATTEMPTS) {
+        // Burn the code so it cannot be brute-forced
+        user.reset_otp_hash = undefined
+        user.reset_otp_expires_at = undefined
+        await user.save()
+
+        console.log('[Auth][reset-password] code invalidated after too many attempts:', {
+          email: normalizedEmail,
+          ip: request.ip
+        })
+
+        return response.status(429).json({
+          message: 'Too many incorrect codes. Please request a new password reset code.'
+        })
+      }
+
+      await user.save()
+
+      return response.status(400).json({
+        message: 'Invalid reset code',
+        attemptsRemaining: RESET_MAX_ATTEMPTS - user.reset_otp_attempts
+      })
+    }
+
+    const policyError = validate_new_password(newPasswordValue, user)
+    if (policyError) {
+      return response.status(400).json({ message: policyError })
+    }
+
+    const currentHash = get_current_password_hash(user)
+
+    if (currentHash) {
+      const sameAsCurrent = await bcrypt.compare(newPasswordValue, currentHash)
+      if (sameAsCurrent) {
+        return response
+          .status(400)
+          .json({ message: 'New password must be different from your current password' })
+      }
+    }
+
+    const passwordReused = await check_password_history(user, newPasswordValue)
+    if (passwordReused) {
+      return response
+        .status(400)
+        .json({ message: 'New password cannot reuse one of your recent passwords' })
+    }
 
-    const user = new User({
-      name: String(name).trim(),
+    // A successful reset also clears any login lockout
+    user.reset_otp_hash = undefined
+    user.reset_otp_expires_at = undefined
+    user.reset_otp_attempts = 0
+    user.failed_login_attempts = 0
+    user.lock_until = null
+    user.password_reset_required = false
+
+    await update_password(user, newPasswordValue, currentHash, now)
+
+    // Whoever knew the old password may still hold a session
+    try {
+      await revoke_all_sessions(user._id.toString())
+    } catch (revokeError) {
+      const rmsg = revokeError && revokeError.message ? revokeError.message : revokeError
+      console.error('[Auth] Failed to revoke sessions after password reset:', rmsg)
+    }
+
+    console.log('[Auth][reset-password] success:', {
       email: normalizedEmail,
-      phone: phone || null,
-      role: role || 'farmer',
-      password_hash: passwordHash,
-      email_verified: true,
-      failed_login_attempts: 0,
-      lock_until: null
+      ip: request.ip,
+      time: now.toISOString()
     })
 
-    await user.save()
+    try {
+      await send_password_change_email(user.email)
+    } catch (emailError) {
+      const emsg = emailError && emailError.message ? emailError.message : emailError
+      console.error('[Auth] Failed to send password change email:', emsg)
+    }
+
+    return response.json({ ok: true, message: 'Your password has been reset. You can now log in.' })
+  } catch (error) {
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /reset-password error:', message)
+    return response.status(500).json({ message: 'Password reset failed' })
+  }
+})
+
+// ====== Login: second factor ======
+// POST /api/auth/login/2fa  { twoFactorToken, code } or { twoFactorToken, recoveryCode }
+router.post('/login/2fa', rate_limit('two_factor'), async function (request, response) {
+  try {
+    const user = await loadChallengeUser(request, response, 'login_2fa')
+    if (!user) {
+      return
+    }
+
+    const { code, recoveryCode } = request.body || {}
+    if (!code && !recoveryCode) {
+      return response.status(400).json({ message: 'Authentication code or recovery code is required' })
+    }
+
+    const now = new Date()
+    const method = verify_second_factor(user, { code, recovery_code: recoveryCode })
+
+    if (!method) {
+      const lockedSeconds = await register_two_factor_failure(request, user, now)
+      if (lockedSeconds > 0) {
+        return response.status(429).json({
+          message: 'Too many failed login attempts. Your account is temporarily locked.',
+          retryAfterSeconds: lockedSeconds
+        })
+      }
+      return response.status(401).json({ message: 'Invalid authentication code' })
+    }
+
+    console.log('[Auth][login] success with 2FA:', { email: user.email, method })
+
+    const payload = await completeLogin(request, user, now, method === 'recovery_code' ? 'recovery_code' : 'success')
+    payload.recoveryCodesRemaining = user.totp_recovery_hashes.length
+
+    return response.json(payload)
+  } catch (error) {
+    if (sendChallengeError(response, error)) {
+      return
+    }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /login/2fa error:', message)
+    return response.status(500).json({ message: 'Login failed' })
+  }
+})
+
+// ====== Login: forced 2FA enrollment ======
+// When the security policy requires 2FA for the user's role, the login challenge
+// can only be completed by enrolling an authenticator app.
+
+// POST /api/auth/login/2fa/setup  { twoFactorToken }
+router.post('/login/2fa/setup', rate_limit('two_factor'), async function (request, response) {
+  try {
+    const user = await loadChallengeUser(request, response, '2fa_setup')
+    if (!user) {
+      return
+    }
+
+    const enrollment = await begin_enrollment(user)
+
+    return response.json(enrollment)
+  } catch (error) {
+    if (sendChallengeError(response, error)) {
+      return
+    }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /login/2fa/setup error:', message)
+    return response.status(500).json({ message: 'Could not start two-factor setup' })
+  }
+})
+
+// POST /api/auth/login/2fa/enable  { twoFactorToken, code }
+router.post('/login/2fa/enable', rate_limit('two_factor'), async function (request, response) {
+  try {
+    const user = await loadChallengeUser(request, response, '2fa_setup')
+    if (!user) {
+      return
+    }
+
+    const now = new Date()
+    const recoveryCodes = await confirm_enrollment(user, request.body && request.body.code)
+
+    if (!recoveryCodes) {
+      const lockedSeconds = await register_two_factor_failure(request, user, now)
+      if (lockedSeconds > 0) {
+        return response.status(429).json({
+          message: 'Too many failed login attempts. Your account is temporarily locked.',
+          retryAfterSeconds: lockedSeconds
+        })
+      }
+      return response.status(400).json({ message: 'Invalid authentication code' })
+    }
+
+    const payload = await completeLogin(request, user, now, 'success')
+    payload.recoveryCodes = recoveryCodes
+
+    return response.json(payload)
+  } catch (error) {
+    if (sendChallengeError(response, error)) {
+      return
+    }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /login/2fa/enable error:', message)
+    return response.status(500).json({ message: 'Could not enable two-factor authentication' })
+  }
+})
 
-    const token = createTokenForUser(user)
+// ====== Refresh access token ======
+// POST /api/auth/refresh
+// Exchanges a refresh token for a new access token and a rotated refresh token.
+router.post('/refresh', rate_limit('refresh'), async function (request, response) {
+  try {
+    const { refreshToken } = request.body || {}
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return response.status(400).json({ message: 'Refresh token is required' })
+    }
+
+    const rotated = await rotate_refresh_token(refreshToken, {
+      ip: get_client_ip(request),
+      user_agent: get_user_agent(request)
+    })
+
+    if (!rotated) {
+      return response
+        .status(401)
+        .json({ message: 'Your session has ended. Please log in again.', code: 'session_revoked' })
+    }
+
+    const user = await User.findById(rotated.user_id)
+    if (!user || getLoginBlock(user)) {
+      await revoke_session(rotated.session_id)
+      return response
+        .status(401)
+        .json({ message: 'Your session has ended. Please log in again.', code: 'session_revoked' })
+    }
+
+    const token = sign_access_token(user, rotated.session_id)
 
     const safeUser = {
       id: user._id.toString(),
@@ -410,12 +1173,38 @@ router.post('/register', async function (request, response) {
 
     return response.json({
       token,
+      refreshToken: rotated.refresh_token,
       user: safeUser
     })
   } catch (error) {
+    if (error instanceof SessionStoreUnavailableError) {
+      return response.status(503).json({ message: error.message })
+    }
     const message = error && error.message ? error.message : error
-    console.error('[Auth] /register error:', message)
-    return response.status(500).json({ message: 'Registration failed' })
+    console.error('[Auth] /refresh error:', message)
+    return response.status(500).json({ message: 'Could not refresh session' })
+  }
+})
+
+// ====== Logout ======
+// POST /api/auth/logout
+// Revokes the session behind the given refresh token. Always succeeds so clients can clear local state.
+router.post('/logout', async function (request, response) {
+  try {
+    const { refreshToken } = request.body || {}
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await revoke_refresh_token(refreshToken)
+    }
+
+    return response.json({ ok: true, message: 'Logged out' })
+  } catch (error) {
+    if (error instanceof SessionStoreUnavailableError) {
+      return response.status(503).json({ message: error.message })
+    }
+    const message = error && error.message ? error.message : error
+    console.error('[Auth] /logout error:', message)
+    return response.status(500).json({ message: 'Logout failed' })
   }
 })
 
@@ -1,6 +1,6 @@
 const express = require('express')
-const jwt = require('jsonwebtoken')
 const OpenAI = require('openai')
+const { require_auth } = require('../middleware/auth')
 
 const router = express.Router()
 
@@ -8,23 +8,6 @@ const openai_client = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 })
 
-function get_auth_user(request) {
-  const auth_header = request.headers.authorization || ''
-  if (!auth_header.startsWith('Bearer ')) {
-    return null
-  }
-  const token = auth_header.slice(7)
-  if (!token) {
-    return null
-  }
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET)
-    return payload
-  } catch (error) {
-    return null
-  }
-}
-
 function build_system_prompt(diagnosis_payload, auth_user) {
   const lines = []
 
@@ -113,14 +96,8 @@ function normalize_messages(raw_messages) {
   return normalized
 }
 
-router.post('/', async function (request, response) {
+router.post('/', require_auth, async function (request, response) {
   try {
-    const auth_user = get_auth_user(request)
-    if (!auth_user) {
-      response.status(401).json({ message: 'Unauthorized' })
-      return
-    }
-
     if (!process.env.OPENAI_API_KEY) {
       response.status(501).json({
         message: 'Chat service not configured',
@@ -151,7 +128,7 @@ router.post('/', async function (request, response) {
       return
     }
 
-    const system_prompt = build_system_prompt(diagnosis_payload, auth_user)
+    const system_prompt = build_system_prompt(diagnosis_payload, request.user)
 
     const model_name = process.env.OPENAI_MODEL || 'gpt-4.1-mini'
 
@@ -1,48 +1,25 @@
+const crypto = require('crypto')
 const express = require('express')
-const axios = require('axios')
 const multer = require('multer')
-const FormData = require('form-data')
-const jwt = require('jsonwebtoken')
-const rateLimit = require('express-rate-limit')
-const Diagnosis = require('../models/Diagnosis')
+const { require_auth, require_permission } = require('../middleware/auth')
+const { rate_limit } = require('../middleware/rate_limit')
+const { save_diagnosis } = require('../diagnosis_records')
+const { is_quality_check_enabled, check_image_quality, quality_error_message } = require('../image_quality')
+const { UnsupportedImageError, is_accepted_image, normalize_upload } = require('../image_normalize')
+const {
+  DiagnosisQueueUnavailableError,
+  enqueue_diagnosis_job,
+  get_diagnosis_job,
+  format_diagnosis_job
+} = require('../diagnosis_jobs')
+const { get_ml_service_url, get_error_message, call_ml_service } = require('../ml_client')
+const { DISEASE_CLASSES } = require('../disease_classes')
+const { apply_certainty_policy } = require('../certainty_policy')
+const { enrich_with_knowledge } = require('../disease_knowledge')
 
 const router = express.Router()
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 8 * 1024 * 1024 } })
 
-const diagnose_limiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 requests per window
-  message: { message: 'Too many diagnosis requests, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-})
-
-function get_auth_user(request) {
-  const auth_header = request.headers.authorization || ''
-  if (!auth_header.startsWith('Bearer ')) {
-    return null
-  }
-  const token = auth_header.slice(7)
-  if (!token) {
-    return null
-  }
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET)
-    return payload
-  } catch (error) {
-    console.error('JWT verification failed:', error.message)
-    return null
-  }
-}
-
-function get_ml_service_url() {
-  const url = process.env.ML_SERVICE_URL || ''
-  if (typeof url === 'string' && url.trim().length > 0) {
-    return url.trim().replace(/\/+$/, '')
-  }
-  return ''
-}
-
 function validate_image_file(file) {
   if (!file) {
     return { valid: false, message: 'Image is required in field "image"' }
@@ -53,35 +30,81 @@ function validate_image_file(file) {
     return { valid: false, message: 'Image size exceeds 10MB limit' }
   }
   
-  const allowed_types = ['image/jpeg', 'image/jpg', 'image/png']
-  if (!allowed_types.includes(file.mimetype)) {
-    return { valid: false, message: 'Invalid image type. Only JPG and PNG are allowed' }
+  if (!is_accepted_image(file)) {
+    return { valid: false, message: 'Invalid image type. Use JPG, PNG, WebP or HEIC' }
   }
   
   return { valid: true }
 }
 
-function get_error_message(status) {
-  if (status === 404) return 'ML service unavailable'
-  if (status === 415) return 'Unsupported image format'
-  if (status === 429) return 'Service temporarily busy'
-  return 'Diagnosis request failed'
+// Convert an upload to a clean JPEG and run the quality gate. Returns { file } with the photo
+// to diagnose and store, or { status, body } when it is refused.
+async function prepare_upload(file) {
+  let normalized
+  try {
+    normalized = await normalize_upload(file)
+  } catch (error) {
+    if (error instanceof UnsupportedImageError) {
+      return { status: 415, body: { message: error.message, code: 'unsupported_image' } }
+    }
+    throw error
+  }
+
+  // Blurry, dark or leafless photos still get a confident answer from the model
+  if (is_quality_check_enabled()) {
+    const quality = await check_image_quality(normalized.buffer)
+    if (!quality.ok) {
+      return {
+        status: 422,
+        body: { message: quality_error_message(quality.issues), code: 'image_quality', issues: quality.issues }
+      }
+    }
+  }
+
+  return { file: normalized }
 }
 
-router.post('/', diagnose_limiter, upload.single('image'), async (req, res) => {
-  // Priority 1: Check authentication FIRST
-  const auth_user = get_auth_user(req)
-  if (!auth_user) {
-    res.status(401).json({ message: 'Unauthorized' })
-    return
+// The photo's GPS position, sent as plain fields because uploads are stripped of EXIF data.
+// Returns null unless both values are present and in range.
+function parse_location(latitude, longitude) {
+  if (latitude === undefined || latitude === null || latitude === '' || longitude === undefined || longitude === null || longitude === '') {
+    return null
   }
-  
-  // Priority 2: Validate image
+  const lat = Number(latitude)
+  const lng = Number(longitude)
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null
+  }
+  return { latitude: lat, longitude: lng }
+}
+
+// Batch uploads send `locations` as a JSON array lined up with the images (null where unknown)
+function parse_batch_locations(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return []
+  }
+  try {
+    const parsed = JSON.parse(value)
+    return Array.isArray(parsed) ? parsed.map((entry) => (entry ? parse_location(entry.latitude, entry.longitude) : null)) : []
+  } catch {
+    return []
+  }
+}
+
+// Authentication runs before multer so unauthenticated uploads are never buffered
+router.post('/', require_auth, require_permission('diagnosis:create'), rate_limit('diagnose'), upload.single('image'), async (req, res) => {
+  // Priority 1: Validate image
   const validation = validate_image_file(req.file)
   if (!validation.valid) {
     res.status(400).json({ message: validation.message })
     return
   }
+
+  const prepared = await prepare_upload(req.file)
+  if (!prepared.file) {
+    res.status(prepared.status).json(prepared.body)
+    return
+  }
   
   const ml_base = get_ml_service_url()
   if (!ml_base) {
@@ -89,36 +112,22 @@ router.post('/', diagnose_limiter, upload.single('image'), async (req, res) => {
     return
   }
   try {
-    const form = new FormData()
-    const filename = req.file.originalname || 'uploaded.jpg'
-    const content_type = req.file.mimetype || 'image/jpeg'
-    form.append('image', req.file.buffer, { filename, contentType: content_type })
-    const url = `${ml_base}/api/diagnose`
-    const ml_resp = await axios.post(url, form, { headers: form.getHeaders(), timeout: 30000 })
-    if (!ml_resp?.data) {
+    // confident / ambiguous / inconclusive, so the app does not show a near-tie as one answer,
+    // plus the knowledge base entry for the diagnosed label
+    const ml_data = await enrich_with_knowledge(apply_certainty_policy(await call_ml_service(ml_base, prepared.file)))
+
+    const record = await save_diagnosis(req.user.id, prepared.file, ml_data, {
+      location: parse_location(req.body?.latitude, req.body?.longitude)
+    })
+    
+    // The id lets the farmer send feedback on this result; null when it could not be saved
+    res.json({ ...ml_data, id: record ? record._id.toString() : null })
+  } catch (err) {
+    if (err.empty_response) {
       res.status(502).json({ message: 'Empty response from ML service' })
       return
     }
-    
-    // Save diagnosis to database
-    try {
-      const diagnosis_record = new Diagnosis({
-        user_id: auth_user.userId,
-        diagnosis: ml_resp.data.diagnosis,
-        confidence: ml_resp.data.confidence,
-        alternatives: ml_resp.data.alternatives || [],
-        recommendations: ml_resp.data.recommendations || [],
-        processing_ms: ml_resp.data.processing_ms
-      })
-      await diagnosis_record.save()
-    } catch (error_) {
-      console.error('Failed to save diagnosis to database:', error_.message || error_)
-      // Continue even if saving fails - user still gets result
-    }
-    
-    res.json(ml_resp.data)
-  } catch (err) {
-    // Priority 3: Log detailed error but return generic message
+    // Priority 2: Log detailed error but return generic message
     console.error('Diagnosis error:', err.message || err)
     const status = err?.response?.status ?? null
     const safe_message = get_error_message(status)
@@ -126,4 +135,194 @@ router.post('/', diagnose_limiter, upload.single('image'), async (req, res) => {
   }
 })
 
+// GET /api/diagnose/classes  -> every label the model can predict, e.g. for correcting a result
+router.get('/classes', require_auth, (req, res) => {
+  res.json({ classes: DISEASE_CLASSES })
+})
+
+// ====== Batch diagnosis ======
+const BATCH_MAX_IMAGES = Number.parseInt(process.env.DIAGNOSE_BATCH_MAX_IMAGES || '10', 10)
+const HEALTHY_LABEL = 'healthy'
+
+// Turn multer's limit errors into the usual { message } 400 instead of an HTML error page
+function accept_uploads(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send at most ${BATCH_MAX_IMAGES} images in field "images"`
+          : error.code === 'LIMIT_FILE_SIZE'
+            ? 'Image size exceeds 8MB limit'
+            : 'Invalid upload'
+        res.status(400).json({ message })
+        return
+      }
+      next(error)
+    })
+  }
+}
+
+// Majority class, mean confidence and share of images showing any disease,
+// over the images that were diagnosed successfully
+function summarize_batch(results) {
+  const succeeded = results.filter((result) => result.ok)
+
+  const counts = {}
+  for (const result of succeeded) {
+    counts[result.diagnosis] = (counts[result.diagnosis] || 0) + 1
+  }
+
+  let majority_class = null
+  let majority_count = 0
+  for (const label of Object.keys(counts)) {
+    if (counts[label] > majority_count) {
+      majority_class = label
+      majority_count = counts[label]
+    }
+  }
+
+  const confidence_sum = succeeded.reduce((sum, result) => sum + (Number(result.confidence) || 0), 0)
+  const infected = succeeded.filter((result) => String(result.diagnosis).toLowerCase() !== HEALTHY_LABEL).length
+  const uncertain = succeeded.filter((result) => result.certainty && result.certainty !== 'confident').length
+
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    majorityClass: majority_class,
+    majorityCount: majority_count,
+    classCounts: counts,
+    meanConfidence: succeeded.length > 0 ? confidence_sum / succeeded.length : null,
+    shareInfected: succeeded.length > 0 ? infected / succeeded.length : null,
+    uncertainCount: uncertain
+  }
+}
+
+// POST /api/diagnose/batch  multipart: images[] (up to BATCH_MAX_IMAGES), field? (free-text field/plot tag),
+//   locations? (JSON array of { latitude, longitude } or null, one per image)
+// Images are diagnosed one after another; a failed image does not fail the batch.
+router.post(
+  '/batch',
+  require_auth,
+  require_permission('diagnosis:create'),
+  rate_limit('diagnose_batch'),
+  accept_uploads(upload.array('images', BATCH_MAX_IMAGES)),
+  async (req, res) => {
+    const files = Array.isArray(req.files) ? req.files : []
+    if (files.length === 0) {
+      res.status(400).json({ message: 'At least one image is required in field "images"' })
+      return
+    }
+
+    const ml_base = get_ml_service_url()
+    if (!ml_base) {
+      res.status(501).json({ message: 'ML service not configured', detail: 'Set ML_SERVICE_URL in the backend environment' })
+      return
+    }
+
+    const field = typeof req.body?.field === 'string' ? req.body.field.trim().slice(0, 100) : ''
+    const batch_id = crypto.randomUUID()
+    const locations = parse_batch_locations(req.body?.locations)
+
+    const results = []
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index]
+      const filename = file.originalname || `image-${index + 1}`
+
+      const validation = validate_image_file(file)
+      if (!validation.valid) {
+        results.push({ index, filename, ok: false, message: validation.message })
+        continue
+      }
+
+      const prepared = await prepare_upload(file)
+      if (!prepared.file) {
+        results.push({ index, filename, ok: false, ...prepared.body })
+        continue
+      }
+
+      try {
+        const ml_data = await enrich_with_knowledge(apply_certainty_policy(await call_ml_service(ml_base, prepared.file)))
+        const record = await save_diagnosis(req.user.id, prepared.file, ml_data, {
+          field,
+          batch_id,
+          location: locations[index] || null
+        })
+        results.push({ index, filename, ok: true, id: record ? record._id.toString() : null, ...ml_data })
+      } catch (err) {
+        console.error('Batch diagnosis error:', err.message || err)
+        const message = err.empty_response ? 'Empty response from ML service' : get_error_message(err?.response?.status ?? null)
+        results.push({ index, filename, ok: false, message })
+      }
+    }
+
+    res.json({
+      batchId: batch_id,
+      field: field || null,
+      results,
+      summary: summarize_batch(results)
+    })
+  }
+)
+
+// ====== Background diagnosis jobs ======
+// POST /api/diagnose/jobs  multipart: image, field?, latitude?, longitude?
+// Stores the photo and answers 202 with a job id straight away; the ML call happens in the
+// background worker (see diagnosis_jobs.js) and is retried while the ML service is down.
+router.post('/jobs', require_auth, require_permission('diagnosis:create'), rate_limit('diagnose'), upload.single('image'), async (req, res) => {
+  const validation = validate_image_file(req.file)
+  if (!validation.valid) {
+    res.status(400).json({ message: validation.message })
+    return
+  }
+
+  const prepared = await prepare_upload(req.file)
+  if (!prepared.file) {
+    res.status(prepared.status).json(prepared.body)
+    return
+  }
+
+  if (!get_ml_service_url()) {
+    res.status(501).json({ message: 'ML service not configured', detail: 'Set ML_SERVICE_URL in the backend environment' })
+    return
+  }
+
+  const field = typeof req.body?.field === 'string' ? req.body.field.trim().slice(0, 100) : ''
+
+  try {
+    const job_id = await enqueue_diagnosis_job(req.user.id, prepared.file, {
+      field,
+      location: parse_location(req.body?.latitude, req.body?.longitude)
+    })
+    res.status(202).json({ jobId: job_id, status: 'queued' })
+  } catch (err) {
+    if (err instanceof DiagnosisQueueUnavailableError) {
+      res.status(503).json({ message: 'Diagnosis queue unavailable, please try again shortly', code: 'queue_unavailable' })
+      return
+    }
+    console.error('Failed to queue diagnosis job:', err.message || err)
+    res.status(500).json({ message: 'Could not queue the diagnosis' })
+  }
+})
+
+// GET /api/diagnose/jobs/:id  -> job status; result and diagnosisId once status is "done"
+router.get('/jobs/:id', require_auth, require_permission('diagnosis:create'), rate_limit('diagnose_job_status'), async (req, res) => {
+  try {
+    const job = await get_diagnosis_job(String(req.params.id))
+    // Other users' jobs look the same as unknown ones
+    if (!job || job.user_id !== String(req.user.id)) {
+      res.status(404).json({ message: 'Job not found' })
+      return
+    }
+    res.json(format_diagnosis_job(req.params.id, job))
+  } catch (err) {
+    if (err instanceof DiagnosisQueueUnavailableError) {
+      res.status(503).json({ message: 'Diagnosis queue unavailable, please try again shortly', code: 'queue_unavailable' })
+      return
+    }
+    console.error('Failed to read diagnosis job:', err.message || err)
+    res.status(500).json({ message: 'Could not read the diagnosis job' })
+  }
+})
+
 module.exports = router
@@ -1,37 +1,24 @@
 const express = require('express')
-const jwt = require('jsonwebtoken')
 const mongoose = require('mongoose')
 const Diagnosis = require('../models/Diagnosis')
+const { require_auth, require_permission } = require('../middleware/auth')
+const { has_permission } = require('../permissions')
+const { ImageNotFoundError, open_image } = require('../image_storage')
+const { find_disease_class } = require('../disease_classes')
+const { build_history_filter, parse_history_paging, encode_history_cursor } = require('../history_query')
+const { rate_limit } = require('../middleware/rate_limit')
+const { read_report_token, format_report_verification, render_diagnosis_report } = require('../diagnosis_report')
+const { EXPORT_FORMATS, stream_history_export } = require('../history_export')
 
 const router = express.Router()
 
-function get_auth_user(request) {
-  const auth_header = request.headers.authorization || ''
-  if (!auth_header.startsWith('Bearer ')) {
-    return null
-  }
-  const token = auth_header.slice(7)
-  if (!token) {
-    return null
-  }
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET)
-    return payload
-  } catch (error) {
-    // Log authentication errors (minimal logging to avoid information leakage)
-    console.debug('JWT verification failed:', error.name || 'Authentication error')
-    return null
-  }
-}
-
-// Get all diagnoses for the authenticated user
-router.get('/', async (req, res) => {
+// Get the authenticated user's diagnoses.
+// Filters: see history_query.js (label, minConfidence, maxConfidence, from, to, field,
+// reviewStatus, tag, deleted). sort: newest (default) | oldest | confidence_desc | confidence_asc.
+// Paging: pass the nextCursor of the previous page as `cursor`; skip still works for older
+// clients but is ignored when a cursor is given. total counts every match.
+router.get('/', require_auth, require_permission('history:read_own'), async (req, res) => {
   try {
-    const auth_user = get_auth_user(req)
-    if (!auth_user) {
-      return res.status(401).json({ message: 'Unauthorized' })
-    }
-
     let limit = parseInt(req.query.limit) || 50
     if (isNaN(limit) || limit <= 0) {
       limit = 50
@@ -45,20 +32,43 @@ router.get('/', async (req, res) => {
       skip = 0
     }
 
-    const diagnoses = await Diagnosis.find({ user_id: auth_user.userId })
-      .sort({ created_at: -1 })
-      .limit(limit)
-      .skip(skip)
-      .select('-__v')
-      .lean()
+    const parsed = build_history_filter(req.user.id, req.query)
+    if (!parsed.filter) {
+      return res.status(parsed.status).json(parsed.body)
+    }
+    const paging = parse_history_paging(req.query)
+    if (!paging.sort) {
+      return res.status(paging.status).json(paging.body)
+    }
+
+    let page_query = parsed.filter
+    if (paging.cursor_filter) {
+      page_query = { $and: [parsed.filter, paging.cursor_filter] }
+      skip = 0
+    }
+
+    // One extra row tells whether there is a next page
+    const [rows, total] = await Promise.all([
+      Diagnosis.find(page_query)
+        .sort(paging.sort)
+        .skip(skip)
+        .limit(limit + 1)
+        .select('-__v')
+        .lean(),
+      Diagnosis.countDocuments(parsed.filter)
+    ])
 
-    const total = await Diagnosis.countDocuments({ user_id: auth_user.userId })
+    const diagnoses = rows.slice(0, limit)
+    const next_cursor = rows.length > limit
+      ? encode_history_cursor(diagnoses[diagnoses.length - 1], paging.sort_name)
+      : null
 
     res.json({
       diagnoses,
       total,
       limit,
-      skip
+      skip,
+      nextCursor: next_cursor
     })
   } catch (error) {
     console.error('Error fetching diagnosis history:', error.message || error)
@@ -66,14 +76,126 @@ router.get('/', async (req, res) => {
   }
 })
 
-// Get a specific diagnosis by ID
-router.get('/:id', async (req, res) => {
+const STATS_INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+}
+
+function is_valid_time_zone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Diagnoses per disease over time, for charts and dashboard widgets.
+// Takes the same filters as GET /api/history, plus interval (day | week (default) | month,
+// ISO weeks like "2026-W42") and timeZone (IANA name, default UTC) for where periods start.
+// -> { interval, timeZone, total, totals: { label: count }, series: [{ period, total, counts }] }
+router.get('/stats', require_auth, require_permission('history:read_own'), async (req, res) => {
   try {
-    const auth_user = get_auth_user(req)
-    if (!auth_user) {
-      return res.status(401).json({ message: 'Unauthorized' })
+    const interval = req.query.interval || 'week'
+    if (!STATS_INTERVAL_FORMATS[interval]) {
+      return res.status(400).json({ message: 'interval must be one of: ' + Object.keys(STATS_INTERVAL_FORMATS).join(', ') })
+    }
+    const time_zone = typeof req.query.timeZone === 'string' && req.query.timeZone ? req.query.timeZone : 'UTC'
+    if (!is_valid_time_zone(time_zone)) {
+      return res.status(400).json({ message: 'Unknown timeZone' })
     }
 
+    // Aggregation does not cast ids the way find() does
+    const parsed = build_history_filter(new mongoose.Types.ObjectId(req.user.id), req.query)
+    if (!parsed.filter) {
+      return res.status(parsed.status).json(parsed.body)
+    }
+
+    const groups = await Diagnosis.aggregate([
+      { $match: parsed.filter },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: STATS_INTERVAL_FORMATS[interval], date: '$created_at', timezone: time_zone } },
+            label: '$diagnosis'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+
+    const totals = {}
+    const periods = new Map()
+    let total = 0
+    for (const group of groups) {
+      const { period, label } = group._id
+      totals[label] = (totals[label] || 0) + group.count
+      total += group.count
+      if (!periods.has(period)) {
+        periods.set(period, { period, total: 0, counts: {} })
+      }
+      const entry = periods.get(period)
+      entry.counts[label] = group.count
+      entry.total += group.count
+    }
+
+    res.json({
+      interval,
+      timeZone: time_zone,
+      total,
+      totals,
+      series: [...periods.values()].sort((a, b) => a.period.localeCompare(b.period))
+    })
+  } catch (error) {
+    console.error('Error fetching diagnosis stats:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Download every diagnosis matching the history filters (see history_query.js) as
+// format=csv (default) or json, streamed in the list's `sort` order. Includes alternatives,
+// feedback, notes and inspector reviews; see history_export.js for the columns.
+router.get('/export', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
+    const format = req.query.format === undefined || req.query.format === '' ? 'csv' : req.query.format
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: 'format must be one of: ' + Object.keys(EXPORT_FORMATS).join(', ') })
+    }
+
+    const parsed = build_history_filter(req.user.id, req.query)
+    if (!parsed.filter) {
+      return res.status(parsed.status).json(parsed.body)
+    }
+    const paging = parse_history_paging({ sort: req.query.sort })
+    if (!paging.sort) {
+      return res.status(paging.status).json(paging.body)
+    }
+
+    const cursor = Diagnosis.find(parsed.filter)
+      .sort(paging.sort)
+      .select('-image -thumbnail -knowledge -__v')
+      .lean()
+      .cursor()
+
+    const date = new Date().toISOString().slice(0, 10)
+    res.set('Content-Type', EXPORT_FORMATS[format].content_type)
+    res.set('Content-Disposition', 'attachment; filename="diagnosis-history-' + date + '.' + EXPORT_FORMATS[format].extension + '"')
+    res.set('Cache-Control', 'private, no-store')
+    await stream_history_export(res, cursor, format)
+  } catch (error) {
+    console.error('Error exporting diagnosis history:', error.message || error)
+    // Once the download has started the only way to signal the failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Get a specific diagnosis by ID
+router.get('/:id', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
     // Validate and sanitize the ID parameter to prevent NoSQL injection
     const rawId = req.params.id
     if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
@@ -86,7 +208,7 @@ router.get('/:id', async (req, res) => {
     // Query using sanitized ObjectId - prevents NoSQL injection
     const diagnosis = await Diagnosis.findOne({
       _id: sanitizedObjectId,
-      user_id: auth_user.userId
+      user_id: req.user.id
     }).select('-__v').lean()
 
     if (!diagnosis) {
@@ -100,4 +222,361 @@ router.get('/:id', async (req, res) => {
   }
 })
 
+// Stream the stored photo (`image`) or its thumbnail (`thumbnail`) of a diagnosis.
+// The farmer who ran it can see it, and so can inspectors reviewing diagnoses.
+async function send_diagnosis_image(req, res, field) {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const query = { _id: new mongoose.Types.ObjectId(rawId) }
+    if (!has_permission(req.user.role, 'diagnosis:read_any')) {
+      query.user_id = req.user.id
+    }
+
+    const diagnosis = await Diagnosis.findOne(query).select('image thumbnail').lean()
+    if (!diagnosis || !diagnosis[field]) {
+      return res.status(404).json({ message: 'Image not found' })
+    }
+
+    const ref = diagnosis[field]
+    const stream = await open_image(ref)
+
+    res.set('Content-Type', ref.content_type || 'application/octet-stream')
+    res.set('Cache-Control', 'private, max-age=86400')
+    if (ref.size) {
+      res.set('Content-Length', String(ref.size))
+    }
+
+    stream.on('error', (error) => {
+      console.error('Error streaming diagnosis image:', error.message || error)
+      res.destroy(error)
+    })
+    stream.pipe(res)
+  } catch (error) {
+    if (error instanceof ImageNotFoundError) {
+      return res.status(404).json({ message: 'Image not found' })
+    }
+    console.error('Error fetching diagnosis image:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+}
+
+const FEEDBACK_VERDICTS = ['correct', 'incorrect', 'unsure']
+const FEEDBACK_NOTE_MAX_LENGTH = 1000
+
+// Farmer feedback on one of their diagnoses.
+// Body: { verdict: 'correct' | 'incorrect' | 'unsure', correctedLabel?, note? }
+// correctedLabel must be one of the model's classes and is only kept for "incorrect".
+// Sending feedback again replaces the previous one.
+router.patch('/:id/feedback', require_auth, require_permission('history:feedback_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const verdict = typeof req.body?.verdict === 'string' ? req.body.verdict : ''
+    if (!FEEDBACK_VERDICTS.includes(verdict)) {
+      return res.status(400).json({ message: 'verdict must be one of: ' + FEEDBACK_VERDICTS.join(', ') })
+    }
+
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : ''
+    if (note.length > FEEDBACK_NOTE_MAX_LENGTH) {
+      return res.status(400).json({ message: `Note must be at most ${FEEDBACK_NOTE_MAX_LENGTH} characters` })
+    }
+
+    const diagnosis = await Diagnosis.findOne({
+      _id: new mongoose.Types.ObjectId(rawId),
+      user_id: req.user.id,
+      deleted_at: { $exists: false }
+    })
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'Diagnosis not found' })
+    }
+
+    let corrected_label
+    if (verdict === 'incorrect' && req.body.correctedLabel) {
+      corrected_label = find_disease_class(req.body.correctedLabel)
+      if (!corrected_label) {
+        return res.status(400).json({ message: 'Unknown disease label', code: 'unknown_label' })
+      }
+      if (corrected_label === diagnosis.diagnosis) {
+        return res.status(400).json({ message: 'The corrected label is the same as the diagnosis', code: 'same_label' })
+      }
+    }
+
+    diagnosis.feedback = {
+      verdict,
+      corrected_label,
+      note: note || undefined,
+      updated_at: new Date()
+    }
+    await diagnosis.save()
+
+    const saved = diagnosis.toObject()
+    delete saved.__v
+    res.json(saved)
+  } catch (error) {
+    console.error('Error saving diagnosis feedback:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+const NOTES_MAX_LENGTH = 2000
+const FIELD_MAX_LENGTH = 100
+const TAG_MAX_LENGTH = 40
+const TAGS_MAX_COUNT = 20
+
+// Tags are trimmed, lowercased and de-duplicated. Returns { tags } or { message }.
+function parse_tags(value) {
+  if (!Array.isArray(value)) {
+    return { message: 'tags must be a list of strings' }
+  }
+  const tags = []
+  for (const raw of value) {
+    if (typeof raw !== 'string') {
+      return { message: 'tags must be a list of strings' }
+    }
+    const tag = raw.trim().toLowerCase()
+    if (tag.length > TAG_MAX_LENGTH) {
+      return { message: `Each tag must be at most ${TAG_MAX_LENGTH} characters` }
+    }
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag)
+    }
+  }
+  if (tags.length > TAGS_MAX_COUNT) {
+    return { message: `At most ${TAGS_MAX_COUNT} tags` }
+  }
+  return { tags }
+}
+
+// The farmer's own context on a diagnosis.
+// Body: { notes?, tags?: [], field? } - only the keys sent are changed; an empty value clears it.
+router.patch('/:id', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const body = req.body || {}
+    const changes = {}
+    const removals = {}
+
+    if (body.notes !== undefined) {
+      if (body.notes !== null && typeof body.notes !== 'string') {
+        return res.status(400).json({ message: 'notes must be a string' })
+      }
+      const notes = (body.notes || '').trim()
+      if (notes.length > NOTES_MAX_LENGTH) {
+        return res.status(400).json({ message: `Notes must be at most ${NOTES_MAX_LENGTH} characters` })
+      }
+      if (notes) {
+        changes.notes = notes
+      } else {
+        removals.notes = ''
+      }
+    }
+
+    if (body.field !== undefined) {
+      if (body.field !== null && typeof body.field !== 'string') {
+        return res.status(400).json({ message: 'field must be a string' })
+      }
+      const field = (body.field || '').trim()
+      if (field.length > FIELD_MAX_LENGTH) {
+        return res.status(400).json({ message: `Field name must be at most ${FIELD_MAX_LENGTH} characters` })
+      }
+      if (field) {
+        changes.field = field
+      } else {
+        removals.field = ''
+      }
+    }
+
+    if (body.tags !== undefined) {
+      const parsed = parse_tags(body.tags === null ? [] : body.tags)
+      if (parsed.message) {
+        return res.status(400).json({ message: parsed.message })
+      }
+      if (parsed.tags.length > 0) {
+        changes.tags = parsed.tags
+      } else {
+        removals.tags = ''
+      }
+    }
+
+    if (Object.keys(changes).length === 0 && Object.keys(removals).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update; send notes, tags or field' })
+    }
+
+    const update = {}
+    if (Object.keys(changes).length > 0) {
+      update.$set = changes
+    }
+    if (Object.keys(removals).length > 0) {
+      update.$unset = removals
+    }
+
+    const diagnosis = await Diagnosis.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(rawId), user_id: req.user.id, deleted_at: { $exists: false } },
+      update,
+      { new: true, runValidators: true }
+    ).select('-__v').lean()
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'Diagnosis not found' })
+    }
+
+    res.json(diagnosis)
+  } catch (error) {
+    console.error('Error updating diagnosis:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Soft delete: the diagnosis disappears from history, stats and the review queue but keeps
+// its photo, so POST /:id/restore can bring it back. List deleted ones with ?deleted=true.
+router.delete('/:id', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const diagnosis = await Diagnosis.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(rawId), user_id: req.user.id, deleted_at: { $exists: false } },
+      { $set: { deleted_at: new Date() } },
+      { new: true }
+    ).select('-__v').lean()
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'Diagnosis not found' })
+    }
+
+    res.json(diagnosis)
+  } catch (error) {
+    console.error('Error deleting diagnosis:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+router.post('/:id/restore', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const diagnosis = await Diagnosis.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(rawId), user_id: req.user.id, deleted_at: { $exists: true } },
+      { $unset: { deleted_at: '' } },
+      { new: true }
+    ).select('-__v').lean()
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'No deleted diagnosis with this ID' })
+    }
+
+    res.json(diagnosis)
+  } catch (error) {
+    console.error('Error restoring diagnosis:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Farmer asks an inspector to look at one of their diagnoses, typically an ambiguous or
+// inconclusive one. It then shows up in the inspector review queue (routes/review.js).
+// Asking again is harmless; a diagnosis that was already reviewed answers 409.
+router.post('/:id/review-request', require_auth, require_permission('history:feedback_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const diagnosis = await Diagnosis.findOne({
+      _id: new mongoose.Types.ObjectId(rawId),
+      user_id: req.user.id,
+      deleted_at: { $exists: false }
+    })
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'Diagnosis not found' })
+    }
+    if (diagnosis.review_status) {
+      return res.status(409).json({ message: 'An inspector has already reviewed this diagnosis', code: 'already_reviewed' })
+    }
+
+    if (!diagnosis.review_requested_at) {
+      diagnosis.review_requested_at = new Date()
+      await diagnosis.save()
+    }
+
+    const saved = diagnosis.toObject()
+    delete saved.__v
+    res.json(saved)
+  } catch (error) {
+    console.error('Error requesting diagnosis review:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Public check of a printed report: the QR code on it carries a signed token for the record.
+// No sign-in; answers only with the result shown on the report (see diagnosis_report.js).
+router.get('/verify/:token', rate_limit('report_verify'), async (req, res) => {
+  try {
+    const id = read_report_token(req.params.token)
+    if (!id) {
+      return res.status(404).json({ message: 'This report could not be verified', code: 'report_not_found' })
+    }
+
+    const diagnosis = await Diagnosis.findOne({
+      _id: new mongoose.Types.ObjectId(id),
+      deleted_at: { $exists: false }
+    }).lean()
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'This report could not be verified', code: 'report_not_found' })
+    }
+
+    res.set('Cache-Control', 'no-store')
+    res.json(format_report_verification(diagnosis))
+  } catch (error) {
+    console.error('Error verifying diagnosis report:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// Printable PDF of one of the farmer's diagnoses (see diagnosis_report.js)
+router.get('/:id/report.pdf', require_auth, require_permission('history:read_own'), async (req, res) => {
+  try {
+    const rawId = req.params.id
+    if (!rawId || typeof rawId !== 'string' || !mongoose.Types.ObjectId.isValid(rawId)) {
+      return res.status(400).json({ message: 'Invalid diagnosis ID format' })
+    }
+
+    const diagnosis = await Diagnosis.findOne({
+      _id: new mongoose.Types.ObjectId(rawId),
+      user_id: req.user.id,
+      deleted_at: { $exists: false }
+    }).lean()
+    if (!diagnosis) {
+      return res.status(404).json({ message: 'Diagnosis not found' })
+    }
+
+    const pdf = await render_diagnosis_report(diagnosis)
+
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', 'attachment; filename="diagnosis-report-' + rawId + '.pdf"')
+    res.set('Cache-Control', 'private, no-store')
+    res.send(pdf)
+  } catch (error) {
+    console.error('Error creating diagnosis report:', error.message || error)
+    res.status(500).json({ message: 'Request failed' })
+  }
+})
+
+router.get('/:id/image', require_auth, (req, res) => send_diagnosis_image(req, res, 'image'))
+
+router.get('/:id/thumbnail', require_auth, (req, res) => send_diagnosis_image(req, res, 'thumbnail'))
+
 module.exports = router
@@ -0,0 +1,210 @@
+const express = require('express')
+const mongoose = require('mongoose')
+const Diagnosis = require('../models/Diagnosis')
+const User = require('../models/User')
+const { require_auth, require_permission } = require('../middleware/auth')
+const { send_diagnosis_review_email } = require('../email_service')
+const { find_disease_class } = require('../disease_classes')
+
+const router = express.Router()
+
+// Everything here is for inspectors (and admins)
+router.use(require_auth, require_permission('diagnosis:review'))
+
+// Diagnoses the model was less sure about than this go to the review queue
+const REVIEW_CONFIDENCE_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || '0.6')
+const REVIEW_NOTES_MAX_LENGTH = 2000
+
+const UNCERTAIN_LEVELS = ['ambiguous', 'inconclusive']
+
+// Why a diagnosis is in the queue: low model confidence or an uncertain result, the farmer
+// said it was wrong, and/or the farmer asked for an inspector
+function review_reasons(diagnosis) {
+  const reasons = []
+  if (diagnosis.confidence < REVIEW_CONFIDENCE_THRESHOLD || UNCERTAIN_LEVELS.includes(diagnosis.certainty)) {
+    reasons.push('low_confidence')
+  }
+  if (diagnosis.feedback && diagnosis.feedback.verdict === 'incorrect') {
+    reasons.push('farmer_flagged')
+  }
+  if (diagnosis.review_requested_at) {
+    reasons.push('farmer_requested')
+  }
+  return reasons
+}
+
+function format_review_item(diagnosis) {
+  const farmer = diagnosis.user_id && typeof diagnosis.user_id === 'object' && diagnosis.user_id.name !== undefined
+    ? diagnosis.user_id
+    : null
+
+  return {
+    id: diagnosis._id.toString(),
+    diagnosis: diagnosis.diagnosis,
+    confidence: diagnosis.confidence,
+    certainty: diagnosis.certainty || null,
+    alternatives: diagnosis.alternatives || [],
+    recommendations: diagnosis.recommendations || [],
+    field: diagnosis.field || null,
+    location: diagnosis.location || null,
+    hasImage: Boolean(diagnosis.image),
+    createdAt: diagnosis.created_at,
+    reviewRequestedAt: diagnosis.review_requested_at || null,
+    farmer: farmer ? { name: farmer.name || null, district: farmer.district || null } : null,
+    feedback: diagnosis.feedback
+      ? {
+          verdict: diagnosis.feedback.verdict,
+          correctedLabel: diagnosis.feedback.corrected_label || null,
+          note: diagnosis.feedback.note || null
+        }
+      : null,
+    reasons: review_reasons(diagnosis),
+    review: diagnosis.review_status
+      ? {
+          status: diagnosis.review_status,
+          reviewerId: diagnosis.reviewer_id ? diagnosis.reviewer_id.toString() : null,
+          reviewedLabel: diagnosis.reviewed_label || null,
+          notes: diagnosis.review_notes || null,
+          reviewedAt: diagnosis.reviewed_at || null
+        }
+      : null
+  }
+}
+
+// ==== GET /api/review/queue ====
+// Filters: reason (low_confidence | farmer_flagged | farmer_requested, default all), status (pending | reviewed,
+// default pending), limit, skip. Newest first.
+router.get('/queue', async function (request, response) {
+  try {
+    const reason = request.query.reason
+    const needs_review = []
+    if (!reason || reason === 'low_confidence') {
+      needs_review.push({ confidence: { $lt: REVIEW_CONFIDENCE_THRESHOLD } })
+      needs_review.push({ certainty: { $in: UNCERTAIN_LEVELS } })
+    }
+    if (!reason || reason === 'farmer_flagged') {
+      needs_review.push({ 'feedback.verdict': 'incorrect' })
+    }
+    if (!reason || reason === 'farmer_requested') {
+      needs_review.push({ review_requested_at: { $exists: true } })
+    }
+    if (needs_review.length === 0) {
+      response.status(400).json({ message: 'reason must be low_confidence, farmer_flagged or farmer_requested' })
+      return
+    }
+
+    const query = { $or: needs_review, deleted_at: { $exists: false } }
+    if (request.query.status === 'reviewed') {
+      query.review_status = { $exists: true }
+    } else {
+      query.review_status = { $exists: false }
+    }
+
+    let limit = Number.parseInt(request.query.limit, 10) || 20
+    if (limit <= 0) {
+      limit = 20
+    }
+    if (limit > 100) {
+      limit = 100
+    }
+
+    let skip = Number.parseInt(request.query.skip, 10) || 0
+    if (skip < 0) {
+      skip = 0
+    }
+
+    const [diagnoses, total] = await Promise.all([
+      Diagnosis.find(query)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user_id', 'name district')
+        .lean(),
+      Diagnosis.countDocuments(query)
+    ])
+
+    response.json({
+      items: diagnoses.map(format_review_item),
+      total,
+      limit,
+      skip,
+      threshold: REVIEW_CONFIDENCE_THRESHOLD
+    })
+  } catch (error) {
+    console.error('Error loading review queue:', error.message || error)
+    response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+// ==== POST /api/review/:id ====
+// Body: { action: 'confirm' | 'relabel', label? (required to relabel), notes? }
+// Reviewing again replaces the earlier verdict. The farmer is emailed either way.
+router.post('/:id', async function (request, response) {
+  try {
+    const raw_id = request.params.id
+    if (!raw_id || typeof raw_id !== 'string' || !mongoose.Types.ObjectId.isValid(raw_id)) {
+      response.status(400).json({ message: 'Invalid diagnosis ID format' })
+      return
+    }
+
+    const action = request.body?.action
+    if (action !== 'confirm' && action !== 'relabel') {
+      response.status(400).json({ message: 'action must be "confirm" or "relabel"' })
+      return
+    }
+
+    const notes = typeof request.body?.notes === 'string' ? request.body.notes.trim() : ''
+    if (notes.length > REVIEW_NOTES_MAX_LENGTH) {
+      response.status(400).json({ message: `Notes must be at most ${REVIEW_NOTES_MAX_LENGTH} characters` })
+      return
+    }
+
+    const diagnosis = await Diagnosis.findOne({ _id: new mongoose.Types.ObjectId(raw_id), deleted_at: { $exists: false } })
+    if (!diagnosis) {
+      response.status(404).json({ message: 'Diagnosis not found' })
+      return
+    }
+
+    let reviewed_label = diagnosis.diagnosis
+    if (action === 'relabel') {
+      reviewed_label = find_disease_class(request.body?.label)
+      if (!reviewed_label) {
+        response.status(400).json({ message: 'Choose a known disease label to relabel', code: 'unknown_label' })
+        return
+      }
+      if (reviewed_label === diagnosis.diagnosis) {
+        response.status(400).json({ message: 'The new label is the same as the diagnosis; confirm it instead', code: 'same_label' })
+        return
+      }
+    }
+
+    diagnosis.review_status = action === 'confirm' ? 'confirmed' : 'relabeled'
+    diagnosis.reviewer_id = request.user.id
+    diagnosis.reviewed_label = reviewed_label
+    diagnosis.review_notes = notes || undefined
+    diagnosis.reviewed_at = new Date()
+    await diagnosis.save()
+
+    const farmer = await User.findById(diagnosis.user_id).select('email').lean()
+    try {
+      await send_diagnosis_review_email(farmer ? farmer.email : '', {
+        diagnosis: diagnosis.diagnosis,
+        created_at: diagnosis.created_at,
+        review_status: diagnosis.review_status,
+        reviewed_label,
+        review_notes: diagnosis.review_notes
+      })
+    } catch (error) {
+      // The verdict is saved and shows in the farmer's history even if the email fails
+      console.error('Failed to send review email:', error.message || error)
+    }
+
+    const saved = await Diagnosis.findById(diagnosis._id).populate('user_id', 'name district').lean()
+    response.json(format_review_item(saved))
+  } catch (error) {
+    console.error('Error saving review:', error.message || error)
+    response.status(500).json({ message: 'Request failed' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,82 @@
+// ====== Bootstrap the first admin ======
+// Admin and inspector accounts can only be created by an existing admin (through
+// invitations), so a fresh deployment needs one promoted by hand:
+//
+//   1. Sign up through the app as usual and verify the email address.
+//   2. From backend/, run:  npm run create-admin -- someone@example.com
+//
+// Uses the same .env (MONGODB_URI, REDIS_URL) as the server. The user's sessions are ended so
+// the next sign-in carries the admin role.
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '.env') })
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const { connect_redis, redis_client } = require('../redis_client')
+const { revoke_all_sessions } = require('../session_store')
+
+async function end_sessions(user) {
+  try {
+    await connect_redis()
+    await revoke_all_sessions(user._id.toString())
+  } catch (error) {
+    console.warn('Could not end existing sessions (' + (error?.message || error) + '); sign out and back in to pick up the role.')
+  }
+}
+
+async function main() {
+  const email = String(process.argv[2] || '').trim().toLowerCase()
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>')
+    return 1
+  }
+
+  const mongo_uri = process.env.MONGODB_URI || process.env.MONGO_URI
+  if (!mongo_uri) {
+    console.error('MONGODB_URI / MONGO_URI is not defined in environment variables')
+    return 1
+  }
+  await mongoose.connect(mongo_uri)
+
+  const user = await User.findOne({ email })
+  if (!user) {
+    console.error('No account with email ' + email + '. Sign up through the app first.')
+    return 1
+  }
+  if (user.email_verified !== true) {
+    console.error(email + ' has not verified its email address yet.')
+    return 1
+  }
+  if (user.disabled_at) {
+    console.error(email + ' is disabled.')
+    return 1
+  }
+
+  if (user.role === 'admin') {
+    console.log(email + ' is already an admin.')
+    return 0
+  }
+
+  const previous_role = user.role || 'farmer'
+  user.role = 'admin'
+  user.pending_invitation_id = undefined
+  await user.save()
+  await end_sessions(user)
+
+  console.log('[Admin][role-changed]', { by: 'create-admin script', user: user._id.toString(), from: previous_role, to: 'admin' })
+  console.log(email + ' is now an admin.')
+  return 0
+}
+
+main()
+  .then(function (code) {
+    process.exitCode = code
+  })
+  .catch(function (error) {
+    console.error('create-admin failed:', error?.message || error)
+    process.exitCode = 1
+  })
+  .finally(async function () {
+    await mongoose.disconnect().catch(function () {})
+    if (redis_client.isOpen) {
+      await redis_client.quit().catch(function () {})
+    }
+  })
@@ -5,9 +5,26 @@ const fs = require('fs')
 const path = require('path')
 const mongoose = require('mongoose')
 const { connect_redis } = require('./redis_client')
+const { start_account_deletion_worker } = require('./account_deletion')
+const { start_diagnosis_job_worker } = require('./diagnosis_jobs')
 
 const app = express()
 
+// How many reverse proxies (Render's load balancer, nginx, ...) sit in front of the app, or
+// their addresses. request.ip then comes from the X-Forwarded-For entry the nearest trusted
+// proxy added, which the client cannot forge. Unset means the app faces clients directly.
+function parse_trust_proxy(value) {
+  if (!value || value === 'false') {
+    return false
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value)
+  }
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean)
+}
+
+app.set('trust proxy', parse_trust_proxy(process.env.TRUST_PROXY))
+
 const mongo_uri = process.env.MONGODB_URI || process.env.MONGO_URI
 
 if (!mongo_uri) {
@@ -212,6 +229,48 @@ if (chat_mounted === false) {
   })
 }
 
+const admin_router_path = path.resolve(__dirname, 'routes', 'admin.js')
+const admin_exists = fs.existsSync(admin_router_path)
+let admin_mounted = false
+
+try {
+  if (admin_exists === true) {
+    const admin_router = require(admin_router_path)
+    app.use('/api/admin', admin_router)
+    admin_mounted = true
+  }
+} catch (error) {
+  console.error('Failed to mount admin router:', error.message || error)
+}
+
+if (admin_mounted === false) {
+  app.use('/api/admin', function (request, response) {
+    const payload = { ok: false, message: 'Admin router not mounted' }
+    response.status(501).json(payload)
+  })
+}
+
+const review_router_path = path.resolve(__dirname, 'routes', 'review.js')
+const review_exists = fs.existsSync(review_router_path)
+let review_mounted = false
+
+try {
+  if (review_exists === true) {
+    const review_router = require(review_router_path)
+    app.use('/api/review', review_router)
+    review_mounted = true
+  }
+} catch (error) {
+  console.error('Failed to mount review router:', error.message || error)
+}
+
+if (review_mounted === false) {
+  app.use('/api/review', function (request, response) {
+    const payload = { ok: false, message: 'Review router not mounted' }
+    response.status(501).json(payload)
+  })
+}
+
 app.use(function (error, request, response, next) {
   const is_cors_error = error && error.message === 'Not allowed by CORS'
   if (is_cors_error === true) {
@@ -232,6 +291,9 @@ async function start_server() {
     console.error('Redis connection error:', message)
   }
 
+  start_account_deletion_worker()
+  start_diagnosis_job_worker()
+
   const port = process.env.PORT || 5000
   app.listen(port, function () {})
 }
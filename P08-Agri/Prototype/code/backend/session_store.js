@@ -0,0 +1,194 @@
+const crypto = require('crypto')
+const { redis_client } = require('./redis_client')
+
+// How long a refresh token (and therefore a session) stays valid without being used
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10)
+const REFRESH_TOKEN_TTL_SECONDS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60
+
+const KEY_PREFIX = 'agriqual:'
+
+class SessionStoreUnavailableError extends Error {
+  constructor() {
+    super('Session service unavailable')
+    this.name = 'SessionStoreUnavailableError'
+    this.status = 503
+  }
+}
+
+function session_key(session_id) {
+  return KEY_PREFIX + 'session:' + session_id
+}
+
+function user_sessions_key(user_id) {
+  return KEY_PREFIX + 'user_sessions:' + user_id
+}
+
+function hash_secret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex')
+}
+
+function ensure_ready() {
+  if (redis_client.isReady !== true) {
+    throw new SessionStoreUnavailableError()
+  }
+}
+
+// Refresh tokens look like "<session id>.<secret>"; only a hash of the secret is stored
+function parse_refresh_token(refresh_token) {
+  const value = typeof refresh_token === 'string' ? refresh_token.trim() : ''
+  const dot_index = value.indexOf('.')
+  if (dot_index <= 0 || dot_index === value.length - 1) {
+    return null
+  }
+  return {
+    session_id: value.slice(0, dot_index),
+    secret: value.slice(dot_index + 1)
+  }
+}
+
+async function create_session(user_id, meta = {}) {
+  ensure_ready()
+
+  const session_id = crypto.randomUUID()
+  const secret = crypto.randomBytes(32).toString('hex')
+  const now_iso = new Date().toISOString()
+
+  await redis_client
+    .multi()
+    .hSet(session_key(session_id), {
+      user_id: String(user_id),
+      refresh_hash: hash_secret(secret),
+      created_at: now_iso,
+      last_used_at: now_iso,
+      ip: String(meta.ip || ''),
+      user_agent: String(meta.user_agent || '')
+    })
+    .expire(session_key(session_id), REFRESH_TOKEN_TTL_SECONDS)
+    .sAdd(user_sessions_key(user_id), session_id)
+    .expire(user_sessions_key(user_id), REFRESH_TOKEN_TTL_SECONDS)
+    .exec()
+
+  return {
+    session_id,
+    refresh_token: session_id + '.' + secret
+  }
+}
+
+async function revoke_session(session_id) {
+  ensure_ready()
+
+  const session = await redis_client.hGetAll(session_key(session_id))
+  const multi = redis_client.multi().del(session_key(session_id))
+  if (session && session.user_id) {
+    multi.sRem(user_sessions_key(session.user_id), session_id)
+  }
+  await multi.exec()
+}
+
+async function revoke_all_sessions(user_id) {
+  ensure_ready()
+
+  const session_ids = await redis_client.sMembers(user_sessions_key(user_id))
+  const keys = session_ids.map(session_key)
+  keys.push(user_sessions_key(user_id))
+
+  await redis_client.del(keys)
+
+  return session_ids.length
+}
+
+// Load the session behind a refresh token and check its secret.
+// Returns { session_id, session, matches } or null when no such session exists.
+async function load_refresh_session(refresh_token) {
+  const parsed = parse_refresh_token(refresh_token)
+  if (!parsed) {
+    return null
+  }
+
+  const session = await redis_client.hGetAll(session_key(parsed.session_id))
+  if (!session || !session.user_id || !session.refresh_hash) {
+    return null
+  }
+
+  const presented = Buffer.from(hash_secret(parsed.secret), 'hex')
+  const expected = Buffer.from(session.refresh_hash, 'hex')
+  const matches = presented.length === expected.length && crypto.timingSafeEqual(presented, expected)
+
+  return {
+    session_id: parsed.session_id,
+    session,
+    matches
+  }
+}
+
+// Swap the refresh secret for a new one. Presenting an already-rotated secret means the
+// token was copied, so the whole session is revoked.
+// Returns { session_id, user_id, refresh_token } or null when the token is not valid.
+async function rotate_refresh_token(refresh_token, meta = {}) {
+  ensure_ready()
+
+  const loaded = await load_refresh_session(refresh_token)
+  if (!loaded) {
+    return null
+  }
+
+  const { session_id, session } = loaded
+
+  if (loaded.matches !== true) {
+    console.warn('[Session] refresh token reuse detected, revoking session', session_id)
+    await revoke_session(session_id)
+    return null
+  }
+
+  const key = session_key(session_id)
+  const secret = crypto.randomBytes(32).toString('hex')
+
+  await redis_client
+    .multi()
+    .hSet(key, {
+      refresh_hash: hash_secret(secret),
+      last_used_at: new Date().toISOString(),
+      ip: String(meta.ip || session.ip || ''),
+      user_agent: String(meta.user_agent || session.user_agent || '')
+    })
+    .expire(key, REFRESH_TOKEN_TTL_SECONDS)
+    .expire(user_sessions_key(session.user_id), REFRESH_TOKEN_TTL_SECONDS)
+    .exec()
+
+  return {
+    session_id,
+    user_id: session.user_id,
+    refresh_token: session_id + '.' + secret
+  }
+}
+
+// Used by logout: only the current holder of the refresh token may end its session
+async function revoke_refresh_token(refresh_token) {
+  ensure_ready()
+
+  const loaded = await load_refresh_session(refresh_token)
+  if (!loaded || loaded.matches !== true) {
+    return false
+  }
+
+  await revoke_session(loaded.session_id)
+  return true
+}
+
+async function is_session_active(session_id, user_id) {
+  ensure_ready()
+
+  const owner = await redis_client.hGet(session_key(session_id), 'user_id')
+  return Boolean(owner) && owner === String(user_id)
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_SECONDS,
+  SessionStoreUnavailableError,
+  create_session,
+  revoke_session,
+  revoke_all_sessions,
+  rotate_refresh_token,
+  revoke_refresh_token,
+  is_session_active
+}
@@ -0,0 +1,94 @@
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+
+// ====== SMS providers ======
+// SMS_PROVIDER picks how text messages leave the server:
+//   console - print to the server log (default, for local development)
+//   file    - append to SMS_OUTBOX_FILE as JSON lines (dev / automated testing)
+//   http    - POST { to, message, sender } to SMS_HTTP_URL (production gateway)
+const SMS_PROVIDER = (process.env.SMS_PROVIDER || 'console').toLowerCase()
+const SMS_SENDER = process.env.SMS_SENDER || 'AgriQual'
+
+const providers = {
+  console: {
+    async send(to, message) {
+      console.log('[SMS] to', to + ':', message)
+    }
+  },
+
+  file: {
+    async send(to, message) {
+      const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, 'sms_outbox.log')
+      const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() })
+      await fs.promises.appendFile(outbox, line + '\n')
+    }
+  },
+
+  http: {
+    async send(to, message) {
+      const url = process.env.SMS_HTTP_URL
+      if (!url) {
+        throw new Error('SMS_HTTP_URL is not configured')
+      }
+
+      const headers = { 'Content-Type': 'application/json' }
+      if (process.env.SMS_HTTP_TOKEN) {
+        headers.Authorization = 'Bearer ' + process.env.SMS_HTTP_TOKEN
+      }
+
+      await axios.post(url, { to, message, sender: SMS_SENDER }, { headers, timeout: 10000 })
+    }
+  }
+}
+
+function get_provider() {
+  const provider = providers[SMS_PROVIDER]
+  if (!provider) {
+    throw new Error('Unknown SMS provider: ' + SMS_PROVIDER)
+  }
+  return provider
+}
+
+// Normalize to E.164 ("+923001234567"). Numbers starting with a single 0 get
+// SMS_DEFAULT_COUNTRY_CODE. Returns '' when the value cannot be a phone number.
+function normalize_phone(phone) {
+  let value = String(phone || '').trim().replace(/[\s\-().]/g, '')
+  if (!value) {
+    return ''
+  }
+
+  if (value.startsWith('00')) {
+    value = '+' + value.slice(2)
+  } else if (value.startsWith('0')) {
+    const country_code = String(process.env.SMS_DEFAULT_COUNTRY_CODE || '92').replace(/\D/g, '')
+    value = '+' + country_code + value.slice(1)
+  } else if (!value.startsWith('+')) {
+    value = '+' + value
+  }
+
+  if (!/^\+[1-9]\d{7,14}$/.test(value)) {
+    return ''
+  }
+
+  return value
+}
+
+async function send_sms(to, message) {
+  const recipient = normalize_phone(to)
+  if (!recipient || !message) {
+    return
+  }
+
+  await get_provider().send(recipient, message)
+}
+
+async function send_phone_otp_sms(phone, otp) {
+  await send_sms(phone, 'Your AgriQual code is ' + otp + '. It expires in 10 minutes. Do not share it with anyone.')
+}
+
+module.exports = {
+  normalize_phone,
+  send_sms,
+  send_phone_otp_sms
+}
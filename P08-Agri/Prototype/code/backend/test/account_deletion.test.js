@@ -0,0 +1,100 @@
+const { describe, test, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { stub_module } = require('./helpers/stub_module')
+
+const deleted_images = []
+use_fake_redis()
+stub_module('image_storage', {
+  delete_diagnosis_images: async function (images) {
+    deleted_images.push(images)
+  }
+})
+const User = require('../models/User')
+const Diagnosis = require('../models/Diagnosis')
+const Complaint = require('../models/Complaint')
+const PasswordHistory = require('../models/PasswordHistory')
+const PasswordSecurity = require('../models/PasswordSecurity')
+const LoginAttempt = require('../models/LoginAttempt')
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  schedule_account_deletion,
+  cancel_account_deletion,
+  purge_due_accounts
+} = require('../account_deletion')
+const { create_session, is_session_active } = require('../session_store')
+
+const user = { _id: { toString: () => '64b000000000000000000001' }, email: 'ayesha@example.com' }
+
+let calls
+
+function record(model, name, result) {
+  mock.method(model, name, function (...args) {
+    calls.push([model.modelName + '.' + name, args])
+    return result === undefined ? Promise.resolve({}) : result
+  })
+}
+
+beforeEach(function () {
+  calls = []
+  mock.method(console, 'log', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('schedule_account_deletion', function () {
+  test('sets the purge date after the grace period and can be cancelled', function () {
+    const account = {}
+    const now = new Date('2025-03-01T00:00:00Z')
+
+    schedule_account_deletion(account, now)
+    assert.equal(account.deletion_requested_at, now)
+    assert.equal(
+      account.deletion_scheduled_for.getTime() - now.getTime(),
+      ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    )
+
+    cancel_account_deletion(account)
+    assert.equal(account.deletion_scheduled_for, undefined)
+  })
+})
+
+describe('purge_due_accounts', function () {
+  test('removes the data, photos and sessions of accounts past their grace period', async function () {
+    const photo = { image: { key: 'a.jpg' }, thumbnail: { key: 'a_thumb.jpg' } }
+    const session = await create_session(user._id.toString())
+
+    record(User, 'find', Promise.resolve([user]))
+    record(Diagnosis, 'find', { select: () => ({ lean: async () => [photo] }) })
+    record(Diagnosis, 'deleteMany')
+    record(Complaint, 'updateMany')
+    record(PasswordHistory, 'deleteMany')
+    record(PasswordSecurity, 'deleteMany')
+    record(LoginAttempt, 'deleteMany')
+    record(User, 'deleteOne')
+
+    const now = new Date()
+    assert.equal(await purge_due_accounts(now), 1)
+
+    const names = calls.map(([name]) => name)
+    assert.deepEqual(calls[0][1][0], { deletion_scheduled_for: { $lte: now } })
+    for (const name of [
+      'Diagnosis.deleteMany',
+      'Complaint.updateMany',
+      'PasswordHistory.deleteMany',
+      'PasswordSecurity.deleteMany',
+      'LoginAttempt.deleteMany',
+      'User.deleteOne'
+    ]) {
+      assert.ok(names.includes(name), name + ' was not called')
+    }
+    // Help tickets are kept but anonymised
+    const complaint_update = calls.find(([name]) => name === 'Complaint.updateMany')[1][1]
+    assert.equal(complaint_update.$set.userEmail, 'deleted-user@invalid')
+    assert.equal(names.at(-1), 'User.deleteOne')
+    assert.equal(await is_session_active(session.session_id, user._id.toString()), false)
+    assert.deepEqual(deleted_images, [photo])
+  })
+})
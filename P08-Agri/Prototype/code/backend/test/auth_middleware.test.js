@@ -0,0 +1,115 @@
+const { describe, test, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const jwt = require('jsonwebtoken')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { fake_request, fake_response, run_middleware } = require('./helpers/http')
+
+const redis = use_fake_redis()
+const {
+  JWT_SECRET,
+  sign_access_token,
+  issue_session_tokens,
+  verify_access_token,
+  require_auth,
+  require_permission
+} = require('../middleware/auth')
+const { revoke_session } = require('../session_store')
+
+const user = { _id: '64b000000000000000000001', role: 'inspector', email: 'ayesha@example.com' }
+
+function bearer(token) {
+  return fake_request({ headers: { authorization: 'Bearer ' + token } })
+}
+
+beforeEach(function () {
+  redis.isReady = true
+  redis.store.clear()
+})
+
+describe('verify_access_token', function () {
+  test('maps the token claims onto request.user', function () {
+    const token = sign_access_token(user, 'session-1')
+    const claims = verify_access_token(token)
+
+    assert.equal(claims.id, user._id)
+    assert.equal(claims.role, 'inspector')
+    assert.equal(claims.email, 'ayesha@example.com')
+    assert.equal(claims.session_id, 'session-1')
+    assert.ok(claims.token_id)
+  })
+
+  test('gives every token its own id', function () {
+    const first = verify_access_token(sign_access_token(user, 'session-1'))
+    const second = verify_access_token(sign_access_token(user, 'session-1'))
+    assert.notEqual(first.token_id, second.token_id)
+  })
+
+  test('reports expired, forged and sessionless tokens with distinct codes', function () {
+    const expired = jwt.sign({ sub: user._id, sid: 's', exp: Math.floor(Date.now() / 1000) - 10 }, JWT_SECRET)
+    const forged = jwt.sign({ sub: user._id, sid: 's' }, 'another-secret')
+    const sessionless = jwt.sign({ sub: user._id, role: 'admin' }, JWT_SECRET)
+
+    assert.throws(() => verify_access_token(''), { code: 'token_missing' })
+    assert.throws(() => verify_access_token(expired), { code: 'token_expired' })
+    assert.throws(() => verify_access_token(forged), { code: 'token_invalid' })
+    assert.throws(() => verify_access_token(sessionless), { code: 'token_malformed' })
+  })
+})
+
+describe('require_auth', function () {
+  test('accepts a token whose session is active', async function () {
+    const { token } = await issue_session_tokens(user, fake_request())
+    const request = bearer(token)
+    const response = fake_response()
+
+    const { next_called } = await run_middleware(require_auth, request, response)
+
+    assert.equal(next_called, true)
+    assert.equal(request.user.id, user._id)
+    assert.equal(request.user.role, 'inspector')
+  })
+
+  test('refuses a token whose session was revoked', async function () {
+    const { token } = await issue_session_tokens(user, fake_request())
+    await revoke_session(verify_access_token(token).session_id)
+    const response = fake_response()
+
+    const { next_called } = await run_middleware(require_auth, bearer(token), response)
+
+    assert.equal(next_called, false)
+    assert.equal(response.status_code, 401)
+    assert.equal(response.body.code, 'session_revoked')
+  })
+
+  test('answers 503 when the session store is down', async function () {
+    const token = sign_access_token(user, 'session-1')
+    redis.isReady = false
+    const response = fake_response()
+
+    await run_middleware(require_auth, bearer(token), response)
+
+    assert.equal(response.status_code, 503)
+  })
+})
+
+describe('require_permission', function () {
+  test('lets a role through only with every listed permission', async function () {
+    const denied = fake_response()
+
+    const admin = await run_middleware(
+      require_permission('users:manage', 'audit:read'),
+      fake_request({ user: { id: user._id, role: 'admin' } }),
+      fake_response()
+    )
+    const inspector = await run_middleware(
+      require_permission('diagnosis:review', 'users:manage'),
+      fake_request({ user: { id: user._id, role: 'inspector' } }),
+      denied
+    )
+
+    assert.equal(admin.next_called, true)
+    assert.equal(inspector.next_called, false)
+    assert.equal(denied.status_code, 403)
+    assert.equal(denied.body.code, 'forbidden')
+  })
+})
@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test')
+const assert = require('node:assert/strict')
+const { assess_certainty, apply_certainty_policy } = require('../certainty_policy')
+
+describe('assess_certainty', function () {
+  test('calls a sure result with a clear lead confident', function () {
+    const result = assess_certainty({
+      diagnosis: 'Early_blight',
+      confidence: 0.85,
+      alternatives: [{ label: 'Late_blight', confidence: 0.1 }]
+    })
+    assert.deepEqual(result, { certainty: 'confident', margin: 0.75 })
+  })
+
+  test('calls a sure result too close to the runner-up ambiguous', function () {
+    const result = assess_certainty({
+      diagnosis: 'Early_blight',
+      confidence: 0.72,
+      alternatives: [{ label: 'Late_blight', confidence: 0.6 }, { label: 'healthy', confidence: 0.1 }]
+    })
+    assert.deepEqual(result, { certainty: 'ambiguous', margin: 0.12 })
+  })
+
+  test('calls a result below the confident threshold ambiguous even with a clear lead', function () {
+    assert.equal(assess_certainty({ diagnosis: 'Early_blight', confidence: 0.55, alternatives: [] }).certainty, 'ambiguous')
+  })
+
+  test('calls a low confidence result inconclusive', function () {
+    const result = assess_certainty({
+      diagnosis: 'Early_blight',
+      confidence: 0.35,
+      alternatives: [{ label: 'healthy', confidence: 0.05 }]
+    })
+    assert.equal(result.certainty, 'inconclusive')
+  })
+
+  test('ignores the top class when it is repeated among the alternatives', function () {
+    const result = assess_certainty({
+      diagnosis: 'Early_blight',
+      confidence: 0.9,
+      alternatives: [{ label: 'Early_blight', confidence: 0.9 }, { label: 'healthy', confidence: 0.05 }]
+    })
+    assert.deepEqual(result, { certainty: 'confident', margin: 0.85 })
+  })
+
+  test('treats a result without a confidence as inconclusive', function () {
+    assert.deepEqual(assess_certainty({ diagnosis: 'Early_blight' }), { certainty: 'inconclusive', margin: 0 })
+  })
+})
+
+describe('apply_certainty_policy', function () {
+  test('keeps the ML result and adds the certainty', function () {
+    const ml_data = { diagnosis: 'healthy', confidence: 0.95, alternatives: [] }
+
+    const result = apply_certainty_policy(ml_data)
+
+    assert.deepEqual(result, { ...ml_data, certainty: 'confident', margin: 0.95 })
+    assert.equal(ml_data.certainty, undefined)
+  })
+})
@@ -0,0 +1,127 @@
+const { describe, test, before, after, beforeEach, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const sharp = require('sharp')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { stub_module } = require('./helpers/stub_module')
+const { start_app } = require('./helpers/http')
+
+const USER_ID = '64b000000000000000000001'
+// Keyed by the name the ML service sees; uploads are converted to JPEG first
+const ML_RESULTS = {
+  'blight-1.jpg': { diagnosis: 'Early_blight', confidence: 0.91, alternatives: [{ label: 'Late_blight', confidence: 0.05 }] },
+  'blight-2.jpg': { diagnosis: 'Early_blight', confidence: 0.81, alternatives: [{ label: 'healthy', confidence: 0.1 }] },
+  'healthy.jpg': { diagnosis: 'healthy', confidence: 0.95, alternatives: [{ label: 'Early_blight', confidence: 0.03 }] }
+}
+const saved = []
+
+process.env.IMAGE_QUALITY_CHECK = 'false'
+const redis = use_fake_redis()
+stub_module('middleware/auth', {
+  require_auth: function (request, response, next) {
+    request.user = { id: USER_ID, role: 'farmer' }
+    next()
+  }
+})
+stub_module('ml_client', {
+  get_ml_service_url: () => 'http://ml.test',
+  call_ml_service: async function (ml_base, file) {
+    const result = ML_RESULTS[file.originalname]
+    if (!result) {
+      const error = new Error('ML service down')
+      error.response = { status: 503 }
+      throw error
+    }
+    return result
+  }
+})
+stub_module('diagnosis_records', {
+  save_diagnosis: async function (user_id, file, ml_data, extra) {
+    saved.push({ user_id, ml_data, extra })
+    return { _id: 'record-' + saved.length }
+  }
+})
+stub_module('disease_knowledge', {
+  enrich_with_knowledge: async (ml_data) => ml_data
+})
+const router = require('../routes/diagnose')
+
+let app
+let photo
+
+function batch_form(filenames, fields = {}) {
+  const form = new FormData()
+  for (const filename of filenames) {
+    form.append('images', new Blob([photo], { type: 'image/png' }), filename)
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value)
+  }
+  return form
+}
+
+before(async function () {
+  photo = await sharp({ create: { width: 320, height: 320, channels: 3, background: '#3a7d2c' } }).png().toBuffer()
+  app = await start_app('/api/diagnose', router)
+})
+
+after(async function () {
+  await app.close()
+})
+
+beforeEach(function () {
+  saved.length = 0
+  redis.store.clear()
+  mock.method(console, 'error', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('POST /api/diagnose/batch', function () {
+  test('diagnoses every image, keeps going past a failure and summarizes the batch', async function () {
+    const response = await fetch(app.base_url + '/batch', {
+      method: 'POST',
+      body: batch_form(['blight-1.png', 'unreadable.png', 'blight-2.png', 'healthy.png'], {
+        field: '  North plot  ',
+        locations: JSON.stringify([{ latitude: 31.5, longitude: 74.3 }, null, null, { latitude: 200, longitude: 0 }])
+      })
+    })
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.field, 'North plot')
+    assert.deepEqual(body.results.map((result) => result.ok), [true, false, true, true])
+    assert.equal(body.results[1].filename, 'unreadable.png')
+    assert.equal(body.results[1].message, 'Diagnosis request failed')
+
+    assert.equal(body.summary.total, 4)
+    assert.equal(body.summary.succeeded, 3)
+    assert.equal(body.summary.failed, 1)
+    assert.equal(body.summary.majorityClass, 'Early_blight')
+    assert.equal(body.summary.majorityCount, 2)
+    assert.ok(Math.abs(body.summary.shareInfected - 2 / 3) < 1e-9)
+    assert.ok(Math.abs(body.summary.meanConfidence - (0.91 + 0.81 + 0.95) / 3) < 1e-9)
+
+    // Every record of the batch is tagged with it, and locations line up with the images
+    assert.equal(saved.length, 3)
+    assert.ok(saved.every((entry) => entry.extra.batch_id === body.batchId && entry.extra.field === 'North plot'))
+    assert.deepEqual(saved[0].extra.location, { latitude: 31.5, longitude: 74.3 })
+    assert.equal(saved[2].extra.location, null)
+  })
+
+  test('refuses an empty batch', async function () {
+    const response = await fetch(app.base_url + '/batch', { method: 'POST', body: batch_form([]) })
+    assert.equal(response.status, 400)
+  })
+
+  test('refuses more images than the batch limit with a JSON message', async function () {
+    const filenames = Array.from({ length: 11 }, (_, i) => 'blight-' + i + '.png')
+    const response = await fetch(app.base_url + '/batch', { method: 'POST', body: batch_form(filenames) })
+    const body = await response.json()
+
+    assert.equal(response.status, 400)
+    assert.match(body.message, /at most 10 images/)
+    assert.equal(saved.length, 0)
+  })
+})
@@ -0,0 +1,182 @@
+const { describe, test, beforeEach, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { Readable } = require('stream')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { stub_module } = require('./helpers/stub_module')
+
+const USER_ID = '64b000000000000000000001'
+const ML_RESULT = { diagnosis: 'Early_blight', confidence: 0.91, alternatives: [{ label: 'Late_blight', confidence: 0.05 }] }
+const QUEUE_KEY = 'agriqual:diagnosis_jobs:queue'
+const WORKERS_KEY = 'agriqual:diagnosis_jobs:workers'
+
+// Retries become due straight away
+process.env.DIAGNOSE_JOB_RETRY_BASE_MS = '0'
+process.env.DIAGNOSE_JOB_MAX_ATTEMPTS = '3'
+
+let ml_outcome
+let save_outcome
+let enrich_outcome
+let saved
+let deleted_images
+
+const redis = use_fake_redis()
+stub_module('image_storage', {
+  store_diagnosis_image: async (user_id) => ({
+    image: { storage: 'local', key: 'diagnoses/' + user_id + '/photo.jpg', content_type: 'image/jpeg' },
+    thumbnail: { storage: 'local', key: 'diagnoses/' + user_id + '/photo_thumb.jpg', content_type: 'image/jpeg' }
+  }),
+  open_image: async () => Readable.from([Buffer.from('jpeg bytes')]),
+  delete_diagnosis_images: async (images) => {
+    deleted_images.push(images)
+  }
+})
+stub_module('ml_client', {
+  get_ml_service_url: () => 'http://ml.test',
+  call_ml_service: async () => ml_outcome()
+})
+stub_module('diagnosis_records', {
+  save_diagnosis: async (user_id, file, ml_data, extra) => {
+    saved.push({ user_id, ml_data, extra })
+    return save_outcome()
+  }
+})
+stub_module('disease_knowledge', {
+  enrich_with_knowledge: async (ml_data) => enrich_outcome(ml_data)
+})
+const { enqueue_diagnosis_job, get_diagnosis_job, run_pending_jobs } = require('../diagnosis_jobs')
+
+function ml_down() {
+  const error = new Error('ML service down')
+  error.response = { status: 503 }
+  throw error
+}
+
+async function enqueue() {
+  return enqueue_diagnosis_job(USER_ID, { buffer: Buffer.from('jpeg bytes'), originalname: 'leaf.jpg', mimetype: 'image/jpeg' }, { field: 'North plot' })
+}
+
+beforeEach(function () {
+  redis.isReady = true
+  redis.store.clear()
+  ml_outcome = () => ML_RESULT
+  save_outcome = () => ({ _id: 'record-1' })
+  enrich_outcome = (ml_data) => ml_data
+  saved = []
+  deleted_images = []
+  mock.method(console, 'error', function () {})
+  mock.method(console, 'warn', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('run_pending_jobs', function () {
+  test('diagnoses a queued photo and saves the record', async function () {
+    const job_id = await enqueue()
+
+    await run_pending_jobs('worker-a')
+
+    const job = await get_diagnosis_job(job_id)
+    assert.equal(job.status, 'done')
+    assert.equal(job.diagnosis_id, 'record-1')
+    assert.equal(JSON.parse(job.result).certainty, 'confident')
+    assert.equal(saved[0].extra.field, 'North plot')
+    assert.deepEqual(await redis.lRange('agriqual:diagnosis_jobs:processing:worker-a', 0, -1), [])
+  })
+
+  test('retries while the ML service is down and fails after the last attempt', async function () {
+    ml_outcome = ml_down
+    const job_id = await enqueue()
+
+    await run_pending_jobs('worker-a')
+    const retrying = await get_diagnosis_job(job_id)
+    assert.equal(retrying.status, 'retrying')
+    assert.ok(retrying.next_attempt_at)
+
+    await run_pending_jobs('worker-a')
+    await run_pending_jobs('worker-a')
+
+    const failed = await get_diagnosis_job(job_id)
+    assert.equal(failed.status, 'failed')
+    assert.equal(failed.attempts, '3')
+    assert.equal(deleted_images.length, 1)
+  })
+
+  test('does not retry an image the ML service rejected', async function () {
+    ml_outcome = () => {
+      const error = new Error('Unsupported')
+      error.response = { status: 415 }
+      throw error
+    }
+    const job_id = await enqueue()
+
+    await run_pending_jobs('worker-a')
+
+    const job = await get_diagnosis_job(job_id)
+    assert.equal(job.status, 'failed')
+    assert.equal(job.message, 'Unsupported image format')
+  })
+
+  test('fails the job instead of reporting success when the record cannot be saved', async function () {
+    save_outcome = () => null
+    const job_id = await enqueue()
+
+    await run_pending_jobs('worker-a')
+
+    const job = await get_diagnosis_job(job_id)
+    assert.equal(job.status, 'failed')
+    assert.ok(!job.diagnosis_id)
+  })
+
+  test('never leaves a crashed job in processing', async function () {
+    enrich_outcome = () => {
+      throw new Error('MongoServerSelectionError')
+    }
+    const job_id = await enqueue()
+
+    await run_pending_jobs('worker-a')
+    assert.equal((await get_diagnosis_job(job_id)).status, 'retrying')
+
+    await run_pending_jobs('worker-a')
+    await run_pending_jobs('worker-a')
+    assert.equal((await get_diagnosis_job(job_id)).status, 'failed')
+
+    // Once the database is back, new jobs go through again
+    enrich_outcome = (ml_data) => ml_data
+    const next_id = await enqueue()
+    await run_pending_jobs('worker-a')
+    assert.equal((await get_diagnosis_job(next_id)).status, 'done')
+  })
+})
+
+describe('recovery of interrupted jobs', function () {
+  async function take_job(worker_id, lease_alive) {
+    const job_id = await enqueue()
+    await redis.lMove(QUEUE_KEY, 'agriqual:diagnosis_jobs:processing:' + worker_id, 'RIGHT', 'LEFT')
+    await redis.sAdd(WORKERS_KEY, worker_id)
+    if (lease_alive) {
+      await redis.set('agriqual:diagnosis_jobs:worker:' + worker_id, '1', { EX: 30 })
+    }
+    return job_id
+  }
+
+  test('requeues the jobs of a worker whose lease expired', async function () {
+    const job_id = await take_job('stopped-worker', false)
+
+    await run_pending_jobs('worker-a')
+
+    assert.equal((await get_diagnosis_job(job_id)).status, 'done')
+    assert.deepEqual(await redis.sMembers(WORKERS_KEY), [])
+  })
+
+  test('leaves the jobs of a live worker alone', async function () {
+    const job_id = await take_job('busy-worker', true)
+
+    await run_pending_jobs('worker-a')
+
+    assert.equal((await get_diagnosis_job(job_id)).status, 'queued')
+    assert.deepEqual(await redis.lRange('agriqual:diagnosis_jobs:processing:busy-worker', 0, -1), [job_id])
+    assert.equal(saved.length, 0)
+  })
+})
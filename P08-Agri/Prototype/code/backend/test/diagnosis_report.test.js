@@ -0,0 +1,64 @@
+const { describe, test } = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const {
+  create_report_token,
+  read_report_token,
+  format_report_verification,
+  render_diagnosis_report
+} = require('../diagnosis_report')
+
+const DIAGNOSIS = {
+  _id: new mongoose.Types.ObjectId('64b0000000000000000000aa'),
+  user_id: new mongoose.Types.ObjectId('64b000000000000000000001'),
+  diagnosis: 'Aphid',
+  confidence: 0.91,
+  certainty: 'confident',
+  alternatives: [{ label: 'Mite', confidence: 0.05 }],
+  location: { latitude: 31.5, longitude: 74.3 },
+  created_at: new Date('2026-10-19T08:00:00.000Z')
+}
+
+describe('report tokens', function () {
+  test('a signed token leads back to its diagnosis', function () {
+    assert.equal(read_report_token(create_report_token(DIAGNOSIS)), '64b0000000000000000000aa')
+  })
+
+  test('rejects a forged signature', function () {
+    const [id, signature] = create_report_token(DIAGNOSIS).split('.')
+    const forged = Buffer.from(signature, 'base64url')
+    forged[0] ^= 1
+
+    assert.equal(read_report_token(id + '.' + forged.toString('base64url')), null)
+    assert.equal(read_report_token(id + '.' + signature.slice(0, -2)), null)
+  })
+
+  test('rejects a signature moved to another diagnosis', function () {
+    const [, signature] = create_report_token(DIAGNOSIS).split('.')
+    assert.equal(read_report_token('64b0000000000000000000ab.' + signature), null)
+  })
+
+  test('rejects malformed tokens', function () {
+    assert.equal(read_report_token('64b0000000000000000000aa'), null)
+    assert.equal(read_report_token('not-an-id.abc'), null)
+    assert.equal(read_report_token(undefined), null)
+  })
+})
+
+describe('format_report_verification', function () {
+  test('shows the result but not the farmer or the location', function () {
+    const verification = format_report_verification(DIAGNOSIS)
+
+    assert.equal(verification.diagnosis, 'Aphid')
+    assert.deepEqual(verification.alternatives, [{ label: 'Mite', confidence: 0.05 }])
+    assert.equal(verification.reviewStatus, null)
+    assert.ok(!('user_id' in verification) && !('location' in verification))
+  })
+})
+
+describe('render_diagnosis_report', function () {
+  test('renders a PDF for a diagnosis without a stored photo', async function () {
+    const pdf = await render_diagnosis_report(DIAGNOSIS)
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-')
+  })
+})
@@ -0,0 +1,79 @@
+const { describe, test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const DiseaseKnowledge = require('../models/DiseaseKnowledge')
+const { DEFAULT_KNOWLEDGE } = require('../disease_knowledge_defaults')
+const { enrich_with_knowledge, parse_knowledge_content } = require('../disease_knowledge')
+
+const ML_RESULT = { diagnosis: 'aphid', confidence: 0.9, recommendations: ['Generic advice'] }
+
+function stored_entry(entry) {
+  mock.method(DiseaseKnowledge, 'findOne', () => ({ lean: async () => entry }))
+}
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('enrich_with_knowledge', function () {
+  test('adds the built-in entry for a label nobody edited', async function () {
+    stored_entry(null)
+
+    const result = await enrich_with_knowledge(ML_RESULT)
+
+    assert.deepEqual(result.knowledge, DEFAULT_KNOWLEDGE.Aphid)
+    assert.deepEqual(result.recommendations, DEFAULT_KNOWLEDGE.Aphid.cultural_controls)
+    assert.equal(result.confidence, 0.9)
+  })
+
+  test("prefers an inspector's edit and keeps the ML advice when it lists no controls", async function () {
+    const content = { summary: 'Edited', symptoms: [], cultural_controls: [] }
+    stored_entry({ label: 'Aphid', content })
+
+    const result = await enrich_with_knowledge(ML_RESULT)
+
+    assert.deepEqual(result.knowledge, content)
+    assert.deepEqual(result.recommendations, ['Generic advice'])
+  })
+
+  test('falls back to the built-in entry when the database is down', async function () {
+    mock.method(console, 'error', function () {})
+    mock.method(DiseaseKnowledge, 'findOne', () => ({
+      lean: async () => {
+        throw new Error('MongoServerSelectionError')
+      }
+    }))
+
+    const result = await enrich_with_knowledge(ML_RESULT)
+
+    assert.deepEqual(result.knowledge, DEFAULT_KNOWLEDGE.Aphid)
+  })
+
+  test('leaves a label the model does not know unchanged', async function () {
+    const ml_data = { diagnosis: 'Unknown_rot', confidence: 0.5 }
+    assert.equal(await enrich_with_knowledge(ml_data), ml_data)
+  })
+})
+
+describe('parse_knowledge_content', function () {
+  test('maps the admin API body to stored content', function () {
+    const { content } = parse_knowledge_content({
+      summary: '  Small insects  ',
+      symptoms: ['Honeydew', ''],
+      lookAlikes: [{ label: 'mite', howToTell: 'Mites are tiny' }],
+      chemicalControls: [{ chemicalClass: 'Pyrethroids', examples: ['cypermethrin'], phiDays: '28' }],
+      severityActions: { high: ['Spray'] }
+    })
+
+    assert.equal(content.summary, 'Small insects')
+    assert.deepEqual(content.symptoms, ['Honeydew'])
+    assert.deepEqual(content.look_alikes, [{ label: 'Mite', how_to_tell: 'Mites are tiny' }])
+    assert.equal(content.chemical_controls[0].phi_days, 28)
+    assert.deepEqual(content.severity_actions, { low: [], moderate: [], high: ['Spray'] })
+  })
+
+  test('refuses a missing summary, an unknown look-alike and an impossible PHI', function () {
+    assert.equal(parse_knowledge_content({}).message, 'summary is required')
+    assert.equal(parse_knowledge_content({ summary: 'x', lookAlikes: [{ label: 'Dragon', howToTell: 'x' }] }).code, 'unknown_label')
+    assert.match(parse_knowledge_content({ summary: 'x', chemicalControls: [{ chemicalClass: 'x', phiDays: -1 }] }).message, /phiDays/)
+  })
+})
@@ -0,0 +1,248 @@
+const path = require('path')
+
+// ====== In-memory stand-in for redis_client ======
+// Covers the commands the session store, rate limiter and job queue use, with key expiry,
+// so their logic can be tested without a Redis server. Call use_fake_redis() before
+// requiring the module under test: it replaces ../redis_client in the require cache.
+class FakeRedis {
+  constructor() {
+    this.isReady = true
+    this.store = new Map()
+  }
+
+  entry(key) {
+    const entry = this.store.get(key)
+    if (entry && entry.expires_at !== null && entry.expires_at <= Date.now()) {
+      this.store.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  value(key, type, create) {
+    const entry = this.entry(key)
+    if (entry) {
+      return entry.value
+    }
+    if (!create) {
+      return null
+    }
+    const value = type === 'hash' ? {} : type === 'set' ? new Set() : type === 'list' ? [] : new Map()
+    this.store.set(key, { value, expires_at: null })
+    return value
+  }
+
+  // Drops empty hashes, sets and lists the way Redis does
+  tidy(key) {
+    const entry = this.entry(key)
+    if (!entry) {
+      return
+    }
+    const value = entry.value
+    const size = Array.isArray(value) ? value.length : value instanceof Set || value instanceof Map ? value.size : null
+    if (size === 0) {
+      this.store.delete(key)
+    }
+  }
+
+  multi() {
+    const calls = []
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = []
+            for (const [command, args] of calls) {
+              results.push(await this[command](...args))
+            }
+            return results
+          }
+        }
+        return (...args) => {
+          calls.push([name, args])
+          return chain
+        }
+      }
+    })
+    return chain
+  }
+
+  async set(key, value, options = {}) {
+    this.store.set(key, {
+      value: String(value),
+      expires_at: options.EX ? Date.now() + options.EX * 1000 : null
+    })
+    return 'OK'
+  }
+
+  async get(key) {
+    const entry = this.entry(key)
+    return entry ? entry.value : null
+  }
+
+  async exists(key) {
+    return this.entry(key) ? 1 : 0
+  }
+
+  async del(keys) {
+    let removed = 0
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) {
+        this.store.delete(key)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  async expire(key, seconds) {
+    return this.pExpire(key, seconds * 1000)
+  }
+
+  async pExpire(key, ms) {
+    const entry = this.entry(key)
+    if (!entry) {
+      return 0
+    }
+    entry.expires_at = Date.now() + ms
+    return 1
+  }
+
+  async pTTL(key) {
+    const entry = this.entry(key)
+    if (!entry) {
+      return -2
+    }
+    return entry.expires_at === null ? -1 : entry.expires_at - Date.now()
+  }
+
+  async incr(key) {
+    const entry = this.entry(key)
+    const next = (entry ? Number(entry.value) : 0) + 1
+    if (entry) {
+      entry.value = String(next)
+    } else {
+      this.store.set(key, { value: String(next), expires_at: null })
+    }
+    return next
+  }
+
+  async hSet(key, fields) {
+    const hash = this.value(key, 'hash', true)
+    for (const [field, value] of Object.entries(fields)) {
+      hash[field] = String(value)
+    }
+    return Object.keys(fields).length
+  }
+
+  async hGet(key, field) {
+    const hash = this.value(key, 'hash', false)
+    return hash && field in hash ? hash[field] : null
+  }
+
+  async hGetAll(key) {
+    return { ...(this.value(key, 'hash', false) || {}) }
+  }
+
+  async sAdd(key, member) {
+    const set = this.value(key, 'set', true)
+    const had = set.has(member)
+    set.add(member)
+    return had ? 0 : 1
+  }
+
+  async sRem(key, member) {
+    const set = this.value(key, 'set', false)
+    const removed = set && set.delete(member) ? 1 : 0
+    this.tidy(key)
+    return removed
+  }
+
+  async sMembers(key) {
+    return [...(this.value(key, 'set', false) || [])]
+  }
+
+  async lPush(key, value) {
+    const list = this.value(key, 'list', true)
+    list.unshift(value)
+    return list.length
+  }
+
+  async lRange(key, start, stop) {
+    const list = this.value(key, 'list', false) || []
+    return list.slice(start, stop === -1 ? undefined : stop + 1)
+  }
+
+  async lRem(key, count, value) {
+    const list = this.value(key, 'list', false)
+    if (!list) {
+      return 0
+    }
+    let removed = 0
+    for (let i = 0; i < list.length && (count === 0 || removed < count); ) {
+      if (list[i] === value) {
+        list.splice(i, 1)
+        removed++
+      } else {
+        i++
+      }
+    }
+    this.tidy(key)
+    return removed
+  }
+
+  async lMove(source, destination, from, to) {
+    const list = this.value(source, 'list', false)
+    if (!list || list.length === 0) {
+      return null
+    }
+    const value = from === 'LEFT' ? list.shift() : list.pop()
+    this.tidy(source)
+    const target = this.value(destination, 'list', true)
+    if (to === 'LEFT') {
+      target.unshift(value)
+    } else {
+      target.push(value)
+    }
+    return value
+  }
+
+  async zAdd(key, { score, value }) {
+    const zset = this.value(key, 'zset', true)
+    const had = zset.has(value)
+    zset.set(value, score)
+    return had ? 0 : 1
+  }
+
+  async zRem(key, value) {
+    const zset = this.value(key, 'zset', false)
+    const removed = zset && zset.delete(value) ? 1 : 0
+    this.tidy(key)
+    return removed
+  }
+
+  async zRangeByScore(key, min, max) {
+    const zset = this.value(key, 'zset', false) || new Map()
+    return [...zset.entries()]
+      .filter(([, score]) => score >= min && score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .map(([value]) => value)
+  }
+}
+
+function use_fake_redis() {
+  const fake = new FakeRedis()
+  const module_path = path.join(__dirname, '..', '..', 'redis_client.js')
+  require.cache[module_path] = {
+    id: module_path,
+    filename: module_path,
+    loaded: true,
+    exports: { redis_client: fake, connect_redis: async function () {} }
+  }
+  return fake
+}
+
+module.exports = {
+  FakeRedis,
+  use_fake_redis
+}
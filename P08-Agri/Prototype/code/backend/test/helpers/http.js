@@ -0,0 +1,67 @@
+const express = require('express')
+
+// Minimal Express request/response doubles for calling middleware directly
+function fake_request(fields = {}) {
+  return {
+    method: 'GET',
+    originalUrl: '/test',
+    headers: {},
+    body: {},
+    ip: '203.0.113.7',
+    socket: { remoteAddress: '203.0.113.7' },
+    ...fields
+  }
+}
+
+function fake_response() {
+  return {
+    status_code: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.status_code = code
+      return this
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    }
+  }
+}
+
+// Runs a middleware and reports whether it called next()
+async function run_middleware(middleware, request, response) {
+  let next_called = false
+  let next_error
+  await middleware(request, response, function (error) {
+    next_called = true
+    next_error = error
+  })
+  return { next_called, next_error }
+}
+
+// Serves `router` under `mount_path` on a free local port. Returns { base_url, close }.
+function start_app(mount_path, router) {
+  const app = express()
+  app.use(express.json())
+  app.use(mount_path, router)
+  return new Promise(function (resolve) {
+    const server = app.listen(0, '127.0.0.1', function () {
+      resolve({
+        base_url: 'http://127.0.0.1:' + server.address().port + mount_path,
+        close: () => new Promise((done) => server.close(done))
+      })
+    })
+  })
+}
+
+module.exports = {
+  fake_request,
+  fake_response,
+  run_middleware,
+  start_app
+}
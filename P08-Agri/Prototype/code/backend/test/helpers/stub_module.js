@@ -0,0 +1,15 @@
+const path = require('path')
+
+// Replaces a backend module (path relative to backend/, e.g. 'image_storage') in the require
+// cache. Modules destructure their imports when loaded, so call this before requiring the
+// module under test. Functions that are not stubbed keep their real implementation.
+function stub_module(relative_path, overrides) {
+  const module_path = require.resolve(path.join(__dirname, '..', '..', relative_path))
+  const real = require(module_path)
+  require.cache[module_path].exports = { ...real, ...overrides }
+  return require.cache[module_path].exports
+}
+
+module.exports = {
+  stub_module
+}
@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test')
+const assert = require('node:assert/strict')
+const { EventEmitter } = require('events')
+const mongoose = require('mongoose')
+const { stream_history_export } = require('../history_export')
+
+const DIAGNOSIS = {
+  _id: new mongoose.Types.ObjectId('64b0000000000000000000aa'),
+  created_at: new Date('2026-10-19T08:00:00.000Z'),
+  diagnosis: 'Aphid',
+  confidence: 0.91,
+  certainty: 'confident',
+  alternatives: [{ label: 'Mite', confidence: 0.05 }],
+  field: '=HYPERLINK("http://evil.test","Click")',
+  location: { latitude: 31.5, longitude: -74.3 },
+  tags: ['north', 'irrigated'],
+  notes: 'Sprayed, then "checked"\nagain',
+  feedback: { verdict: 'wrong', corrected_label: 'Mite', note: '@SUM(A1:A2)', updated_at: new Date('2026-10-19T09:00:00.000Z') }
+}
+
+// Collects what the export writes; `close_after` simulates the client leaving after that many writes
+function fake_export_response(close_after = Infinity) {
+  const res = new EventEmitter()
+  res.chunks = []
+  res.ended = false
+  res.destroyed = false
+  res.write = function (chunk) {
+    res.chunks.push(chunk)
+    if (res.chunks.length >= close_after) {
+      res.destroyed = true
+      res.emit('close')
+    }
+    return true
+  }
+  res.end = function (chunk) {
+    res.chunks.push(chunk)
+    res.ended = true
+  }
+  res.text = () => res.chunks.join('')
+  return res
+}
+
+function fake_cursor(documents) {
+  const cursor = {
+    read: 0,
+    closed: false,
+    async *[Symbol.asyncIterator]() {
+      for (const document of documents) {
+        cursor.read++
+        yield document
+      }
+    },
+    async close() {
+      cursor.closed = true
+    }
+  }
+  return cursor
+}
+
+describe('stream_history_export', function () {
+  test('writes CSV that spreadsheet apps cannot run as formulas', async function () {
+    const res = fake_export_response()
+
+    await stream_history_export(res, fake_cursor([DIAGNOSIS]), 'csv')
+
+    const [header, row, rest] = res.text().split('\r\n')
+    assert.ok(header.startsWith('\ufeffid,created_at,diagnosis,confidence,certainty,alternative_1,'))
+    assert.equal(rest, '')
+    assert.ok(row.startsWith('64b0000000000000000000aa,2026-10-19T08:00:00.000Z,Aphid,0.91,confident,Mite,0.05,,,'))
+    assert.ok(row.includes(',"\'=HYPERLINK(""http://evil.test"",""Click"")",31.5,-74.3,north; irrigated,'))
+    assert.ok(row.includes(',"Sprayed, then ""checked""\nagain",wrong,Mite,\'@SUM(A1:A2),'))
+    assert.equal(res.ended, true)
+  })
+
+  test('writes a valid JSON array', async function () {
+    const res = fake_export_response()
+
+    await stream_history_export(res, fake_cursor([DIAGNOSIS, { ...DIAGNOSIS, feedback: null, tags: undefined }]), 'json')
+
+    const records = JSON.parse(res.text())
+    assert.equal(records.length, 2)
+    assert.equal(records[0].id, '64b0000000000000000000aa')
+    assert.equal(records[0].field, DIAGNOSIS.field)
+    assert.equal(records[0].feedback.updated_at, '2026-10-19T09:00:00.000Z')
+    assert.equal(records[1].feedback, null)
+    assert.deepEqual(records[1].tags, [])
+  })
+
+  test('writes an empty JSON array for an empty history', async function () {
+    const res = fake_export_response()
+
+    await stream_history_export(res, fake_cursor([]), 'json')
+
+    assert.deepEqual(JSON.parse(res.text()), [])
+  })
+
+  test('stops reading and closes the cursor when the client goes away', async function () {
+    const res = fake_export_response(2)
+    const cursor = fake_cursor([DIAGNOSIS, DIAGNOSIS, DIAGNOSIS, DIAGNOSIS])
+
+    await stream_history_export(res, cursor, 'csv')
+
+    assert.equal(cursor.read, 2)
+    assert.equal(cursor.closed, true)
+    assert.equal(res.ended, false)
+  })
+})
@@ -0,0 +1,93 @@
+const { describe, test } = require('node:test')
+const assert = require('node:assert/strict')
+const mongoose = require('mongoose')
+const { build_history_filter, parse_history_paging, encode_history_cursor } = require('../history_query')
+
+const USER_ID = '64b000000000000000000001'
+
+describe('build_history_filter', function () {
+  test("lists only the user's live diagnoses by default", function () {
+    assert.deepEqual(build_history_filter(USER_ID, {}), {
+      filter: { user_id: USER_ID, deleted_at: { $exists: false } }
+    })
+  })
+
+  test('combines every filter', function () {
+    const { filter } = build_history_filter(USER_ID, {
+      label: 'aphid, Blast',
+      minConfidence: '0.5',
+      maxConfidence: '0.9',
+      from: '2026-10-01',
+      to: '2026-10-19',
+      field: 'North (plot)',
+      tag: ' Irrigated ',
+      reviewStatus: 'unreviewed',
+      deleted: 'true'
+    })
+
+    assert.deepEqual(filter.diagnosis, { $in: ['Aphid', 'Blast'] })
+    assert.deepEqual(filter.confidence, { $gte: 0.5, $lte: 0.9 })
+    assert.equal(filter.created_at.$gte.toISOString(), '2026-10-01T00:00:00.000Z')
+    assert.equal(filter.created_at.$lte.toISOString(), '2026-10-19T23:59:59.999Z')
+    assert.ok(filter.field.test('north (PLOT)'))
+    assert.ok(!filter.field.test('North plot'))
+    assert.equal(filter.tags, 'irrigated')
+    assert.deepEqual(filter.review_status, { $exists: false })
+    assert.deepEqual(filter.deleted_at, { $exists: true })
+  })
+
+  test('refuses bad parameters with a 400', function () {
+    assert.deepEqual(build_history_filter(USER_ID, { label: 'Dragon' }), {
+      status: 400,
+      body: { message: 'Unknown disease label "Dragon"', code: 'unknown_label' }
+    })
+    assert.equal(build_history_filter(USER_ID, { minConfidence: '1.5' }).status, 400)
+    assert.equal(build_history_filter(USER_ID, { maxConfidence: '' }).status, 400)
+    assert.equal(build_history_filter(USER_ID, { from: 'yesterday' }).status, 400)
+    assert.equal(build_history_filter(USER_ID, { reviewStatus: 'pending' }).status, 400)
+  })
+})
+
+describe('parse_history_paging', function () {
+  const diagnosis = {
+    _id: new mongoose.Types.ObjectId('64b0000000000000000000aa'),
+    created_at: new Date('2026-10-19T08:00:00.000Z'),
+    confidence: 0.8
+  }
+
+  test('sorts newest first without a cursor', function () {
+    assert.deepEqual(parse_history_paging({}), {
+      sort_name: 'newest',
+      sort: { created_at: -1, _id: -1 },
+      cursor_filter: null
+    })
+  })
+
+  test('continues after the last item of the previous page', function () {
+    const cursor = encode_history_cursor(diagnosis, 'confidence_asc')
+
+    const paging = parse_history_paging({ sort: 'confidence_asc', cursor })
+
+    assert.deepEqual(paging.cursor_filter, {
+      $or: [
+        { confidence: { $gt: 0.8 } },
+        { confidence: 0.8, _id: { $gt: diagnosis._id } }
+      ]
+    })
+  })
+
+  test('restores dates from a newest-first cursor', function () {
+    const cursor = encode_history_cursor(diagnosis, 'newest')
+
+    const paging = parse_history_paging({ cursor })
+
+    assert.deepEqual(paging.cursor_filter.$or[0], { created_at: { $lt: diagnosis.created_at } })
+  })
+
+  test('refuses an unknown sort, a cursor from another sort and a garbled cursor', function () {
+    assert.equal(parse_history_paging({ sort: 'random' }).status, 400)
+    const cursor = encode_history_cursor(diagnosis, 'newest')
+    assert.equal(parse_history_paging({ sort: 'oldest', cursor }).body.code, 'invalid_cursor')
+    assert.equal(parse_history_paging({ cursor: 'not-a-cursor' }).body.code, 'invalid_cursor')
+  })
+})
@@ -0,0 +1,157 @@
+const { describe, test, before, after, beforeEach, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { stub_module } = require('./helpers/stub_module')
+const { start_app } = require('./helpers/http')
+
+const USER_ID = '64b000000000000000000001'
+const DIAGNOSIS_ID = '64b0000000000000000000aa'
+
+use_fake_redis()
+stub_module('middleware/auth', {
+  require_auth: function (request, response, next) {
+    request.user = { id: USER_ID, role: 'farmer' }
+    next()
+  }
+})
+const Diagnosis = require('../models/Diagnosis')
+const router = require('../routes/history')
+
+let app
+let stored
+let saves
+
+function send(method, path, body) {
+  return fetch(app.base_url + path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+}
+
+before(async function () {
+  app = await start_app('/api/history', router)
+})
+
+after(async function () {
+  await app.close()
+})
+
+beforeEach(function () {
+  stored = new Diagnosis({ _id: DIAGNOSIS_ID, user_id: USER_ID, diagnosis: 'Aphid', confidence: 0.6 })
+  saves = 0
+  mock.method(Diagnosis, 'findOne', async () => stored)
+  mock.method(Diagnosis.prototype, 'save', async function () {
+    saves++
+    return this
+  })
+  mock.method(console, 'error', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('PATCH /api/history/:id/feedback', function () {
+  test('stores the verdict with the corrected label and note', async function () {
+    const response = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', {
+      verdict: 'incorrect',
+      correctedLabel: 'mite',
+      note: '  White webbing on the leaves  '
+    })
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.feedback.verdict, 'incorrect')
+    assert.equal(body.feedback.corrected_label, 'Mite')
+    assert.equal(body.feedback.note, 'White webbing on the leaves')
+    assert.equal(saves, 1)
+  })
+
+  test('keeps a corrected label only for an incorrect verdict', async function () {
+    const response = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', { verdict: 'unsure', correctedLabel: 'Mite' })
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.feedback.corrected_label, undefined)
+  })
+
+  test('refuses an unknown verdict, an unknown label and the same label', async function () {
+    const bad_verdict = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', { verdict: 'maybe' })
+    assert.equal(bad_verdict.status, 400)
+
+    const unknown = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', { verdict: 'incorrect', correctedLabel: 'Dragon' })
+    assert.equal((await unknown.json()).code, 'unknown_label')
+
+    const same = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', { verdict: 'incorrect', correctedLabel: 'aphid' })
+    assert.equal((await same.json()).code, 'same_label')
+    assert.equal(saves, 0)
+  })
+
+  test("answers 404 for another farmer's or a deleted diagnosis", async function () {
+    Diagnosis.findOne.mock.mockImplementation(async () => null)
+
+    const response = await send('PATCH', '/' + DIAGNOSIS_ID + '/feedback', { verdict: 'correct' })
+
+    assert.equal(response.status, 404)
+    const filter = Diagnosis.findOne.mock.calls[0].arguments[0]
+    assert.equal(filter.user_id, USER_ID)
+    assert.deepEqual(filter.deleted_at, { $exists: false })
+  })
+})
+
+describe('PATCH /api/history/:id', function () {
+  function updated_with(result) {
+    mock.method(Diagnosis, 'findOneAndUpdate', () => ({ select: () => ({ lean: async () => result }) }))
+  }
+
+  test('sets notes and field, cleans up tags and clears empty values', async function () {
+    updated_with({ _id: DIAGNOSIS_ID })
+
+    const response = await send('PATCH', '/' + DIAGNOSIS_ID, {
+      notes: '  Sprayed on Monday ',
+      tags: [' North ', 'north', 'Irrigated', ''],
+      field: ''
+    })
+
+    assert.equal(response.status, 200)
+    const [filter, update] = Diagnosis.findOneAndUpdate.mock.calls[0].arguments
+    assert.deepEqual(filter.deleted_at, { $exists: false })
+    assert.deepEqual(update, {
+      $set: { notes: 'Sprayed on Monday', tags: ['north', 'irrigated'] },
+      $unset: { field: '' }
+    })
+  })
+
+  test('refuses an empty update and bad tags', async function () {
+    updated_with({ _id: DIAGNOSIS_ID })
+
+    assert.equal((await send('PATCH', '/' + DIAGNOSIS_ID, {})).status, 400)
+    assert.equal((await send('PATCH', '/' + DIAGNOSIS_ID, { tags: 'north' })).status, 400)
+    assert.equal((await send('PATCH', '/' + DIAGNOSIS_ID, { tags: Array.from({ length: 21 }, (_, i) => 'tag' + i) })).status, 400)
+    assert.equal(Diagnosis.findOneAndUpdate.mock.callCount(), 0)
+  })
+})
+
+describe('DELETE /api/history/:id and POST /api/history/:id/restore', function () {
+  test('soft deletes a live diagnosis and restores only a deleted one', async function () {
+    mock.method(Diagnosis, 'findOneAndUpdate', () => ({ select: () => ({ lean: async () => ({ _id: DIAGNOSIS_ID }) }) }))
+
+    assert.equal((await send('DELETE', '/' + DIAGNOSIS_ID)).status, 200)
+    assert.equal((await send('POST', '/' + DIAGNOSIS_ID + '/restore')).status, 200)
+
+    const [delete_call, restore_call] = Diagnosis.findOneAndUpdate.mock.calls.map((call) => call.arguments)
+    assert.deepEqual(delete_call[0].deleted_at, { $exists: false })
+    assert.ok(delete_call[1].$set.deleted_at instanceof Date)
+    assert.deepEqual(restore_call[0].deleted_at, { $exists: true })
+    assert.deepEqual(restore_call[1], { $unset: { deleted_at: '' } })
+  })
+
+  test('answers 404 when there is nothing to restore', async function () {
+    mock.method(Diagnosis, 'findOneAndUpdate', () => ({ select: () => ({ lean: async () => null }) }))
+
+    const response = await send('POST', '/' + DIAGNOSIS_ID + '/restore')
+
+    assert.equal(response.status, 404)
+  })
+})
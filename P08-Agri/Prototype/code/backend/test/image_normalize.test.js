@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test')
+const assert = require('node:assert/strict')
+const sharp = require('sharp')
+const { UnsupportedImageError, is_accepted_image, normalize_upload } = require('../image_normalize')
+
+function leaf(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#3a7d2c' } })
+}
+
+describe('is_accepted_image', function () {
+  test('accepts photo types and HEIC sent without a content type', function () {
+    assert.equal(is_accepted_image({ mimetype: 'image/webp', originalname: 'leaf.webp' }), true)
+    assert.equal(is_accepted_image({ mimetype: 'application/octet-stream', originalname: 'IMG_0001.HEIC' }), true)
+    assert.equal(is_accepted_image({ mimetype: '', originalname: 'leaf.jpeg' }), true)
+  })
+
+  test('refuses other files', function () {
+    assert.equal(is_accepted_image({ mimetype: 'application/pdf', originalname: 'leaf.jpg' }), false)
+    assert.equal(is_accepted_image({ mimetype: 'application/octet-stream', originalname: 'leaf.gif' }), false)
+  })
+})
+
+describe('normalize_upload', function () {
+  test('converts a WebP photo to a JPEG with the same base name', async function () {
+    const buffer = await leaf(400, 300).webp().toBuffer()
+
+    const file = await normalize_upload({ buffer, mimetype: 'image/webp', originalname: 'field.leaf.webp' })
+
+    assert.equal(file.mimetype, 'image/jpeg')
+    assert.equal(file.originalname, 'field.leaf.jpg')
+    assert.equal(file.size, file.buffer.length)
+    assert.equal((await sharp(file.buffer).metadata()).format, 'jpeg')
+  })
+
+  test('applies the EXIF orientation and drops all metadata', async function () {
+    const buffer = await leaf(400, 300).jpeg().withMetadata({ orientation: 6 }).toBuffer()
+
+    const file = await normalize_upload({ buffer, mimetype: 'image/jpeg', originalname: 'leaf.jpg' })
+    const metadata = await sharp(file.buffer).metadata()
+
+    assert.equal(metadata.width, 300)
+    assert.equal(metadata.height, 400)
+    assert.equal(metadata.orientation, undefined)
+    assert.equal(metadata.exif, undefined)
+  })
+
+  test('scales large camera photos down', async function () {
+    const buffer = await leaf(4000, 3000).png().toBuffer()
+
+    const file = await normalize_upload({ buffer, mimetype: 'image/png', originalname: 'leaf.png' })
+    const metadata = await sharp(file.buffer).metadata()
+
+    assert.equal(metadata.width, 1600)
+    assert.equal(metadata.height, 1200)
+  })
+
+  test('refuses a file that is not a photo', async function () {
+    const upload = normalize_upload({ buffer: Buffer.from('not an image'), mimetype: 'image/png', originalname: 'leaf.png' })
+    await assert.rejects(upload, function (error) {
+      assert.ok(error instanceof UnsupportedImageError)
+      assert.equal(error.status, 415)
+      assert.match(error.message, /JPG or PNG/)
+      return true
+    })
+  })
+
+  test('asks for a JPEG when a HEIC photo cannot be decoded', async function () {
+    const upload = normalize_upload({ buffer: Buffer.from('not an image'), mimetype: 'image/heic', originalname: 'IMG_0001.heic' })
+    await assert.rejects(upload, /HEIC photo could not be read/)
+  })
+})
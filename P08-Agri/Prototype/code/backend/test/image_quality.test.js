@@ -0,0 +1,78 @@
+const { describe, test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const sharp = require('sharp')
+const { check_image_quality, quality_error_message } = require('../image_quality')
+
+// Noisy RGB pixels with each channel drawn from its [min, max] range; the noise gives the
+// photo plenty of sharp edges. Seeded, so every run measures the same picture.
+function noise_image(size, ranges) {
+  let seed = 42
+  function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return seed / 2147483648
+  }
+  const data = Buffer.alloc(size * size * 3)
+  for (let i = 0; i < data.length; i += 3) {
+    for (let c = 0; c < 3; c++) {
+      const [min, max] = ranges[c]
+      data[i + c] = Math.round(min + random() * (max - min))
+    }
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 3 } })
+}
+
+const LEAF = [[40, 150], [110, 230], [20, 80]]
+const SOIL = [[90, 160], [90, 160], [110, 200]]
+
+let leaf
+
+before(async function () {
+  leaf = await noise_image(400, LEAF).png().toBuffer()
+})
+
+function issue_codes(result) {
+  return result.issues.map((issue) => issue.code)
+}
+
+describe('check_image_quality', function () {
+  test('passes a sharp, well lit photo of a leaf', async function () {
+    const result = await check_image_quality(leaf)
+    assert.deepEqual(issue_codes(result), [])
+    assert.equal(result.ok, true)
+    assert.equal(result.metrics.width, 400)
+  })
+
+  test('flags a blurry photo', async function () {
+    const blurry = await sharp(leaf).blur(12).png().toBuffer()
+    assert.deepEqual(issue_codes(await check_image_quality(blurry)), ['blurry'])
+  })
+
+  test('flags a dark photo without also calling it blurry', async function () {
+    const dark = await sharp(leaf).linear(0.1, 0).png().toBuffer()
+    assert.deepEqual(issue_codes(await check_image_quality(dark)), ['too_dark'])
+  })
+
+  test('flags a photo that is too small', async function () {
+    const small = await sharp(leaf).resize(120, 120).png().toBuffer()
+    assert.ok(issue_codes(await check_image_quality(small)).includes('too_small'))
+  })
+
+  test('flags a photo with no plant in it', async function () {
+    const soil = await noise_image(400, SOIL).png().toBuffer()
+    assert.deepEqual(issue_codes(await check_image_quality(soil)), ['not_plant'])
+  })
+
+  test('reports a file that is not an image', async function () {
+    const result = await check_image_quality(Buffer.from('not an image'))
+    assert.equal(result.ok, false)
+    assert.deepEqual(issue_codes(result), ['unreadable'])
+  })
+
+  test('joins every problem into one message', function () {
+    const message = quality_error_message([
+      { code: 'too_small', message: 'Too small.' },
+      { code: 'blurry', message: 'Blurry.' }
+    ])
+    assert.equal(message, 'Too small. Blurry.')
+  })
+})
@@ -0,0 +1,66 @@
+const { describe, test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const {
+  ImageNotFoundError,
+  store_diagnosis_image,
+  open_image,
+  delete_diagnosis_images
+} = require('../image_storage')
+
+const USER_ID = '64b000000000000000000001'
+let storage_dir
+let photo
+
+async function read_all(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+before(async function () {
+  storage_dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'agriqual-images-'))
+  process.env.IMAGE_STORAGE_DIR = storage_dir
+  photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3a7d2c' } }).png().toBuffer()
+})
+
+after(async function () {
+  delete process.env.IMAGE_STORAGE_DIR
+  await fs.promises.rm(storage_dir, { recursive: true, force: true })
+})
+
+describe('local image storage', function () {
+  test('keeps the original and a small JPEG thumbnail', async function () {
+    const stored = await store_diagnosis_image(USER_ID, photo, 'image/png')
+
+    assert.equal(stored.image.storage, 'local')
+    assert.match(stored.image.key, new RegExp('^diagnoses/' + USER_ID + '/.+\\.png$'))
+    assert.equal(stored.image.width, 800)
+    assert.equal(stored.image.height, 600)
+    assert.equal(stored.thumbnail.content_type, 'image/jpeg')
+    assert.equal(stored.thumbnail.width, 256)
+
+    assert.deepEqual(await read_all(await open_image(stored.image)), photo)
+    const thumbnail = await sharp(await read_all(await open_image(stored.thumbnail))).metadata()
+    assert.equal(thumbnail.format, 'jpeg')
+  })
+
+  test('reports deleted photos as not found', async function () {
+    const stored = await store_diagnosis_image(USER_ID, photo, 'image/png')
+
+    await delete_diagnosis_images(stored)
+
+    await assert.rejects(open_image(stored.image), ImageNotFoundError)
+    await assert.rejects(open_image(stored.thumbnail), ImageNotFoundError)
+  })
+
+  test('never reads outside the storage directory', async function () {
+    await assert.rejects(open_image({ storage: 'local', key: '../../etc/passwd' }), ImageNotFoundError)
+    await assert.rejects(open_image(null), ImageNotFoundError)
+  })
+})
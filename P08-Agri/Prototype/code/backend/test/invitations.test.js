@@ -0,0 +1,123 @@
+const { describe, test, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const jwt = require('jsonwebtoken')
+const { stub_module } = require('./helpers/stub_module')
+
+const sent_invitations = []
+stub_module('email_service', {
+  send_invitation_email: async function (email, details) {
+    sent_invitations.push({ email, ...details })
+  }
+})
+const Invitation = require('../models/Invitation')
+const { JWT_SECRET, sign_challenge_token } = require('../middleware/auth')
+const { create_invitation, check_invitation_token, invitation_error } = require('../invitations')
+const { get_permissions, has_permission, is_valid_role } = require('../permissions')
+
+const ADMIN_ID = '64b000000000000000000009'
+
+let stored
+
+async function invite(now = new Date()) {
+  const { link } = await create_invitation({ email: 'inspector@example.com', role: 'inspector', invited_by: ADMIN_ID }, now)
+  return decodeURIComponent(new URL(link).searchParams.get('invite'))
+}
+
+beforeEach(function () {
+  stored = []
+  sent_invitations.length = 0
+  mock.method(Invitation, 'updateMany', async function (filter, update) {
+    for (const invitation of stored) {
+      if (invitation.email === filter.email && !invitation.accepted_at && !invitation.revoked_at) {
+        Object.assign(invitation, update.$set)
+      }
+    }
+  })
+  mock.method(Invitation, 'create', async function (fields) {
+    const invitation = { _id: 'inv' + stored.length, accepted_at: null, revoked_at: null, ...fields }
+    stored.push(invitation)
+    return invitation
+  })
+  mock.method(Invitation, 'findOne', async function (filter) {
+    return stored.find((invitation) => invitation.token_id === filter.token_id) || null
+  })
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('create_invitation', function () {
+  test('emails a signup link carrying the invitation token', async function () {
+    const token = await invite()
+
+    assert.equal(sent_invitations.length, 1)
+    assert.equal(sent_invitations[0].email, 'inspector@example.com')
+    assert.match(sent_invitations[0].link, /\/register\?invite=/)
+    const payload = jwt.verify(token, JWT_SECRET)
+    assert.equal(payload.purpose, 'invitation')
+    assert.equal(payload.jti, stored[0].token_id)
+  })
+
+  test('withdraws the previous pending invitation for the same address', async function () {
+    const first = await invite()
+    const second = await invite()
+
+    assert.deepEqual(await check_invitation_token(first, new Date()), { ok: false, reason: 'revoked' })
+    assert.equal((await check_invitation_token(second, new Date())).ok, true)
+  })
+})
+
+describe('check_invitation_token', function () {
+  test('accepts a pending invitation', async function () {
+    const result = await check_invitation_token(await invite(), new Date())
+    assert.equal(result.ok, true)
+    assert.equal(result.invitation.role, 'inspector')
+  })
+
+  test('refuses used, expired and forged invitations', async function () {
+    const now = new Date()
+    const used = await invite(now)
+    stored[0].accepted_at = now
+
+    const expired = await invite(now)
+    stored[1].expires_at = new Date(now.getTime() - 1000)
+
+    const forged = jwt.sign({ purpose: 'invitation', email: 'me@example.com', role: 'admin' }, 'guessed-secret', { jwtid: 'x' })
+    const wrong_purpose = sign_challenge_token({ _id: ADMIN_ID }, 'login_2fa')
+
+    assert.equal((await check_invitation_token(used, now)).reason, 'used')
+    assert.equal((await check_invitation_token(expired, now)).reason, 'expired')
+    assert.equal((await check_invitation_token(forged, now)).reason, 'invalid')
+    assert.equal((await check_invitation_token(wrong_purpose, now)).reason, 'invalid')
+  })
+
+  test('maps every failure onto a stable error code', function () {
+    assert.equal(invitation_error({ reason: 'used' }).body.code, 'invitation_used')
+    assert.equal(invitation_error({ reason: 'expired' }).body.code, 'invitation_expired')
+    assert.equal(invitation_error({ reason: 'revoked' }).body.code, 'invitation_revoked')
+    assert.equal(invitation_error({ reason: 'invalid' }).body.code, 'invitation_invalid')
+  })
+})
+
+describe('permissions', function () {
+  test('grants admins everything inspectors have, and more', function () {
+    for (const permission of get_permissions('inspector')) {
+      assert.equal(has_permission('admin', permission), true)
+    }
+    assert.equal(has_permission('admin', 'users:manage'), true)
+    assert.equal(has_permission('inspector', 'users:manage'), false)
+  })
+
+  test('keeps farmers out of review and administration', function () {
+    assert.equal(has_permission('farmer', 'diagnosis:create'), true)
+    assert.equal(has_permission('farmer', 'diagnosis:review'), false)
+    assert.equal(has_permission('farmer', 'invitations:manage'), false)
+  })
+
+  test('gives unknown roles nothing', function () {
+    assert.equal(is_valid_role('superuser'), false)
+    assert.deepEqual(get_permissions('superuser'), [])
+    assert.deepEqual(get_permissions(undefined), [])
+  })
+})
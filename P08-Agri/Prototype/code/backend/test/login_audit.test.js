@@ -0,0 +1,76 @@
+const { describe, test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const LoginAttempt = require('../models/LoginAttempt')
+const { get_device_hash, record_login_attempt, is_new_device } = require('../login_audit')
+const { fake_request } = require('./helpers/http')
+
+const user = { _id: '64b000000000000000000001', email: 'ayesha@example.com' }
+
+function capture_saves() {
+  const saved = []
+  mock.method(LoginAttempt.prototype, 'save', async function () {
+    saved.push(this)
+    return this
+  })
+  return saved
+}
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('record_login_attempt', function () {
+  test('stores the client, device and outcome', async function () {
+    const saved = capture_saves()
+    const request = fake_request({ headers: { 'user-agent': 'Mozilla/5.0 Test' } })
+
+    await record_login_attempt(request, { email: ' Ayesha@Example.com ', user, success: false, reason: 'wrong_password' })
+
+    assert.equal(saved.length, 1)
+    const attempt = saved[0]
+    assert.equal(attempt.email, 'ayesha@example.com')
+    assert.equal(attempt.user_id.toString(), user._id)
+    assert.equal(attempt.ip_address, '203.0.113.7')
+    assert.equal(attempt.success, false)
+    assert.equal(attempt.event, 'login')
+    assert.equal(attempt.reason, 'wrong_password')
+    assert.equal(attempt.device_hash, get_device_hash('mozilla/5.0 test'))
+  })
+
+  test('never lets a failed write break the login', async function () {
+    mock.method(LoginAttempt.prototype, 'save', async function () {
+      throw new Error('database down')
+    })
+    mock.method(console, 'error', function () {})
+
+    const result = await record_login_attempt(fake_request(), { email: user.email, success: true })
+
+    assert.equal(result, null)
+  })
+})
+
+describe('is_new_device', function () {
+  function mock_history(seen_devices) {
+    mock.method(LoginAttempt, 'exists', async function (query) {
+      if (!query.device_hash) {
+        return seen_devices.length > 0 ? { _id: 'x' } : null
+      }
+      return seen_devices.includes(query.device_hash) ? { _id: 'x' } : null
+    })
+  }
+
+  test('does not report the first sign-in after registration', async function () {
+    mock_history([])
+    const request = fake_request({ headers: { 'user-agent': 'Phone' } })
+    assert.equal(await is_new_device(user, request), false)
+  })
+
+  test('reports a device the user has never signed in from', async function () {
+    mock_history([get_device_hash('laptop')])
+    const known = fake_request({ headers: { 'user-agent': 'Laptop' } })
+    const unknown = fake_request({ headers: { 'user-agent': 'Phone' } })
+
+    assert.equal(await is_new_device(user, known), false)
+    assert.equal(await is_new_device(user, unknown), true)
+  })
+})
@@ -0,0 +1,45 @@
+const { describe, test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const bcrypt = require('bcryptjs')
+const PasswordHistory = require('../models/PasswordHistory')
+const { validate_new_password, check_password_history } = require('../password_utils')
+
+const user = { _id: '64b000000000000000000001', email: 'ayesha.khan@example.com' }
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('validate_new_password', function () {
+  test('accepts a password with three character classes', function () {
+    assert.equal(validate_new_password('Harvest-2024', user), null)
+  })
+
+  test('explains what is wrong with a weak password', function () {
+    assert.match(validate_new_password('', user), /required/)
+    assert.match(validate_new_password('Ab1!', user), /at least 8/)
+    assert.match(validate_new_password('Has spaces 1A', user), /spaces/)
+    assert.match(validate_new_password('alllowercase', user), /three of/)
+    assert.match(validate_new_password('Ayesha.Khan-99', user), /email username/)
+  })
+})
+
+describe('check_password_history', function () {
+  function mock_history(hashes) {
+    mock.method(PasswordHistory, 'find', function () {
+      return {
+        sort() {
+          return this
+        },
+        limit: async () => hashes.map((passwordHash) => ({ passwordHash }))
+      }
+    })
+  }
+
+  test('flags a password used recently', async function () {
+    mock_history([await bcrypt.hash('Old-Harvest-1', 4), await bcrypt.hash('Older-Harvest-2', 4)])
+
+    assert.equal(await check_password_history(user, 'Older-Harvest-2'), true)
+    assert.equal(await check_password_history(user, 'Fresh-Harvest-3'), false)
+  })
+})
@@ -0,0 +1,100 @@
+const { describe, test, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { normalize_phone } = require('../sms_service')
+const { send_phone_code, check_phone_code, get_phone_resend_wait_seconds } = require('../phone_verification')
+
+let sent_messages = []
+
+function fake_user() {
+  return { phone: '+923001234567', save: async function () {} }
+}
+
+// The console provider (the default) is where the code shows up in development
+async function send_and_read_code(user, purpose, now) {
+  const timing = await send_phone_code(user, purpose, now)
+  const code = /code is (\d{6})/.exec(sent_messages.at(-1))[1]
+  return { timing, code }
+}
+
+beforeEach(function () {
+  sent_messages = []
+  mock.method(console, 'log', function (...args) {
+    sent_messages.push(args.join(' '))
+  })
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('normalize_phone', function () {
+  test('turns local and international spellings into E.164', function () {
+    assert.equal(normalize_phone('0300 1234567'), '+923001234567')
+    assert.equal(normalize_phone('0092-300-1234567'), '+923001234567')
+    assert.equal(normalize_phone('+92 (300) 1234567'), '+923001234567')
+    assert.equal(normalize_phone('923001234567'), '+923001234567')
+  })
+
+  test('rejects values that cannot be phone numbers', function () {
+    assert.equal(normalize_phone(''), '')
+    assert.equal(normalize_phone('12345'), '')
+    assert.equal(normalize_phone('call me'), '')
+  })
+})
+
+describe('send_phone_code', function () {
+  test('texts the code and returns only its timing', async function () {
+    const user = fake_user()
+    const { timing, code } = await send_and_read_code(user, 'verify', new Date())
+
+    assert.deepEqual(Object.keys(timing).sort(), ['expiresInSeconds', 'resendAvailableInSeconds'])
+    assert.ok(!JSON.stringify(timing).includes(code))
+    assert.ok(user.phone_otp_hash && !user.phone_otp_hash.includes(code))
+  })
+
+  test('starts the resend cooldown', async function () {
+    const user = fake_user()
+    const now = new Date()
+    const { timing } = await send_and_read_code(user, 'verify', now)
+
+    assert.equal(get_phone_resend_wait_seconds(user, now), timing.resendAvailableInSeconds)
+    assert.equal(get_phone_resend_wait_seconds(user, new Date(now.getTime() + 3600 * 1000)), 0)
+  })
+})
+
+describe('check_phone_code', function () {
+  test('accepts the right code once, for its own purpose only', async function () {
+    const user = fake_user()
+    const now = new Date()
+    const { code } = await send_and_read_code(user, 'login', now)
+
+    assert.equal((await check_phone_code(user, 'verify', code, now)).reason, 'no_pending_code')
+    assert.deepEqual(await check_phone_code(user, 'login', code, now), { ok: true })
+    assert.equal((await check_phone_code(user, 'login', code, now)).reason, 'no_pending_code')
+  })
+
+  test('burns the code after too many wrong guesses', async function () {
+    const user = fake_user()
+    const now = new Date()
+    const { code } = await send_and_read_code(user, 'login', now)
+    const wrong = code === '000000' ? '111111' : '000000'
+
+    let result = await check_phone_code(user, 'login', wrong, now)
+    assert.equal(result.reason, 'wrong_code')
+    while (result.reason === 'wrong_code') {
+      result = await check_phone_code(user, 'login', wrong, now)
+    }
+
+    assert.equal(result.reason, 'code_invalidated')
+    assert.equal((await check_phone_code(user, 'login', code, now)).reason, 'no_pending_code')
+  })
+
+  test('refuses an expired code', async function () {
+    const user = fake_user()
+    const now = new Date()
+    const { timing, code } = await send_and_read_code(user, 'verify', now)
+    const later = new Date(now.getTime() + timing.expiresInSeconds * 1000)
+
+    assert.equal((await check_phone_code(user, 'verify', code, later)).reason, 'code_expired')
+  })
+})
@@ -0,0 +1,111 @@
+const { describe, test, beforeEach, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { use_fake_redis } = require('./helpers/fake_redis')
+const { fake_request, fake_response, run_middleware } = require('./helpers/http')
+
+const redis = use_fake_redis()
+const { POLICIES, rate_limit } = require('../middleware/rate_limit')
+const { get_client_ip } = require('../request_utils')
+
+async function hit(policy_name, request) {
+  const response = fake_response()
+  const { next_called } = await run_middleware(rate_limit(policy_name), request, response)
+  return { next_called, response }
+}
+
+beforeEach(function () {
+  redis.isReady = true
+  redis.store.clear()
+  mock.method(console, 'log', function () {})
+  mock.method(console, 'warn', function () {})
+  mock.method(console, 'error', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('rate_limit', function () {
+  test('answers 429 with Retry-After once a key is over the limit', async function () {
+    const max = POLICIES.login.max
+    for (let i = 0; i < max; i++) {
+      const { next_called } = await hit('login', fake_request({ body: { email: 'ayesha@example.com' } }))
+      assert.equal(next_called, true)
+    }
+
+    const { next_called, response } = await hit('login', fake_request({ body: { email: 'ayesha@example.com' } }))
+
+    assert.equal(next_called, false)
+    assert.equal(response.status_code, 429)
+    assert.equal(response.body.message, POLICIES.login.message)
+    assert.ok(response.body.retryAfterSeconds > 0)
+    assert.equal(response.headers['retry-after'], String(response.body.retryAfterSeconds))
+  })
+
+  test('counts every key separately', async function () {
+    for (let i = 0; i < POLICIES.login.max; i++) {
+      await hit('login', fake_request({ ip: '198.51.100.' + i, body: { email: 'ayesha@example.com' } }))
+    }
+
+    // Same email from a fresh IP is still blocked; another email from that IP is not
+    const same_email = await hit('login', fake_request({ ip: '198.51.100.200', body: { email: 'AYESHA@example.com' } }))
+    const other_email = await hit('login', fake_request({ ip: '198.51.100.200', body: { email: 'bilal@example.com' } }))
+
+    assert.equal(same_email.response.status_code, 429)
+    assert.equal(other_email.next_called, true)
+  })
+
+  test('puts every way of writing a phone number in one bucket', async function () {
+    const numbers = ['03001234567', '+923001234567', '00923001234567', '+92 300 1234567', '0300-1234567']
+    for (let i = 0; i < POLICIES.phone_otp.max; i++) {
+      await hit('phone_otp', fake_request({ ip: '198.51.100.' + i, body: { phone: numbers[i % numbers.length] } }))
+    }
+
+    const { response } = await hit('phone_otp', fake_request({ ip: '198.51.100.200', body: { phone: '03001234567' } }))
+
+    assert.equal(response.status_code, 429)
+  })
+
+  test('starts a new window once the old one has expired', async function () {
+    for (let i = 0; i <= POLICIES.refresh.max; i++) {
+      await hit('refresh', fake_request())
+    }
+    for (const entry of redis.store.values()) {
+      entry.expires_at = Date.now() - 1
+    }
+
+    const { next_called } = await hit('refresh', fake_request())
+
+    assert.equal(next_called, true)
+  })
+
+  test('fails open when Redis is not connected', async function () {
+    redis.isReady = false
+    for (let i = 0; i <= POLICIES.login.max + 5; i++) {
+      const { next_called } = await hit('login', fake_request({ body: { email: 'ayesha@example.com' } }))
+      assert.equal(next_called, true)
+    }
+  })
+
+  test('fails open when a Redis command throws', async function () {
+    mock.method(redis, 'multi', function () {
+      throw new Error('connection reset')
+    })
+
+    const { next_called, response } = await hit('login', fake_request({ body: { email: 'ayesha@example.com' } }))
+
+    assert.equal(next_called, true)
+    assert.equal(response.status_code, 200)
+  })
+
+  test('refuses unknown policy names up front', function () {
+    assert.throws(() => rate_limit('no_such_policy'), /Unknown rate limit policy/)
+  })
+})
+
+describe('get_client_ip', function () {
+  test('uses the address Express resolved and ignores a raw X-Forwarded-For header', function () {
+    const request = fake_request({ ip: '203.0.113.7', headers: { 'x-forwarded-for': '10.0.0.1' } })
+    assert.equal(get_client_ip(request), '203.0.113.7')
+  })
+})
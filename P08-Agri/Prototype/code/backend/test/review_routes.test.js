@@ -0,0 +1,155 @@
+const { describe, test, before, after, beforeEach, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { stub_module } = require('./helpers/stub_module')
+const { start_app } = require('./helpers/http')
+
+const INSPECTOR_ID = '64b000000000000000000002'
+const FARMER_ID = '64b000000000000000000001'
+const DIAGNOSIS_ID = '64b0000000000000000000aa'
+
+let role
+let emails
+let email_outcome
+
+stub_module('middleware/auth', {
+  require_auth: function (request, response, next) {
+    request.user = { id: INSPECTOR_ID, role }
+    next()
+  }
+})
+stub_module('email_service', {
+  send_diagnosis_review_email: async function (to, review) {
+    emails.push({ to, review })
+    return email_outcome()
+  }
+})
+const Diagnosis = require('../models/Diagnosis')
+const User = require('../models/User')
+const router = require('../routes/review')
+
+let app
+let stored
+
+// Stands in for a Mongoose query: every chained call returns the query, lean() the result
+function query_of(result) {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    select: () => query,
+    populate: () => query,
+    lean: async () => result
+  }
+  return query
+}
+
+function review(body) {
+  return fetch(app.base_url + '/' + DIAGNOSIS_ID, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+}
+
+before(async function () {
+  app = await start_app('/api/review', router)
+})
+
+after(async function () {
+  await app.close()
+})
+
+beforeEach(function () {
+  role = 'inspector'
+  emails = []
+  email_outcome = () => undefined
+  stored = new Diagnosis({ _id: DIAGNOSIS_ID, user_id: FARMER_ID, diagnosis: 'Aphid', confidence: 0.45, certainty: 'ambiguous' })
+  mock.method(Diagnosis, 'findOne', async () => stored)
+  mock.method(Diagnosis, 'findById', () => query_of(stored.toObject()))
+  mock.method(Diagnosis.prototype, 'save', async function () {
+    return this
+  })
+  mock.method(User, 'findById', () => query_of({ email: 'farmer@example.com' }))
+  mock.method(console, 'error', function () {})
+})
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('POST /api/review/:id', function () {
+  test('relabels the diagnosis and emails the farmer', async function () {
+    const response = await review({ action: 'relabel', label: 'mite', notes: ' Webbing under the leaves ' })
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.review.status, 'relabeled')
+    assert.equal(body.review.reviewedLabel, 'Mite')
+    assert.equal(body.review.reviewerId, INSPECTOR_ID)
+    assert.equal(body.review.notes, 'Webbing under the leaves')
+    assert.deepEqual(body.reasons, ['low_confidence'])
+    assert.equal(emails[0].to, 'farmer@example.com')
+    assert.equal(emails[0].review.reviewed_label, 'Mite')
+  })
+
+  test('keeps the verdict when the email cannot be sent', async function () {
+    email_outcome = () => {
+      throw new Error('SMTP down')
+    }
+
+    const response = await review({ action: 'confirm' })
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.review.status, 'confirmed')
+    assert.equal(body.review.reviewedLabel, 'Aphid')
+  })
+
+  test('refuses a relabel to an unknown or the same label', async function () {
+    assert.equal((await (await review({ action: 'relabel', label: 'Dragon' })).json()).code, 'unknown_label')
+    assert.equal((await (await review({ action: 'relabel', label: 'Aphid' })).json()).code, 'same_label')
+    assert.equal((await review({ action: 'approve' })).status, 400)
+    assert.equal(emails.length, 0)
+  })
+
+  test('is only open to inspectors and admins', async function () {
+    role = 'farmer'
+
+    const response = await review({ action: 'confirm' })
+
+    assert.equal(response.status, 403)
+    assert.equal(Diagnosis.findOne.mock.callCount(), 0)
+  })
+})
+
+describe('GET /api/review/queue', function () {
+  test('lists pending diagnoses with the reasons they need a look', async function () {
+    const flagged = new Diagnosis({
+      _id: DIAGNOSIS_ID,
+      user_id: FARMER_ID,
+      diagnosis: 'Aphid',
+      confidence: 0.9,
+      certainty: 'confident',
+      feedback: { verdict: 'incorrect', corrected_label: 'Mite' },
+      review_requested_at: new Date('2026-10-19T08:00:00.000Z')
+    }).toObject()
+    mock.method(Diagnosis, 'find', () => query_of([flagged]))
+    mock.method(Diagnosis, 'countDocuments', async () => 1)
+
+    const response = await fetch(app.base_url + '/queue?reason=farmer_flagged&limit=500')
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(body.limit, 100)
+    assert.deepEqual(body.items[0].reasons, ['farmer_flagged', 'farmer_requested'])
+    assert.equal(body.items[0].feedback.correctedLabel, 'Mite')
+    const filter = Diagnosis.find.mock.calls[0].arguments[0]
+    assert.deepEqual(filter.$or, [{ 'feedback.verdict': 'incorrect' }])
+    assert.deepEqual(filter.review_status, { $exists: false })
+  })
+
+  test('refuses an unknown reason', async function () {
+    const response = await fetch(app.base_url + '/queue?reason=bored')
+    assert.equal(response.status, 400)
+  })
+})
@@ -0,0 +1,89 @@
+const { describe, test, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { use_fake_redis } = require('./helpers/fake_redis')
+
+const redis = use_fake_redis()
+const {
+  SessionStoreUnavailableError,
+  create_session,
+  revoke_all_sessions,
+  rotate_refresh_token,
+  revoke_refresh_token,
+  is_session_active
+} = require('../session_store')
+
+const USER_ID = '64b000000000000000000001'
+
+beforeEach(function () {
+  redis.isReady = true
+  redis.store.clear()
+})
+
+describe('rotate_refresh_token', function () {
+  test('swaps the refresh token and keeps the session', async function () {
+    const session = await create_session(USER_ID, { ip: '203.0.113.7' })
+
+    const rotated = await rotate_refresh_token(session.refresh_token)
+
+    assert.equal(rotated.session_id, session.session_id)
+    assert.equal(rotated.user_id, USER_ID)
+    assert.notEqual(rotated.refresh_token, session.refresh_token)
+    assert.equal(await is_session_active(session.session_id, USER_ID), true)
+  })
+
+  test('revokes the whole session when an old refresh token is reused', async function () {
+    const session = await create_session(USER_ID)
+    const rotated = await rotate_refresh_token(session.refresh_token)
+
+    const reused = await rotate_refresh_token(session.refresh_token)
+
+    assert.equal(reused, null)
+    assert.equal(await is_session_active(session.session_id, USER_ID), false)
+    // The thief's copy is dead, and so is the legitimate holder's newer token
+    assert.equal(await rotate_refresh_token(rotated.refresh_token), null)
+  })
+
+  test('ignores malformed and unknown tokens', async function () {
+    assert.equal(await rotate_refresh_token(''), null)
+    assert.equal(await rotate_refresh_token('no-dot'), null)
+    assert.equal(await rotate_refresh_token('unknown-session.secret'), null)
+  })
+
+  test('throws when Redis is unavailable', async function () {
+    redis.isReady = false
+    await assert.rejects(rotate_refresh_token('a.b'), SessionStoreUnavailableError)
+  })
+})
+
+describe('revoke_refresh_token', function () {
+  test('only ends the session for the current token', async function () {
+    const session = await create_session(USER_ID)
+    const rotated = await rotate_refresh_token(session.refresh_token)
+
+    // Logging out with a stale token must not double as reuse detection
+    assert.equal(await revoke_refresh_token(session.refresh_token), false)
+    assert.equal(await is_session_active(session.session_id, USER_ID), true)
+
+    assert.equal(await revoke_refresh_token(rotated.refresh_token), true)
+    assert.equal(await is_session_active(session.session_id, USER_ID), false)
+  })
+})
+
+describe('revoke_all_sessions', function () {
+  test('ends every session of the user and no one else', async function () {
+    const first = await create_session(USER_ID)
+    const second = await create_session(USER_ID)
+    const other = await create_session('64b000000000000000000002')
+
+    assert.equal(await revoke_all_sessions(USER_ID), 2)
+
+    assert.equal(await is_session_active(first.session_id, USER_ID), false)
+    assert.equal(await is_session_active(second.session_id, USER_ID), false)
+    assert.equal(await is_session_active(other.session_id, '64b000000000000000000002'), true)
+  })
+
+  test('does not accept a session id for another user', async function () {
+    const session = await create_session(USER_ID)
+    assert.equal(await is_session_active(session.session_id, '64b000000000000000000002'), false)
+  })
+})
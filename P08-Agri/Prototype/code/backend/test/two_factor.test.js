@@ -0,0 +1,136 @@
+const { describe, test, mock, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const LoginAttempt = require('../models/LoginAttempt')
+const {
+  verify_totp,
+  begin_enrollment,
+  confirm_enrollment,
+  verify_second_factor,
+  disable_two_factor
+} = require('../two_factor')
+const { LOGIN_MAX_FAILED_ATTEMPTS, register_two_factor_failure } = require('../login_audit')
+const { fake_request } = require('./helpers/http')
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+// An authenticator app's view of the code, written independently of two_factor.js
+function authenticator_code(secret_base32, time_ms) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+  let bits = ''
+  for (const char of secret_base32) {
+    bits += alphabet.indexOf(char).toString(2).padStart(5, '0')
+  }
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)))
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(Math.floor(time_ms / 30000)))
+  const digest = crypto.createHmac('sha1', key).update(counter).digest()
+  const offset = digest[19] & 15
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0')
+}
+
+function fake_user() {
+  return {
+    _id: '64b000000000000000000001',
+    email: 'ayesha@example.com',
+    save: async function () {}
+  }
+}
+
+async function enrolled_user() {
+  const user = fake_user()
+  const { secret } = await begin_enrollment(user)
+  const enrollment_code = authenticator_code(secret, Date.now())
+  const recovery_codes = await confirm_enrollment(user, enrollment_code)
+  return { user, enrollment_code, recovery_codes }
+}
+
+afterEach(function () {
+  mock.restoreAll()
+})
+
+describe('verify_totp', function () {
+  test('matches the RFC 6238 test vector', function () {
+    mock.method(Date, 'now', () => 59 * 1000)
+    assert.equal(verify_totp(RFC_SECRET, '287082', null), 1)
+  })
+
+  test('allows one step of clock drift either way', function () {
+    const now = Date.now()
+    assert.notEqual(verify_totp(RFC_SECRET, authenticator_code(RFC_SECRET, now - 30000), null), null)
+    assert.notEqual(verify_totp(RFC_SECRET, authenticator_code(RFC_SECRET, now + 30000), null), null)
+    assert.equal(verify_totp(RFC_SECRET, authenticator_code(RFC_SECRET, now - 120000), null), null)
+  })
+
+  test('refuses a time step that was already used', function () {
+    const code = authenticator_code(RFC_SECRET, Date.now())
+    const step = verify_totp(RFC_SECRET, code, null)
+    assert.equal(verify_totp(RFC_SECRET, code, step), null)
+  })
+
+  test('refuses anything that is not six digits', function () {
+    assert.equal(verify_totp(RFC_SECRET, '12345', null), null)
+    assert.equal(verify_totp(RFC_SECRET, 'abcdef', null), null)
+  })
+})
+
+describe('enrollment', function () {
+  test('stores the secret encrypted and enables 2FA only after a valid code', async function () {
+    const user = fake_user()
+    const { secret, otpauthUrl } = await begin_enrollment(user)
+
+    assert.ok(!user.totp_pending_secret.includes(secret))
+    assert.match(otpauthUrl, /^otpauth:\/\/totp\//)
+
+    const stale_code = authenticator_code(secret, Date.now() - 10 * 60 * 1000)
+    assert.equal(await confirm_enrollment(user, stale_code), null)
+    assert.notEqual(user.totp_enabled, true)
+
+    const codes = await confirm_enrollment(user, authenticator_code(secret, Date.now()))
+    assert.equal(codes.length, 10)
+    assert.equal(user.totp_enabled, true)
+    assert.equal(user.totp_pending_secret, undefined)
+  })
+})
+
+describe('verify_second_factor', function () {
+  test('does not accept the enrollment code a second time', async function () {
+    const { user, enrollment_code } = await enrolled_user()
+    assert.equal(verify_second_factor(user, { code: enrollment_code }), null)
+  })
+
+  test('accepts each recovery code once, however it is typed', async function () {
+    const { user, recovery_codes } = await enrolled_user()
+    const typed = recovery_codes[0].toUpperCase().replace('-', ' ')
+
+    assert.equal(verify_second_factor(user, { recovery_code: typed }), 'recovery_code')
+    assert.equal(user.totp_recovery_hashes.length, 9)
+    assert.equal(verify_second_factor(user, { recovery_code: recovery_codes[0] }), null)
+  })
+
+  test('accepts nothing once 2FA is turned off', async function () {
+    const { user, recovery_codes } = await enrolled_user()
+    disable_two_factor(user)
+    assert.equal(verify_second_factor(user, { recovery_code: recovery_codes[1] }), null)
+  })
+})
+
+describe('register_two_factor_failure', function () {
+  test('locks the account after too many wrong codes', async function () {
+    mock.method(LoginAttempt.prototype, 'save', async function () {
+      return this
+    })
+    const user = fake_user()
+    const now = new Date()
+
+    for (let i = 1; i < LOGIN_MAX_FAILED_ATTEMPTS; i++) {
+      assert.equal(await register_two_factor_failure(fake_request(), user, now), 0)
+    }
+    const locked_seconds = await register_two_factor_failure(fake_request(), user, now)
+
+    assert.equal(user.failed_login_attempts, LOGIN_MAX_FAILED_ATTEMPTS)
+    assert.ok(locked_seconds > 0)
+    assert.ok(user.lock_until > now)
+  })
+})
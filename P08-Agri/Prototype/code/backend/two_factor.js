@@ -0,0 +1,254 @@
+const crypto = require('crypto')
+const QRCode = require('qrcode')
+const SecuritySetting = require('./models/SecuritySetting')
+const { hash_otp, verify_otp } = require('./otp_utils')
+
+// ====== TOTP settings (RFC 6238 defaults, understood by every authenticator app) ======
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'AgriQual'
+const TOTP_DIGITS = 6
+const TOTP_PERIOD_SECONDS = 30
+// Accept the previous and next time step to absorb clock drift on phones
+const TOTP_DRIFT_STEPS = 1
+const RECOVERY_CODE_COUNT = 10
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// Secrets are encrypted at rest with AES-256-GCM; the key falls back to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'dev-secret-change-me')
+  .digest()
+
+function base32_encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+function base32_decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[^A-Z2-7]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+function encrypt_secret(secret) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv)
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  const tag = cipher.getAuthTag()
+  return [iv, tag, encrypted].map((part) => part.toString('base64')).join('.')
+}
+
+function decrypt_secret(stored) {
+  const [iv, tag, encrypted] = String(stored || '').split('.').map((part) => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+function generate_totp_code(secret, step) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const digest = crypto.createHmac('sha1', base32_decode(secret)).update(counter).digest()
+  const offset = digest[digest.length - 1] & 15
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+}
+
+// Returns the matched time step, or null. Steps at or before `last_step` are refused (replay).
+function verify_totp(secret, code, last_step) {
+  const value = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(value)) {
+    return null
+  }
+
+  const current_step = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS)
+
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = current_step + drift
+    if (typeof last_step === 'number' && step <= last_step) {
+      continue
+    }
+
+    const expected = Buffer.from(generate_totp_code(secret, step))
+    if (crypto.timingSafeEqual(expected, Buffer.from(value))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+function build_otpauth_url(secret, account_name) {
+  const label = encodeURIComponent(TOTP_ISSUER + ':' + account_name)
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  })
+  return 'otpauth://totp/' + label + '?' + params.toString()
+}
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+function generate_recovery_codes() {
+  const codes = []
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex')
+    codes.push(raw.slice(0, 5) + '-' + raw.slice(5))
+  }
+  return {
+    codes,
+    hashes: codes.map((code) => hash_otp(code))
+  }
+}
+
+function normalize_recovery_code(code) {
+  const raw = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '')
+  if (raw.length !== 10) {
+    return ''
+  }
+  return raw.slice(0, 5) + '-' + raw.slice(5)
+}
+
+// ====== Enrollment ======
+
+// Create a new pending secret for the user and return what the authenticator app needs
+async function begin_enrollment(user) {
+  const secret = base32_encode(crypto.randomBytes(20))
+  const otpauth_url = build_otpauth_url(secret, user.email)
+
+  user.totp_pending_secret = encrypt_secret(secret)
+  await user.save()
+
+  const qr_code_data_url = await QRCode.toDataURL(otpauth_url)
+
+  return {
+    secret,
+    otpauthUrl: otpauth_url,
+    qrCodeDataUrl: qr_code_data_url
+  }
+}
+
+// Check a code against the pending secret and switch 2FA on.
+// Returns the plain recovery codes (shown once) or null when the code is wrong.
+async function confirm_enrollment(user, code) {
+  if (!user.totp_pending_secret) {
+    return null
+  }
+
+  const secret = decrypt_secret(user.totp_pending_secret)
+  const step = verify_totp(secret, code, null)
+  if (step === null) {
+    return null
+  }
+
+  const recovery = generate_recovery_codes()
+
+  user.totp_enabled = true
+  user.totp_secret = user.totp_pending_secret
+  user.totp_pending_secret = undefined
+  user.totp_last_step = step
+  user.totp_enabled_at = new Date()
+  user.totp_recovery_hashes = recovery.hashes
+  await user.save()
+
+  return recovery.codes
+}
+
+// Replace every recovery code; returns the new plain codes. The caller saves the user.
+function regenerate_recovery_codes(user) {
+  const recovery = generate_recovery_codes()
+  user.totp_recovery_hashes = recovery.hashes
+  return recovery.codes
+}
+
+function disable_two_factor(user) {
+  user.totp_enabled = false
+  user.totp_secret = undefined
+  user.totp_pending_secret = undefined
+  user.totp_last_step = undefined
+  user.totp_enabled_at = undefined
+  user.totp_recovery_hashes = []
+}
+
+// ====== Verification ======
+
+// Accepts either an authenticator `code` or a one-time `recovery_code`.
+// Returns 'totp' | 'recovery_code' on success, null otherwise. The caller saves the user.
+function verify_second_factor(user, { code, recovery_code }) {
+  if (!user.totp_enabled || !user.totp_secret) {
+    return null
+  }
+
+  if (code) {
+    const step = verify_totp(decrypt_secret(user.totp_secret), code, user.totp_last_step)
+    if (step === null) {
+      return null
+    }
+    user.totp_last_step = step
+    return 'totp'
+  }
+
+  const normalized = normalize_recovery_code(recovery_code)
+  if (normalized) {
+    const hashes = user.totp_recovery_hashes || []
+    const index = hashes.findIndex((hash) => verify_otp(normalized, hash))
+    if (index === -1) {
+      return null
+    }
+    // Each recovery code works once
+    user.totp_recovery_hashes = hashes.filter((_, i) => i !== index)
+    return 'recovery_code'
+  }
+
+  return null
+}
+
+// ====== Policy ======
+
+async function is_two_factor_required(role) {
+  const setting = await SecuritySetting.get_current()
+  return (setting.require_2fa_roles || []).includes(role || 'farmer')
+}
+
+module.exports = {
+  TOTP_ISSUER,
+  verify_totp,
+  begin_enrollment,
+  confirm_enrollment,
+  regenerate_recovery_codes,
+  disable_two_factor,
+  verify_second_factor,
+  is_two_factor_required
+}
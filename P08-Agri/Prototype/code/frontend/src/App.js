@@ -1,79 +1,153 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
 import Login from './pages/auth/Login'
 import Register from './pages/auth/Register'
 import VerifyOtp from './pages/auth/VerifyOtp'
+import VerifyPhone from './pages/auth/VerifyPhone'
+import ForgotPassword from './pages/auth/ForgotPassword'
+import ResetPassword from './pages/auth/ResetPassword'
 import Dashboard from './pages/dashboard/Dashboard'
 import FarmerDashboard from './pages/dashboard/FarmerDashboard'
 import DiagnosticHistory from './pages/dashboard/DiagnosticHistory'
+import SecuritySettings from './pages/account/SecuritySettings'
+import Profile from './pages/account/Profile'
+import AdminUsers from './pages/admin/AdminUsers'
+import VerifyReport from './pages/report/VerifyReport'
+import { getPermissions } from './services/authService'
 import './App.css'
 
-function App() {
-  const isAuthenticated = () => {
-    return localStorage.getItem('token') !== null
+// Where a signed-in user lands, decided by what they may do rather than by role name
+const homePathFor = (permissions) => {
+  if (permissions.includes('diagnosis:review')) {
+    return '/inspector-dashboard'
   }
-
-  const getUserRole = () => {
-    const userJson = localStorage.getItem('user')
-    if (!userJson) {
-      return null
-    }
-    try {
-      const user = JSON.parse(userJson)
-      return user.role || null
-    } catch {
-      return null
-    }
+  if (permissions.includes('history:read_own')) {
+    return '/farmer-dashboard'
   }
+  return null
+}
+
+const isAuthenticated = () => {
+  return localStorage.getItem('token') !== null
+}
 
-  const PrivateRoute = ({ children, allowedRoles }) => {
+// Loads the current session's permissions from the server ({ role, permissions } or
+// { failed: true }); null while loading
+const usePermissions = () => {
+  const [access, setAccess] = useState(null)
+
+  useEffect(() => {
     if (!isAuthenticated()) {
-      return <Navigate to="/login" />
+      return
     }
 
-    if (allowedRoles && allowedRoles.length > 0) {
-      const userRole = getUserRole()
-      if (!allowedRoles.includes(userRole)) {
-        if (userRole === 'farmer') {
-          return <Navigate to="/farmer-dashboard" />
-        } else if (userRole === 'inspector') {
-          return <Navigate to="/inspector-dashboard" />
-        } else {
-          return <Navigate to="/dashboard" />
+    let cancelled = false
+    getPermissions()
+      .then((data) => {
+        if (!cancelled) {
+          setAccess({ role: data.role, permissions: data.permissions || [] })
         }
-      }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setAccess({ failed: true })
+        }
+      })
+
+    return () => {
+      cancelled = true
     }
+  }, [])
+
+  return access
+}
+
+const AccessMessage = ({ text }) => (
+  <div className="min-h-screen flex items-center justify-center px-4">
+    <p className="text-sm text-gray-600">{text}</p>
+  </div>
+)
 
+const PrivateRoute = ({ children, requiredPermissions }) => {
+  const access = usePermissions()
+
+  if (!isAuthenticated()) {
+    return <Navigate to="/login" />
+  }
+
+  if (!requiredPermissions || requiredPermissions.length === 0) {
     return children
   }
 
-  const DashboardRedirect = () => {
+  if (!access) {
+    return <AccessMessage text="Loading..." />
+  }
+
+  if (access.failed) {
     if (!isAuthenticated()) {
       return <Navigate to="/login" />
     }
+    return <AccessMessage text="Could not check your access. Please refresh the page." />
+  }
+
+  const allowed = requiredPermissions.every((permission) => access.permissions.includes(permission))
+  if (!allowed) {
+    return <Navigate to="/dashboard" />
+  }
+
+  return children
+}
+
+const DashboardRedirect = () => {
+  const access = usePermissions()
+
+  if (!isAuthenticated()) {
+    return <Navigate to="/login" />
+  }
+
+  if (!access) {
+    return <AccessMessage text="Loading..." />
+  }
 
-    const userRole = getUserRole()
-    if (userRole === 'farmer') {
-      return <Navigate to="/farmer-dashboard" />
-    } else if (userRole === 'inspector') {
-      return <Navigate to="/inspector-dashboard" />
-    } else {
-      return <Navigate to="/dashboard" />
+  if (access.failed) {
+    if (!isAuthenticated()) {
+      return <Navigate to="/login" />
     }
+    return <AccessMessage text="Could not check your access. Please refresh the page." />
   }
 
+  const homePath = homePathFor(access.permissions)
+  if (!homePath) {
+    return <AccessMessage text="Your account does not have access to a dashboard. Please contact an administrator." />
+  }
+
+  return <Navigate to={homePath} />
+}
+
+function App() {
   return (
     <Router>
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
         <Route path="/verify-otp" element={<VerifyOtp />} />
+        <Route
+          path="/verify-phone"
+          element={
+            <PrivateRoute>
+              <VerifyPhone />
+            </PrivateRoute>
+          }
+        />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-report/:token" element={<VerifyReport />} />
 
         <Route path="/dashboard" element={<DashboardRedirect />} />
         <Route
           path="/farmer-dashboard"
           element={
-            <PrivateRoute allowedRoles={['farmer']}>
+            <PrivateRoute requiredPermissions={['diagnosis:create', 'history:read_own']}>
               <FarmerDashboard />
             </PrivateRoute>
           }
@@ -81,7 +155,7 @@ function App() {
         <Route
           path="/diagnostic-history"
           element={
-            <PrivateRoute allowedRoles={['farmer']}>
+            <PrivateRoute requiredPermissions={['history:read_own']}>
               <DiagnosticHistory />
             </PrivateRoute>
           }
@@ -89,11 +163,35 @@ function App() {
         <Route
           path="/inspector-dashboard"
           element={
-            <PrivateRoute allowedRoles={['inspector', 'admin']}>
+            <PrivateRoute requiredPermissions={['diagnosis:review']}>
               <Dashboard />
             </PrivateRoute>
           }
         />
+        <Route
+          path="/account/profile"
+          element={
+            <PrivateRoute>
+              <Profile />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/account/security"
+          element={
+            <PrivateRoute>
+              <SecuritySettings />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/admin/users"
+          element={
+            <PrivateRoute requiredPermissions={['users:manage']}>
+              <AdminUsers />
+            </PrivateRoute>
+          }
+        />
         <Route path="/" element={<Navigate to="/login" />} />
       </Routes>
     </Router>
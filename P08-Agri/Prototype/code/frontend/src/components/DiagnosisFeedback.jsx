@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react'
+import { submit_diagnosis_feedback } from '../services/historyService'
+import { get_disease_classes } from '../services/diagnoseService'
+
+const VERDICTS = [
+  { value: 'correct', label: 'Correct', active: 'bg-green-600 text-white border-green-600' },
+  { value: 'incorrect', label: 'Wrong', active: 'bg-red-600 text-white border-red-600' },
+  { value: 'unsure', label: 'Not sure', active: 'bg-gray-700 text-white border-gray-700' }
+]
+
+// "Was this right?" form for one saved diagnosis. `feedback` is what the farmer sent before
+// (or null); onSaved receives the updated diagnosis.
+function DiagnosisFeedback({ diagnosisId, diagnosisLabel, feedback, onSaved }) {
+  const [verdict, setVerdict] = useState(feedback ? feedback.verdict : '')
+  const [correctedLabel, setCorrectedLabel] = useState(feedback && feedback.corrected_label ? feedback.corrected_label : '')
+  const [note, setNote] = useState(feedback && feedback.note ? feedback.note : '')
+  const [classes, setClasses] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [isSaved, setIsSaved] = useState(Boolean(feedback))
+
+  useEffect(() => {
+    setVerdict(feedback ? feedback.verdict : '')
+    setCorrectedLabel(feedback && feedback.corrected_label ? feedback.corrected_label : '')
+    setNote(feedback && feedback.note ? feedback.note : '')
+    setIsSaved(Boolean(feedback))
+    setError('')
+  }, [diagnosisId, feedback])
+
+  useEffect(() => {
+    if (verdict !== 'incorrect' || classes.length > 0) {
+      return
+    }
+    get_disease_classes()
+      .then(setClasses)
+      .catch(() => setError('Could not load the list of diseases'))
+  }, [verdict, classes.length])
+
+  function choose_verdict(value) {
+    setVerdict(value)
+    setIsSaved(false)
+    setError('')
+  }
+
+  async function handle_submit(e) {
+    e.preventDefault()
+    if (!verdict || isSaving) {
+      return
+    }
+    setIsSaving(true)
+    setError('')
+    try {
+      const updated = await submit_diagnosis_feedback(diagnosisId, {
+        verdict,
+        correctedLabel: verdict === 'incorrect' ? correctedLabel : '',
+        note
+      })
+      setIsSaved(true)
+      if (onSaved) {
+        onSaved(updated)
+      }
+    } catch (err) {
+      setError(err.message || 'Could not save your feedback')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handle_submit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="text-sm font-medium text-gray-700">Was this diagnosis right?</div>
+      <div className="flex gap-2">
+        {VERDICTS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => choose_verdict(option.value)}
+            className={`px-3 py-1.5 rounded-md border text-sm transition-colors ${
+              verdict === option.value ? option.active : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {verdict === 'incorrect' && (
+        <div>
+          <label htmlFor={`corrected-label-${diagnosisId}`} className="block text-sm text-gray-700 mb-1">
+            What is it actually? (optional)
+          </label>
+          <select
+            id={`corrected-label-${diagnosisId}`}
+            value={correctedLabel}
+            onChange={(e) => {
+              setCorrectedLabel(e.target.value)
+              setIsSaved(false)
+            }}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+          >
+            <option value="">I don't know</option>
+            {classes
+              .filter((name) => name !== diagnosisLabel)
+              .map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+          </select>
+        </div>
+      )}
+
+      {verdict && (
+        <div>
+          <label htmlFor={`feedback-note-${diagnosisId}`} className="block text-sm text-gray-700 mb-1">
+            Note (optional)
+          </label>
+          <textarea
+            id={`feedback-note-${diagnosisId}`}
+            value={note}
+            maxLength={1000}
+            rows={2}
+            onChange={(e) => {
+              setNote(e.target.value)
+              setIsSaved(false)
+            }}
+            placeholder="What did you see in the field?"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+          />
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {verdict && (
+        <div className="flex items-center gap-3">
+          <button
+            type="submit"
+            disabled={isSaving || isSaved}
+            className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-60"
+          >
+            {isSaving ? 'Saving...' : 'Send feedback'}
+          </button>
+          {isSaved && <span className="text-sm text-green-700">Thanks, your feedback is saved.</span>}
+        </div>
+      )}
+    </form>
+  )
+}
+
+export default DiagnosisFeedback
@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react'
+import { get_diagnosis_image_url } from '../services/historyService'
+
+// Loads a stored photo through the authenticated endpoint; renders nothing if it is missing
+function DiagnosisImage({ diagnosisId, variant, alt, className }) {
+  const [src, setSrc] = useState('')
+
+  useEffect(() => {
+    let objectUrl = ''
+    let cancelled = false
+
+    get_diagnosis_image_url(diagnosisId, variant)
+      .then((url) => {
+        objectUrl = url
+        if (cancelled) {
+          URL.revokeObjectURL(url)
+          return
+        }
+        setSrc(url)
+      })
+      .catch(() => setSrc(''))
+
+    return () => {
+      cancelled = true
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl)
+      }
+    }
+  }, [diagnosisId, variant])
+
+  if (!src) {
+    return null
+  }
+  return <img src={src} alt={alt} className={className} />
+}
+
+export default DiagnosisImage
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react'
+import { update_diagnosis } from '../services/historyService'
+
+// The farmer's own notes, tags and field/plot on a saved diagnosis. onSaved receives the
+// updated diagnosis.
+function DiagnosisNotes({ diagnosis, onSaved }) {
+  const [field, setField] = useState(diagnosis.field || '')
+  const [tags, setTags] = useState((diagnosis.tags || []).join(', '))
+  const [notes, setNotes] = useState(diagnosis.notes || '')
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [isSaved, setIsSaved] = useState(false)
+
+  // Show the values as the server stored them (tags are lowercased and de-duplicated)
+  useEffect(() => {
+    setField(diagnosis.field || '')
+    setTags((diagnosis.tags || []).join(', '))
+    setNotes(diagnosis.notes || '')
+  }, [diagnosis])
+
+  async function handle_submit(e) {
+    e.preventDefault()
+    if (isSaving) {
+      return
+    }
+    setIsSaving(true)
+    setError('')
+    try {
+      const updated = await update_diagnosis(diagnosis._id, {
+        field,
+        notes,
+        tags: tags.split(',').map((tag) => tag.trim()).filter(Boolean)
+      })
+      if (onSaved) {
+        onSaved(updated)
+      }
+      setIsSaved(true)
+    } catch (err) {
+      setError(err.message || 'Could not save your notes')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const input_class =
+    'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600'
+
+  return (
+    <form onSubmit={handle_submit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="text-sm font-medium text-gray-700">Your notes</div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor={`notes-field-${diagnosis._id}`} className="block text-sm text-gray-700 mb-1">
+            Field or plot
+          </label>
+          <input
+            id={`notes-field-${diagnosis._id}`}
+            type="text"
+            value={field}
+            maxLength={100}
+            onChange={(e) => {
+              setField(e.target.value)
+              setIsSaved(false)
+            }}
+            className={input_class}
+          />
+        </div>
+        <div>
+          <label htmlFor={`notes-tags-${diagnosis._id}`} className="block text-sm text-gray-700 mb-1">
+            Tags (comma separated)
+          </label>
+          <input
+            id={`notes-tags-${diagnosis._id}`}
+            type="text"
+            value={tags}
+            onChange={(e) => {
+              setTags(e.target.value)
+              setIsSaved(false)
+            }}
+            placeholder="e.g. sprayed, irrigated"
+            className={input_class}
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor={`notes-text-${diagnosis._id}`} className="block text-sm text-gray-700 mb-1">
+          Notes
+        </label>
+        <textarea
+          id={`notes-text-${diagnosis._id}`}
+          value={notes}
+          maxLength={2000}
+          rows={3}
+          onChange={(e) => {
+            setNotes(e.target.value)
+            setIsSaved(false)
+          }}
+          placeholder="What you did, weather, what happened next..."
+          className={input_class}
+        />
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-60"
+        >
+          {isSaving ? 'Saving...' : 'Save notes'}
+        </button>
+        {isSaved && <span className="text-sm text-green-700">Saved.</span>}
+      </div>
+    </form>
+  )
+}
+
+export default DiagnosisNotes
@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+
+const SEVERITY_LEVELS = [
+  { value: 'low', label: 'Low' },
+  { value: 'moderate', label: 'Moderate' },
+  { value: 'high', label: 'High' }
+]
+
+// Knowledge base entry saved with a diagnosis (see backend/disease_knowledge.js): symptoms to
+// check, look-alikes, what to do at each severity and which products to use. Cultural controls
+// are shown by the parent as the diagnosis recommendations.
+function DiseaseKnowledge({ label, knowledge }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [severity, setSeverity] = useState('moderate')
+
+  if (!knowledge) {
+    return null
+  }
+
+  const symptoms = knowledge.symptoms || []
+  const lookAlikes = knowledge.look_alikes || []
+  const chemicals = knowledge.chemical_controls || []
+  const actions = (knowledge.severity_actions && knowledge.severity_actions[severity]) || []
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-medium text-gray-700">About {label}</div>
+          {knowledge.summary && <p className="text-sm text-gray-600 mt-1">{knowledge.summary}</p>}
+        </div>
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-sm text-green-700 hover:underline flex-shrink-0"
+        >
+          {isOpen ? 'Hide details' : 'Show details'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="space-y-4 text-sm">
+          {symptoms.length > 0 && (
+            <div>
+              <div className="font-medium text-gray-900 mb-1">Check for</div>
+              <ul className="list-disc pl-5 space-y-1 text-gray-700">
+                {symptoms.map((symptom) => (
+                  <li key={symptom}>{symptom}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {lookAlikes.length > 0 && (
+            <div>
+              <div className="font-medium text-gray-900 mb-1">Could be confused with</div>
+              <ul className="space-y-1 text-gray-700">
+                {lookAlikes.map((item) => (
+                  <li key={item.label}>
+                    <span className="font-medium">{item.label}:</span> {item.how_to_tell}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <div className="font-medium text-gray-900 mb-1">What to do</div>
+            <div className="flex gap-2 mb-2">
+              {SEVERITY_LEVELS.map((level) => (
+                <button
+                  key={level.value}
+                  type="button"
+                  onClick={() => setSeverity(level.value)}
+                  className={`px-3 py-1 rounded-md border text-xs ${
+                    severity === level.value
+                      ? 'bg-green-600 text-white border-green-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {level.label}
+                </button>
+              ))}
+            </div>
+            {actions.length > 0 ? (
+              <ul className="list-disc pl-5 space-y-1 text-gray-700">
+                {actions.map((action) => (
+                  <li key={action}>{action}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-600">No specific advice for this level.</p>
+            )}
+          </div>
+
+          {chemicals.length > 0 && (
+            <div>
+              <div className="font-medium text-gray-900 mb-1">Products</div>
+              <div className="space-y-2">
+                {chemicals.map((item) => (
+                  <div key={item.chemical_class} className="bg-gray-50 rounded p-2">
+                    <div className="flex flex-wrap justify-between gap-2">
+                      <span className="font-medium text-gray-900">{item.chemical_class}</span>
+                      <span className="text-gray-600">
+                        {typeof item.phi_days === 'number'
+                          ? `Pre-harvest interval: ${item.phi_days} days`
+                          : 'Seed treatment'}
+                      </span>
+                    </div>
+                    {item.examples && item.examples.length > 0 && (
+                      <div className="text-gray-600">e.g. {item.examples.join(', ')}</div>
+                    )}
+                    {item.note && <div className="text-xs text-gray-500 mt-1">{item.note}</div>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DiseaseKnowledge
@@ -0,0 +1,75 @@
+import React from 'react'
+
+// One colour per model label; Healthy is green so disease stands out
+const LABEL_COLORS = {
+  Aphid: '#a16207',
+  'Black Rust': '#1f2937',
+  Blast: '#7c3aed',
+  'Brown Rust': '#92400e',
+  'Common Root Rot': '#78716c',
+  'Fusarium Head Blight': '#db2777',
+  Healthy: '#16a34a',
+  'Leaf Blight': '#dc2626',
+  Mildew: '#94a3b8',
+  Mite: '#0891b2',
+  Septoria: '#ea580c',
+  Smut: '#4b5563',
+  'Stem fly': '#2563eb',
+  'Tan spot': '#d97706',
+  'Yellow Rust': '#eab308'
+}
+
+function color_for(label) {
+  return LABEL_COLORS[label] || '#9ca3af'
+}
+
+const CHART_HEIGHT = 160
+
+// Stacked bars of diagnoses per period from GET /api/history/stats
+function DiseaseTrendChart({ series, totals }) {
+  if (!series || series.length === 0) {
+    return <p className="text-sm text-gray-500">No diagnoses in this period.</p>
+  }
+
+  const max_total = Math.max(...series.map((entry) => entry.total))
+  const labels = Object.keys(totals || {}).sort((a, b) => totals[b] - totals[a])
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 overflow-x-auto pb-1" style={{ height: CHART_HEIGHT + 24 }}>
+        {series.map((entry) => (
+          <div key={entry.period} className="flex flex-col items-center flex-1 min-w-[2rem]">
+            <div
+              className="w-full max-w-[2.5rem] flex flex-col-reverse rounded-t overflow-hidden"
+              style={{ height: Math.max(2, Math.round((entry.total / max_total) * CHART_HEIGHT)) }}
+              title={`${entry.period}: ${labels
+                .filter((label) => entry.counts[label])
+                .map((label) => `${label} ${entry.counts[label]}`)
+                .join(', ')}`}
+            >
+              {labels
+                .filter((label) => entry.counts[label])
+                .map((label) => (
+                  <div
+                    key={label}
+                    style={{ flexGrow: entry.counts[label], backgroundColor: color_for(label) }}
+                  />
+                ))}
+            </div>
+            <div className="text-[10px] text-gray-500 mt-1 whitespace-nowrap">{entry.period}</div>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3">
+        {labels.map((label) => (
+          <div key={label} className="flex items-center text-xs text-gray-700">
+            <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: color_for(label) }} />
+            {label} ({totals[label]})
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default DiseaseTrendChart
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react'
+import { list_knowledge_entries, update_knowledge_entry, reset_knowledge_entry } from '../services/adminService'
+
+const input_class =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600'
+
+const SEVERITY_LEVELS = ['low', 'moderate', 'high']
+
+function lines_to_list(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+}
+
+// Lists are edited as one item per line; look-alikes and products as rows
+function to_draft(entry) {
+  return {
+    summary: entry.summary,
+    symptoms: entry.symptoms.join('\n'),
+    cultural_controls: entry.culturalControls.join('\n'),
+    look_alikes: entry.lookAlikes.map((item) => ({ ...item })),
+    chemical_controls: entry.chemicalControls.map((item) => ({
+      chemicalClass: item.chemicalClass,
+      examples: item.examples.join(', '),
+      phiDays: item.phiDays === null ? '' : String(item.phiDays),
+      note: item.note
+    })),
+    severity_actions: {
+      low: entry.severityActions.low.join('\n'),
+      moderate: entry.severityActions.moderate.join('\n'),
+      high: entry.severityActions.high.join('\n')
+    }
+  }
+}
+
+function from_draft(draft) {
+  return {
+    summary: draft.summary,
+    symptoms: lines_to_list(draft.symptoms),
+    culturalControls: lines_to_list(draft.cultural_controls),
+    lookAlikes: draft.look_alikes.filter((item) => item.label || item.howToTell),
+    chemicalControls: draft.chemical_controls
+      .filter((item) => item.chemicalClass.trim())
+      .map((item) => ({
+        chemicalClass: item.chemicalClass,
+        examples: item.examples
+          .split(',')
+          .map((example) => example.trim())
+          .filter(Boolean),
+        phiDays: item.phiDays === '' ? null : Number(item.phiDays),
+        note: item.note
+      })),
+    severityActions: {
+      low: lines_to_list(draft.severity_actions.low),
+      moderate: lines_to_list(draft.severity_actions.moderate),
+      high: lines_to_list(draft.severity_actions.high)
+    }
+  }
+}
+
+// Inspector editor for the disease knowledge base shown to farmers with each diagnosis
+function KnowledgeBaseEditor() {
+  const [entries, set_entries] = useState([])
+  const [selected_label, set_selected_label] = useState('')
+  const [draft, set_draft] = useState(null)
+  const [is_loading, set_is_loading] = useState(false)
+  const [is_saving, set_is_saving] = useState(false)
+  const [error_text, set_error_text] = useState('')
+  const [success_text, set_success_text] = useState('')
+
+  useEffect(() => {
+    set_is_loading(true)
+    list_knowledge_entries()
+      .then((data) => set_entries(data.entries || []))
+      .catch((err) => set_error_text(err.message || 'Could not load the knowledge base'))
+      .finally(() => set_is_loading(false))
+  }, [])
+
+  const selected = entries.find((entry) => entry.label === selected_label) || null
+
+  function choose_label(label) {
+    const entry = entries.find((item) => item.label === label)
+    set_selected_label(label)
+    set_draft(entry ? to_draft(entry) : null)
+    set_error_text('')
+    set_success_text('')
+  }
+
+  function update_draft(changes) {
+    set_draft((prev) => ({ ...prev, ...changes }))
+    set_success_text('')
+  }
+
+  function update_row(list_name, index, changes) {
+    set_draft((prev) => ({
+      ...prev,
+      [list_name]: prev[list_name].map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }))
+    set_success_text('')
+  }
+
+  function remove_row(list_name, index) {
+    set_draft((prev) => ({ ...prev, [list_name]: prev[list_name].filter((_, i) => i !== index) }))
+    set_success_text('')
+  }
+
+  function replace_entry(updated) {
+    set_entries((prev) => prev.map((entry) => (entry.label === updated.label ? updated : entry)))
+    set_draft(to_draft(updated))
+  }
+
+  async function handle_save(e) {
+    e.preventDefault()
+    if (!selected || is_saving) {
+      return
+    }
+    set_is_saving(true)
+    set_error_text('')
+    set_success_text('')
+    try {
+      replace_entry(await update_knowledge_entry(selected.label, from_draft(draft)))
+      set_success_text('Saved. New diagnoses of ' + selected.label + ' use this entry.')
+    } catch (err) {
+      set_error_text(err.message || 'Could not save the entry')
+    } finally {
+      set_is_saving(false)
+    }
+  }
+
+  async function handle_reset() {
+    if (!selected || is_saving) {
+      return
+    }
+    if (!window.confirm('Discard the edits to ' + selected.label + ' and go back to the built-in entry?')) {
+      return
+    }
+    set_is_saving(true)
+    set_error_text('')
+    set_success_text('')
+    try {
+      replace_entry(await reset_knowledge_entry(selected.label))
+      set_success_text('Reset to the built-in entry.')
+    } catch (err) {
+      set_error_text(err.message || 'Could not reset the entry')
+    } finally {
+      set_is_saving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Disease Knowledge Base</h2>
+          <p className="text-xs text-gray-500">Advice shown to farmers with each diagnosis</p>
+        </div>
+        <select
+          value={selected_label}
+          onChange={(e) => choose_label(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          disabled={is_loading}
+        >
+          <option value="">{is_loading ? 'Loading...' : 'Choose a disease...'}</option>
+          {entries.map((entry) => (
+            <option key={entry.label} value={entry.label}>
+              {entry.label}
+              {entry.customized ? ' (edited)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error_text && (
+        <div className="mx-6 mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">{error_text}</div>
+      )}
+      {success_text && (
+        <div className="mx-6 mt-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">{success_text}</div>
+      )}
+
+      {selected && draft && (
+        <form onSubmit={handle_save} className="p-6 space-y-4">
+          <div>
+            <label htmlFor="kb-summary" className="block text-sm font-medium text-gray-700 mb-1">
+              Summary
+            </label>
+            <textarea
+              id="kb-summary"
+              rows={2}
+              value={draft.summary}
+              onChange={(e) => update_draft({ summary: e.target.value })}
+              className={input_class}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="kb-symptoms" className="block text-sm font-medium text-gray-700 mb-1">
+                Symptoms (one per line)
+              </label>
+              <textarea
+                id="kb-symptoms"
+                rows={5}
+                value={draft.symptoms}
+                onChange={(e) => update_draft({ symptoms: e.target.value })}
+                className={input_class}
+              />
+            </div>
+            <div>
+              <label htmlFor="kb-cultural" className="block text-sm font-medium text-gray-700 mb-1">
+                Cultural controls (one per line)
+              </label>
+              <textarea
+                id="kb-cultural"
+                rows={5}
+                value={draft.cultural_controls}
+                onChange={(e) => update_draft({ cultural_controls: e.target.value })}
+                className={input_class}
+              />
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Look-alikes</div>
+            <div className="space-y-2">
+              {draft.look_alikes.map((item, index) => (
+                <div key={index} className="flex gap-2">
+                  <select
+                    value={item.label}
+                    onChange={(e) => update_row('look_alikes', index, { label: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">Disease...</option>
+                    {entries
+                      .filter((entry) => entry.label !== selected.label)
+                      .map((entry) => (
+                        <option key={entry.label} value={entry.label}>
+                          {entry.label}
+                        </option>
+                      ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={item.howToTell}
+                    onChange={(e) => update_row('look_alikes', index, { howToTell: e.target.value })}
+                    placeholder="How to tell them apart"
+                    className={input_class}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => remove_row('look_alikes', index)}
+                    className="px-3 py-2 text-sm text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => update_draft({ look_alikes: [...draft.look_alikes, { label: '', howToTell: '' }] })}
+              className="mt-2 text-sm text-green-700 hover:underline"
+            >
+              Add look-alike
+            </button>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Products</div>
+            <div className="space-y-2">
+              {draft.chemical_controls.map((item, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 bg-gray-50 rounded p-2">
+                  <input
+                    type="text"
+                    value={item.chemicalClass}
+                    onChange={(e) => update_row('chemical_controls', index, { chemicalClass: e.target.value })}
+                    placeholder="Chemical class (e.g. Triazoles, FRAC 3)"
+                    className={`${input_class} md:col-span-4`}
+                  />
+                  <input
+                    type="text"
+                    value={item.examples}
+                    onChange={(e) => update_row('chemical_controls', index, { examples: e.target.value })}
+                    placeholder="Examples, comma separated"
+                    className={`${input_class} md:col-span-4`}
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    max={365}
+                    value={item.phiDays}
+                    onChange={(e) => update_row('chemical_controls', index, { phiDays: e.target.value })}
+                    placeholder="PHI days"
+                    title="Pre-harvest interval in days; leave empty for seed treatments"
+                    className={`${input_class} md:col-span-2`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => remove_row('chemical_controls', index)}
+                    className="px-3 py-2 text-sm text-red-600 hover:underline md:col-span-2"
+                  >
+                    Remove
+                  </button>
+                  <input
+                    type="text"
+                    value={item.note}
+                    onChange={(e) => update_row('chemical_controls', index, { note: e.target.value })}
+                    placeholder="Note (optional)"
+                    className={`${input_class} md:col-span-12`}
+                  />
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() =>
+                update_draft({
+                  chemical_controls: [...draft.chemical_controls, { chemicalClass: '', examples: '', phiDays: '', note: '' }]
+                })
+              }
+              className="mt-2 text-sm text-green-700 hover:underline"
+            >
+              Add product
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {SEVERITY_LEVELS.map((level) => (
+              <div key={level}>
+                <label htmlFor={`kb-severity-${level}`} className="block text-sm font-medium text-gray-700 mb-1 capitalize">
+                  {level} severity actions
+                </label>
+                <textarea
+                  id={`kb-severity-${level}`}
+                  rows={4}
+                  value={draft.severity_actions[level]}
+                  onChange={(e) =>
+                    update_draft({ severity_actions: { ...draft.severity_actions, [level]: e.target.value } })
+                  }
+                  className={input_class}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={is_saving}
+              className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-60"
+            >
+              {is_saving ? 'Saving...' : 'Save entry'}
+            </button>
+            {selected.customized && (
+              <button
+                type="button"
+                disabled={is_saving}
+                onClick={handle_reset}
+                className="px-4 py-2 bg-gray-100 text-gray-900 text-sm rounded-md hover:bg-gray-200 disabled:opacity-60"
+              >
+                Reset to built-in entry
+              </button>
+            )}
+            {selected.updatedAt && (
+              <span className="text-xs text-gray-500">Last edited {new Date(selected.updatedAt).toLocaleString()}</span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default KnowledgeBaseEditor
@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react'
+import { get_review_queue, submit_review } from '../services/reviewService'
+import { get_disease_classes } from '../services/diagnoseService'
+import DiagnosisImage from './DiagnosisImage'
+
+const PAGE_SIZE = 20
+
+const REASON_BADGES = {
+  low_confidence: { text: 'Low confidence', className: 'bg-yellow-100 text-yellow-800' },
+  farmer_flagged: { text: 'Farmer says wrong', className: 'bg-red-100 text-red-800' },
+  farmer_requested: { text: 'Farmer asked', className: 'bg-blue-100 text-blue-800' }
+}
+
+function format_date(value) {
+  return value ? new Date(value).toLocaleString() : ''
+}
+
+// Inspector queue of low-confidence, uncertain and farmer-disputed diagnoses. onPendingCountChange
+// receives the number of diagnoses still waiting for review.
+function ReviewQueue({ onPendingCountChange }) {
+  // Changing the query (filters or page offset) reloads the list
+  const [query, set_query] = useState({ status: 'pending', reason: '', skip: 0 })
+  const { status, reason } = query
+  const [items, set_items] = useState([])
+  const [total, set_total] = useState(0)
+  const [threshold, set_threshold] = useState(null)
+  const [is_loading, set_is_loading] = useState(false)
+  const [error_text, set_error_text] = useState('')
+
+  const [classes, set_classes] = useState([])
+  const [active_id, set_active_id] = useState('')
+  const [relabel_to, set_relabel_to] = useState('')
+  const [notes, set_notes] = useState('')
+  const [is_saving, set_is_saving] = useState(false)
+  const [action_error, set_action_error] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    set_is_loading(true)
+    set_error_text('')
+    get_review_queue({ status: query.status, reason: query.reason, limit: PAGE_SIZE, skip: query.skip })
+      .then((data) => {
+        if (cancelled) {
+          return
+        }
+        set_items((prev) => (query.skip > 0 ? [...prev, ...(data.items || [])] : data.items || []))
+        set_total(data.total || 0)
+        set_threshold(typeof data.threshold === 'number' ? data.threshold : null)
+        if (query.status === 'pending' && !query.reason && onPendingCountChange) {
+          onPendingCountChange(data.total || 0)
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          set_error_text(err.message || 'Could not load the review queue')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          set_is_loading(false)
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [query, onPendingCountChange])
+
+  useEffect(() => {
+    get_disease_classes()
+      .then(set_classes)
+      .catch(() => set_classes([]))
+  }, [])
+
+  function change_filters(next_status, next_reason) {
+    set_active_id('')
+    set_query({ status: next_status, reason: next_reason, skip: 0 })
+  }
+
+  function open_item(item) {
+    set_active_id(item.id === active_id ? '' : item.id)
+    set_relabel_to(item.review && item.review.status === 'relabeled' ? item.review.reviewedLabel : '')
+    set_notes(item.review && item.review.notes ? item.review.notes : '')
+    set_action_error('')
+  }
+
+  async function handle_review(item, action) {
+    if (action === 'relabel' && !relabel_to) {
+      set_action_error('Choose the correct disease first')
+      return
+    }
+    set_is_saving(true)
+    set_action_error('')
+    try {
+      const updated = await submit_review(item.id, {
+        action,
+        label: action === 'relabel' ? relabel_to : undefined,
+        notes
+      })
+      set_active_id('')
+      if (status === 'pending') {
+        // Reviewed diagnoses leave the pending list
+        set_items((prev) => prev.filter((entry) => entry.id !== item.id))
+        set_total((prev) => Math.max(prev - 1, 0))
+        if (!reason && onPendingCountChange) {
+          onPendingCountChange(Math.max(total - 1, 0))
+        }
+      } else {
+        set_items((prev) => prev.map((entry) => (entry.id === item.id ? updated : entry)))
+      }
+    } catch (err) {
+      set_action_error(err.message || 'Could not save the review')
+    } finally {
+      set_is_saving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Review Queue</h2>
+          <p className="text-xs text-gray-500">
+            Diagnoses below {threshold !== null ? Math.round(threshold * 100) + '%' : 'the'} confidence, too close to call,
+            marked wrong by the farmer or sent for a check
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={status}
+            onChange={(e) => change_filters(e.target.value, reason)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="pending">Waiting for review</option>
+            <option value="reviewed">Already reviewed</option>
+          </select>
+          <select
+            value={reason}
+            onChange={(e) => change_filters(status, e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All reasons</option>
+            <option value="low_confidence">Low confidence</option>
+            <option value="farmer_flagged">Flagged by farmer</option>
+            <option value="farmer_requested">Farmer asked for a check</option>
+          </select>
+        </div>
+      </div>
+
+      {error_text && (
+        <div className="m-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">{error_text}</div>
+      )}
+
+      {!is_loading && !error_text && items.length === 0 && (
+        <p className="px-6 py-8 text-sm text-gray-600 text-center">
+          {status === 'pending' ? 'Nothing is waiting for review.' : 'No reviewed diagnoses yet.'}
+        </p>
+      )}
+
+      <div className="divide-y divide-gray-200">
+        {items.map((item) => (
+          <div key={item.id} className="px-6 py-4">
+            <div
+              role="button"
+              tabIndex={0}
+              onClick={() => open_item(item)}
+              onKeyDown={(e) => e.key === 'Enter' && open_item(item)}
+              className="flex items-start gap-4 cursor-pointer"
+            >
+              {item.hasImage && (
+                <DiagnosisImage
+                  diagnosisId={item.id}
+                  variant="thumbnail"
+                  alt={item.diagnosis}
+                  className="w-16 h-16 object-cover rounded-md flex-shrink-0"
+                />
+              )}
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold text-gray-900">{item.diagnosis}</span>
+                  <span className="text-sm text-gray-600">{(item.confidence * 100).toFixed(1)}%</span>
+                  {item.reasons.map((code) => (
+                    <span key={code} className={`px-2 py-0.5 rounded-full text-xs font-medium ${REASON_BADGES[code].className}`}>
+                      {REASON_BADGES[code].text}
+                    </span>
+                  ))}
+                  {item.review && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                      {item.review.status === 'relabeled' ? 'Relabeled to ' + item.review.reviewedLabel : 'Confirmed'}
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {format_date(item.createdAt)}
+                  {item.farmer && item.farmer.name && ' • ' + item.farmer.name}
+                  {item.farmer && item.farmer.district && ' (' + item.farmer.district + ')'}
+                  {item.field && ' • Field: ' + item.field}
+                </div>
+                {item.feedback && item.feedback.verdict === 'incorrect' && (
+                  <div className="text-sm text-gray-700 mt-1">
+                    Farmer: wrong
+                    {item.feedback.correctedLabel && ', thinks it is ' + item.feedback.correctedLabel}
+                    {item.feedback.note && ' - "' + item.feedback.note + '"'}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {active_id === item.id && (
+              <div className="mt-4 ml-0 md:ml-20 space-y-3">
+                {item.hasImage && (
+                  <DiagnosisImage
+                    diagnosisId={item.id}
+                    variant="image"
+                    alt={item.diagnosis}
+                    className="w-full max-h-72 object-contain rounded-md bg-gray-100"
+                  />
+                )}
+                {item.alternatives.length > 0 && (
+                  <div className="text-sm text-gray-700">
+                    Alternatives:{' '}
+                    {item.alternatives
+                      .slice(0, 3)
+                      .map((alt) => alt.label + ' ' + (alt.confidence * 100).toFixed(1) + '%')
+                      .join(', ')}
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2 items-center">
+                  <select
+                    value={relabel_to}
+                    onChange={(e) => set_relabel_to(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">Relabel as...</option>
+                    {classes
+                      .filter((name) => name !== item.diagnosis)
+                      .map((name) => (
+                        <option key={name} value={name}>
+                          {name}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+                <textarea
+                  value={notes}
+                  onChange={(e) => set_notes(e.target.value)}
+                  maxLength={2000}
+                  rows={2}
+                  placeholder="Notes for the farmer (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                {action_error && <div className="text-sm text-red-600">{action_error}</div>}
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    disabled={is_saving}
+                    onClick={() => handle_review(item, 'confirm')}
+                    className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-60"
+                  >
+                    Confirm {item.diagnosis}
+                  </button>
+                  <button
+                    type="button"
+                    disabled={is_saving || !relabel_to}
+                    onClick={() => handle_review(item, 'relabel')}
+                    className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-60"
+                  >
+                    {relabel_to ? 'Relabel as ' + relabel_to : 'Relabel'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {is_loading && <p className="px-6 py-4 text-sm text-gray-600">Loading...</p>}
+
+      {!is_loading && items.length < total && (
+        <div className="px-6 py-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={() => set_query((prev) => ({ ...prev, skip: items.length }))}
+            className="px-4 py-2 bg-gray-100 text-gray-900 text-sm rounded-md hover:bg-gray-200"
+          >
+            Load more ({total - items.length} left)
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewQueue
@@ -0,0 +1,545 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  getProfile,
+  updateProfile,
+  requestEmailChange,
+  verifyEmailChange,
+  exportAccountData,
+  deleteAccount,
+  cancelAccountDeletion
+} from '../../services/authService'
+
+const input_class =
+  'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100'
+
+const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'ur', label: 'اردو (Urdu)' },
+  { value: 'pa', label: 'پنجابی (Punjabi)' }
+]
+
+function profile_to_form(profile) {
+  const location = profile.defaultLocation
+  return {
+    name: profile.name || '',
+    phone: profile.phone || '',
+    preferredLanguage: profile.preferredLanguage || 'en',
+    district: profile.district || '',
+    latitude: location ? String(location.latitude) : '',
+    longitude: location ? String(location.longitude) : '',
+    locationLabel: location && location.label ? location.label : ''
+  }
+}
+
+function Profile() {
+  const navigate = useNavigate()
+
+  const [profile, set_profile] = useState(null)
+  const [form, set_form] = useState(null)
+  const [field_errors, set_field_errors] = useState({})
+  const [error_text, set_error_text] = useState('')
+  const [success_text, set_success_text] = useState('')
+  const [is_saving, set_is_saving] = useState(false)
+  const [is_locating, set_is_locating] = useState(false)
+
+  const [new_email, set_new_email] = useState('')
+  const [email_password, set_email_password] = useState('')
+  const [email_otp, set_email_otp] = useState('')
+  const [email_error_text, set_email_error_text] = useState('')
+  const [email_info_text, set_email_info_text] = useState('')
+  const [is_email_busy, set_is_email_busy] = useState(false)
+
+  const [delete_password, set_delete_password] = useState('')
+  const [data_error_text, set_data_error_text] = useState('')
+  const [is_data_busy, set_is_data_busy] = useState(false)
+
+  useEffect(() => {
+    async function load_profile() {
+      try {
+        const data = await getProfile()
+        set_profile(data)
+        set_form(profile_to_form(data))
+      } catch (error) {
+        set_error_text(error && error.message ? error.message : 'Could not load your profile')
+      }
+    }
+    load_profile()
+  }, [])
+
+  function handle_field_change(e) {
+    const { name, value } = e.target
+    set_form((prev) => ({ ...prev, [name]: value }))
+    set_field_errors((prev) => ({ ...prev, [name]: '' }))
+    set_success_text('')
+  }
+
+  function use_current_location() {
+    if (!('geolocation' in navigator)) {
+      set_error_text('Location is not available in this browser')
+      return
+    }
+    set_is_locating(true)
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        set_form((prev) => ({
+          ...prev,
+          latitude: pos.coords.latitude.toFixed(5),
+          longitude: pos.coords.longitude.toFixed(5)
+        }))
+        set_is_locating(false)
+      },
+      () => {
+        set_error_text('Could not get your location. Please enter it manually.')
+        set_is_locating(false)
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    )
+  }
+
+  async function handle_save(e) {
+    e.preventDefault()
+    set_error_text('')
+    set_success_text('')
+
+    const has_location = form.latitude.trim() !== '' || form.longitude.trim() !== ''
+    const changes = {
+      name: form.name.trim(),
+      phone: form.phone.trim() || null,
+      preferredLanguage: form.preferredLanguage,
+      district: form.district.trim() || null,
+      defaultLocation: has_location
+        ? {
+            latitude: Number(form.latitude),
+            longitude: Number(form.longitude),
+            label: form.locationLabel.trim() || undefined
+          }
+        : null
+    }
+
+    set_is_saving(true)
+    try {
+      const updated = await updateProfile(changes)
+      set_profile(updated)
+      set_form(profile_to_form(updated))
+      set_field_errors({})
+      set_success_text('Profile saved.')
+    } catch (error) {
+      set_field_errors((error && error.fieldErrors) || {})
+      set_error_text(error && error.message ? error.message : 'Could not save your profile')
+    } finally {
+      set_is_saving(false)
+    }
+  }
+
+  async function handle_email_change(e) {
+    e.preventDefault()
+    set_email_error_text('')
+    set_email_info_text('')
+
+    if (!new_email.trim() || !email_password) {
+      set_email_error_text('Enter the new email address and your current password.')
+      return
+    }
+
+    set_is_email_busy(true)
+    try {
+      const data = await requestEmailChange({ newEmail: new_email.trim(), password: email_password })
+      set_email_password('')
+      set_profile((prev) => ({ ...prev, pendingEmail: data.pendingEmail }))
+      set_email_info_text(data.message || 'We sent a code to your new email address.')
+    } catch (error) {
+      set_email_error_text(error && error.message ? error.message : 'Could not start email change')
+    } finally {
+      set_is_email_busy(false)
+    }
+  }
+
+  async function handle_email_verify(e) {
+    e.preventDefault()
+    set_email_error_text('')
+
+    if (email_otp.length < 6) {
+      set_email_error_text('Please enter the 6-digit code from the email.')
+      return
+    }
+
+    set_is_email_busy(true)
+    try {
+      const data = await verifyEmailChange({ otp: email_otp })
+      set_profile(data.profile)
+      set_email_otp('')
+      set_new_email('')
+      set_email_info_text('Your email address has been changed. Other devices were signed out.')
+    } catch (error) {
+      set_email_error_text(error && error.message ? error.message : 'Email verification failed')
+    } finally {
+      set_is_email_busy(false)
+    }
+  }
+
+  async function handle_export() {
+    set_data_error_text('')
+    set_is_data_busy(true)
+    try {
+      await exportAccountData()
+    } catch (error) {
+      set_data_error_text(error && error.message ? error.message : 'Could not export your data')
+    } finally {
+      set_is_data_busy(false)
+    }
+  }
+
+  async function handle_delete(e) {
+    e.preventDefault()
+    set_data_error_text('')
+
+    if (!delete_password) {
+      set_data_error_text('Enter your password to confirm.')
+      return
+    }
+    if (!window.confirm('Delete your account and all your diagnoses? You can cancel during the grace period.')) {
+      return
+    }
+
+    set_is_data_busy(true)
+    try {
+      const data = await deleteAccount({ password: delete_password })
+      window.alert(data.message || 'Your account has been scheduled for deletion.')
+      navigate('/login')
+    } catch (error) {
+      set_data_error_text(error && error.message ? error.message : 'Could not delete your account')
+      set_is_data_busy(false)
+    }
+  }
+
+  async function handle_cancel_deletion() {
+    set_data_error_text('')
+    set_is_data_busy(true)
+    try {
+      const updated = await cancelAccountDeletion()
+      set_profile(updated)
+      set_success_text('Account deletion cancelled.')
+    } catch (error) {
+      set_data_error_text(error && error.message ? error.message : 'Could not cancel account deletion')
+    } finally {
+      set_is_data_busy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-semibold text-gray-900">My profile</h1>
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            Back
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+        {error_text && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">{error_text}</div>
+        )}
+        {success_text && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm">
+            {success_text}
+          </div>
+        )}
+
+        {profile && profile.deletionScheduledFor && (
+          <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded text-sm flex items-center justify-between gap-4">
+            <span>
+              Your account is scheduled for deletion on{' '}
+              <span className="font-medium">{new Date(profile.deletionScheduledFor).toLocaleDateString()}</span>.
+            </span>
+            <button
+              type="button"
+              onClick={handle_cancel_deletion}
+              disabled={is_data_busy}
+              className="px-3 py-1 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 disabled:opacity-60"
+            >
+              Keep my account
+            </button>
+          </div>
+        )}
+
+        {!form && !error_text && <p className="text-sm text-gray-500">Loading...</p>}
+
+        {form && (
+          <form className="bg-white rounded-lg shadow p-6 space-y-4" onSubmit={handle_save}>
+            <h2 className="text-lg font-semibold text-gray-900">Personal details</h2>
+
+            <div>
+              <label htmlFor="name" className="text-sm font-medium text-gray-700">
+                Name
+              </label>
+              <input id="name" name="name" value={form.name} onChange={handle_field_change} className={input_class} />
+              {field_errors.name && <p className="mt-1 text-xs text-red-500">{field_errors.name}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="phone" className="text-sm font-medium text-gray-700">
+                Phone number
+              </label>
+              <input
+                id="phone"
+                name="phone"
+                type="tel"
+                value={form.phone}
+                onChange={handle_field_change}
+                className={input_class}
+                placeholder="+92 300 1234567"
+              />
+              {field_errors.phone && <p className="mt-1 text-xs text-red-500">{field_errors.phone}</p>}
+              {profile.phone && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {profile.phoneVerified ? (
+                    'Verified'
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => navigate('/verify-phone')}
+                      className="text-green-600 hover:text-green-500"
+                    >
+                      Not verified - verify now
+                    </button>
+                  )}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="preferredLanguage" className="text-sm font-medium text-gray-700">
+                Preferred language
+              </label>
+              <select
+                id="preferredLanguage"
+                name="preferredLanguage"
+                value={form.preferredLanguage}
+                onChange={handle_field_change}
+                className={input_class}
+              >
+                {LANGUAGES.map((language) => (
+                  <option key={language.value} value={language.value}>
+                    {language.label}
+                  </option>
+                ))}
+              </select>
+              {field_errors.preferredLanguage && (
+                <p className="mt-1 text-xs text-red-500">{field_errors.preferredLanguage}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="district" className="text-sm font-medium text-gray-700">
+                District
+              </label>
+              <input
+                id="district"
+                name="district"
+                value={form.district}
+                onChange={handle_field_change}
+                className={input_class}
+                placeholder="e.g. Faisalabad"
+              />
+              {field_errors.district && <p className="mt-1 text-xs text-red-500">{field_errors.district}</p>}
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-700">Default location</span>
+                <button
+                  type="button"
+                  onClick={use_current_location}
+                  disabled={is_locating}
+                  className="text-sm text-green-600 hover:text-green-500 disabled:text-gray-400"
+                >
+                  {is_locating ? 'Locating...' : 'Use my current location'}
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  name="latitude"
+                  value={form.latitude}
+                  onChange={handle_field_change}
+                  className={input_class}
+                  placeholder="Latitude"
+                />
+                <input
+                  name="longitude"
+                  value={form.longitude}
+                  onChange={handle_field_change}
+                  className={input_class}
+                  placeholder="Longitude"
+                />
+              </div>
+              <input
+                name="locationLabel"
+                value={form.locationLabel}
+                onChange={handle_field_change}
+                className={input_class}
+                placeholder="Label, e.g. Home farm"
+              />
+              {field_errors.defaultLocation && (
+                <p className="mt-1 text-xs text-red-500">{field_errors.defaultLocation}</p>
+              )}
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={is_saving}
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+              >
+                {is_saving ? 'Saving...' : 'Save profile'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {profile && (
+          <div className="bg-white rounded-lg shadow p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Email address</h2>
+              <p className="text-sm text-gray-600">
+                Current: <span className="font-medium">{profile.email}</span>
+              </p>
+            </div>
+
+            {email_error_text && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">
+                {email_error_text}
+              </div>
+            )}
+            {email_info_text && (
+              <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm">
+                {email_info_text}
+              </div>
+            )}
+
+            {profile.pendingEmail ? (
+              <form className="space-y-3" onSubmit={handle_email_verify}>
+                <p className="text-sm text-gray-700">
+                  Enter the code we sent to <span className="font-medium">{profile.pendingEmail}</span>.
+                </p>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={email_otp}
+                  onChange={(e) => set_email_otp(e.target.value.replace(/[^0-9]/g, ''))}
+                  disabled={is_email_busy}
+                  className={input_class + ' text-center tracking-widest'}
+                  placeholder="••••••"
+                />
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={() => set_profile((prev) => ({ ...prev, pendingEmail: null }))}
+                    disabled={is_email_busy}
+                    className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                  >
+                    Use a different address
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={is_email_busy}
+                    className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+                  >
+                    {is_email_busy ? 'Verifying...' : 'Confirm new email'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <form className="space-y-3" onSubmit={handle_email_change}>
+                <input
+                  type="email"
+                  value={new_email}
+                  onChange={(e) => set_new_email(e.target.value)}
+                  disabled={is_email_busy}
+                  className={input_class}
+                  placeholder="New email address"
+                />
+                <input
+                  type="password"
+                  value={email_password}
+                  onChange={(e) => set_email_password(e.target.value)}
+                  disabled={is_email_busy}
+                  className={input_class}
+                  placeholder="Current password"
+                />
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={is_email_busy}
+                    className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+                  >
+                    {is_email_busy ? 'Sending code...' : 'Change email'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+
+        {profile && (
+          <div className="bg-white rounded-lg shadow p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Your data</h2>
+
+            {data_error_text && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">
+                {data_error_text}
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">Download your profile, diagnoses and help requests as a JSON file.</p>
+              <button
+                type="button"
+                onClick={handle_export}
+                disabled={is_data_busy}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-60"
+              >
+                Download my data
+              </button>
+            </div>
+
+            {!profile.deletionScheduledFor && (
+              <form className="space-y-3 border-t border-gray-200 pt-4" onSubmit={handle_delete}>
+                <p className="text-sm text-gray-600">
+                  Deleting your account removes your profile and diagnosis history after a grace period. You are
+                  signed out on every device straight away.
+                </p>
+                <input
+                  type="password"
+                  value={delete_password}
+                  onChange={(e) => set_delete_password(e.target.value)}
+                  disabled={is_data_busy}
+                  className={input_class}
+                  placeholder="Current password"
+                />
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={is_data_busy}
+                    className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:opacity-60"
+                  >
+                    Delete my account
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default Profile
@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../services/authService'
+
+const input_class =
+  'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100'
+
+function SecuritySettings() {
+  const navigate = useNavigate()
+
+  const [status, set_status] = useState(null)
+  const [error_text, set_error_text] = useState('')
+  const [success_text, set_success_text] = useState('')
+  const [is_busy, set_is_busy] = useState(false)
+
+  const [setup_data, set_setup_data] = useState(null)
+  const [code, set_code] = useState('')
+  const [password, set_password] = useState('')
+  const [recovery_codes, set_recovery_codes] = useState([])
+
+  async function load_status() {
+    try {
+      const data = await getTwoFactorStatus()
+      set_status(data)
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not load two-factor settings')
+    }
+  }
+
+  useEffect(() => {
+    load_status()
+  }, [])
+
+  function reset_messages() {
+    set_error_text('')
+    set_success_text('')
+  }
+
+  async function handle_start_setup() {
+    reset_messages()
+    set_is_busy(true)
+    try {
+      const data = await startTwoFactorSetup()
+      set_setup_data(data)
+      set_code('')
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not start two-factor setup')
+    } finally {
+      set_is_busy(false)
+    }
+  }
+
+  async function handle_enable(e) {
+    e.preventDefault()
+    reset_messages()
+    if (!/^\d{6}$/.test(code.trim())) {
+      set_error_text('Please enter the 6-digit code from your authenticator app.')
+      return
+    }
+
+    set_is_busy(true)
+    try {
+      const data = await enableTwoFactor({ code: code.trim() })
+      set_recovery_codes(data.recoveryCodes || [])
+      set_setup_data(null)
+      set_code('')
+      set_success_text('Two-factor authentication is now on.')
+      await load_status()
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not enable two-factor authentication')
+    } finally {
+      set_is_busy(false)
+    }
+  }
+
+  async function handle_disable(e) {
+    e.preventDefault()
+    reset_messages()
+    if (!password || !code.trim()) {
+      set_error_text('Enter your password and a current code (or a recovery code).')
+      return
+    }
+
+    const value = code.trim()
+    const is_recovery_code = !/^\d{6}$/.test(value)
+
+    set_is_busy(true)
+    try {
+      await disableTwoFactor(
+        is_recovery_code ? { password, recoveryCode: value } : { password, code: value }
+      )
+      set_password('')
+      set_code('')
+      set_recovery_codes([])
+      set_success_text('Two-factor authentication has been turned off.')
+      await load_status()
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not disable two-factor authentication')
+    } finally {
+      set_is_busy(false)
+    }
+  }
+
+  async function handle_regenerate() {
+    reset_messages()
+    if (!password) {
+      set_error_text('Enter your password to create new recovery codes.')
+      return
+    }
+
+    set_is_busy(true)
+    try {
+      const data = await regenerateRecoveryCodes({ password })
+      set_recovery_codes(data.recoveryCodes || [])
+      set_password('')
+      set_success_text('New recovery codes created. Your old codes no longer work.')
+      await load_status()
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not create new recovery codes')
+    } finally {
+      set_is_busy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-semibold text-gray-900">Security settings</h1>
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            Back
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-8">
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+            <p className="text-sm text-gray-600">
+              Ask for a code from an authenticator app (Google Authenticator, Authy, ...) every time you log in.
+            </p>
+          </div>
+
+          {error_text && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">{error_text}</div>
+          )}
+          {success_text && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm">
+              {success_text}
+            </div>
+          )}
+
+          {!status && !error_text && <p className="text-sm text-gray-500">Loading...</p>}
+
+          {status && (
+            <p className="text-sm text-gray-700">
+              Status:{' '}
+              <span className={status.enabled ? 'font-medium text-green-600' : 'font-medium text-gray-900'}>
+                {status.enabled ? 'On' : 'Off'}
+              </span>
+              {status.required && ' (required for your role)'}
+              {status.enabled && ' · ' + status.recoveryCodesRemaining + ' recovery codes left'}
+            </p>
+          )}
+
+          {recovery_codes.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-700">
+                Save these recovery codes somewhere safe. Each one works once and they will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded p-4 font-mono text-sm text-gray-800">
+                {recovery_codes.map((recovery_code) => (
+                  <span key={recovery_code}>{recovery_code}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {status && !status.enabled && !setup_data && (
+            <button
+              type="button"
+              onClick={handle_start_setup}
+              disabled={is_busy}
+              className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+            >
+              Turn on two-factor authentication
+            </button>
+          )}
+
+          {status && !status.enabled && setup_data && (
+            <form className="space-y-4" onSubmit={handle_enable}>
+              <div className="text-center space-y-2">
+                <img src={setup_data.qrCodeDataUrl} alt="Authenticator QR code" className="mx-auto w-48 h-48" />
+                <p className="text-xs text-gray-500">
+                  Can&apos;t scan it? Enter this key manually:
+                  <span className="block mt-1 font-mono text-gray-800 break-all">{setup_data.secret}</span>
+                </p>
+              </div>
+              <div>
+                <label htmlFor="totp_code" className="text-sm font-medium text-gray-700">
+                  6-digit code from the app
+                </label>
+                <input
+                  id="totp_code"
+                  type="text"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => set_code(e.target.value)}
+                  disabled={is_busy}
+                  className={input_class}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={is_busy}
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+              >
+                {is_busy ? 'Verifying...' : 'Confirm and turn on'}
+              </button>
+            </form>
+          )}
+
+          {status && status.enabled && (
+            <form className="space-y-4 border-t border-gray-200 pt-4" onSubmit={handle_disable}>
+              <div>
+                <label htmlFor="security_password" className="text-sm font-medium text-gray-700">
+                  Current password
+                </label>
+                <input
+                  id="security_password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => set_password(e.target.value)}
+                  disabled={is_busy}
+                  className={input_class}
+                />
+              </div>
+
+              <button
+                type="button"
+                onClick={handle_regenerate}
+                disabled={is_busy}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-60"
+              >
+                Create new recovery codes
+              </button>
+
+              {!status.required && (
+                <>
+                  <div>
+                    <label htmlFor="disable_code" className="text-sm font-medium text-gray-700">
+                      Authenticator code or recovery code
+                    </label>
+                    <input
+                      id="disable_code"
+                      type="text"
+                      value={code}
+                      onChange={(e) => set_code(e.target.value)}
+                      disabled={is_busy}
+                      className={input_class}
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={is_busy}
+                    className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:opacity-60"
+                  >
+                    Turn off two-factor authentication
+                  </button>
+                </>
+              )}
+            </form>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default SecuritySettings
@@ -0,0 +1,545 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  list_users,
+  get_user,
+  unlock_user,
+  force_password_reset,
+  change_user_role,
+  disable_user,
+  enable_user,
+  list_invitations,
+  create_invitation,
+  revoke_invitation
+} from '../../services/adminService'
+
+const input_class =
+  'px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const page_size = 25
+
+function format_date(value) {
+  if (!value) {
+    return '—'
+  }
+  return new Date(value).toLocaleString()
+}
+
+function status_badges(user) {
+  const badges = []
+  if (user.disabled) {
+    badges.push({ label: 'Disabled', class_name: 'bg-red-100 text-red-700' })
+  }
+  if (user.loginLockout.lockedUntil || user.passwordChangeLockout.lockedUntil) {
+    badges.push({ label: 'Locked', class_name: 'bg-yellow-100 text-yellow-800' })
+  }
+  if (!user.emailVerified) {
+    badges.push({ label: 'Unverified', class_name: 'bg-gray-100 text-gray-700' })
+  }
+  if (user.passwordResetRequired) {
+    badges.push({ label: 'Reset required', class_name: 'bg-blue-100 text-blue-700' })
+  }
+  return badges
+}
+
+function AdminUsers() {
+  const navigate = useNavigate()
+  const current_user = JSON.parse(localStorage.getItem('user') || '{}')
+
+  const [query, set_query] = useState('')
+  const [role_filter, set_role_filter] = useState('')
+  const [status_filter, set_status_filter] = useState('')
+  const [skip, set_skip] = useState(0)
+  const [users, set_users] = useState([])
+  const [total, set_total] = useState(0)
+  const [is_loading, set_is_loading] = useState(false)
+  const [error_text, set_error_text] = useState('')
+
+  const [selected, set_selected] = useState(null)
+  const [recent_attempts, set_recent_attempts] = useState([])
+  const [disable_reason, set_disable_reason] = useState('')
+  const [action_error, set_action_error] = useState('')
+  const [action_success, set_action_success] = useState('')
+  const [is_acting, set_is_acting] = useState(false)
+
+  const [invitations, set_invitations] = useState([])
+  const [invite_email, set_invite_email] = useState('')
+  const [invite_role, set_invite_role] = useState('inspector')
+  const [invite_error, set_invite_error] = useState('')
+  const [invite_link, set_invite_link] = useState('')
+  const [is_inviting, set_is_inviting] = useState(false)
+
+  // filters: { q, role, status } as currently entered in the search form
+  async function load_users(filters, next_skip) {
+    set_is_loading(true)
+    set_error_text('')
+    try {
+      const data = await list_users({ ...filters, limit: page_size, skip: next_skip })
+      set_users(data.users || [])
+      set_total(data.total || 0)
+      set_skip(next_skip)
+    } catch (error) {
+      set_error_text(error && error.message ? error.message : 'Could not load users')
+    } finally {
+      set_is_loading(false)
+    }
+  }
+
+  async function load_invitations() {
+    try {
+      const data = await list_invitations()
+      set_invitations(data.invitations || [])
+    } catch (error) {
+      set_invite_error(error && error.message ? error.message : 'Could not load invitations')
+    }
+  }
+
+  function current_filters() {
+    return { q: query.trim(), role: role_filter, status: status_filter }
+  }
+
+  useEffect(() => {
+    load_users({}, 0)
+    load_invitations()
+  }, [])
+
+  function handle_search(e) {
+    e.preventDefault()
+    load_users(current_filters(), 0)
+  }
+
+  async function open_user(id) {
+    set_action_error('')
+    set_action_success('')
+    set_disable_reason('')
+    try {
+      const data = await get_user(id)
+      set_selected(data.user)
+      set_recent_attempts(data.recentLoginAttempts || [])
+    } catch (error) {
+      set_action_error(error && error.message ? error.message : 'Could not load user')
+    }
+  }
+
+  // Runs an action on the selected user, then refreshes the detail panel and the list row
+  async function run_action(action, success_message) {
+    if (!selected || is_acting) {
+      return
+    }
+    set_is_acting(true)
+    set_action_error('')
+    set_action_success('')
+    try {
+      const data = await action(selected.id)
+      set_selected(data.user)
+      set_users((prev) => prev.map((user) => (user.id === data.user.id ? data.user : user)))
+      set_action_success(success_message)
+    } catch (error) {
+      set_action_error(error && error.message ? error.message : 'Action failed')
+    } finally {
+      set_is_acting(false)
+    }
+  }
+
+  function handle_force_reset() {
+    if (!window.confirm('Sign ' + selected.email + ' out everywhere and require a new password?')) {
+      return
+    }
+    run_action(force_password_reset, 'The user must reset their password before signing in again.')
+  }
+
+  function handle_role_change(e) {
+    const role = e.target.value
+    if (!window.confirm('Change the role of ' + selected.email + ' to ' + role + '? They will be signed out.')) {
+      return
+    }
+    run_action((id) => change_user_role(id, role), 'Role changed to ' + role + '.')
+  }
+
+  function handle_disable() {
+    if (!window.confirm('Disable ' + selected.email + '? They will be signed out and unable to sign in.')) {
+      return
+    }
+    run_action((id) => disable_user(id, disable_reason.trim()), 'Account disabled.')
+  }
+
+  async function handle_invite(e) {
+    e.preventDefault()
+    set_invite_error('')
+    set_invite_link('')
+    if (!invite_email.trim()) {
+      set_invite_error('Enter the email address to invite.')
+      return
+    }
+
+    set_is_inviting(true)
+    try {
+      const data = await create_invitation(invite_email.trim(), invite_role)
+      set_invite_link(data.link || '')
+      set_invite_email('')
+      await load_invitations()
+    } catch (error) {
+      set_invite_error(error && error.message ? error.message : 'Could not send the invitation')
+    } finally {
+      set_is_inviting(false)
+    }
+  }
+
+  async function handle_revoke(id) {
+    set_invite_error('')
+    try {
+      await revoke_invitation(id)
+      await load_invitations()
+    } catch (error) {
+      set_invite_error(error && error.message ? error.message : 'Could not withdraw the invitation')
+    }
+  }
+
+  const is_self = selected && selected.id === current_user.id
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-semibold text-gray-900">User management</h1>
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            Back
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-8 space-y-8">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <section className="lg:col-span-2 bg-white rounded-lg shadow p-6 space-y-4">
+            <form className="flex flex-wrap gap-2" onSubmit={handle_search}>
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => set_query(e.target.value)}
+                placeholder="Search name, email or phone"
+                className={input_class + ' flex-1 min-w-[12rem]'}
+              />
+              <select value={role_filter} onChange={(e) => set_role_filter(e.target.value)} className={input_class}>
+                <option value="">All roles</option>
+                <option value="farmer">Farmer</option>
+                <option value="inspector">Inspector</option>
+                <option value="admin">Admin</option>
+              </select>
+              <select value={status_filter} onChange={(e) => set_status_filter(e.target.value)} className={input_class}>
+                <option value="">Any status</option>
+                <option value="locked">Locked</option>
+                <option value="disabled">Disabled</option>
+                <option value="unverified">Unverified</option>
+                <option value="reset_required">Reset required</option>
+              </select>
+              <button
+                type="submit"
+                disabled={is_loading}
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+              >
+                Search
+              </button>
+            </form>
+
+            {error_text && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">{error_text}</div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-medium">Name</th>
+                    <th className="py-2 pr-4 font-medium">Email</th>
+                    <th className="py-2 pr-4 font-medium">Role</th>
+                    <th className="py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((user) => (
+                    <tr
+                      key={user.id}
+                      onClick={() => open_user(user.id)}
+                      className={
+                        'border-b border-gray-100 cursor-pointer hover:bg-gray-50 ' +
+                        (selected && selected.id === user.id ? 'bg-green-50' : '')
+                      }
+                    >
+                      <td className="py-2 pr-4 text-gray-900">{user.name}</td>
+                      <td className="py-2 pr-4 text-gray-700">{user.email}</td>
+                      <td className="py-2 pr-4 text-gray-700 capitalize">{user.role}</td>
+                      <td className="py-2 space-x-1">
+                        {status_badges(user).map((badge) => (
+                          <span key={badge.label} className={'inline-block px-2 py-0.5 rounded text-xs ' + badge.class_name}>
+                            {badge.label}
+                          </span>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                  {!is_loading && users.length === 0 && (
+                    <tr>
+                      <td colSpan={4} className="py-6 text-center text-gray-500">
+                        No users found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>
+                {total === 0 ? '0' : skip + 1 + '–' + Math.min(skip + page_size, total)} of {total}
+              </span>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  onClick={() => load_users(current_filters(), Math.max(0, skip - page_size))}
+                  disabled={is_loading || skip === 0}
+                  className="px-3 py-1 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  type="button"
+                  onClick={() => load_users(current_filters(), skip + page_size)}
+                  disabled={is_loading || skip + page_size >= total}
+                  className="px-3 py-1 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          </section>
+
+          <section className="bg-white rounded-lg shadow p-6 space-y-4">
+            {!selected && <p className="text-sm text-gray-500">Select a user to see their account state.</p>}
+
+            {action_error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">{action_error}</div>
+            )}
+            {action_success && (
+              <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm">
+                {action_success}
+              </div>
+            )}
+
+            {selected && (
+              <>
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{selected.name}</h2>
+                  <p className="text-sm text-gray-600">{selected.email}</p>
+                  {selected.phone && <p className="text-sm text-gray-600">{selected.phone}</p>}
+                </div>
+
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                  <dt className="text-gray-500">Email verified</dt>
+                  <dd className="text-gray-900">{selected.emailVerified ? 'Yes' : 'No'}</dd>
+                  <dt className="text-gray-500">Phone verified</dt>
+                  <dd className="text-gray-900">{selected.phoneVerified ? 'Yes' : 'No'}</dd>
+                  <dt className="text-gray-500">Two-factor</dt>
+                  <dd className="text-gray-900">{selected.twoFactorEnabled ? 'On' : 'Off'}</dd>
+                  <dt className="text-gray-500">Failed logins</dt>
+                  <dd className="text-gray-900">{selected.loginLockout.failedAttempts}</dd>
+                  <dt className="text-gray-500">Login locked until</dt>
+                  <dd className="text-gray-900">{format_date(selected.loginLockout.lockedUntil)}</dd>
+                  <dt className="text-gray-500">Failed password changes</dt>
+                  <dd className="text-gray-900">{selected.passwordChangeLockout.failedAttempts}</dd>
+                  <dt className="text-gray-500">Password change locked until</dt>
+                  <dd className="text-gray-900">{format_date(selected.passwordChangeLockout.lockedUntil)}</dd>
+                  <dt className="text-gray-500">Disabled</dt>
+                  <dd className="text-gray-900">
+                    {selected.disabled
+                      ? format_date(selected.disabled.at) + (selected.disabled.reason ? ' — ' + selected.disabled.reason : '')
+                      : 'No'}
+                  </dd>
+                  {selected.deletionScheduledFor && (
+                    <>
+                      <dt className="text-gray-500">Deletion scheduled</dt>
+                      <dd className="text-gray-900">{format_date(selected.deletionScheduledFor)}</dd>
+                    </>
+                  )}
+                  <dt className="text-gray-500">Created</dt>
+                  <dd className="text-gray-900">{format_date(selected.createdAt)}</dd>
+                </dl>
+
+                <div className="space-y-3 border-t border-gray-200 pt-4">
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="admin_role" className="text-sm text-gray-700">
+                      Role
+                    </label>
+                    <select
+                      id="admin_role"
+                      value={selected.role}
+                      onChange={handle_role_change}
+                      disabled={is_acting || is_self}
+                      className={input_class}
+                    >
+                      <option value="farmer">Farmer</option>
+                      <option value="inspector">Inspector</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={() => run_action(unlock_user, 'Lockouts cleared.')}
+                      disabled={is_acting}
+                      className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-60"
+                    >
+                      Unlock
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handle_force_reset}
+                      disabled={is_acting}
+                      className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-60"
+                    >
+                      Force password reset
+                    </button>
+                  </div>
+
+                  {selected.disabled ? (
+                    <button
+                      type="button"
+                      onClick={() => run_action(enable_user, 'Account re-enabled.')}
+                      disabled={is_acting}
+                      className="px-3 py-2 text-sm bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+                    >
+                      Re-enable account
+                    </button>
+                  ) : (
+                    !is_self && (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={disable_reason}
+                          onChange={(e) => set_disable_reason(e.target.value)}
+                          placeholder="Reason (optional)"
+                          className={input_class + ' flex-1'}
+                        />
+                        <button
+                          type="button"
+                          onClick={handle_disable}
+                          disabled={is_acting}
+                          className="px-3 py-2 text-sm bg-red-500 text-white rounded-md hover:bg-red-600 disabled:opacity-60"
+                        >
+                          Disable
+                        </button>
+                      </div>
+                    )
+                  )}
+                </div>
+
+                <div className="border-t border-gray-200 pt-4">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Recent sign-in activity</h3>
+                  {recent_attempts.length === 0 && <p className="text-sm text-gray-500">No activity recorded.</p>}
+                  <ul className="space-y-1 text-xs text-gray-700 max-h-60 overflow-y-auto">
+                    {recent_attempts.map((attempt) => (
+                      <li key={attempt._id}>
+                        <span className={attempt.success ? 'text-green-600' : 'text-red-600'}>
+                          {attempt.success ? '✓' : '✗'}
+                        </span>{' '}
+                        {format_date(attempt.createdAt)} · {attempt.event} · {attempt.reason || '—'} ·{' '}
+                        {attempt.ip_address || 'unknown IP'}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </>
+            )}
+          </section>
+        </div>
+
+        <section className="bg-white rounded-lg shadow p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Invitations</h2>
+            <p className="text-sm text-gray-600">
+              Inspector and admin accounts can only be created from an invitation link. Links work once and expire.
+            </p>
+          </div>
+
+          <form className="flex flex-wrap gap-2" onSubmit={handle_invite}>
+            <input
+              type="email"
+              value={invite_email}
+              onChange={(e) => set_invite_email(e.target.value)}
+              placeholder="name@example.com"
+              className={input_class + ' flex-1 min-w-[12rem]'}
+            />
+            <select value={invite_role} onChange={(e) => set_invite_role(e.target.value)} className={input_class}>
+              <option value="inspector">Inspector</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button
+              type="submit"
+              disabled={is_inviting}
+              className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:opacity-60"
+            >
+              {is_inviting ? 'Sending...' : 'Send invitation'}
+            </button>
+          </form>
+
+          {invite_error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">{invite_error}</div>
+          )}
+          {invite_link && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm break-all">
+              Invitation sent. You can also share this link: {invite_link}
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Email</th>
+                  <th className="py-2 pr-4 font-medium">Role</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 pr-4 font-medium">Expires</th>
+                  <th className="py-2 font-medium" />
+                </tr>
+              </thead>
+              <tbody>
+                {invitations.map((invitation) => (
+                  <tr key={invitation.id} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">{invitation.email}</td>
+                    <td className="py-2 pr-4 text-gray-700 capitalize">{invitation.role}</td>
+                    <td className="py-2 pr-4 text-gray-700 capitalize">{invitation.status}</td>
+                    <td className="py-2 pr-4 text-gray-700">{format_date(invitation.expiresAt)}</td>
+                    <td className="py-2 text-right">
+                      {invitation.status === 'pending' && (
+                        <button
+                          type="button"
+                          onClick={() => handle_revoke(invitation.id)}
+                          className="text-sm text-red-600 hover:text-red-700"
+                        >
+                          Withdraw
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {invitations.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="py-6 text-center text-gray-500">
+                      No invitations yet
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </main>
+    </div>
+  )
+}
+
+export default AdminUsers
@@ -0,0 +1,97 @@
+import React, { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { requestPasswordReset } from '../../services/authService'
+
+function ForgotPassword() {
+  const navigate = useNavigate()
+  const [email, setEmail] = useState('')
+  const [errorText, setErrorText] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+
+  function handleEmailChange(e) {
+    setEmail(e.target.value)
+    setErrorText('')
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (isLoading) {
+      return
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    const trimmedEmail = email.trim()
+    if (!trimmedEmail || !emailRegex.test(trimmedEmail)) {
+      setErrorText('Please enter a valid email address.')
+      return
+    }
+
+    setIsLoading(true)
+    setErrorText('')
+    try {
+      await requestPasswordReset({ email: trimmedEmail })
+      localStorage.setItem('pending_reset_email', trimmedEmail)
+      navigate('/reset-password', { state: { email: trimmedEmail } })
+    } catch (err) {
+      const message = err && err.message ? err.message : 'Could not send reset code. Please try again.'
+      setErrorText(message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-bold text-gray-900">Forgot your password?</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the email you registered with and we will send you a code to reset your password.
+          </p>
+        </div>
+
+        {errorText && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {errorText}
+          </div>
+        )}
+
+        <form className="mt-6 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="email" className="text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              required
+              value={email}
+              onChange={handleEmailChange}
+              disabled={isLoading}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="name@company.com"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Sending code...' : 'Send reset code'}
+          </button>
+
+          <p className="text-sm text-gray-600 text-center">
+            Remembered it?{' '}
+            <Link to="/login" className="text-green-600 hover:text-green-500">
+              Back to login
+            </Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
@@ -1,40 +1,188 @@
-import React, { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import { login as login_api } from "../../services/authService";
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate, useLocation } from "react-router-dom";
+import {
+  login as login_api,
+  verifyTwoFactorLogin,
+  startTwoFactorLoginSetup,
+  enableTwoFactorLogin,
+  requestPhoneLoginCode,
+  verifyPhoneLogin,
+} from "../../services/authService";
 
 function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
   const [email, set_email] = useState("");
   const [password, set_password] = useState("");
   const [show_password, set_show_password] = useState(false);
   const [error_text, set_error_text] = useState("");
   const [is_loading, set_is_loading] = useState(false);
 
+  // "password" -> "code" (2FA enabled) or "setup" (2FA required by policy) -> "recovery_codes"
+  const [step, set_step] = useState("password");
+  const [two_factor_token, set_two_factor_token] = useState("");
+  const [two_factor_code, set_two_factor_code] = useState("");
+  const [use_recovery_code, set_use_recovery_code] = useState(false);
+  const [setup_data, set_setup_data] = useState(null);
+  const [recovery_codes, set_recovery_codes] = useState([]);
+
+  // Passwordless login: phone number, then the SMS code
+  const [use_phone, set_use_phone] = useState(false);
+  const [phone, set_phone] = useState("");
+  const [sms_code, set_sms_code] = useState("");
+  const [is_sms_sent, set_is_sms_sent] = useState(false);
+  const [info_text, set_info_text] = useState("");
+
+  // A 2FA challenge handed over by the signup verification page (see VerifyOtp)
+  useEffect(() => {
+    const challenge = location.state && location.state.challenge;
+    if (!challenge || !challenge.twoFactorToken) {
+      return;
+    }
+    set_two_factor_token(challenge.twoFactorToken);
+    set_two_factor_code("");
+    set_info_text("Your email is verified. Complete two-factor authentication to sign in.");
+    if (challenge.status !== "2fa_setup_required") {
+      set_step("code");
+      return;
+    }
+    startTwoFactorLoginSetup({ twoFactorToken: challenge.twoFactorToken })
+      .then((setup) => {
+        set_setup_data(setup);
+        set_step("setup");
+      })
+      .catch((err) => {
+        set_two_factor_token("");
+        set_error_text(err && err.message ? err.message : "Could not start two-factor setup. Please log in.");
+      });
+  }, [location.state]);
+
+  function go_to_dashboard() {
+    // Get user role from localStorage to determine redirect
+    const userJson = localStorage.getItem('user');
+    if (userJson) {
+      try {
+        const user = JSON.parse(userJson);
+        const role = user?.role;
+        if (role === 'farmer') {
+          navigate("/farmer-dashboard");
+        } else if (role === 'inspector' || role === 'admin') {
+          navigate("/inspector-dashboard");
+        } else {
+          navigate("/dashboard");
+        }
+      } catch {
+        navigate("/dashboard");
+      }
+    } else {
+      navigate("/dashboard");
+    }
+  }
+
+  // Accounts waiting for deletion land on the profile page, where it can be cancelled
+  function finish_login(data) {
+    if (data && data.deletionScheduledFor) {
+      navigate("/account/profile");
+      return;
+    }
+    go_to_dashboard();
+  }
+
+  function restart_login(message) {
+    set_step("password");
+    set_two_factor_token("");
+    set_two_factor_code("");
+    set_setup_data(null);
+    set_error_text(message || "");
+  }
+
+  function handle_two_factor_error(err, fallback) {
+    if (err && (err.code === "challenge_expired" || err.code === "challenge_invalid")) {
+      restart_login(err.message);
+      return;
+    }
+    set_error_text(err && err.message ? err.message : fallback);
+  }
+
+  // Password and SMS login both answer with a session or a 2FA step
+  async function handle_first_factor_result(data) {
+    if (data && data.status === "2fa_required") {
+      set_two_factor_token(data.twoFactorToken);
+      set_two_factor_code("");
+      set_use_recovery_code(false);
+      set_step("code");
+      return;
+    }
+
+    if (data && data.status === "2fa_setup_required") {
+      set_two_factor_token(data.twoFactorToken);
+      const setup = await startTwoFactorLoginSetup({ twoFactorToken: data.twoFactorToken });
+      set_setup_data(setup);
+      set_two_factor_code("");
+      set_step("setup");
+      return;
+    }
+
+    finish_login(data);
+  }
+
+  async function handle_send_sms_code() {
+    if (!phone.trim()) {
+      set_error_text("Please enter your phone number.");
+      return;
+    }
+
+    set_error_text("");
+    set_is_loading(true);
+    try {
+      const data = await requestPhoneLoginCode({ phone: phone.trim() });
+      set_is_sms_sent(true);
+      set_info_text((data && data.message) || "If this number is registered, a code has been sent.");
+    } catch (err) {
+      set_error_text(err && err.message ? err.message : "Could not send login code.");
+    } finally {
+      set_is_loading(false);
+    }
+  }
+
+  async function handle_phone_submit(e) {
+    e.preventDefault();
+    if (!is_sms_sent) {
+      await handle_send_sms_code();
+      return;
+    }
+    if (sms_code.length < 6) {
+      set_error_text("Please enter the 6-digit code from the SMS.");
+      return;
+    }
+
+    set_error_text("");
+    set_is_loading(true);
+    try {
+      const data = await verifyPhoneLogin({ phone: phone.trim(), otp: sms_code });
+      await handle_first_factor_result(data);
+    } catch (err) {
+      set_error_text(err && err.message ? err.message : "Login failed. Please try again.");
+    } finally {
+      set_is_loading(false);
+    }
+  }
+
+  function toggle_login_method() {
+    set_use_phone(!use_phone);
+    set_is_sms_sent(false);
+    set_sms_code("");
+    set_error_text("");
+    set_info_text("");
+  }
+
   async function handle_submit(e) {
     e.preventDefault();
     set_error_text("");
     set_is_loading(true);
     try {
-      await login_api({ email, password });
-      // Get user role from localStorage to determine redirect
-      const userJson = localStorage.getItem('user');
-      if (userJson) {
-        try {
-          const user = JSON.parse(userJson);
-          const role = user?.role;
-          if (role === 'farmer') {
-            navigate("/farmer-dashboard");
-          } else if (role === 'inspector' || role === 'admin') {
-            navigate("/inspector-dashboard");
-          } else {
-            navigate("/dashboard");
-          }
-        } catch {
-          navigate("/dashboard");
-        }
-      } else {
-        navigate("/dashboard");
-      }
+      const data = await login_api({ email, password });
+      await handle_first_factor_result(data);
     } catch (err) {
       const message = err && err.message ? err.message : "Login failed. Please try again.";
       set_error_text(message);
@@ -43,6 +191,159 @@ function Login() {
     }
   }
 
+  async function handle_code_submit(e) {
+    e.preventDefault();
+    if (!two_factor_code.trim()) {
+      set_error_text(use_recovery_code ? "Please enter a recovery code." : "Please enter the 6-digit code.");
+      return;
+    }
+
+    set_error_text("");
+    set_is_loading(true);
+    try {
+      const data = await verifyTwoFactorLogin(
+        use_recovery_code
+          ? { twoFactorToken: two_factor_token, recoveryCode: two_factor_code.trim() }
+          : { twoFactorToken: two_factor_token, code: two_factor_code.trim() }
+      );
+      if (data && data.recoveryCodesRemaining !== undefined && data.recoveryCodesRemaining <= 2) {
+        window.alert(
+          "You have " + data.recoveryCodesRemaining + " recovery codes left. Create new ones in your security settings."
+        );
+      }
+      finish_login(data);
+    } catch (err) {
+      handle_two_factor_error(err, "Verification failed. Please try again.");
+    } finally {
+      set_is_loading(false);
+    }
+  }
+
+  async function handle_setup_submit(e) {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(two_factor_code.trim())) {
+      set_error_text("Please enter the 6-digit code from your authenticator app.");
+      return;
+    }
+
+    set_error_text("");
+    set_is_loading(true);
+    try {
+      const data = await enableTwoFactorLogin({ twoFactorToken: two_factor_token, code: two_factor_code.trim() });
+      set_recovery_codes((data && data.recoveryCodes) || []);
+      set_step("recovery_codes");
+    } catch (err) {
+      handle_two_factor_error(err, "Could not enable two-factor authentication.");
+    } finally {
+      set_is_loading(false);
+    }
+  }
+
+  const code_input_class =
+    "mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100";
+  const primary_button_class =
+    "w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed";
+
+  if (step === "recovery_codes") {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center px-4">
+        <div className="max-w-md w-full space-y-6">
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-gray-900">Save your recovery codes</h2>
+            <p className="mt-2 text-sm text-gray-600">
+              Each code can be used once to sign in if you lose your phone. They will not be shown again.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded p-4 font-mono text-sm text-gray-800">
+            {recovery_codes.map((code) => (
+              <span key={code}>{code}</span>
+            ))}
+          </div>
+          <button type="button" onClick={go_to_dashboard} className={primary_button_class}>
+            I have saved them, continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === "code" || step === "setup") {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center px-4">
+        <div className="max-w-md w-full space-y-6">
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-gray-900">
+              {step === "setup" ? "Set up two-factor authentication" : "Two-factor authentication"}
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              {step === "setup"
+                ? "Your account role requires two-factor authentication. Scan the QR code with an authenticator app, then enter the 6-digit code it shows."
+                : use_recovery_code
+                  ? "Enter one of the recovery codes you saved when you turned on two-factor authentication."
+                  : "Enter the 6-digit code from your authenticator app."}
+            </p>
+          </div>
+
+          {error_text && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {error_text}
+            </div>
+          )}
+
+          {step === "setup" && setup_data && (
+            <div className="text-center space-y-2">
+              <img src={setup_data.qrCodeDataUrl} alt="Authenticator QR code" className="mx-auto w-48 h-48" />
+              <p className="text-xs text-gray-500">
+                Can&apos;t scan it? Enter this key manually:
+                <span className="block mt-1 font-mono text-gray-800 break-all">{setup_data.secret}</span>
+              </p>
+            </div>
+          )}
+
+          <form className="space-y-4" onSubmit={step === "setup" ? handle_setup_submit : handle_code_submit}>
+            <input
+              type="text"
+              inputMode={use_recovery_code && step === "code" ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              maxLength={use_recovery_code && step === "code" ? 11 : 6}
+              value={two_factor_code}
+              onChange={(e) => set_two_factor_code(e.target.value)}
+              disabled={is_loading}
+              className={code_input_class}
+              placeholder={use_recovery_code && step === "code" ? "xxxxx-xxxxx" : "••••••"}
+            />
+
+            <button type="submit" disabled={is_loading} className={primary_button_class}>
+              {is_loading ? "Verifying..." : step === "setup" ? "Turn on and continue" : "Verify"}
+            </button>
+
+            {step === "code" && (
+              <button
+                type="button"
+                onClick={() => {
+                  set_use_recovery_code(!use_recovery_code);
+                  set_two_factor_code("");
+                  set_error_text("");
+                }}
+                className="w-full text-sm text-green-600 hover:text-green-500"
+              >
+                {use_recovery_code ? "Use authenticator app instead" : "Use a recovery code instead"}
+              </button>
+            )}
+
+            <button
+              type="button"
+              onClick={() => restart_login("")}
+              className="w-full text-sm text-gray-500 hover:text-gray-700"
+            >
+              Back to login
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-white flex items-center justify-center px-4">
       <div className="max-w-md w-full space-y-8">
@@ -60,92 +361,170 @@ function Login() {
           </div>
         )}
 
-        <form className="mt-8 space-y-6" onSubmit={handle_submit}>
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="text-sm font-medium text-gray-700">Email address</label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                required
-                value={email}
-                onChange={(e) => set_email(e.target.value)}
-                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-                placeholder="name@company.com"
-                disabled={is_loading}
-              />
-            </div>
+        {info_text && !error_text && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded text-sm">
+            {info_text}
+          </div>
+        )}
 
-            <div>
-              <label htmlFor="password" className="text-sm font-medium text-gray-700">Password</label>
-              <div className="mt-1 relative">
+        {use_phone ? (
+          <form className="mt-8 space-y-6" onSubmit={handle_phone_submit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="phone" className="text-sm font-medium text-gray-700">Phone number</label>
                 <input
-                  id="password"
-                  name="password"
-                  type={show_password ? "text" : "password"}
+                  id="phone"
+                  name="phone"
+                  type="tel"
                   required
-                  value={password}
-                  onChange={(e) => set_password(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-                  placeholder="••••••••"
-                  disabled={is_loading}
+                  value={phone}
+                  onChange={(e) => set_phone(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="+92 300 1234567"
+                  disabled={is_loading || is_sms_sent}
                 />
-                <button
-                  type="button"
-                  onClick={() => set_show_password(!show_password)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  disabled={is_loading}
-                >
-                  <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    {show_password ? (
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                    ) : (
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
-                    )}
-                  </svg>
-                </button>
               </div>
+
+              {is_sms_sent && (
+                <div>
+                  <label htmlFor="sms_code" className="text-sm font-medium text-gray-700">SMS code</label>
+                  <input
+                    id="sms_code"
+                    name="sms_code"
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    value={sms_code}
+                    onChange={(e) => set_sms_code(e.target.value.replace(/[^0-9]/g, ""))}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    placeholder="••••••"
+                    disabled={is_loading}
+                  />
+                  <button
+                    type="button"
+                    onClick={handle_send_sms_code}
+                    className="mt-2 text-sm text-green-600 hover:text-green-500"
+                    disabled={is_loading}
+                  >
+                    Send a new code
+                  </button>
+                </div>
+              )}
             </div>
-          </div>
 
-          <div className="text-right">
-            <Link to="/forgot-password" className="text-sm text-green-600 hover:text-green-500">Forgot your password?</Link>
-          </div>
+            <button
+              type="submit"
+              disabled={is_loading}
+              className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {is_loading ? "Please wait..." : is_sms_sent ? "Login" : "Send code"}
+            </button>
 
-          <div className="space-y-4">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300"></div>
+            <button
+              type="button"
+              onClick={toggle_login_method}
+              className="w-full text-sm text-green-600 hover:text-green-500"
+            >
+              Log in with email and password instead
+            </button>
+          </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handle_submit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="text-sm font-medium text-gray-700">Email address</label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  required
+                  value={email}
+                  onChange={(e) => set_email(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="name@company.com"
+                  disabled={is_loading}
+                />
               </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white text-gray-500">or</span>
+
+              <div>
+                <label htmlFor="password" className="text-sm font-medium text-gray-700">Password</label>
+                <div className="mt-1 relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={show_password ? "text" : "password"}
+                    required
+                    value={password}
+                    onChange={(e) => set_password(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    placeholder="••••••••"
+                    disabled={is_loading}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => set_show_password(!show_password)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    disabled={is_loading}
+                  >
+                    <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      {show_password ? (
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                      ) : (
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
+                      )}
+                    </svg>
+                  </button>
+                </div>
               </div>
             </div>
 
+            <div className="text-right">
+              <Link to="/forgot-password" className="text-sm text-green-600 hover:text-green-500">Forgot your password?</Link>
+            </div>
+
             <button
               type="button"
-              className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md text-gray-900 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-green-500"
-              disabled={is_loading}
+              onClick={toggle_login_method}
+              className="w-full text-sm text-green-600 hover:text-green-500"
             >
-              <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24">
-                <path fill="#EA4335" d="M5.26620003,9.76452941 C6.19878754,6.93863203 8.85444915,4.90909091 12,4.90909091 C13.6909091,4.90909091 15.2181818,5.50909091 16.4181818,6.49090909 L19.9090909,3 C17.7818182,1.14545455 15.0545455,0 12,0 C7.27006974,0 3.1977497,2.69829785 1.23999023,6.65002441 L5.26620003,9.76452941 Z"/>
-                <path fill="#34A853" d="M16.0407269,18.0125889 C14.9509167,18.7163016 13.5660892,19.0909091 12,19.0909091 C8.86648613,19.0909091 6.21911939,17.076871 5.27698177,14.2678769 L1.23746264,17.3349879 C3.19279051,21.2936293 7.26500293,24 12,24 C14.9328362,24 17.7353462,22.9573905 19.834192,20.9995801 L16.0407269,18.0125889 Z"/>
-                <path fill="#FBBC05" d="M19.834192,20.9995801 C22.0291676,18.9520994 23.4545455,15.903663 23.4545455,12 C23.4545455,11.2909091 23.3454545,10.5272727 23.1818182,9.81818182 L12,9.81818182 L12,14.4545455 L18.4363636,14.4545455 C18.1187732,16.013626 17.2662994,17.2212117 16.0407269,18.0125889 L19.834192,20.9995801 Z"/>
-                <path fill="#4285F4" d="M5.27698177,14.2678769 C5.03832634,13.556323 4.90909091,12.7937589 4.90909091,12 C4.90909091,11.2182781 5.03443647,10.4668121 5.26620003,9.76452941 L1.23999023,6.65002441 C0.43658717,8.26043162 0,10.0753848 0,12 C0,13.9195484 0.444780743,15.7301709 1.23746264,17.3349879 L5.27698177,14.2678769 Z"/>
-              </svg>
-              Continue with Google
+              Log in with a phone number and SMS code
             </button>
 
-            <button
-              type="submit"
-              disabled={is_loading}
-              className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {is_loading ? "Logging in..." : "Login"}
-            </button>
-          </div>
-        </form>
+            <div className="space-y-4">
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300"></div>
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-white text-gray-500">or</span>
+                </div>
+              </div>
+
+              <button
+                type="button"
+                className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md text-gray-900 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-green-500"
+                disabled={is_loading}
+              >
+                <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24">
+                  <path fill="#EA4335" d="M5.26620003,9.76452941 C6.19878754,6.93863203 8.85444915,4.90909091 12,4.90909091 C13.6909091,4.90909091 15.2181818,5.50909091 16.4181818,6.49090909 L19.9090909,3 C17.7818182,1.14545455 15.0545455,0 12,0 C7.27006974,0 3.1977497,2.69829785 1.23999023,6.65002441 L5.26620003,9.76452941 Z"/>
+                  <path fill="#34A853" d="M16.0407269,18.0125889 C14.9509167,18.7163016 13.5660892,19.0909091 12,19.0909091 C8.86648613,19.0909091 6.21911939,17.076871 5.27698177,14.2678769 L1.23746264,17.3349879 C3.19279051,21.2936293 7.26500293,24 12,24 C14.9328362,24 17.7353462,22.9573905 19.834192,20.9995801 L16.0407269,18.0125889 Z"/>
+                  <path fill="#FBBC05" d="M19.834192,20.9995801 C22.0291676,18.9520994 23.4545455,15.903663 23.4545455,12 C23.4545455,11.2909091 23.3454545,10.5272727 23.1818182,9.81818182 L12,9.81818182 L12,14.4545455 L18.4363636,14.4545455 C18.1187732,16.013626 17.2662994,17.2212117 16.0407269,18.0125889 L19.834192,20.9995801 Z"/>
+                  <path fill="#4285F4" d="M5.27698177,14.2678769 C5.03832634,13.556323 4.90909091,12.7937589 4.90909091,12 C4.90909091,11.2182781 5.03443647,10.4668121 5.26620003,9.76452941 L1.23999023,6.65002441 C0.43658717,8.26043162 0,10.0753848 0,12 C0,13.9195484 0.444780743,15.7301709 1.23746264,17.3349879 L5.27698177,14.2678769 Z"/>
+                </svg>
+                Continue with Google
+              </button>
+
+              <button
+                type="submit"
+                disabled={is_loading}
+                className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {is_loading ? "Logging in..." : "Login"}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
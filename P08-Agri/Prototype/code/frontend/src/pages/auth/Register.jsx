@@ -1,21 +1,55 @@
-import React, { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
-import { registerWithOtp } from '../../services/authService'
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { registerWithOtp, getInvitation } from '../../services/authService'
+
+const roleLabels = {
+  inspector: 'Quality Inspector',
+  admin: 'Administrator'
+}
 
 function Register() {
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite') || ''
+
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     phone: '',
     password: '',
-    confirmPassword: '',
-    role: 'farmer'
+    confirmPassword: ''
   })
   const [errors, setErrors] = useState({})
   const [apiError, setApiError] = useState('')
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [invitation, setInvitation] = useState(null)
+
+  // Inspector and admin accounts come from an invitation link; the address is fixed by it
+  useEffect(() => {
+    if (!inviteToken) {
+      return
+    }
+
+    let cancelled = false
+    getInvitation(inviteToken)
+      .then((data) => {
+        if (cancelled) {
+          return
+        }
+        setInvitation(data)
+        setFormData((prev) => ({ ...prev, email: data.email }))
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setApiError(err.message + ' You can still sign up as a farmer.')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [inviteToken])
 
   function handleChange(e) {
     const name = e.target.name
@@ -70,15 +104,23 @@ function Register() {
         name: formData.name,
         email: formData.email,
         phone: formData.phone,
-        password: formData.password,
-        role: formData.role
+        password: formData.password
+      }
+      if (invitation) {
+        userData.inviteToken = inviteToken
       }
 
-      await registerWithOtp(userData)
+      const data = await registerWithOtp(userData)
 
       localStorage.setItem('pending_signup_email', userData.email)
 
-      navigate('/verify-otp', { state: { email: userData.email } })
+      navigate('/verify-otp', {
+        state: {
+          email: userData.email,
+          expiresInSeconds: data && data.expiresInSeconds,
+          resendAvailableInSeconds: data && data.resendAvailableInSeconds
+        }
+      })
     } catch (err) {
       const msg = typeof err === 'string' ? err : (err && err.message ? err.message : 'Registration failed. Please try again.')
       setApiError(msg)
@@ -101,6 +143,13 @@ function Register() {
           </p>
         </div>
 
+        {invitation && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded text-sm">
+            Invitation: {roleLabels[invitation.role] || invitation.role}. Your role is activated once you verify{' '}
+            {invitation.email}.
+          </div>
+        )}
+
         {apiError && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
             {apiError}
@@ -141,6 +190,7 @@ function Register() {
                 value={formData.email}
                 onChange={handleChange}
                 disabled={loading}
+                readOnly={Boolean(invitation)}
                 className={`mt-1 w-full px-3 py-2 border ${
                   errors.email ? 'border-red-500' : 'border-gray-300'
                 } rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent`}
@@ -168,23 +218,6 @@ function Register() {
               {errors.phone && <p className="mt-1 text-xs text-red-500">{errors.phone}</p>}
             </div>
 
-            <div>
-              <label htmlFor="role" className="text-sm font-medium text-gray-700">
-                I am a
-              </label>
-              <select
-                id="role"
-                name="role"
-                value={formData.role}
-                onChange={handleChange}
-                disabled={loading}
-                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-              >
-                <option value="farmer">Farmer</option>
-                <option value="inspector">Quality Inspector</option>
-              </select>
-            </div>
-
             <div>
               <label htmlFor="password" className="text-sm font-medium text-gray-700">
                 Password
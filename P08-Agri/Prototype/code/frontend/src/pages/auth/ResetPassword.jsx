@@ -0,0 +1,201 @@
+import React, { useState } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { resetPassword } from '../../services/authService'
+
+function ResetPassword() {
+  const location = useLocation()
+
+  const stateEmail = location.state && location.state.email ? location.state.email : ''
+  const storedEmail = localStorage.getItem('pending_reset_email') || ''
+
+  const [email, setEmail] = useState(stateEmail || storedEmail)
+  const [otp, setOtp] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [errorText, setErrorText] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isDone, setIsDone] = useState(false)
+
+  function handleOtpChange(e) {
+    const value = e.target.value.replace(/[^0-9]/g, '')
+    setOtp(value)
+    setErrorText('')
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (isLoading) {
+      return
+    }
+
+    if (!email.trim()) {
+      setErrorText('Please enter your email address.')
+      return
+    }
+    if (!otp || otp.length < 6) {
+      setErrorText('Please enter the 6-digit code from your email.')
+      return
+    }
+    if (newPassword.length < 8) {
+      setErrorText('New password must be at least 8 characters long.')
+      return
+    }
+    if (newPassword !== confirmPassword) {
+      setErrorText('Passwords do not match.')
+      return
+    }
+
+    setIsLoading(true)
+    setErrorText('')
+    try {
+      await resetPassword({ email: email.trim(), otp, newPassword })
+      localStorage.removeItem('pending_reset_email')
+      setIsDone(true)
+    } catch (err) {
+      const message = err && err.message ? err.message : 'Password reset failed. Please try again.'
+      setErrorText(message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  if (isDone) {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center px-4">
+        <div className="max-w-md w-full space-y-6 text-center">
+          <h2 className="text-2xl font-bold text-gray-900">Password reset</h2>
+          <p className="text-sm text-gray-600">
+            Your password has been changed. You can now log in with your new password.
+          </p>
+          <Link
+            to="/login"
+            className="inline-flex items-center justify-center mt-4 px-4 py-2 bg-green-500 hover:bg-green-600 text-white text-sm font-medium rounded-md"
+          >
+            Go to Login
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-bold text-gray-900">Reset your password</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the code we emailed you and choose a new password.
+          </p>
+        </div>
+
+        {errorText && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {errorText}
+          </div>
+        )}
+
+        <form className="mt-6 space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="email" className="text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={isLoading}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="name@company.com"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="otp" className="text-sm font-medium text-gray-700">
+              Reset code
+            </label>
+            <input
+              id="otp"
+              name="otp"
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={otp}
+              onChange={handleOtpChange}
+              disabled={isLoading}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="••••••"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="newPassword" className="text-sm font-medium text-gray-700">
+              New password
+            </label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type={showPassword ? 'text' : 'password'}
+              required
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              disabled={isLoading}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="At least 8 characters"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Use at least three of: uppercase letters, lowercase letters, numbers and symbols.
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="text-sm font-medium text-gray-700">
+              Confirm new password
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type={showPassword ? 'text' : 'password'}
+              required
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={isLoading}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="••••••••"
+            />
+          </div>
+
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showPassword}
+              onChange={() => setShowPassword(!showPassword)}
+              className="mr-2"
+            />
+            Show passwords
+          </label>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Resetting...' : 'Reset password'}
+          </button>
+
+          <p className="text-sm text-gray-600 text-center">
+            Didn&apos;t get a code?{' '}
+            <Link to="/forgot-password" className="text-green-600 hover:text-green-500">
+              Send another
+            </Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
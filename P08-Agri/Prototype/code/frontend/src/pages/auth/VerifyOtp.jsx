@@ -1,6 +1,18 @@
 import React, { useState, useEffect } from 'react'
 import { useLocation, useNavigate, Link } from 'react-router-dom'
-import { verifyOtp } from '../../services/authService'
+import { verifyOtp, resendOtp } from '../../services/authService'
+
+// Deadline timestamp (ms) from a "seconds from now" value, or null when unknown
+function deadlineFrom(seconds) {
+  const value = Number(seconds)
+  return Number.isFinite(value) && value > 0 ? Date.now() + value * 1000 : null
+}
+
+function formatCountdown(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return minutes + ':' + String(seconds).padStart(2, '0')
+}
 
 function VerifyOtp() {
   const navigate = useNavigate()
@@ -14,6 +26,19 @@ function VerifyOtp() {
   const [errorText, setErrorText] = useState('')
   const [infoText, setInfoText] = useState('')
   const [isLoading, setIsLoading] = useState(false)
+  const [isResending, setIsResending] = useState(false)
+  const [expiresAt, setExpiresAt] = useState(() => deadlineFrom(location.state && location.state.expiresInSeconds))
+  const [resendAt, setResendAt] = useState(() => deadlineFrom(location.state && location.state.resendAvailableInSeconds))
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const expiresInSeconds = expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / 1000)) : null
+  const resendInSeconds = resendAt ? Math.max(0, Math.ceil((resendAt - now) / 1000)) : 0
+  const isExpired = expiresInSeconds === 0
 
   useEffect(() => {
     if (!email) {
@@ -45,6 +70,10 @@ function VerifyOtp() {
       setErrorText('Please enter the verification code.')
       return
     }
+    if (isExpired) {
+      setErrorText('This code has expired. Please request a new one.')
+      return
+    }
 
     setIsLoading(true)
     setErrorText('')
@@ -53,6 +82,17 @@ function VerifyOtp() {
 
       localStorage.removeItem('pending_signup_email')
 
+      // Accounts that need two-factor authentication finish signing in on the login page
+      if (data && (data.status === '2fa_required' || data.status === '2fa_setup_required')) {
+        navigate('/login', { state: { challenge: data } })
+        return
+      }
+
+      if (data && data.phoneVerificationRequired) {
+        navigate('/verify-phone')
+        return
+      }
+
       const role = data && data.user && data.user.role ? data.user.role : null
       if (role === 'farmer') {
         navigate('/farmer-dashboard')
@@ -64,11 +104,40 @@ function VerifyOtp() {
     } catch (err) {
       const message = err && err.message ? err.message : 'Invalid code. Please try again.'
       setErrorText(message)
+      if (err && (err.code === 'otp_expired' || err.code === 'otp_invalidated')) {
+        // The old code is dead; let the user ask for a new one right away
+        setExpiresAt(Date.now())
+        setOtp('')
+      }
     } finally {
       setIsLoading(false)
     }
   }
 
+  async function handleResend() {
+    if (isResending || resendInSeconds > 0 || !email) {
+      return
+    }
+
+    setIsResending(true)
+    setErrorText('')
+    try {
+      const data = await resendOtp({ email })
+      setOtp('')
+      setExpiresAt(deadlineFrom(data && data.expiresInSeconds))
+      setResendAt(deadlineFrom(data && data.resendAvailableInSeconds))
+      setInfoText('We have sent a new verification code to ' + email + '.')
+    } catch (err) {
+      const message = err && err.message ? err.message : 'Could not resend the code. Please try again.'
+      setErrorText(message)
+      if (err && err.retryAfterSeconds) {
+        setResendAt(deadlineFrom(err.retryAfterSeconds))
+      }
+    } finally {
+      setIsResending(false)
+    }
+  }
+
   if (!email) {
     return (
       <div className="min-h-screen bg-white flex items-center justify-center px-4">
@@ -117,11 +186,18 @@ function VerifyOtp() {
               className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
               placeholder="••••••"
             />
+            {expiresInSeconds !== null && (
+              <p className={'mt-1 text-xs ' + (isExpired ? 'text-red-600' : 'text-gray-500')}>
+                {isExpired
+                  ? 'This code has expired. Request a new one below.'
+                  : 'Code expires in ' + formatCountdown(expiresInSeconds)}
+              </p>
+            )}
           </div>
 
           <button
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || isExpired}
             className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
           >
             {isLoading && (
@@ -142,9 +218,25 @@ function VerifyOtp() {
             {isLoading ? 'Verifying...' : 'Verify OTP'}
           </button>
 
+          <div className="text-sm text-gray-600 text-center">
+            Didn&apos;t get a code?{' '}
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={isResending || resendInSeconds > 0}
+              className="text-green-600 hover:text-green-500 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              {isResending
+                ? 'Sending...'
+                : resendInSeconds > 0
+                  ? 'Resend in ' + formatCountdown(resendInSeconds)
+                  : 'Resend code'}
+            </button>
+          </div>
+
           <p className="text-xs text-gray-500 text-center">
             Enter the code sent to <span className="font-medium">{email}</span>. If you did not receive it, check your
-            spam folder or try registering again.
+            spam folder before requesting a new one.
           </p>
         </form>
       </div>
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { sendPhoneVerificationCode, verifyPhone, getCurrentUser } from '../../services/authService'
+
+function dashboardPathFor(user) {
+  const role = user && user.role ? user.role : null
+  if (role === 'farmer') {
+    return '/farmer-dashboard'
+  }
+  if (role === 'inspector' || role === 'admin') {
+    return '/inspector-dashboard'
+  }
+  return '/dashboard'
+}
+
+function VerifyPhone() {
+  const navigate = useNavigate()
+
+  const [phone, setPhone] = useState('')
+  const [otp, setOtp] = useState('')
+  const [errorText, setErrorText] = useState('')
+  const [infoText, setInfoText] = useState('')
+  const [isSending, setIsSending] = useState(false)
+  const [isVerifying, setIsVerifying] = useState(false)
+  const [resendAt, setResendAt] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const sentOnMount = useRef(false)
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const resendInSeconds = resendAt ? Math.max(0, Math.ceil((resendAt - now) / 1000)) : 0
+
+  async function sendCode(phoneValue) {
+    setIsSending(true)
+    setErrorText('')
+    try {
+      const data = await sendPhoneVerificationCode({ phone: phoneValue || undefined })
+      if (data && data.phone) {
+        setPhone(data.phone)
+      }
+      setResendAt(Date.now() + ((data && data.resendAvailableInSeconds) || 60) * 1000)
+      setInfoText('We have sent a 6-digit code by SMS to ' + ((data && data.phone) || phoneValue) + '.')
+    } catch (err) {
+      setErrorText(err && err.message ? err.message : 'Could not send the code. Please try again.')
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  // The number given at signup is already on the account; text it straight away
+  useEffect(() => {
+    if (sentOnMount.current) {
+      return
+    }
+    sentOnMount.current = true
+    sendCode('')
+  }, [])
+
+  function handleSkip() {
+    navigate(dashboardPathFor(getCurrentUser()))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (isVerifying) {
+      return
+    }
+    if (!otp || otp.length < 6) {
+      setErrorText('Please enter the 6-digit code from the SMS.')
+      return
+    }
+
+    setIsVerifying(true)
+    setErrorText('')
+    try {
+      await verifyPhone({ otp })
+      navigate(dashboardPathFor(getCurrentUser()))
+    } catch (err) {
+      setErrorText(err && err.message ? err.message : 'Invalid code. Please try again.')
+    } finally {
+      setIsVerifying(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-bold text-gray-900">Verify your phone</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {infoText || 'A verified number lets you log in with an SMS code.'}
+          </p>
+        </div>
+
+        {errorText && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {errorText}
+          </div>
+        )}
+
+        <form className="mt-6 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="phone" className="text-sm font-medium text-gray-700">
+              Phone number
+            </label>
+            <div className="mt-1 flex gap-2">
+              <input
+                id="phone"
+                name="phone"
+                type="tel"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                disabled={isSending || isVerifying}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+                placeholder="+92 300 1234567"
+              />
+              <button
+                type="button"
+                onClick={() => sendCode(phone.trim())}
+                disabled={isSending || resendInSeconds > 0}
+                className="px-3 py-2 text-sm text-green-600 border border-green-500 rounded-md hover:bg-green-50 disabled:text-gray-400 disabled:border-gray-300 disabled:cursor-not-allowed"
+              >
+                {isSending ? 'Sending...' : resendInSeconds > 0 ? 'Resend in ' + resendInSeconds + 's' : 'Send code'}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="otp" className="text-sm font-medium text-gray-700">
+              SMS code
+            </label>
+            <input
+              id="otp"
+              name="otp"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={otp}
+              onChange={(e) => setOtp(e.target.value.replace(/[^0-9]/g, ''))}
+              disabled={isVerifying}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:bg-gray-100"
+              placeholder="••••••"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isVerifying}
+            className="w-full py-2 px-4 bg-green-500 hover:bg-green-600 text-white font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isVerifying ? 'Verifying...' : 'Verify phone'}
+          </button>
+
+          <button
+            type="button"
+            onClick={handleSkip}
+            className="w-full text-sm text-gray-500 hover:text-gray-700"
+          >
+            Skip for now
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyPhone
@@ -2,9 +2,12 @@ import React, { useState, useRef, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { fetch_weather_by_coords } from '../../services/weatherService'
 import { diagnose_image } from '../../services/diagnoseService'
+import { prepare_image } from '../../utils/imagePrep'
 import { send_complaint } from '../../services/helpService'
-import { changePassword } from '../../services/authService'
+import { changePassword, logout, getPermissions } from '../../services/authService'
 import { send_chat_message } from '../../services/chatService'
+import ReviewQueue from '../../components/ReviewQueue'
+import KnowledgeBaseEditor from '../../components/KnowledgeBaseEditor'
 
 function Dashboard() {
   const navigate = useNavigate()
@@ -30,6 +33,9 @@ function Dashboard() {
   const [is_sending_help, set_is_sending_help] = useState(false)
 
   const [is_profile_menu_open, set_is_profile_menu_open] = useState(false)
+  const [can_manage_users, set_can_manage_users] = useState(false)
+  const [can_edit_knowledge, set_can_edit_knowledge] = useState(false)
+  const [pending_reviews, set_pending_reviews] = useState(null)
   const [is_change_password_open, set_is_change_password_open] = useState(false)
   const [old_password_first, set_old_password_first] = useState('')
   const [old_password_second, set_old_password_second] = useState('')
@@ -44,9 +50,21 @@ function Dashboard() {
   const [is_sending_chat, set_is_sending_chat] = useState(false)
   const [chat_error_text, set_chat_error_text] = useState('')
 
+  useEffect(() => {
+    getPermissions()
+      .then((data) => {
+        const permissions = data.permissions || []
+        set_can_manage_users(permissions.includes('users:manage'))
+        set_can_edit_knowledge(permissions.includes('knowledge_base:edit'))
+      })
+      .catch(() => {
+        set_can_manage_users(false)
+        set_can_edit_knowledge(false)
+      })
+  }, [])
+
   function handle_logout() {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+    logout()
     navigate('/login')
   }
 
@@ -122,7 +140,8 @@ function Dashboard() {
     set_chat_input('')
     set_chat_error_text('')
     try {
-      const data = await diagnose_image(selected_file)
+      const prepared = await prepare_image(selected_file)
+      const data = await diagnose_image(prepared.file, prepared.location)
       set_diagnose_result(data)
     } catch (err) {
       const message = err && err.message ? err.message : 'Analysis failed'
@@ -421,6 +440,13 @@ function Dashboard() {
               </button>
               {is_profile_menu_open && (
                 <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-md shadow-lg z-50">
+                  <button
+                    type="button"
+                    onClick={() => navigate('/account/profile')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    My Profile
+                  </button>
                   <button
                     type="button"
                     onClick={open_change_password_modal}
@@ -428,6 +454,22 @@ function Dashboard() {
                   >
                     Change Password
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => navigate('/account/security')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    Security
+                  </button>
+                  {can_manage_users && (
+                    <button
+                      type="button"
+                      onClick={() => navigate('/admin/users')}
+                      className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      User management
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -644,6 +686,10 @@ function Dashboard() {
           </div>
         )}
 
+        <ReviewQueue onPendingCountChange={set_pending_reviews} />
+
+        {can_edit_knowledge && <KnowledgeBaseEditor />}
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow">
             <div className="flex items-center">
@@ -666,8 +712,8 @@ function Dashboard() {
                 </svg>
               </div>
               <div className="ml-4">
-                <p className="text-sm text-gray-600">Pending</p>
-                <p className="text-2xl font-semibold text-gray-900">8</p>
+                <p className="text-sm text-gray-600">Pending reviews</p>
+                <p className="text-2xl font-semibold text-gray-900">{pending_reviews === null ? '-' : pending_reviews}</p>
               </div>
             </div>
           </div>
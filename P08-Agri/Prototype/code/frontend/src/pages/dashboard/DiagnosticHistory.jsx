@@ -1,6 +1,19 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { get_diagnosis_history } from '../../services/historyService'
+import {
+  get_diagnosis_history,
+  get_diagnosis_report_url,
+  get_history_export_url,
+  get_history_stats,
+  delete_diagnosis,
+  restore_diagnosis
+} from '../../services/historyService'
+import { get_disease_classes } from '../../services/diagnoseService'
+import DiseaseTrendChart from '../../components/DiseaseTrendChart'
+import DiagnosisFeedback from '../../components/DiagnosisFeedback'
+import DiagnosisNotes from '../../components/DiagnosisNotes'
+import DiseaseKnowledge from '../../components/DiseaseKnowledge'
+import DiagnosisImage from '../../components/DiagnosisImage'
 
 function formatDate(dateString) {
   const date = new Date(dateString)
@@ -26,37 +39,176 @@ function getConfidenceBg(confidence) {
   return 'bg-red-100'
 }
 
+const FEEDBACK_BADGES = {
+  correct: { text: 'You confirmed', className: 'bg-green-50 text-green-700' },
+  incorrect: { text: 'You marked wrong', className: 'bg-red-50 text-red-700' },
+  unsure: { text: 'You were unsure', className: 'bg-gray-100 text-gray-700' }
+}
+
 function getConfidenceBarColor(confidence) {
   if (confidence >= 0.8) return 'bg-green-600'
   if (confidence >= 0.6) return 'bg-yellow-600'
   return 'bg-red-600'
 }
 
+const PAGE_SIZE = 20
+
+const EMPTY_FILTERS = {
+  label: '',
+  minConfidence: '',
+  maxConfidence: '',
+  from: '',
+  to: '',
+  field: '',
+  reviewStatus: '',
+  tag: '',
+  deleted: '',
+  sort: 'newest'
+}
+
+function has_active_filters(filters) {
+  return Object.keys(EMPTY_FILTERS).some((key) => key !== 'sort' && filters[key] !== '')
+}
+
+// Confidence is entered in percent and sent as 0-1
+function to_history_params(filters) {
+  return {
+    ...filters,
+    minConfidence: filters.minConfidence === '' ? '' : Number(filters.minConfidence) / 100,
+    maxConfidence: filters.maxConfidence === '' ? '' : Number(filters.maxConfidence) / 100
+  }
+}
+
+// Hands a blob URL to the browser as a file download, then releases it
+function save_object_url(url, filename) {
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
 function DiagnosticHistory() {
   const navigate = useNavigate()
   const [diagnoses, setDiagnoses] = useState([])
   const [isLoading, setIsLoading] = useState(true)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [error, setError] = useState('')
   const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
   const [selectedDiagnosis, setSelectedDiagnosis] = useState(null)
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false)
 
+  // Filters as entered in the form; `query` holds the applied ones plus the page cursor,
+  // and changing it loads that page
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS)
+  const [query, setQuery] = useState({ filters: EMPTY_FILTERS, cursor: null })
+  const [classes, setClasses] = useState([])
+  const [stats, setStats] = useState(null)
+  const [statsInterval, setStatsInterval] = useState('week')
+  const loadMoreRef = useRef(null)
+  // The diagnosis just deleted, so the farmer can undo it
+  const [undoDiagnosis, setUndoDiagnosis] = useState(null)
+  const [actionError, setActionError] = useState('')
+  const [isActing, setIsActing] = useState(false)
+  const [exportFormat, setExportFormat] = useState('csv')
+  const [isExporting, setIsExporting] = useState(false)
+  const [exportError, setExportError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    const is_first_page = !query.cursor
+    if (is_first_page) {
+      setIsLoading(true)
+    } else {
+      setIsLoadingMore(true)
+    }
+    setError('')
+    get_diagnosis_history({ ...to_history_params(query.filters), limit: PAGE_SIZE, cursor: query.cursor })
+      .then((data) => {
+        if (cancelled) {
+          return
+        }
+        setDiagnoses((prev) => (is_first_page ? data.diagnoses || [] : [...prev, ...(data.diagnoses || [])]))
+        setTotal(data.total || 0)
+        setNextCursor(data.nextCursor || null)
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load diagnosis history')
+          setNextCursor(null)
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false)
+          setIsLoadingMore(false)
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [query])
+
+  useEffect(() => {
+    let cancelled = false
+    const { sort, ...filters } = to_history_params(query.filters)
+    get_history_stats({
+      ...filters,
+      interval: statsInterval,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    })
+      .then((data) => {
+        if (!cancelled) {
+          setStats(data)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setStats(null)
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [query.filters, statsInterval])
+
   useEffect(() => {
-    load_history()
+    get_disease_classes()
+      .then(setClasses)
+      .catch(() => setClasses([]))
   }, [])
 
-  async function load_history() {
-    setIsLoading(true)
-    setError('')
-    try {
-      const data = await get_diagnosis_history(50, 0)
-      setDiagnoses(data.diagnoses || [])
-      setTotal(data.total || 0)
-    } catch (err) {
-      setError(err.message || 'Failed to load diagnosis history')
-    } finally {
-      setIsLoading(false)
+  // Infinite scroll: load the next page when the marker under the list comes into view
+  useEffect(() => {
+    const marker = loadMoreRef.current
+    if (!marker || !nextCursor || isLoading || isLoadingMore || typeof IntersectionObserver === 'undefined') {
+      return
     }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setQuery((prev) => ({ ...prev, cursor: nextCursor }))
+      }
+    }, { rootMargin: '200px' })
+    observer.observe(marker)
+    return () => observer.disconnect()
+  }, [nextCursor, isLoading, isLoadingMore])
+
+  function update_filter(changes) {
+    setFilterForm((prev) => ({ ...prev, ...changes }))
+  }
+
+  function apply_filters(e) {
+    e.preventDefault()
+    setQuery({ filters: { ...filterForm }, cursor: null })
+  }
+
+  function clear_filters() {
+    setFilterForm(EMPTY_FILTERS)
+    setQuery({ filters: EMPTY_FILTERS, cursor: null })
   }
 
   function handle_back_to_dashboard() {
@@ -71,6 +223,79 @@ function DiagnosticHistory() {
   function close_detail_modal() {
     setIsDetailModalOpen(false)
     setSelectedDiagnosis(null)
+    setActionError('')
+  }
+
+  function remove_from_list(id) {
+    setDiagnoses((prev) => prev.filter((item) => item._id !== id))
+    setTotal((prev) => Math.max(prev - 1, 0))
+  }
+
+  async function handle_delete(diagnosis) {
+    setIsActing(true)
+    setActionError('')
+    try {
+      await delete_diagnosis(diagnosis._id)
+      remove_from_list(diagnosis._id)
+      setUndoDiagnosis(diagnosis)
+      close_detail_modal()
+    } catch (err) {
+      setActionError(err.message || 'Could not delete this diagnosis')
+    } finally {
+      setIsActing(false)
+    }
+  }
+
+  // Restores from the detail view of a deleted diagnosis, or through "Undo"
+  async function handle_restore(diagnosis) {
+    setIsActing(true)
+    setActionError('')
+    try {
+      await restore_diagnosis(diagnosis._id)
+      setUndoDiagnosis(null)
+      if (query.filters.deleted === 'true') {
+        remove_from_list(diagnosis._id)
+        close_detail_modal()
+      } else {
+        // Reload so it shows up in its place in the current sort
+        setQuery((prev) => ({ ...prev, cursor: null }))
+      }
+    } catch (err) {
+      setActionError(err.message || 'Could not restore this diagnosis')
+    } finally {
+      setIsActing(false)
+    }
+  }
+
+  async function handle_download_report(diagnosis) {
+    setIsActing(true)
+    setActionError('')
+    try {
+      save_object_url(await get_diagnosis_report_url(diagnosis._id), `diagnosis-report-${diagnosis._id}.pdf`)
+    } catch (err) {
+      setActionError(err.message || 'Could not create the report')
+    } finally {
+      setIsActing(false)
+    }
+  }
+
+  // Exports everything matching the applied filters, not just the pages loaded so far
+  async function handle_export() {
+    setIsExporting(true)
+    setExportError('')
+    try {
+      const url = await get_history_export_url({ ...to_history_params(query.filters), format: exportFormat })
+      save_object_url(url, `diagnosis-history-${new Date().toISOString().slice(0, 10)}.${exportFormat}`)
+    } catch (err) {
+      setExportError(err.message || 'Could not export your history')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  function handle_feedback_saved(updated) {
+    setDiagnoses((prev) => prev.map((item) => (item._id === updated._id ? updated : item)))
+    setSelectedDiagnosis(updated)
   }
 
   return (
@@ -90,15 +315,189 @@ function DiagnosticHistory() {
               </button>
               <h1 className="text-2xl font-bold text-gray-900">Diagnostic History</h1>
             </div>
-            <div className="text-sm text-gray-600">
-              {total > 0 && <span>{total} total diagnoses</span>}
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              {total > 0 && <span>{total} {has_active_filters(query.filters) ? 'matching' : 'total'} diagnoses</span>}
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                aria-label="Export format"
+              >
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+              </select>
+              <button
+                type="button"
+                onClick={handle_export}
+                disabled={isExporting || total === 0}
+                className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-60"
+              >
+                {isExporting ? 'Exporting...' : 'Export'}
+              </button>
             </div>
           </div>
+          {exportError && <div className="text-sm text-red-600 mt-2 text-right">{exportError}</div>}
         </div>
       </div>
 
       {/* Main Content */}
       <div className="max-w-7xl mx-auto px-4 py-8 sm:px-6 lg:px-8">
+        <form onSubmit={apply_filters} className="bg-white rounded-lg shadow-md p-4 mb-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <select
+              value={filterForm.label}
+              onChange={(e) => update_filter({ label: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+              aria-label="Disease"
+            >
+              <option value="">All diseases</option>
+              {classes.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={filterForm.field}
+              onChange={(e) => update_filter({ field: e.target.value })}
+              placeholder="Field or plot"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+            />
+            <select
+              value={filterForm.reviewStatus}
+              onChange={(e) => update_filter({ reviewStatus: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+              aria-label="Inspector review"
+            >
+              <option value="">Any review status</option>
+              <option value="unreviewed">Not reviewed</option>
+              <option value="reviewed">Reviewed by inspector</option>
+              <option value="confirmed">Confirmed by inspector</option>
+              <option value="relabeled">Relabeled by inspector</option>
+            </select>
+            <select
+              value={filterForm.sort}
+              onChange={(e) => update_filter({ sort: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+              aria-label="Sort"
+            >
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="confidence_desc">Most confident first</option>
+              <option value="confidence_asc">Least confident first</option>
+            </select>
+            <div className="flex items-center gap-2 col-span-2">
+              <input
+                type="date"
+                value={filterForm.from}
+                onChange={(e) => update_filter({ from: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600 flex-1"
+                aria-label="From date"
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="date"
+                value={filterForm.to}
+                onChange={(e) => update_filter({ to: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600 flex-1"
+                aria-label="To date"
+              />
+            </div>
+            <div className="flex items-center gap-2 col-span-2">
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={filterForm.minConfidence}
+                onChange={(e) => update_filter({ minConfidence: e.target.value })}
+                placeholder="Min %"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600 w-24"
+                aria-label="Minimum confidence in percent"
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={filterForm.maxConfidence}
+                onChange={(e) => update_filter({ maxConfidence: e.target.value })}
+                placeholder="Max %"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600 w-24"
+                aria-label="Maximum confidence in percent"
+              />
+              <span className="text-sm text-gray-500">confidence</span>
+            </div>
+            <input
+              type="text"
+              value={filterForm.tag}
+              onChange={(e) => update_filter({ tag: e.target.value })}
+              placeholder="Tag"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-600"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={filterForm.deleted === 'true'}
+                onChange={(e) => update_filter({ deleted: e.target.checked ? 'true' : '' })}
+              />
+              Show deleted only
+            </label>
+          </div>
+          <div className="flex gap-2 mt-3">
+            <button type="submit" className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700">
+              Apply filters
+            </button>
+            {(has_active_filters(filterForm) || has_active_filters(query.filters) || query.filters.sort !== 'newest') && (
+              <button
+                type="button"
+                onClick={clear_filters}
+                className="px-4 py-2 bg-gray-100 text-gray-900 text-sm rounded-md hover:bg-gray-200"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </form>
+
+        {stats && stats.total > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-900">Diagnoses over time</h2>
+              <select
+                value={statsInterval}
+                onChange={(e) => setStatsInterval(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                aria-label="Chart interval"
+              >
+                <option value="day">Per day</option>
+                <option value="week">Per week</option>
+                <option value="month">Per month</option>
+              </select>
+            </div>
+            <DiseaseTrendChart series={stats.series} totals={stats.totals} />
+          </div>
+        )}
+
+        {undoDiagnosis && (
+          <div className="bg-gray-800 text-white rounded-lg px-4 py-3 mb-6 flex items-center justify-between">
+            <span className="text-sm">Diagnosis &quot;{undoDiagnosis.diagnosis}&quot; deleted.</span>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                disabled={isActing}
+                onClick={() => handle_restore(undoDiagnosis)}
+                className="text-sm font-medium text-green-300 hover:text-green-200"
+              >
+                Undo
+              </button>
+              <button type="button" onClick={() => setUndoDiagnosis(null)} className="text-sm text-gray-300 hover:text-white">
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         {isLoading && (
           <div className="flex justify-center items-center py-12">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
@@ -116,7 +515,20 @@ function DiagnosticHistory() {
           </div>
         )}
 
-        {!isLoading && !error && diagnoses.length === 0 && (
+        {!isLoading && !error && diagnoses.length === 0 && has_active_filters(query.filters) && (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <h3 className="text-lg font-medium text-gray-900">No diagnoses match these filters</h3>
+            <button
+              type="button"
+              onClick={clear_filters}
+              className="mt-4 px-4 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Clear filters
+            </button>
+          </div>
+        )}
+
+        {!isLoading && !error && diagnoses.length === 0 && !has_active_filters(query.filters) && (
           <div className="bg-white rounded-lg shadow-md p-12 text-center">
             <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -132,7 +544,7 @@ function DiagnosticHistory() {
           </div>
         )}
 
-        {!isLoading && !error && diagnoses.length > 0 && (
+        {!isLoading && diagnoses.length > 0 && (
           <div className="space-y-4">
             {diagnoses.map((diagnosis) => (
               <div
@@ -144,14 +556,50 @@ function DiagnosticHistory() {
                 onKeyDown={(e) => e.key === 'Enter' && handle_view_details(diagnosis)}
               >
                 <div className="flex items-start justify-between">
+                  {diagnosis.thumbnail && (
+                    <DiagnosisImage
+                      diagnosisId={diagnosis._id}
+                      variant="thumbnail"
+                      alt={diagnosis.diagnosis}
+                      className="w-20 h-20 object-cover rounded-md mr-4 flex-shrink-0"
+                    />
+                  )}
                   <div className="flex-1">
                     <div className="flex items-center space-x-3 mb-2">
                       <h3 className="text-lg font-semibold text-gray-900">{diagnosis.diagnosis}</h3>
                       <span className={`px-3 py-1 rounded-full text-sm font-medium ${getConfidenceBg(diagnosis.confidence)} ${getConfidenceColor(diagnosis.confidence)}`}>
                         {(diagnosis.confidence * 100).toFixed(1)}% confident
                       </span>
+                      {diagnosis.feedback && FEEDBACK_BADGES[diagnosis.feedback.verdict] && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${FEEDBACK_BADGES[diagnosis.feedback.verdict].className}`}>
+                          {FEEDBACK_BADGES[diagnosis.feedback.verdict].text}
+                          {diagnosis.feedback.corrected_label && ` (${diagnosis.feedback.corrected_label})`}
+                        </span>
+                      )}
+                      {diagnosis.review_status && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700">
+                          {diagnosis.review_status === 'relabeled'
+                            ? `Inspector: ${diagnosis.reviewed_label}`
+                            : 'Inspector confirmed'}
+                        </span>
+                      )}
+                      {diagnosis.deleted_at && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Deleted</span>
+                      )}
                     </div>
-                    <p className="text-sm text-gray-500">{formatDate(diagnosis.created_at)}</p>
+                    <p className="text-sm text-gray-500">
+                      {formatDate(diagnosis.created_at)}
+                      {diagnosis.field && ` • ${diagnosis.field}`}
+                    </p>
+                    {diagnosis.tags && diagnosis.tags.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {diagnosis.tags.map((tag) => (
+                          <span key={tag} className="px-2 py-0.5 rounded text-xs bg-green-50 text-green-800">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     {diagnosis.recommendations && diagnosis.recommendations.length > 0 && (
                       <div className="mt-3">
                         <p className="text-sm text-gray-700">
@@ -166,6 +614,8 @@ function DiagnosticHistory() {
                 </div>
               </div>
             ))}
+            <div ref={loadMoreRef} />
+            {isLoadingMore && <p className="text-center text-sm text-gray-500 py-4">Loading more...</p>}
           </div>
         )}
       </div>
@@ -201,6 +651,15 @@ function DiagnosticHistory() {
                 </div>
 
                 <div className="space-y-4">
+                  {selectedDiagnosis.image && (
+                    <DiagnosisImage
+                      diagnosisId={selectedDiagnosis._id}
+                      variant="image"
+                      alt={selectedDiagnosis.diagnosis}
+                      className="w-full max-h-80 object-contain rounded-md bg-gray-100"
+                    />
+                  )}
+
                   <div>
                     <div className="block text-sm font-medium text-gray-700 mb-1">Diagnosis</div>
                     <p className="text-lg font-semibold text-gray-900">{selectedDiagnosis.diagnosis}</p>
@@ -221,6 +680,23 @@ function DiagnosticHistory() {
                     </div>
                   </div>
 
+                  {selectedDiagnosis.review_status && (
+                    <div className="bg-indigo-50 border border-indigo-100 rounded-md p-3">
+                      <div className="block text-sm font-medium text-indigo-900 mb-1">Inspector review</div>
+                      <p className="text-gray-900">
+                        {selectedDiagnosis.review_status === 'relabeled'
+                          ? `An inspector believes this is ${selectedDiagnosis.reviewed_label}.`
+                          : 'An inspector confirmed this diagnosis.'}
+                      </p>
+                      {selectedDiagnosis.review_notes && (
+                        <p className="text-sm text-gray-700 mt-1">{selectedDiagnosis.review_notes}</p>
+                      )}
+                      {selectedDiagnosis.reviewed_at && (
+                        <p className="text-xs text-gray-500 mt-1">{formatDate(selectedDiagnosis.reviewed_at)}</p>
+                      )}
+                    </div>
+                  )}
+
                   <div>
                     <div className="block text-sm font-medium text-gray-700 mb-1">Date</div>
                     <p className="text-gray-900">{formatDate(selectedDiagnosis.created_at)}</p>
@@ -256,11 +732,31 @@ function DiagnosticHistory() {
                     </div>
                   )}
 
+                  <DiseaseKnowledge label={selectedDiagnosis.diagnosis} knowledge={selectedDiagnosis.knowledge} />
+
                   {selectedDiagnosis.processing_ms && (
                     <div className="text-xs text-gray-500">
                       Processing time: {selectedDiagnosis.processing_ms}ms
                     </div>
                   )}
+
+                  {selectedDiagnosis.deleted_at ? (
+                    <div className="bg-gray-50 border border-gray-200 rounded-md p-3 text-sm text-gray-700">
+                      Deleted on {formatDate(selectedDiagnosis.deleted_at)}. Restore it to edit it or send feedback.
+                    </div>
+                  ) : (
+                    <>
+                      <DiagnosisNotes diagnosis={selectedDiagnosis} onSaved={handle_feedback_saved} />
+                      <DiagnosisFeedback
+                        diagnosisId={selectedDiagnosis._id}
+                        diagnosisLabel={selectedDiagnosis.diagnosis}
+                        feedback={selectedDiagnosis.feedback || null}
+                        onSaved={handle_feedback_saved}
+                      />
+                    </>
+                  )}
+
+                  {actionError && <div className="text-sm text-red-600">{actionError}</div>}
                 </div>
               </div>
 
@@ -271,6 +767,35 @@ function DiagnosticHistory() {
                 >
                   Close
                 </button>
+                {selectedDiagnosis.deleted_at ? (
+                  <button
+                    type="button"
+                    disabled={isActing}
+                    onClick={() => handle_restore(selectedDiagnosis)}
+                    className="mt-3 sm:mt-0 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-60"
+                  >
+                    Restore
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      disabled={isActing}
+                      onClick={() => handle_download_report(selectedDiagnosis)}
+                      className="mt-3 sm:mt-0 w-full inline-flex justify-center rounded-md border border-green-600 shadow-sm px-4 py-2 bg-white text-base font-medium text-green-700 hover:bg-green-50 focus:outline-none sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-60"
+                    >
+                      Download report
+                    </button>
+                    <button
+                      type="button"
+                      disabled={isActing}
+                      onClick={() => handle_delete(selectedDiagnosis)}
+                      className="mt-3 sm:mt-0 w-full inline-flex justify-center rounded-md border border-red-200 shadow-sm px-4 py-2 bg-white text-base font-medium text-red-600 hover:bg-red-50 focus:outline-none sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-60"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -1,10 +1,63 @@
 import React, { useState, useRef, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { fetch_weather_by_coords } from '../../services/weatherService'
-import { diagnose_image } from '../../services/diagnoseService'
+import { diagnose_image_in_background, diagnose_batch } from '../../services/diagnoseService'
 import { send_complaint } from '../../services/helpService'
-import { changePassword } from '../../services/authService'
+import { changePassword, logout } from '../../services/authService'
 import { send_chat_message } from '../../services/chatService'
+import { check_image_quality } from '../../utils/imageQuality'
+import { prepare_image } from '../../utils/imagePrep'
+import DiagnosisFeedback from '../../components/DiagnosisFeedback'
+import DiseaseKnowledge from '../../components/DiseaseKnowledge'
+import { request_diagnosis_review, get_diagnosis_history, get_history_stats } from '../../services/historyService'
+
+function has_quality_issues(item) {
+  return Array.isArray(item.issues) && item.issues.length > 0
+}
+
+// Ambiguous and inconclusive results (see backend/certainty_policy.js) are shown as a list of
+// possible diseases instead of a single label
+function is_uncertain(result) {
+  return result.certainty === 'ambiguous' || result.certainty === 'inconclusive'
+}
+
+// "X or Y" for an ambiguous result, up to three candidates for an inconclusive one
+function format_possible_labels(result) {
+  const alternatives = Array.isArray(result.alternatives) ? result.alternatives : []
+  const count = result.certainty === 'inconclusive' ? 2 : 1
+  const labels = [result.diagnosis, ...alternatives.slice(0, count).map((a) => a.label)]
+  if (labels.length === 1) {
+    return labels[0]
+  }
+  return labels.slice(0, -1).join(', ') + ' or ' + labels[labels.length - 1]
+}
+
+// "Recent Issues" counts non-healthy diagnoses from this many days
+const RECENT_ISSUE_DAYS = 30
+
+function format_time_ago(value) {
+  const minutes = Math.floor((Date.now() - new Date(value).getTime()) / 60000)
+  if (minutes < 1) {
+    return 'just now'
+  }
+  if (minutes < 60) {
+    return minutes === 1 ? '1 minute ago' : minutes + ' minutes ago'
+  }
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) {
+    return hours === 1 ? '1 hour ago' : hours + ' hours ago'
+  }
+  const days = Math.floor(hours / 24)
+  return days === 1 ? '1 day ago' : days + ' days ago'
+}
+
+// Button text while a background diagnosis job is running
+const JOB_STATUS_LABELS = {
+  uploading: 'Uploading...',
+  queued: 'Queued...',
+  processing: 'Analyzing...',
+  retrying: 'Retrying...'
+}
 
 function FarmerDashboard() {
   const navigate = useNavigate()
@@ -16,12 +69,33 @@ function FarmerDashboard() {
   const [weather_data, set_weather_data] = useState(null)
 
   const [selected_file, set_selected_file] = useState(null)
+  const [selected_location, set_selected_location] = useState(null)
   const [preview_url, set_preview_url] = useState('')
   const [is_uploading, set_is_uploading] = useState(false)
+  const [job_status, set_job_status] = useState('')
+  // Problems found by the in-browser quality check; a photo with problems is not uploaded
+  const [quality_issues, set_quality_issues] = useState([])
+  const [is_checking_quality, set_is_checking_quality] = useState(false)
+  const quality_file_ref = useRef(null)
   const [diagnose_error, set_diagnose_error] = useState('')
   const [diagnose_result, set_diagnose_result] = useState(null)
+  // '' | 'sending' | 'sent' - the farmer asking an inspector to check an uncertain result
+  const [review_request_status, set_review_request_status] = useState('')
+  const [review_request_error, set_review_request_error] = useState('')
   const file_input_ref = useRef(null)
 
+  // Several photos picked at once are diagnosed as one batch
+  const [batch_items, set_batch_items] = useState([])
+  const [batch_field, set_batch_field] = useState('')
+  const [batch_summary, set_batch_summary] = useState(null)
+  const [batch_error, set_batch_error] = useState('')
+  const [is_batch_running, set_is_batch_running] = useState(false)
+
+  // Dashboard widgets, from the farmer's own history; null until loaded
+  const [recent_diagnoses, set_recent_diagnoses] = useState(null)
+  const [total_diagnoses, set_total_diagnoses] = useState(null)
+  const [recent_issue_count, set_recent_issue_count] = useState(null)
+
   const [is_help_open, set_is_help_open] = useState(false)
   const [help_subject, set_help_subject] = useState('')
   const [help_message, set_help_message] = useState('')
@@ -45,8 +119,7 @@ function FarmerDashboard() {
   const [chat_error_text, set_chat_error_text] = useState('')
 
   function handle_logout() {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+    logout()
     navigate('/login')
   }
 
@@ -95,11 +168,90 @@ function FarmerDashboard() {
     }
   }
 
+  function clear_batch() {
+    set_batch_items([])
+    set_batch_field('')
+    set_batch_summary(null)
+    set_batch_error('')
+  }
+
+  // Convert the photo to a small JPEG for upload, then check its quality
+  async function prepare_selected_file(file) {
+    quality_file_ref.current = file
+    set_quality_issues([])
+    set_is_checking_quality(true)
+    const prepared = await prepare_image(file)
+    // Ignore results for a photo that has been replaced or cleared meanwhile
+    if (quality_file_ref.current !== file) {
+      return
+    }
+    set_selected_file(prepared.file)
+    set_selected_location(prepared.location)
+    if (prepared.converted) {
+      set_preview_url(URL.createObjectURL(prepared.file))
+    }
+    const result = await check_image_quality(prepared.file)
+    if (quality_file_ref.current === file) {
+      set_quality_issues(result.issues)
+      set_is_checking_quality(false)
+    }
+  }
+
+  function prepare_batch_files(files) {
+    files.forEach(async (batch_file) => {
+      const prepared = await prepare_image(batch_file)
+      const result = await check_image_quality(prepared.file)
+      set_batch_items((prev) =>
+        prev.map((item) =>
+          item.original === batch_file
+            ? { ...item, file: prepared.file, location: prepared.location, issues: result.issues }
+            : item
+        )
+      )
+    })
+  }
+
+  function clear_selected_file() {
+    quality_file_ref.current = null
+    set_quality_issues([])
+    set_is_checking_quality(false)
+    set_selected_file(null)
+    set_selected_location(null)
+    set_preview_url('')
+  }
+
   function handle_file_change(e) {
-    const file = e.target.files && e.target.files[0]
+    const files = e.target.files ? Array.from(e.target.files) : []
+    // Allow picking the same files again after clearing
+    e.target.value = ''
+    if (files.length > 1) {
+      clear_selected_file()
+      set_diagnose_result(null)
+      set_diagnose_error('')
+      set_batch_summary(null)
+      set_batch_error('')
+      set_batch_items(
+        files.map((batch_file) => ({
+          original: batch_file,
+          file: batch_file,
+          location: null,
+          preview_url: URL.createObjectURL(batch_file),
+          progress: 0,
+          status: 'ready',
+          result: null,
+          issues: null
+        }))
+      )
+      prepare_batch_files(files)
+      return
+    }
+
+    const file = files[0]
     if (file) {
+      clear_batch()
       set_selected_file(file)
       set_preview_url(URL.createObjectURL(file))
+      prepare_selected_file(file)
       set_diagnose_result(null)
       set_diagnose_error('')
       set_is_chat_open(false)
@@ -115,6 +267,7 @@ function FarmerDashboard() {
       return
     }
     set_is_uploading(true)
+    set_job_status('uploading')
     set_diagnose_error('')
     set_diagnose_result(null)
     set_is_chat_open(false)
@@ -122,17 +275,120 @@ function FarmerDashboard() {
     set_chat_input('')
     set_chat_error_text('')
     try {
-      const data = await diagnose_image(selected_file)
+      const data = await diagnose_image_in_background(selected_file, selected_location, (job) => set_job_status(job.status))
       set_diagnose_result(data)
     } catch (err) {
       const message = err && err.message ? err.message : 'Analysis failed'
       set_diagnose_error(message)
     } finally {
       set_is_uploading(false)
+      set_job_status('')
+    }
+  }
+
+  function update_batch_item(index, changes) {
+    set_batch_items((prev) => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+  }
+
+  async function handle_analyze_batch() {
+    if (batch_items.length === 0 || is_batch_running) {
+      return
+    }
+    // Photos that failed the quality check stay out of the upload; `index` is their place in batch_items
+    const sendable = batch_items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !has_quality_issues(item))
+    if (sendable.length === 0) {
+      set_batch_error('None of the photos passed the quality check. Retake them and try again.')
+      return
+    }
+    set_is_batch_running(true)
+    set_batch_error('')
+    set_batch_summary(null)
+    set_batch_items((prev) =>
+      prev.map((item) => (has_quality_issues(item) ? item : { ...item, progress: 0, status: 'uploading', result: null }))
+    )
+    try {
+      const data = await diagnose_batch(
+        sendable.map(({ item }) => item.file),
+        batch_field.trim(),
+        (sent_index, percent) =>
+          update_batch_item(sendable[sent_index].index, { progress: percent, status: percent >= 100 ? 'analyzing' : 'uploading' }),
+        sendable.map(({ item }) => item.location)
+      )
+      set_batch_items((prev) =>
+        prev.map((item, i) => {
+          const sent_index = sendable.findIndex((entry) => entry.index === i)
+          if (sent_index < 0) {
+            return item
+          }
+          const result = (data.results || []).find((r) => r.index === sent_index)
+          return { ...item, progress: 100, status: result && result.ok ? 'done' : 'failed', result: result || null }
+        })
+      )
+      set_batch_summary(data.summary || null)
+    } catch (err) {
+      set_batch_error(err && err.message ? err.message : 'Batch analysis failed')
+      set_batch_items((prev) =>
+        prev.map((item) => (has_quality_issues(item) ? item : { ...item, status: 'ready', progress: 0 }))
+      )
+    } finally {
+      set_is_batch_running(false)
+    }
+  }
+
+  // Reload the widgets whenever a new result comes in
+  useEffect(() => {
+    let cancelled = false
+    get_diagnosis_history({ limit: 5 })
+      .then((data) => {
+        if (!cancelled) {
+          set_recent_diagnoses(data.diagnoses || [])
+          set_total_diagnoses(data.total || 0)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          set_recent_diagnoses([])
+        }
+      })
+
+    const since = new Date(Date.now() - RECENT_ISSUE_DAYS * 24 * 60 * 60 * 1000)
+    get_history_stats({ from: since.toISOString(), interval: 'month' })
+      .then((data) => {
+        if (!cancelled) {
+          const totals = data.totals || {}
+          set_recent_issue_count(
+            Object.keys(totals)
+              .filter((label) => label.toLowerCase() !== 'healthy')
+              .reduce((sum, label) => sum + totals[label], 0)
+          )
+        }
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [diagnose_result, batch_summary])
+
+  async function handle_ask_inspector() {
+    if (!diagnose_result || !diagnose_result.id || review_request_status) {
+      return
+    }
+    set_review_request_status('sending')
+    set_review_request_error('')
+    try {
+      await request_diagnosis_review(diagnose_result.id)
+      set_review_request_status('sent')
+    } catch (err) {
+      set_review_request_status('')
+      set_review_request_error(err.message || 'Could not send the request')
     }
   }
 
   useEffect(() => {
+    set_review_request_status('')
+    set_review_request_error('')
     if (diagnose_result) {
       const confidence =
         typeof diagnose_result.confidence === 'number'
@@ -142,8 +398,10 @@ function FarmerDashboard() {
       const intro_message = {
         role: 'assistant',
         content:
-          `I have analyzed your wheat image. The diagnosis is "${diagnose_result.diagnosis}" ` +
-          (confidence !== 'unknown' ? `with about ${confidence}% confidence. ` : '') +
+          (is_uncertain(diagnose_result)
+            ? `I have analyzed your wheat image, but I am not sure: it could be ${format_possible_labels(diagnose_result)}. `
+            : `I have analyzed your wheat image. The diagnosis is "${diagnose_result.diagnosis}" ` +
+              (confidence !== 'unknown' ? `with about ${confidence}% confidence. ` : '')) +
           'You can ask me follow-up questions about this result, possible treatments, or anything about your crop.'
       }
 
@@ -384,6 +642,7 @@ function FarmerDashboard() {
               ref={file_input_ref}
               type="file"
               accept="image/*"
+              multiple
               className="hidden"
               onChange={handle_file_change}
             />
@@ -392,7 +651,7 @@ function FarmerDashboard() {
               onClick={handle_click_upload_button}
               className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-600"
             >
-              Upload Wheat Image
+              Upload Wheat Images
             </button>
             <button
               type="button"
@@ -428,6 +687,13 @@ function FarmerDashboard() {
               </button>
               {is_profile_menu_open && (
                 <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-md shadow-lg z-50">
+                  <button
+                    type="button"
+                    onClick={() => navigate('/account/profile')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    My Profile
+                  </button>
                   <button
                     type="button"
                     onClick={open_change_password_modal}
@@ -435,6 +701,13 @@ function FarmerDashboard() {
                   >
                     Change Password
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => navigate('/account/security')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    Security
+                  </button>
                 </div>
               )}
             </div>
@@ -449,6 +722,134 @@ function FarmerDashboard() {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {batch_items.length > 0 && (
+          <div className="bg-white rounded-lg shadow mb-8">
+            <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Wheat Crop Diagnosis – {batch_items.length} images
+              </h2>
+              <div className="flex flex-wrap gap-3">
+                <input
+                  type="text"
+                  value={batch_field}
+                  onChange={(e) => set_batch_field(e.target.value)}
+                  placeholder="Field or plot (optional)"
+                  maxLength={100}
+                  disabled={is_batch_running}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-600"
+                />
+                <button
+                  type="button"
+                  onClick={handle_analyze_batch}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-600 disabled:opacity-60"
+                  disabled={is_batch_running}
+                >
+                  {is_batch_running ? 'Analyzing...' : 'Analyze all'}
+                </button>
+                <button
+                  type="button"
+                  onClick={clear_batch}
+                  disabled={is_batch_running}
+                  className="px-4 py-2 bg-gray-100 text-gray-900 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-60"
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+            <div className="p-6 space-y-6">
+              {batch_error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">{batch_error}</div>
+              )}
+              {batch_summary && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 bg-indigo-50 border border-indigo-100 rounded-lg p-4">
+                  <div>
+                    <div className="text-xs text-gray-600">Most common</div>
+                    <div className="font-semibold capitalize">
+                      {batch_summary.majorityClass
+                        ? batch_summary.majorityClass + ' (' + batch_summary.majorityCount + '/' + batch_summary.succeeded + ')'
+                        : 'N/A'}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-600">Mean confidence</div>
+                    <div className="font-semibold">
+                      {typeof batch_summary.meanConfidence === 'number'
+                        ? (batch_summary.meanConfidence * 100).toFixed(1) + '%'
+                        : 'N/A'}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-600">Images showing disease</div>
+                    <div className="font-semibold">
+                      {typeof batch_summary.shareInfected === 'number'
+                        ? (batch_summary.shareInfected * 100).toFixed(0) + '%'
+                        : 'N/A'}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-600">Analyzed</div>
+                    <div className="font-semibold">
+                      {batch_summary.succeeded} of {batch_summary.total}
+                      {batch_summary.failed > 0 && <span className="text-red-600"> ({batch_summary.failed} failed)</span>}
+                      {batch_summary.uncertainCount > 0 && (
+                        <span className="text-amber-700"> ({batch_summary.uncertainCount} uncertain)</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {batch_items.map((item) => (
+                  <div key={item.preview_url} className="border border-gray-200 rounded-lg overflow-hidden">
+                    <img src={item.preview_url} alt={item.file.name} className="w-full h-40 object-cover" />
+                    <div className="p-3 space-y-2">
+                      <div className="text-xs text-gray-500 truncate">{item.file.name}</div>
+                      {(item.status === 'uploading' || item.status === 'analyzing') && (
+                        <div>
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div className="h-2 rounded-full bg-indigo-600" style={{ width: item.progress + '%' }}></div>
+                          </div>
+                          <div className="mt-1 text-xs text-gray-600">
+                            {item.status === 'uploading' ? 'Uploading ' + item.progress + '%' : 'Analyzing...'}
+                          </div>
+                        </div>
+                      )}
+                      {has_quality_issues(item) ? (
+                        <ul className="text-xs text-amber-700 list-disc pl-4 space-y-1">
+                          {item.issues.map((issue) => (
+                            <li key={issue.code}>{issue.message}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        item.status === 'ready' && (
+                          <div className="text-xs text-gray-600">{item.issues ? 'Ready' : 'Checking photo...'}</div>
+                        )
+                      )}
+                      {item.status === 'done' && item.result && (
+                        <div className="text-sm">
+                          {is_uncertain(item.result) ? (
+                            <span className="font-semibold text-amber-700">Possible {format_possible_labels(item.result)}</span>
+                          ) : (
+                            <span className="font-semibold capitalize">{item.result.diagnosis}</span>
+                          )}
+                          {typeof item.result.confidence === 'number' && (
+                            <span className="text-gray-600"> • {(item.result.confidence * 100).toFixed(1)}%</span>
+                          )}
+                        </div>
+                      )}
+                      {item.status === 'failed' && (
+                        <div className="text-sm text-red-600">
+                          {(item.result && item.result.message) || 'Analysis failed'}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {selected_file && (
           <div className="bg-white rounded-lg shadow mb-8">
             <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
@@ -458,15 +859,16 @@ function FarmerDashboard() {
                   type="button"
                   onClick={handle_analyze_click}
                   className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-600 disabled:opacity-60"
-                  disabled={is_uploading}
+                  disabled={is_uploading || is_checking_quality || quality_issues.length > 0}
                 >
-                  {is_uploading ? 'Analyzing...' : 'Analyze'}
+                  {is_uploading
+                    ? (JOB_STATUS_LABELS[job_status] || 'Analyzing...')
+                    : (is_checking_quality ? 'Checking photo...' : 'Analyze')}
                 </button>
                 <button
                   type="button"
                   onClick={() => {
-                    set_selected_file(null)
-                    set_preview_url('')
+                    clear_selected_file()
                     set_diagnose_result(null)
                     set_diagnose_error('')
                     set_is_chat_open(false)
@@ -483,6 +885,16 @@ function FarmerDashboard() {
             <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>{preview_url && <img src={preview_url} alt="preview" className="w-full rounded-lg shadow" />}</div>
               <div>
+                {quality_issues.length > 0 && (
+                  <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded mb-4">
+                    <div className="font-medium mb-1">Please retake this photo</div>
+                    <ul className="list-disc pl-5 space-y-1 text-sm">
+                      {quality_issues.map((issue) => (
+                        <li key={issue.code}>{issue.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
                 {diagnose_error && (
                   <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
                     {diagnose_error}
@@ -490,10 +902,51 @@ function FarmerDashboard() {
                 )}
                 {diagnose_result && (
                   <div className="space-y-3">
-                    <div className="text-lg">
-                      Diagnosis:{' '}
-                      <span className="font-semibold capitalize">{diagnose_result.diagnosis}</span>
-                    </div>
+                    {is_uncertain(diagnose_result) ? (
+                      <div className="bg-amber-50 border border-amber-200 text-amber-900 px-4 py-3 rounded space-y-2">
+                        <div className="text-lg">
+                          Possible <span className="font-semibold">{format_possible_labels(diagnose_result)}</span>
+                        </div>
+                        <p className="text-sm">
+                          {diagnose_result.certainty === 'inconclusive'
+                            ? 'The photo does not clearly match any disease. '
+                            : 'These diseases look alike in this photo. '}
+                          Retake a sharp, close photo of the affected leaf, or ask an inspector to check it.
+                        </p>
+                        <div className="flex flex-wrap items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={handle_click_upload_button}
+                            className="px-3 py-1.5 bg-white border border-amber-300 text-sm rounded-md hover:bg-amber-100"
+                          >
+                            Retake photo
+                          </button>
+                          {diagnose_result.id && (
+                            <button
+                              type="button"
+                              onClick={handle_ask_inspector}
+                              disabled={review_request_status !== ''}
+                              className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-60"
+                            >
+                              {review_request_status === 'sending'
+                                ? 'Sending...'
+                                : review_request_status === 'sent'
+                                  ? 'Inspector asked'
+                                  : 'Ask an inspector'}
+                            </button>
+                          )}
+                        </div>
+                        {review_request_status === 'sent' && (
+                          <p className="text-sm text-green-700">An inspector will check this photo. You will get an email with the result.</p>
+                        )}
+                        {review_request_error && <p className="text-sm text-red-600">{review_request_error}</p>}
+                      </div>
+                    ) : (
+                      <div className="text-lg">
+                        Diagnosis:{' '}
+                        <span className="font-semibold capitalize">{diagnose_result.diagnosis}</span>
+                      </div>
+                    )}
                     <div>
                       Confidence:{' '}
                       {typeof diagnose_result.confidence === 'number'
@@ -524,9 +977,17 @@ function FarmerDashboard() {
                           </ul>
                         </div>
                       )}
+                    <DiseaseKnowledge label={diagnose_result.diagnosis} knowledge={diagnose_result.knowledge} />
                     <div className="text-sm text-gray-600">
                       Processing time: {diagnose_result.processing_ms} ms
                     </div>
+                    {diagnose_result.id && (
+                      <DiagnosisFeedback
+                        diagnosisId={diagnose_result.id}
+                        diagnosisLabel={diagnose_result.diagnosis}
+                        feedback={null}
+                      />
+                    )}
                   </div>
                 )}
                 {!diagnose_result && !diagnose_error && (
@@ -683,7 +1144,7 @@ function FarmerDashboard() {
               </div>
               <div className="ml-4">
                 <p className="text-sm text-gray-600">Total Diagnoses</p>
-                <p className="text-2xl font-semibold text-gray-900">12</p>
+                <p className="text-2xl font-semibold text-gray-900">{total_diagnoses === null ? '–' : total_diagnoses}</p>
               </div>
             </div>
           </div>
@@ -706,7 +1167,8 @@ function FarmerDashboard() {
               </div>
               <div className="ml-4">
                 <p className="text-sm text-gray-600">Recent Issues</p>
-                <p className="text-2xl font-semibold text-gray-900">3</p>
+                <p className="text-2xl font-semibold text-gray-900">{recent_issue_count === null ? '–' : recent_issue_count}</p>
+                <p className="text-xs text-gray-500">Last {RECENT_ISSUE_DAYS} days</p>
               </div>
             </div>
           </div>
@@ -819,38 +1281,43 @@ function FarmerDashboard() {
             <h2 className="text-lg font-semibold text-gray-900">Recent Diagnoses</h2>
           </div>
           <div className="divide-y divide-gray-200">
-            <div className="px-6 py-4 flex items-center justify-between hover:bg-gray-50">
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-green-500 rounded-full mr-3"></div>
-                <div>
-                  <p className="text-sm font-medium text-gray-900">Diagnosis for North Field</p>
-                  <p className="text-xs text-gray-500">2 hours ago</p>
-                </div>
-              </div>
-              <span className="px-2 py-1 text-xs font-medium text-green-800 bg-green-100 rounded">Healthy</span>
-            </div>
-            <div className="px-6 py-4 flex items-center justify-between hover:bg-gray-50">
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-yellow-500 rounded-full mr-3"></div>
-                <div>
-                  <p className="text-sm font-medium text-gray-900">Diagnosis for East Field</p>
-                  <p className="text-xs text-gray-500">1 day ago</p>
-                </div>
-              </div>
-              <span className="px-2 py-1 text-xs font-medium text-yellow-800 bg-yellow-100 rounded">
-                Rust Detected
-              </span>
-            </div>
-            <div className="px-6 py-4 flex items-center justify-between hover:bg-gray-50">
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-green-500 rounded-full mr-3"></div>
-                <div>
-                  <p className="text-sm font-medium text-gray-900">Diagnosis for South Field</p>
-                  <p className="text-xs text-gray-500">3 days ago</p>
-                </div>
-              </div>
-              <span className="px-2 py-1 text-xs font-medium text-green-800 bg-green-100 rounded">Healthy</span>
-            </div>
+            {recent_diagnoses === null && <p className="px-6 py-4 text-sm text-gray-500">Loading...</p>}
+            {recent_diagnoses && recent_diagnoses.length === 0 && (
+              <p className="px-6 py-4 text-sm text-gray-500">No diagnoses yet. Upload a photo to get started.</p>
+            )}
+            {recent_diagnoses &&
+              recent_diagnoses.map((item) => {
+                // An inspector's relabel replaces the model's answer
+                const label = item.review_status === 'relabeled' ? item.reviewed_label : item.diagnosis
+                const is_healthy = label.toLowerCase() === 'healthy'
+                return (
+                  <div
+                    key={item._id}
+                    role="button"
+                    tabIndex={0}
+                    onClick={() => navigate('/diagnostic-history')}
+                    onKeyDown={(e) => e.key === 'Enter' && navigate('/diagnostic-history')}
+                    className="px-6 py-4 flex items-center justify-between hover:bg-gray-50 cursor-pointer"
+                  >
+                    <div className="flex items-center">
+                      <div className={`w-2 h-2 rounded-full mr-3 ${is_healthy ? 'bg-green-500' : 'bg-yellow-500'}`}></div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {item.field ? 'Diagnosis for ' + item.field : 'Diagnosis'}
+                        </p>
+                        <p className="text-xs text-gray-500">{format_time_ago(item.created_at)}</p>
+                      </div>
+                    </div>
+                    <span
+                      className={`px-2 py-1 text-xs font-medium rounded ${
+                        is_healthy ? 'text-green-800 bg-green-100' : 'text-yellow-800 bg-yellow-100'
+                      }`}
+                    >
+                      {label}
+                    </span>
+                  </div>
+                )
+              })}
           </div>
         </div>
       </main>
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { verify_diagnosis_report } from '../../services/historyService'
+
+const CERTAINTY_TEXT = {
+  confident: 'Confident result',
+  ambiguous: 'Uncertain: close to another disease',
+  inconclusive: 'Inconclusive: confidence too low to rely on'
+}
+
+function formatPercent(confidence) {
+  return `${(confidence * 100).toFixed(1)}%`
+}
+
+// Public page behind the QR code on a printed diagnosis report. Shows what AgriQual stored
+// for the record so a dealer or extension officer can compare it with the printout.
+function VerifyReport() {
+  const { token } = useParams()
+  const [report, setReport] = useState(null)
+  const [errorText, setErrorText] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    setIsLoading(true)
+    setErrorText('')
+    verify_diagnosis_report(token)
+      .then((data) => {
+        if (!cancelled) {
+          setReport(data)
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setReport(null)
+          setErrorText(err.message || 'This report could not be verified')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-6">
+        <div className="text-center">
+          <h2 className="text-3xl font-bold text-gray-900">Report verification</h2>
+          <p className="mt-2 text-sm text-gray-600">Compare these details with the printed AgriQual report.</p>
+        </div>
+
+        {isLoading && <p className="text-center text-sm text-gray-500">Checking the report...</p>}
+
+        {errorText && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {errorText}. The printout may have been altered or the record removed.
+          </div>
+        )}
+
+        {report && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded text-sm">
+              This report matches a diagnosis recorded in AgriQual.
+            </div>
+            <div>
+              <div className="text-sm text-gray-500">Diagnosis</div>
+              <div className="text-lg font-semibold text-gray-900">
+                {report.diagnosis} ({formatPercent(report.confidence)} confidence)
+              </div>
+              {report.certainty && CERTAINTY_TEXT[report.certainty] && (
+                <div className="text-sm text-gray-600">{CERTAINTY_TEXT[report.certainty]}</div>
+              )}
+            </div>
+            {report.alternatives && report.alternatives.length > 0 && (
+              <div>
+                <div className="text-sm text-gray-500">Other possibilities</div>
+                <ul className="text-sm text-gray-700">
+                  {report.alternatives.map((alt) => (
+                    <li key={alt.label}>
+                      {alt.label} ({formatPercent(alt.confidence)})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div>
+              <div className="text-sm text-gray-500">Date</div>
+              <div className="text-sm text-gray-900">{new Date(report.createdAt).toLocaleString()}</div>
+            </div>
+            {report.reviewStatus && (
+              <div>
+                <div className="text-sm text-gray-500">Inspector review</div>
+                <div className="text-sm text-gray-900">
+                  {report.reviewStatus === 'relabeled'
+                    ? `Identified by an inspector as ${report.reviewedLabel}`
+                    : 'Confirmed by an inspector'}
+                  {report.reviewedAt && ` on ${new Date(report.reviewedAt).toLocaleDateString()}`}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyReport
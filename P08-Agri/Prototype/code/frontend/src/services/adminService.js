@@ -0,0 +1,104 @@
+import { fetchWithAuth } from './authService'
+
+const from_env =
+  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_URL) ||
+  process.env.REACT_APP_API_URL
+
+const is_localhost = window.location.hostname === 'localhost'
+const is_vercel = /\.vercel\.app$/.test(window.location.hostname)
+const api_base =
+  from_env ||
+  (is_localhost
+    ? 'http://localhost:5000'
+    : (is_vercel ? '' : 'https://sproj-p08-2.onrender.com'))
+
+async function admin_request(method, path, body) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  }
+  if (body !== undefined) {
+    options.body = JSON.stringify(body)
+  }
+
+  const res = await fetchWithAuth(`${api_base}/api/admin${path}`, options)
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// filters: { q, role, status, limit, skip }
+export async function list_users(filters = {}) {
+  const params = new URLSearchParams()
+  Object.keys(filters).forEach((key) => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      params.set(key, filters[key])
+    }
+  })
+  return admin_request('GET', `/users?${params.toString()}`)
+}
+
+export async function get_user(id) {
+  return admin_request('GET', `/users/${id}`)
+}
+
+export async function unlock_user(id) {
+  return admin_request('POST', `/users/${id}/unlock`, {})
+}
+
+export async function force_password_reset(id) {
+  return admin_request('POST', `/users/${id}/force-password-reset`, {})
+}
+
+export async function change_user_role(id, role) {
+  return admin_request('PUT', `/users/${id}/role`, { role })
+}
+
+export async function disable_user(id, reason) {
+  return admin_request('POST', `/users/${id}/disable`, { reason })
+}
+
+export async function enable_user(id) {
+  return admin_request('POST', `/users/${id}/enable`, {})
+}
+
+export async function list_invitations() {
+  return admin_request('GET', '/invitations')
+}
+
+export async function create_invitation(email, role) {
+  return admin_request('POST', '/invitations', { email, role })
+}
+
+export async function revoke_invitation(id) {
+  return admin_request('DELETE', `/invitations/${id}`)
+}
+
+export async function list_knowledge_entries() {
+  return admin_request('GET', '/knowledge-base')
+}
+
+// entry: { summary, symptoms, lookAlikes, culturalControls, chemicalControls, severityActions }
+export async function update_knowledge_entry(label, entry) {
+  return admin_request('PUT', `/knowledge-base/${encodeURIComponent(label)}`, entry)
+}
+
+export async function reset_knowledge_entry(label) {
+  return admin_request('DELETE', `/knowledge-base/${encodeURIComponent(label)}`)
+}
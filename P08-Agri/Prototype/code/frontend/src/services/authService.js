@@ -20,36 +20,107 @@ const api = axios.create({
   headers: { 'Content-Type': 'application/json' }
 })
 
-export const register = async (userData) => {
-  try {
-    const response = await api.post('/register', userData)
-    if (response.data?.token) {
-      localStorage.setItem('token', response.data.token)
-      localStorage.setItem('user', JSON.stringify(response.data.user))
+const accountApi = axios.create({
+  baseURL: `${API_BASE}/api/account`,
+  headers: { 'Content-Type': 'application/json' }
+})
+
+// Permissions are tied to the access token's role, so they are cached per token
+let permissionsCache = null
+
+// ====== Session storage ======
+// Access tokens are short-lived; the refresh token is exchanged for a new pair on 401
+const storeSession = (data) => {
+  if (data?.token) {
+    localStorage.setItem('token', data.token)
+  }
+  if (data?.refreshToken) {
+    localStorage.setItem('refresh_token', data.refreshToken)
+  }
+  if (data?.user) {
+    localStorage.setItem('user', JSON.stringify(data.user))
+  }
+}
+
+const clearSession = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refresh_token')
+  localStorage.removeItem('user')
+  permissionsCache = null
+}
+
+// Turns a 429 `retryAfterSeconds` payload into "try again in N minutes and M seconds"
+const appendRetryAfter = (message, error) => {
+  if (error?.response?.status !== 429) {
+    return message
+  }
+
+  const rawSeconds = Number(error?.response?.data?.retryAfterSeconds)
+  if (Number.isNaN(rawSeconds) || rawSeconds <= 0) {
+    return message
+  }
+
+  const minutes = Math.floor(rawSeconds / 60)
+  const seconds = rawSeconds % 60
+
+  let timePart = ''
+  if (minutes > 0) {
+    timePart += `${minutes} minute${minutes === 1 ? '' : 's'}`
+  }
+  if (seconds > 0) {
+    if (timePart) {
+      timePart += ' and '
     }
+    timePart += `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  if (!timePart) {
+    timePart = `${rawSeconds} seconds`
+  }
+
+  return `${message} You can try again in approximately ${timePart}.`
+}
+
+export const registerWithOtp = async (userData) => {
+  try {
+    const response = await api.post('/register-otp', userData)
     return response.data
   } catch (error) {
     const message =
       error?.response?.data?.message ||
       error?.response?.data?.error ||
       'Registration failed'
-    throw new Error(message)
+    throw new Error(appendRetryAfter(message, error))
   }
 }
 
-export const registerWithOtp = async (userData) => {
+// Who an invitation link is for, shown on the signup form before submitting
+export const getInvitation = async (inviteToken) => {
   try {
-    const response = await api.post('/register-otp', userData)
-    if (response.data?.debug_otp && process.env.NODE_ENV !== 'production') {
-      console.log('[Auth] Debug OTP (dev only):', response.data.debug_otp)
-    }
+    const response = await api.get('/invitations/' + encodeURIComponent(inviteToken))
     return response.data
   } catch (error) {
     const message =
       error?.response?.data?.message ||
       error?.response?.data?.error ||
-      'Registration failed'
-    throw new Error(message)
+      'Could not check the invitation'
+    const err = new Error(appendRetryAfter(message, error))
+    err.code = error?.response?.data?.code || null
+    throw err
+  }
+}
+
+export const resendOtp = async ({ email }) => {
+  try {
+    const response = await api.post('/resend-otp', { email })
+    return response.data
+  } catch (error) {
+    const message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      'Could not resend the verification code'
+    const err = new Error(appendRetryAfter(message, error))
+    err.retryAfterSeconds = error?.response?.data?.retryAfterSeconds || null
+    throw err
   }
 }
 
@@ -57,16 +128,26 @@ export const verifyOtp = async ({ email, otp }) => {
   try {
     const response = await api.post('/verify-otp', { email, otp })
     if (response.data?.token) {
-      localStorage.setItem('token', response.data.token)
-      localStorage.setItem('user', JSON.stringify(response.data.user))
+      storeSession(response.data)
     }
     return response.data
   } catch (error) {
-    const message =
+    let message =
       error?.response?.data?.message ||
       error?.response?.data?.error ||
       'OTP verification failed'
-    throw new Error(message)
+
+    message = appendRetryAfter(message, error)
+
+    const attemptsRemaining = Number(error?.response?.data?.attemptsRemaining)
+    if (!Number.isNaN(attemptsRemaining) && attemptsRemaining > 0) {
+      message = `${message}. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`
+    }
+
+    const err = new Error(message)
+    // 'otp_expired' / 'otp_invalidated' mean the user has to request a new code
+    err.code = error?.response?.data?.code || null
+    throw err
   }
 }
 
@@ -74,8 +155,7 @@ export const login = async (credentials) => {
   try {
     const response = await api.post('/login', credentials)
     if (response.data?.token) {
-      localStorage.setItem('token', response.data.token)
-      localStorage.setItem('user', JSON.stringify(response.data.user))
+      storeSession(response.data)
     }
     return response.data
   } catch (error) {
@@ -84,28 +164,111 @@ export const login = async (credentials) => {
       error?.response?.data?.error ||
       'Login failed'
 
-    if (error?.response?.status === 429) {
-      const rawSeconds = Number(error?.response?.data?.retryAfterSeconds)
-      if (!Number.isNaN(rawSeconds) && rawSeconds > 0) {
-        const minutes = Math.floor(rawSeconds / 60)
-        const seconds = rawSeconds % 60
+    message = appendRetryAfter(message, error)
 
-        let timePart = ''
-        if (minutes > 0) {
-          timePart += `${minutes} minute${minutes === 1 ? '' : 's'}`
-        }
-        if (seconds > 0) {
-          if (timePart) {
-            timePart += ' and '
-          }
-          timePart += `${seconds} second${seconds === 1 ? '' : 's'}`
-        }
-        if (!timePart) {
-          timePart = `${rawSeconds} seconds`
-        }
+    throw new Error(message)
+  }
+}
 
-        message = `${message} You can try again in approximately ${timePart}.`
-      }
+// ====== Login: second factor ======
+// login() answers { status: '2fa_required' | '2fa_setup_required', twoFactorToken } when a code is needed
+
+const postTwoFactorStep = async (path, body, fallbackMessage) => {
+  try {
+    const response = await api.post(path, body)
+    if (response.data?.token) {
+      storeSession(response.data)
+    }
+    return response.data
+  } catch (error) {
+    const message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      fallbackMessage
+    const err = new Error(appendRetryAfter(message, error))
+    // 'challenge_expired' / 'challenge_invalid' mean the password step has to be repeated
+    err.code = error?.response?.data?.code || null
+    throw err
+  }
+}
+
+export const verifyTwoFactorLogin = ({ twoFactorToken, code, recoveryCode }) =>
+  postTwoFactorStep('/login/2fa', { twoFactorToken, code, recoveryCode }, 'Verification failed')
+
+export const startTwoFactorLoginSetup = ({ twoFactorToken }) =>
+  postTwoFactorStep('/login/2fa/setup', { twoFactorToken }, 'Could not start two-factor setup')
+
+export const enableTwoFactorLogin = ({ twoFactorToken, code }) =>
+  postTwoFactorStep('/login/2fa/enable', { twoFactorToken, code }, 'Could not enable two-factor authentication')
+
+// ====== Login with phone + SMS code ======
+
+export const requestPhoneLoginCode = async ({ phone }) => {
+  try {
+    const response = await api.post('/phone-login/request', { phone })
+    return response.data
+  } catch (error) {
+    const message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      'Could not send login code'
+    throw new Error(appendRetryAfter(message, error))
+  }
+}
+
+// Answers like login(): a session, or a 2FA step when the account has it enabled
+export const verifyPhoneLogin = async ({ phone, otp }) => {
+  try {
+    const response = await api.post('/phone-login/verify', { phone, otp })
+    if (response.data?.token) {
+      storeSession(response.data)
+    }
+    return response.data
+  } catch (error) {
+    let message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      'Login failed'
+
+    message = appendRetryAfter(message, error)
+
+    const attemptsRemaining = Number(error?.response?.data?.attemptsRemaining)
+    if (!Number.isNaN(attemptsRemaining) && attemptsRemaining > 0) {
+      message = `${message}. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`
+    }
+
+    throw new Error(message)
+  }
+}
+
+export const requestPasswordReset = async ({ email }) => {
+  try {
+    const response = await api.post('/forgot-password', { email })
+    return response.data
+  } catch (error) {
+    const message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      'Could not send reset code'
+    throw new Error(appendRetryAfter(message, error))
+  }
+}
+
+export const resetPassword = async ({ email, otp, newPassword }) => {
+  try {
+    const response = await api.post('/reset-password', { email, otp, newPassword })
+    return response.data
+  } catch (error) {
+    let message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      'Password reset failed'
+
+    message = appendRetryAfter(message, error)
+
+    const attemptsRemaining = Number(error?.response?.data?.attemptsRemaining)
+    if (!Number.isNaN(attemptsRemaining) && attemptsRemaining > 0) {
+      message = `${message}. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`
     }
 
     throw new Error(message)
@@ -114,6 +277,98 @@ export const login = async (credentials) => {
 
 export const getToken = () => localStorage.getItem('token')
 
+export const getRefreshToken = () => localStorage.getItem('refresh_token')
+
+// Several requests can fail with 401 at once; they all wait on the same refresh call
+let refreshPromise = null
+
+export const refreshSession = () => {
+  if (refreshPromise) {
+    return refreshPromise
+  }
+
+  const refreshToken = getRefreshToken()
+  if (!refreshToken) {
+    return Promise.reject(new Error('Your session has ended. Please log in again.'))
+  }
+
+  refreshPromise = api
+    .post('/refresh', { refreshToken })
+    .then((response) => {
+      storeSession(response.data)
+      return response.data.token
+    })
+    .catch((error) => {
+      // Only a definitive rejection ends the session; network hiccups keep the tokens for a retry
+      if (error?.response?.status === 401 || error?.response?.status === 400) {
+        clearSession()
+      }
+      const message =
+        error?.response?.data?.message || 'Your session has ended. Please log in again.'
+      throw new Error(message)
+    })
+    .finally(() => {
+      refreshPromise = null
+    })
+
+  return refreshPromise
+}
+
+const redirectToLogin = () => {
+  if (typeof window !== 'undefined' && window.location.pathname !== '/login') {
+    window.location.assign('/login')
+  }
+}
+
+// Retries a request once with a fresh access token when the server answers 401
+export const attachAuthRefresh = (instance) => {
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const original = error?.config
+      if (error?.response?.status !== 401 || !original || original._authRetried || !getRefreshToken()) {
+        return Promise.reject(error)
+      }
+
+      original._authRetried = true
+      try {
+        const token = await refreshSession()
+        original.headers = { ...original.headers, Authorization: 'Bearer ' + token }
+        return instance(original)
+      } catch (refreshError) {
+        if (!getRefreshToken()) {
+          redirectToLogin()
+        }
+        return Promise.reject(error)
+      }
+    }
+  )
+  return instance
+}
+
+// fetch() counterpart of attachAuthRefresh for services that do not use axios
+export const fetchWithAuth = async (url, options = {}) => {
+  const withToken = (token) => ({
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+  })
+
+  const response = await fetch(url, withToken(getToken()))
+  if (response.status !== 401 || !getRefreshToken()) {
+    return response
+  }
+
+  try {
+    const token = await refreshSession()
+    return await fetch(url, withToken(token))
+  } catch {
+    if (!getRefreshToken()) {
+      redirectToLogin()
+    }
+    return response
+  }
+}
+
 export const changePassword = async ({ oldPassword, newPassword }) => {
   const token = getToken()
   if (!token) {
@@ -121,17 +376,18 @@ export const changePassword = async ({ oldPassword, newPassword }) => {
   }
 
   try {
-    const response = await axios.post(
-      `${API_BASE}/api/account/change-password`,
+    const response = await accountApi.post(
+      '/change-password',
       { oldPassword, newPassword },
       {
         headers: {
-          'Content-Type': 'application/json',
           Authorization: 'Bearer ' + token
         }
       }
     )
 
+    // Every other session was signed out; keep this device on the fresh pair
+    storeSession(response.data)
     return response.data
   } catch (error) {
     let message =
@@ -139,37 +395,156 @@ export const changePassword = async ({ oldPassword, newPassword }) => {
       error?.response?.data?.error ||
       'Failed to change password'
 
-    if (error?.response?.status === 429) {
-      const rawSeconds = Number(error?.response?.data?.retryAfterSeconds)
-      if (!Number.isNaN(rawSeconds) && rawSeconds > 0) {
-        const minutes = Math.floor(rawSeconds / 60)
-        const seconds = rawSeconds % 60
+    message = appendRetryAfter(message, error)
 
-        let timePart = ''
-        if (minutes > 0) {
-          timePart += `${minutes} minute${minutes === 1 ? '' : 's'}`
-        }
-        if (seconds > 0) {
-          if (timePart) {
-            timePart += ' and '
-          }
-          timePart += `${seconds} second${seconds === 1 ? '' : 's'}`
-        }
-        if (!timePart) {
-          timePart = `${rawSeconds} seconds`
-        }
+    throw new Error(message)
+  }
+}
 
-        message = `${message} You can try again in approximately ${timePart}.`
-      }
+// ====== Account settings (signed-in user) ======
+
+const accountRequest = async (method, path, data, fallbackMessage) => {
+  const token = getToken()
+  if (!token) {
+    throw new Error('You must be logged in')
+  }
+
+  try {
+    const response = await accountApi.request({
+      method,
+      url: path,
+      data,
+      headers: { Authorization: 'Bearer ' + token }
+    })
+    return response.data
+  } catch (error) {
+    const message =
+      error?.response?.data?.message ||
+      error?.response?.data?.error ||
+      fallbackMessage
+
+    let fullMessage = appendRetryAfter(message, error)
+
+    const attemptsRemaining = Number(error?.response?.data?.attemptsRemaining)
+    if (!Number.isNaN(attemptsRemaining) && attemptsRemaining > 0) {
+      fullMessage = `${fullMessage}. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`
     }
 
-    throw new Error(message)
+    const err = new Error(fullMessage)
+    // Per-field validation messages, e.g. from PATCH /profile
+    err.fieldErrors = error?.response?.data?.errors || null
+    throw err
   }
 }
 
-export const logout = () => {
-  localStorage.removeItem('token')
-  localStorage.removeItem('user')
+export const getPermissions = async () => {
+  const token = getToken()
+  if (permissionsCache && permissionsCache.token === token) {
+    return permissionsCache.data
+  }
+
+  const data = await accountRequest('get', '/permissions', undefined, 'Could not load your permissions')
+  permissionsCache = { token: getToken(), data }
+  return data
+}
+
+// Keep the cached user (name, email shown in the header) in line with the profile
+const syncStoredUser = (profile) => {
+  const current = getCurrentUser()
+  if (!current || !profile) {
+    return
+  }
+  localStorage.setItem(
+    'user',
+    JSON.stringify({ ...current, name: profile.name, email: profile.email })
+  )
+}
+
+export const getProfile = async () => {
+  const data = await accountRequest('get', '/profile', undefined, 'Could not load your profile')
+  return data.profile
+}
+
+export const updateProfile = async (changes) => {
+  const data = await accountRequest('patch', '/profile', changes, 'Could not save your profile')
+  syncStoredUser(data.profile)
+  return data.profile
+}
+
+export const requestEmailChange = ({ newEmail, password }) =>
+  accountRequest('post', '/email/change', { newEmail, password }, 'Could not start email change')
+
+export const verifyEmailChange = async ({ otp }) => {
+  const data = await accountRequest('post', '/email/verify', { otp }, 'Email verification failed')
+  // Other devices were signed out; keep this one on the fresh pair
+  storeSession(data)
+  syncStoredUser(data.profile)
+  return data
+}
+
+// Downloads the JSON export as a file in the browser
+export const exportAccountData = async () => {
+  const data = await accountRequest('get', '/export', undefined, 'Could not export your data')
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = 'agriqual-export-' + new Date().toISOString().slice(0, 10) + '.json'
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+
+  return data
+}
+
+// Every session is revoked server-side, so the local one is dropped too
+export const deleteAccount = async ({ password }) => {
+  const data = await accountRequest('post', '/delete', { password }, 'Could not delete your account')
+  clearSession()
+  return data
+}
+
+export const cancelAccountDeletion = async () => {
+  const data = await accountRequest('post', '/delete/cancel', {}, 'Could not cancel account deletion')
+  return data.profile
+}
+
+export const sendPhoneVerificationCode = ({ phone } = {}) =>
+  accountRequest('post', '/phone/send-code', { phone }, 'Could not send verification code')
+
+export const verifyPhone = ({ otp }) =>
+  accountRequest('post', '/phone/verify', { otp }, 'Phone verification failed')
+
+export const getTwoFactorStatus = () =>
+  accountRequest('get', '/2fa', undefined, 'Could not load two-factor settings')
+
+export const startTwoFactorSetup = () =>
+  accountRequest('post', '/2fa/setup', {}, 'Could not start two-factor setup')
+
+export const enableTwoFactor = ({ code }) =>
+  accountRequest('post', '/2fa/enable', { code }, 'Could not enable two-factor authentication')
+
+export const disableTwoFactor = ({ password, code, recoveryCode }) =>
+  accountRequest('post', '/2fa/disable', { password, code, recoveryCode }, 'Could not disable two-factor authentication')
+
+export const regenerateRecoveryCodes = ({ password }) =>
+  accountRequest('post', '/2fa/recovery-codes', { password }, 'Could not create new recovery codes')
+
+export const logout = async () => {
+  const refreshToken = getRefreshToken()
+  clearSession()
+
+  if (!refreshToken) {
+    return
+  }
+
+  try {
+    await api.post('/logout', { refreshToken })
+  } catch (error) {
+    console.warn('[Auth] Logout request failed:', error?.message || error)
+  }
 }
 
 export const getCurrentUser = () => {
@@ -179,15 +554,44 @@ export const getCurrentUser = () => {
 
 export const isAuthenticated = () => !!getToken()
 
+attachAuthRefresh(accountApi)
+
 const authService = {
-  register,
   registerWithOtp,
+  getInvitation,
+  resendOtp,
   verifyOtp,
   login,
+  verifyTwoFactorLogin,
+  startTwoFactorLoginSetup,
+  enableTwoFactorLogin,
+  requestPhoneLoginCode,
+  verifyPhoneLogin,
+  requestPasswordReset,
+  resetPassword,
   changePassword,
+  getProfile,
+  updateProfile,
+  requestEmailChange,
+  verifyEmailChange,
+  exportAccountData,
+  deleteAccount,
+  cancelAccountDeletion,
+  sendPhoneVerificationCode,
+  verifyPhone,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getPermissions,
   logout,
   getCurrentUser,
   getToken,
+  getRefreshToken,
+  refreshSession,
+  attachAuthRefresh,
+  fetchWithAuth,
   isAuthenticated
 }
 
@@ -1,5 +1,5 @@
 import axios from 'axios'
-import { getToken } from './authService'
+import { getToken, attachAuthRefresh } from './authService'
 
 const from_env =
   (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_BASE_URL) ||
@@ -16,6 +16,8 @@ const chat_api = axios.create({
   headers: { 'Content-Type': 'application/json' }
 })
 
+attachAuthRefresh(chat_api)
+
 export async function send_chat_message({ diagnosis, messages }) {
   const token = getToken()
   if (!token) {
@@ -1,3 +1,5 @@
+import { fetchWithAuth, getToken, refreshSession } from './authService'
+
 const from_env =
   (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_BASE_URL) ||
   process.env.REACT_APP_API_BASE_URL
@@ -8,20 +10,22 @@ const default_base = is_localhost ? 'http://localhost:5000' : (is_vercel ? '' :
 
 const preferred_base = from_env || default_base
 
-async function try_post_diagnose(base_url, file) {
+// Uploads carry no EXIF data (see utils/imagePrep.js), so the position goes in its own fields
+function append_location(form, location) {
+  if (location) {
+    form.append('latitude', String(location.latitude))
+    form.append('longitude', String(location.longitude))
+  }
+}
+
+async function try_post_diagnose(base_url, file, location) {
   const form = new FormData()
   form.append('image', file)
+  append_location(form, location)
   
-  const token = localStorage.getItem('token')
-  const headers = {}
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
-  }
-  
-  const response = await fetch(`${base_url}/api/diagnose`, { 
-    method: 'POST', 
-    body: form,
-    headers 
+  const response = await fetchWithAuth(`${base_url}/api/diagnose`, {
+    method: 'POST',
+    body: form
   })
   let json = null
   try {
@@ -30,7 +34,7 @@ async function try_post_diagnose(base_url, file) {
   return { response, json }
 }
 
-export async function diagnose_image(file) {
+export async function diagnose_image(file, location) {
   // Try configured base first; on 404/network error, fall back to default Render API
   const bases_to_try = preferred_base === default_base ? [preferred_base] : [preferred_base, default_base]
   // If using vercel rewrite (relative ''), also try absolute Render as a backup
@@ -41,7 +45,7 @@ export async function diagnose_image(file) {
   let last_error_message = 'Request failed'
   for (const base of bases_to_try) {
     try {
-      const { response, json } = await try_post_diagnose(base, file)
+      const { response, json } = await try_post_diagnose(base, file, location)
       if (response.ok) {
         return json
       }
@@ -59,3 +63,170 @@ export async function diagnose_image(file) {
   }
   throw new Error(last_error_message)
 }
+
+// The labels the model can predict; fetched once per page load
+let classes_promise = null
+
+export function get_disease_classes() {
+  if (!classes_promise) {
+    classes_promise = fetchWithAuth(`${preferred_base}/api/diagnose/classes`)
+      .then(async (response) => {
+        const json = await response.json()
+        if (!response.ok) {
+          throw new Error((json && json.message) || `Request failed (${response.status})`)
+        }
+        return json.classes || []
+      })
+      .catch((err) => {
+        classes_promise = null
+        throw err
+      })
+  }
+  return classes_promise
+}
+
+// ====== Background diagnosis jobs ======
+const JOB_POLL_INTERVAL_MS = 1500
+const JOB_POLL_TIMEOUT_MS = 5 * 60 * 1000
+
+function error_from(response, json) {
+  const error = new Error((json && (json.message || json.error || json.detail)) || `Request failed (${response.status})`)
+  error.status = response.status
+  error.code = json && json.code
+  return error
+}
+
+// Upload a photo for diagnosis in the background; resolves to { jobId, status }
+export async function start_diagnosis_job(file, field, location) {
+  const form = new FormData()
+  form.append('image', file)
+  if (field) {
+    form.append('field', field)
+  }
+  append_location(form, location)
+  const response = await fetchWithAuth(`${preferred_base}/api/diagnose/jobs`, {
+    method: 'POST',
+    body: form
+  })
+  let json = null
+  try {
+    json = await response.json()
+  } catch {}
+  if (!response.ok) {
+    throw error_from(response, json)
+  }
+  return json
+}
+
+export async function get_diagnosis_job(job_id) {
+  const response = await fetchWithAuth(`${preferred_base}/api/diagnose/jobs/${encodeURIComponent(job_id)}`)
+  let json = null
+  try {
+    json = await response.json()
+  } catch {}
+  if (!response.ok) {
+    throw error_from(response, json)
+  }
+  return json
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// Queue a photo and poll until the worker has diagnosed it. on_status(job) is called with
+// every job update (queued / processing / retrying). Resolves to the ML result plus the
+// saved diagnosis id; falls back to the direct endpoint when the job queue is down.
+export async function diagnose_image_in_background(file, location, on_status) {
+  let job
+  try {
+    job = await start_diagnosis_job(file, '', location)
+  } catch (err) {
+    if (err.status === 503 && err.code === 'queue_unavailable') {
+      return diagnose_image(file, location)
+    }
+    throw err
+  }
+
+  const started_at = Date.now()
+  while (Date.now() - started_at < JOB_POLL_TIMEOUT_MS) {
+    if (on_status) {
+      on_status(job)
+    }
+    if (job.status === 'done') {
+      return { ...job.result, id: job.diagnosisId }
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.message || 'Analysis failed')
+    }
+    await wait(JOB_POLL_INTERVAL_MS)
+    job = await get_diagnosis_job(job.jobId)
+  }
+  throw new Error('Analysis is taking longer than expected. Check your history later.')
+}
+
+// fetch() cannot report upload progress, so batches go through XMLHttpRequest
+function post_batch(base_url, form, token, on_upload_progress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('POST', `${base_url}/api/diagnose/batch`)
+    if (token) {
+      xhr.setRequestHeader('Authorization', `Bearer ${token}`)
+    }
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable && on_upload_progress) {
+        on_upload_progress(e.loaded, e.total)
+      }
+    }
+    xhr.onload = () => {
+      let json = null
+      try {
+        json = JSON.parse(xhr.responseText)
+      } catch {}
+      resolve({ status: xhr.status, json })
+    }
+    xhr.onerror = () => reject(new Error('Network error'))
+    xhr.send(form)
+  })
+}
+
+// Diagnose several photos in one request. on_progress(index, percent) reports how much of
+// each file has been uploaded; files are sent in order, so the byte count maps onto them.
+// locations, when given, lines up with files ({ latitude, longitude } or null each).
+export async function diagnose_batch(files, field, on_progress, locations) {
+  const form = new FormData()
+  files.forEach((file) => form.append('images', file))
+  if (field) {
+    form.append('field', field)
+  }
+  if (Array.isArray(locations) && locations.some(Boolean)) {
+    form.append('locations', JSON.stringify(locations))
+  }
+
+  const total_size = files.reduce((sum, file) => sum + file.size, 0)
+  function report(loaded, total) {
+    if (!on_progress) {
+      return
+    }
+    // The multipart body is slightly larger than the files; scale to the file bytes
+    const file_bytes = total > 0 ? (loaded / total) * total_size : 0
+    let offset = 0
+    files.forEach((file, index) => {
+      const done = Math.min(Math.max(file_bytes - offset, 0), file.size)
+      on_progress(index, file.size > 0 ? Math.round((done / file.size) * 100) : 100)
+      offset += file.size
+    })
+  }
+
+  let result = await post_batch(preferred_base, form, getToken(), report)
+  if (result.status === 401) {
+    const token = await refreshSession()
+    result = await post_batch(preferred_base, form, token, report)
+  }
+
+  if (result.status < 200 || result.status >= 300) {
+    const json = result.json
+    throw new Error((json && (json.message || json.error || json.detail)) || `Request failed (${result.status})`)
+  }
+  return result.json
+}
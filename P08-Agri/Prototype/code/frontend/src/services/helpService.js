@@ -1,6 +1,6 @@
 // frontend/src/services/helpService.js
 import axios from 'axios'
-import { getToken } from './authService'
+import { getToken, attachAuthRefresh } from './authService'
 
 const from_env =
   (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_BASE_URL) ||
@@ -16,6 +16,8 @@ const help_api = axios.create({
   headers: { 'Content-Type': 'application/json' }
 })
 
+attachAuthRefresh(help_api)
+
 export async function send_complaint(payload) {
   const token = getToken()
   if (!token) {
@@ -1,3 +1,5 @@
+import { fetchWithAuth } from './authService'
+
 const from_env =
   (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_URL) ||
   process.env.REACT_APP_API_URL
@@ -10,18 +12,30 @@ const api_base =
     ? 'http://localhost:5000'
     : (is_vercel ? '' : 'https://sproj-p08-2.onrender.com'))
 
-export async function get_diagnosis_history(limit = 50, skip = 0) {
+// Drops empty values so unset filters are not sent
+function to_query_string(params) {
+  const search = new URLSearchParams()
+  Object.keys(params).forEach((key) => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      search.set(key, params[key])
+    }
+  })
+  return search.toString()
+}
+
+// params: { label, minConfidence, maxConfidence, from, to, field, reviewStatus, tag, deleted, sort, limit, cursor }
+// Resolves to { diagnoses, total, limit, nextCursor }
+export async function get_diagnosis_history(params = {}) {
   const token = localStorage.getItem('token')
   if (!token) {
     throw new Error('Not authenticated')
   }
 
-  const url = `${api_base}/api/history?limit=${limit}&skip=${skip}`
-  const res = await fetch(url, {
+  const url = `${api_base}/api/history?${to_query_string(params)}`
+  const res = await fetchWithAuth(url, {
     method: 'GET',
     headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`
+      'Content-Type': 'application/json'
     }
   })
 
@@ -45,11 +59,10 @@ export async function get_diagnosis_by_id(id) {
   }
 
   const url = `${api_base}/api/history/${id}`
-  const res = await fetch(url, {
+  const res = await fetchWithAuth(url, {
     method: 'GET',
     headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`
+      'Content-Type': 'application/json'
     }
   })
 
@@ -65,3 +78,203 @@ export async function get_diagnosis_by_id(id) {
 
   return data
 }
+
+// Image endpoints need the bearer token, so the photo is fetched as a blob and handed
+// back as an object URL. Callers must URL.revokeObjectURL() it when done.
+export async function get_diagnosis_image_url(id, variant = 'thumbnail') {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const path = variant === 'image' ? 'image' : 'thumbnail'
+  const url = `${api_base}/api/history/${id}/${path}`
+  const res = await fetchWithAuth(url, { method: 'GET' })
+
+  if (!res.ok) {
+    throw new Error(`Image request failed (${res.status})`)
+  }
+
+  const blob = await res.blob()
+  return URL.createObjectURL(blob)
+}
+
+// The printable PDF report of a diagnosis as an object URL; revoke it when done
+export async function get_diagnosis_report_url(id) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const res = await fetchWithAuth(`${api_base}/api/history/${id}/report.pdf`, { method: 'GET' })
+
+  if (!res.ok) {
+    let data = null
+    try {
+      data = await res.json()
+    } catch {}
+    const message = (data && (data.message || data.error)) || `Report request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  const blob = await res.blob()
+  return URL.createObjectURL(blob)
+}
+
+// feedback: { verdict: 'correct' | 'incorrect' | 'unsure', correctedLabel?, note? }
+// Resolves to the updated diagnosis
+export async function submit_diagnosis_feedback(id, feedback) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const url = `${api_base}/api/history/${id}/feedback`
+  const res = await fetchWithAuth(url, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(feedback)
+  })
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// Ask an inspector to check one of the farmer's diagnoses. Resolves to the updated diagnosis
+export async function request_diagnosis_review(id) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const url = `${api_base}/api/history/${id}/review-request`
+  const res = await fetchWithAuth(url, { method: 'POST' })
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// params: the history filters plus interval ('day' | 'week' | 'month') and timeZone
+// Resolves to { interval, total, totals: { label: count }, series: [{ period, total, counts }] }
+export async function get_history_stats(params = {}) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const url = `${api_base}/api/history/stats?${to_query_string(params)}`
+  const res = await fetchWithAuth(url, { method: 'GET' })
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// Public check of a printed report from the token in its QR code; no sign-in needed.
+// Resolves to { diagnosis, confidence, certainty, alternatives, createdAt, reviewStatus, reviewedLabel, reviewedAt }
+export async function verify_diagnosis_report(token) {
+  const res = await fetch(`${api_base}/api/history/verify/${encodeURIComponent(token)}`, { method: 'GET' })
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// params: the history filters and sort, plus format ('csv' | 'json').
+// Resolves to an object URL of the whole export; revoke it when done
+export async function get_history_export_url(params = {}) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const res = await fetchWithAuth(`${api_base}/api/history/export?${to_query_string(params)}`, { method: 'GET' })
+
+  if (!res.ok) {
+    let data = null
+    try {
+      data = await res.json()
+    } catch {}
+    const message = (data && (data.message || data.error)) || `Export failed (${res.status})`
+    throw new Error(message)
+  }
+
+  const blob = await res.blob()
+  return URL.createObjectURL(blob)
+}
+
+async function history_request(method, path, body) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const options = { method, headers: { 'Content-Type': 'application/json' } }
+  if (body !== undefined) {
+    options.body = JSON.stringify(body)
+  }
+
+  const res = await fetchWithAuth(`${api_base}/api/history${path}`, options)
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// changes: { notes?, tags?: [], field? }. Resolves to the updated diagnosis
+export async function update_diagnosis(id, changes) {
+  return history_request('PATCH', `/${id}`, changes)
+}
+
+// Soft delete; restore_diagnosis brings it back
+export async function delete_diagnosis(id) {
+  return history_request('DELETE', `/${id}`)
+}
+
+export async function restore_diagnosis(id) {
+  return history_request('POST', `/${id}/restore`)
+}
@@ -0,0 +1,60 @@
+import { fetchWithAuth } from './authService'
+
+const from_env =
+  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_URL) ||
+  process.env.REACT_APP_API_URL
+
+const is_localhost = window.location.hostname === 'localhost'
+const is_vercel = /\.vercel\.app$/.test(window.location.hostname)
+const api_base =
+  from_env ||
+  (is_localhost
+    ? 'http://localhost:5000'
+    : (is_vercel ? '' : 'https://sproj-p08-2.onrender.com'))
+
+async function review_request(method, path, body) {
+  const token = localStorage.getItem('token')
+  if (!token) {
+    throw new Error('Not authenticated')
+  }
+
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  }
+  if (body !== undefined) {
+    options.body = JSON.stringify(body)
+  }
+
+  const res = await fetchWithAuth(`${api_base}/api/review${path}`, options)
+
+  let data = null
+  try {
+    data = await res.json()
+  } catch {}
+
+  if (!res.ok) {
+    const message = (data && (data.message || data.error)) || `Request failed (${res.status})`
+    throw new Error(message)
+  }
+
+  return data
+}
+
+// filters: { status: 'pending' | 'reviewed', reason: 'low_confidence' | 'farmer_flagged', limit, skip }
+export async function get_review_queue(filters = {}) {
+  const params = new URLSearchParams()
+  Object.keys(filters).forEach((key) => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      params.set(key, filters[key])
+    }
+  })
+  return review_request('GET', `/queue?${params.toString()}`)
+}
+
+// review: { action: 'confirm' | 'relabel', label?, notes? }
+export async function submit_review(id, review) {
+  return review_request('POST', `/${id}`, review)
+}
@@ -0,0 +1,157 @@
+// Prepare a camera photo for upload: read its GPS position, then redraw it as a JPEG with the
+// EXIF orientation applied, scaled down to a size that is plenty for diagnosis. Redrawing
+// through a canvas drops all metadata, so the position is returned separately and sent as
+// explicit form fields. The server normalizes uploads the same way (backend/image_normalize.js)
+// for photos the browser cannot decode, such as HEIC outside Safari.
+
+const MAX_SIDE = 1280
+const JPEG_QUALITY = 0.85
+
+// ====== EXIF GPS ======
+// Only JPEG files carry EXIF in a place we read here; other formats simply have no position.
+
+const TAG_GPS_IFD = 0x8825
+const TAG_GPS_LATITUDE_REF = 0x0001
+const TAG_GPS_LATITUDE = 0x0002
+const TAG_GPS_LONGITUDE_REF = 0x0003
+const TAG_GPS_LONGITUDE = 0x0004
+
+// Map of tag -> { type, count, value_offset } for the IFD starting at ifd_offset (relative to tiff)
+function read_ifd(view, tiff, ifd_offset, little) {
+  const entries = {}
+  const count = view.getUint16(tiff + ifd_offset, little)
+  for (let i = 0; i < count; i++) {
+    const entry = tiff + ifd_offset + 2 + i * 12
+    entries[view.getUint16(entry, little)] = {
+      type: view.getUint16(entry + 2, little),
+      count: view.getUint32(entry + 4, little),
+      value_offset: entry + 8
+    }
+  }
+  return entries
+}
+
+// Degrees/minutes/seconds stored as three RATIONALs
+function read_coordinate(view, tiff, entry, little) {
+  if (!entry || entry.type !== 5 || entry.count !== 3) {
+    return null
+  }
+  const start = tiff + view.getUint32(entry.value_offset, little)
+  const parts = [0, 1, 2].map((i) => {
+    const numerator = view.getUint32(start + i * 8, little)
+    const denominator = view.getUint32(start + i * 8 + 4, little)
+    return denominator ? numerator / denominator : 0
+  })
+  return parts[0] + parts[1] / 60 + parts[2] / 3600
+}
+
+function read_ref(view, entry) {
+  return entry ? String.fromCharCode(view.getUint8(entry.value_offset)) : ''
+}
+
+function parse_exif_location(view, tiff) {
+  const little = view.getUint16(tiff) === 0x4949
+  if (view.getUint16(tiff + 2, little) !== 0x002a) {
+    return null
+  }
+  const ifd0 = read_ifd(view, tiff, view.getUint32(tiff + 4, little), little)
+  if (!ifd0[TAG_GPS_IFD]) {
+    return null
+  }
+  const gps = read_ifd(view, tiff, view.getUint32(ifd0[TAG_GPS_IFD].value_offset, little), little)
+
+  let latitude = read_coordinate(view, tiff, gps[TAG_GPS_LATITUDE], little)
+  let longitude = read_coordinate(view, tiff, gps[TAG_GPS_LONGITUDE], little)
+  if (latitude === null || longitude === null) {
+    return null
+  }
+  if (read_ref(view, gps[TAG_GPS_LATITUDE_REF]) === 'S') latitude = -latitude
+  if (read_ref(view, gps[TAG_GPS_LONGITUDE_REF]) === 'W') longitude = -longitude
+  // Cameras without a fix often write zeros
+  if (latitude === 0 && longitude === 0) {
+    return null
+  }
+  return { latitude, longitude }
+}
+
+// Resolves to { latitude, longitude } or null
+export async function read_gps_location(file) {
+  try {
+    const view = new DataView(await file.arrayBuffer())
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+      return null
+    }
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      const length = view.getUint16(offset + 2)
+      // Start of scan: the metadata segments are all before it
+      if (marker === 0xffda || (marker & 0xff00) !== 0xff00) {
+        return null
+      }
+      // APP1 segment starting with "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parse_exif_location(view, offset + 10)
+      }
+      offset += 2 + length
+    }
+  } catch {}
+  return null
+}
+
+// ====== Re-encoding ======
+
+async function decode_image(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' })
+    } catch {}
+  }
+  // <img> applies EXIF orientation by default in current browsers
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not read image'))
+    }
+    img.src = url
+  })
+}
+
+// Resolves to { file, location, converted }. When the browser cannot decode the photo the
+// original file is returned unchanged (converted: false) and the server converts it instead.
+export async function prepare_image(file) {
+  const location = await read_gps_location(file)
+
+  let source
+  try {
+    source = await decode_image(file)
+  } catch {
+    return { file, location, converted: false }
+  }
+
+  const width = source.naturalWidth || source.width
+  const height = source.naturalHeight || source.height
+  const scale = Math.min(1, MAX_SIDE / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height)
+  if (typeof source.close === 'function') {
+    source.close()
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY))
+  if (!blob) {
+    return { file, location, converted: false }
+  }
+
+  const base_name = (file.name || 'photo').replace(/\.[^.]*$/, '') || 'photo'
+  const jpeg_file = new File([blob], base_name + '.jpg', { type: 'image/jpeg', lastModified: file.lastModified })
+  return { file: jpeg_file, location, converted: true }
+}
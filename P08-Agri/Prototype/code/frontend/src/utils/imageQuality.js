@@ -0,0 +1,149 @@
+// Photo quality checks run in the browser before uploading. They mirror the backend gate in
+// backend/image_quality.js (same measurements and thresholds), so a photo that passes here is
+// not rejected by the server, and the farmer can retake a bad photo without waiting for an upload.
+
+const ANALYSIS_SIZE = 512
+const MIN_SIDE = 224
+const BLUR_THRESHOLD = 60
+const MIN_BRIGHTNESS = 50
+const MAX_BRIGHTNESS = 215
+const MAX_CLIPPED_SHARE = 0.5
+const MIN_PLANT_SHARE = 0.15
+
+const ISSUE_MESSAGES = {
+  unreadable: 'The photo could not be read. Take a new photo in JPG or PNG format.',
+  too_small: `The photo is too small. Use at least ${MIN_SIDE} pixels on the shorter side - move closer instead of zooming in.`,
+  blurry: 'The photo is blurry. Hold the phone steady, tap the leaf to focus and retake it.',
+  too_dark: 'The photo is too dark. Take it in daylight or move out of the shade.',
+  too_bright: 'The photo is overexposed. Avoid direct sun glare - shade the leaf with your body or hand.',
+  not_plant: 'Not enough of the photo shows a wheat plant. Move closer so the leaf fills most of the frame.'
+}
+
+function load_image(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not read image'))
+    }
+    img.src = url
+  })
+}
+
+function is_plant_colour(r, g, b) {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const delta = max - min
+  if (max === 0 || delta / max < 0.2 || max / 255 < 0.15) {
+    return false
+  }
+  let hue
+  if (max === r) {
+    hue = 60 * (((g - b) / delta) % 6)
+  } else if (max === g) {
+    hue = 60 * ((b - r) / delta + 2)
+  } else {
+    hue = 60 * ((r - g) / delta + 4)
+  }
+  if (hue < 0) {
+    hue += 360
+  }
+  return hue >= 25 && hue <= 170
+}
+
+function measure_pixels(data, width, height) {
+  const pixel_count = width * height
+  const gray = new Float32Array(pixel_count)
+  let brightness_sum = 0
+  let dark = 0
+  let bright = 0
+  let plant = 0
+
+  for (let i = 0; i < pixel_count; i++) {
+    const r = data[i * 4]
+    const g = data[i * 4 + 1]
+    const b = data[i * 4 + 2]
+    const value = 0.299 * r + 0.587 * g + 0.114 * b
+    gray[i] = value
+    brightness_sum += value
+    if (value < 25) dark++
+    if (value > 245) bright++
+    if (is_plant_colour(r, g, b)) plant++
+  }
+
+  let lap_sum = 0
+  let lap_sq_sum = 0
+  let lap_count = 0
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i]
+      lap_sum += lap
+      lap_sq_sum += lap * lap
+      lap_count++
+    }
+  }
+  const lap_mean = lap_count > 0 ? lap_sum / lap_count : 0
+
+  return {
+    sharpness: lap_count > 0 ? lap_sq_sum / lap_count - lap_mean * lap_mean : 0,
+    brightness: pixel_count > 0 ? brightness_sum / pixel_count : 0,
+    dark_share: pixel_count > 0 ? dark / pixel_count : 0,
+    bright_share: pixel_count > 0 ? bright / pixel_count : 0,
+    plant_share: pixel_count > 0 ? plant / pixel_count : 0
+  }
+}
+
+function find_issues(width, height, metrics) {
+  const codes = []
+  if (Math.min(width, height) < MIN_SIDE) {
+    codes.push('too_small')
+  }
+  if (metrics.brightness < MIN_BRIGHTNESS || metrics.dark_share > MAX_CLIPPED_SHARE) {
+    codes.push('too_dark')
+  } else if (metrics.brightness > MAX_BRIGHTNESS || metrics.bright_share > MAX_CLIPPED_SHARE) {
+    codes.push('too_bright')
+  }
+  // A dark or washed-out photo has no edges and no colour either; only report the cause
+  if (codes.length === 0 || codes[0] === 'too_small') {
+    if (metrics.sharpness < BLUR_THRESHOLD) {
+      codes.push('blurry')
+    }
+    if (metrics.plant_share < MIN_PLANT_SHARE) {
+      codes.push('not_plant')
+    }
+  }
+  return codes.map((code) => ({ code, message: ISSUE_MESSAGES[code] }))
+}
+
+// Resolves to { ok, issues: [{ code, message }] }
+export async function check_image_quality(file) {
+  let img
+  try {
+    img = await load_image(file)
+  } catch {
+    // Most browsers cannot show HEIC; the server converts and checks those photos itself
+    if (/^image\/hei[cf]$/.test(file.type) || /\.hei[cf]$/i.test(file.name || '')) {
+      return { ok: true, issues: [] }
+    }
+    return { ok: false, issues: [{ code: 'unreadable', message: ISSUE_MESSAGES.unreadable }] }
+  }
+
+  const width = img.naturalWidth
+  const height = img.naturalHeight
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+
+  const issues = find_issues(width, height, measure_pixels(data, canvas.width, canvas.height))
+  return { ok: issues.length === 0, issues }
+}